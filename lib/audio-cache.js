@@ -0,0 +1,204 @@
+// ============================================
+// AUDIO CACHE
+// TTS output is stored under content-addressed IDs: the ID is a hash of
+// everything that decides how a clip sounds (provider, voice, speed, text),
+// so the same line in the same voice is synthesized only once. Clips are
+// served from GET /api/audio/:id and messages keep just the ID.
+//
+// Backends, picked from AUDIO_CACHE (defaults to the conversation store's):
+//   memory - lost on restart
+//   file   - <dir>/<id>.mp3 in AUDIO_CACHE_DIR (default data/audio-cache,
+//            /tmp/audio-cache on Vercel)
+// The least recently used clips are dropped once the cache outgrows
+// AUDIO_CACHE_MAX_MB (default 500). Sizes and recency are tracked in memory
+// (the file backend's directory is listed once, on first use), so a write
+// costs the same however big the cache is. Messages may outlive their clip:
+// has(id) lets history and exports tell, and /api/tts can voice them again.
+// ============================================
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+const log = logger.child('Audio');
+
+const ID_PATTERN = /^[a-f0-9]{64}$/;
+
+function audioId({ provider, voice, speed, text }) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([provider, voice, speed, text]))
+    .digest('hex');
+}
+
+function isAudioId(id) {
+  return ID_PATTERN.test(String(id));
+}
+
+function defaultCacheDir() {
+  // Vercel only allows writes under /tmp
+  if (process.env.VERCEL) return '/tmp/audio-cache';
+  return path.join(__dirname, '..', 'data', 'audio-cache');
+}
+
+function createMemoryBackend() {
+  const clips = new Map();
+
+  return {
+    async read(id) {
+      return clips.get(id) || null;
+    },
+    async write(id, buffer) {
+      clips.set(id, buffer);
+    },
+    async remove(id) {
+      clips.delete(id);
+    },
+    async entries() {
+      return [];
+    }
+  };
+}
+
+function createFileBackend(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  const file = id => path.join(dir, `${id}.mp3`);
+
+  return {
+    async read(id) {
+      try {
+        const clip = await fs.promises.readFile(file(id));
+        // mtime carries recency over a restart
+        const now = new Date();
+        await fs.promises.utimes(file(id), now, now).catch(() => {});
+        return clip;
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+    async write(id, buffer) {
+      const tmp = `${file(id)}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, buffer);
+      await fs.promises.rename(tmp, file(id));
+    },
+    async remove(id) {
+      await fs.promises.rm(file(id), { force: true });
+    },
+    // What is on disk, least recently used first
+    async entries() {
+      const names = (await fs.promises.readdir(dir)).filter(name => name.endsWith('.mp3'));
+      const stats = await Promise.all(names.map(async name => {
+        const stat = await fs.promises.stat(path.join(dir, name)).catch(() => null);
+        return stat && { id: path.basename(name, '.mp3'), size: stat.size, mtime: stat.mtimeMs };
+      }));
+      return stats.filter(Boolean).sort((a, b) => a.mtime - b.mtime);
+    }
+  };
+}
+
+function createAudioCache({
+  type = process.env.AUDIO_CACHE || process.env.CONVERSATION_STORE || 'file',
+  dir = process.env.AUDIO_CACHE_DIR || defaultCacheDir(),
+  maxBytes = parseFloat(process.env.AUDIO_CACHE_MAX_MB || '500') * 1024 * 1024
+} = {}) {
+  let backend;
+  switch (type) {
+    case 'memory':
+      backend = createMemoryBackend();
+      break;
+    case 'file':
+      backend = createFileBackend(dir);
+      break;
+    default:
+      throw new Error(`Unknown AUDIO_CACHE "${type}" (expected "memory" or "file")`);
+  }
+
+  const sizes = new Map(); // id → bytes, least recently used first
+  let total = 0;
+  let loading = null;
+
+  function load() {
+    if (!loading) {
+      loading = backend.entries().then(entries => {
+        for (const { id, size } of entries) {
+          if (!sizes.has(id)) track(id, size);
+        }
+      });
+      loading.catch(() => { loading = null; });
+    }
+    return loading;
+  }
+
+  function track(id, size) {
+    total += size - (sizes.get(id) || 0);
+    sizes.delete(id);
+    sizes.set(id, size);
+  }
+
+  function forget(id) {
+    total -= sizes.get(id) || 0;
+    sizes.delete(id);
+  }
+
+  // Drops the least recently used clips until the cache fits, keeping `keep`
+  async function evict(keep) {
+    for (const [id] of sizes) {
+      if (total <= maxBytes) break;
+      if (id === keep) continue;
+      forget(id);
+      await backend.remove(id);
+      log.info('Evicted from the cache', { id: id.slice(0, 12) });
+    }
+  }
+
+  async function get(id) {
+    if (!isAudioId(id)) return null;
+    await load();
+    const clip = await backend.read(id);
+    if (clip) track(id, clip.length);
+    else forget(id);
+    return clip;
+  }
+
+  async function has(id) {
+    if (!isAudioId(id)) return false;
+    await load();
+    return sizes.has(id);
+  }
+
+  async function put(id, buffer) {
+    if (!isAudioId(id)) throw new Error(`Invalid audio id: ${id}`);
+    await load();
+    await backend.write(id, buffer);
+    track(id, buffer.length);
+    await evict(id).catch(error => log.error('Eviction failed', { error }));
+    return id;
+  }
+
+  return { type, get, has, put };
+}
+
+// Parses a single-range "Range: bytes=..." header for a body of `size` bytes.
+// Returns null when there is no usable header, { start, end } (inclusive)
+// for a satisfiable range, or { unsatisfiable: true }.
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header || '');
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+
+  let start;
+  let end;
+  if (match[1] === '') {
+    // Suffix range: the last N bytes
+    start = Math.max(size - parseInt(match[2], 10), 0);
+    end = size - 1;
+  } else {
+    start = parseInt(match[1], 10);
+    end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+  }
+
+  if (start >= size || start > end) return { unsatisfiable: true };
+  return { start, end };
+}
+
+module.exports = { createAudioCache, audioId, isAudioId, parseRange };
@@ -0,0 +1,244 @@
+// ============================================
+// AUDIO FORMATS
+// Tells what an audio file really is from its magic bytes (browsers record
+// WebM or Ogg, Safari MP4, whatever the file name says) and reads its length
+// from the container headers without decoding it.
+//
+// detectAudioFormat(buffer) → { container, codec, extension, mimeType } | null
+// audioDuration(buffer)     → seconds | null (unknown)
+// ============================================
+
+const { parseWav, wavDuration } = require('./wav');
+
+// Containers the speech-to-text providers accept
+const FORMATS = {
+  wav: { extension: 'wav', mimeType: 'audio/wav' },
+  webm: { extension: 'webm', mimeType: 'audio/webm' },
+  ogg: { extension: 'ogg', mimeType: 'audio/ogg' },
+  mp3: { extension: 'mp3', mimeType: 'audio/mpeg' },
+  flac: { extension: 'flac', mimeType: 'audio/flac' },
+  mp4: { extension: 'm4a', mimeType: 'audio/mp4' }
+};
+
+const WAV_CODECS = { 1: 'pcm', 3: 'float', 6: 'alaw', 7: 'mulaw', 0xfffe: 'pcm' };
+
+const EBML_MAGIC = Buffer.from([0x1a, 0x45, 0xdf, 0xa3]);
+const CLUSTER_ID = Buffer.from([0x1f, 0x43, 0xb6, 0x75]);
+const DURATION_ID = Buffer.from([0x44, 0x89]);
+const TIMECODE_SCALE_ID = Buffer.from([0x2a, 0xd7, 0xb1]);
+
+// Headers sit near the start; no need to scan whole recordings for them
+const HEADER_SCAN_BYTES = 4096;
+
+const MP3_BITRATES = {
+  1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+const MP3_SAMPLE_RATES = [44100, 48000, 32000];
+
+function head(buffer) {
+  return buffer.subarray(0, HEADER_SCAN_BYTES);
+}
+
+function includes(buffer, text) {
+  return head(buffer).includes(Buffer.from(text, 'latin1'));
+}
+
+// ID3v2 tags come before the first MP3 frame
+function id3Length(buffer) {
+  if (buffer.length < 10 || buffer.toString('latin1', 0, 3) !== 'ID3') return 0;
+  const size = (buffer[6] << 21) | (buffer[7] << 14) | (buffer[8] << 7) | buffer[9];
+  return 10 + size;
+}
+
+// MPEG audio Layer III frame header at `offset`, or null
+function mp3Frame(buffer, offset) {
+  if (offset + 4 > buffer.length || buffer[offset] !== 0xff || (buffer[offset + 1] & 0xe0) !== 0xe0) return null;
+
+  const versionBits = (buffer[offset + 1] >> 3) & 0x03; // 3 = MPEG-1, 2 = MPEG-2, 0 = MPEG-2.5
+  const layerBits = (buffer[offset + 1] >> 1) & 0x03;   // 1 = Layer III
+  const bitrateIndex = buffer[offset + 2] >> 4;
+  const sampleRateIndex = (buffer[offset + 2] >> 2) & 0x03;
+  if (versionBits === 1 || layerBits !== 1 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+    return null;
+  }
+
+  const mpeg1 = versionBits === 3;
+  const divisor = mpeg1 ? 1 : versionBits === 2 ? 2 : 4;
+  return {
+    mpeg1,
+    bitrate: MP3_BITRATES[mpeg1 ? 1 : 2][bitrateIndex] * 1000,
+    sampleRate: MP3_SAMPLE_RATES[sampleRateIndex] / divisor,
+    samplesPerFrame: mpeg1 ? 1152 : 576,
+    mono: (buffer[offset + 3] >> 6) === 3
+  };
+}
+
+function detectAudioFormat(buffer) {
+  if (!buffer || buffer.length < 4) return null;
+  const magic = buffer.toString('latin1', 0, 4);
+
+  if (magic === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WAVE') {
+    const wav = parseWav(buffer);
+    return { container: 'wav', codec: wav ? WAV_CODECS[wav.audioFormat] || 'unknown' : 'pcm', ...FORMATS.wav };
+  }
+  if (buffer.subarray(0, 4).equals(EBML_MAGIC)) {
+    // Matroska files are read the same way; only the doctype differs
+    const codec = includes(buffer, 'A_OPUS') ? 'opus' : includes(buffer, 'A_VORBIS') ? 'vorbis' : 'unknown';
+    return { container: 'webm', codec, ...FORMATS.webm };
+  }
+  if (magic === 'OggS') {
+    const codec = includes(buffer, 'OpusHead') ? 'opus'
+      : includes(buffer, '\x01vorbis') ? 'vorbis'
+        : includes(buffer, '\x7fFLAC') ? 'flac'
+          : 'unknown';
+    return { container: 'ogg', codec, ...FORMATS.ogg };
+  }
+  if (magic === 'fLaC') {
+    return { container: 'flac', codec: 'flac', ...FORMATS.flac };
+  }
+  if (buffer.length >= 12 && buffer.toString('latin1', 4, 8) === 'ftyp') {
+    return { container: 'mp4', codec: includes(buffer, 'mp4a') ? 'aac' : 'unknown', ...FORMATS.mp4 };
+  }
+  if (mp3Frame(buffer, id3Length(buffer))) {
+    return { container: 'mp3', codec: 'mp3', ...FORMATS.mp3 };
+  }
+  return null;
+}
+
+// ---- Durations ----
+
+function readVint(buffer, offset, keepMarker = false) {
+  const first = buffer[offset];
+  if (!first) return null;
+  const length = Math.clz32(first) - 23;
+  if (offset + length > buffer.length) return null;
+
+  let value = keepMarker ? first : first & (0xff >> length);
+  for (let i = 1; i < length; i++) value = value * 256 + buffer[offset + i];
+  return { value, length, unknown: !keepMarker && value === 2 ** (7 * length) - 1 };
+}
+
+function readUInt(buffer, offset, length) {
+  let value = 0;
+  for (let i = 0; i < length; i++) value = value * 256 + buffer[offset + i];
+  return value;
+}
+
+// Nanoseconds per Matroska timecode tick
+function webmTimecodeScale(buffer) {
+  const at = head(buffer).indexOf(TIMECODE_SCALE_ID);
+  const size = at === -1 ? null : readVint(buffer, at + 3);
+  return size ? readUInt(buffer, at + 3 + size.length, size.value) : 1e6;
+}
+
+function webmDuration(buffer) {
+  const scale = webmTimecodeScale(buffer);
+
+  // Files from encoders carry a Duration in the segment info...
+  const at = head(buffer).indexOf(DURATION_ID);
+  if (at !== -1) {
+    const size = readVint(buffer, at + 2);
+    if (size && (size.value === 4 || size.value === 8)) {
+      const offset = at + 2 + size.length;
+      const ticks = size.value === 4 ? buffer.readFloatBE(offset) : buffer.readDoubleBE(offset);
+      if (ticks > 0) return ticks * scale / 1e9;
+    }
+  }
+
+  // ...MediaRecorder streams don't, so take the last block's timestamp
+  const cluster = buffer.lastIndexOf(CLUSTER_ID);
+  if (cluster === -1) return null;
+  const clusterSize = readVint(buffer, cluster + 4);
+  if (!clusterSize) return null;
+
+  let offset = cluster + 4 + clusterSize.length;
+  let clusterTime = null;
+  let lastBlock = 0;
+  while (offset < buffer.length) {
+    const id = readVint(buffer, offset, true);
+    const size = id && readVint(buffer, offset + id.length);
+    if (!size) break;
+    const body = offset + id.length + size.length;
+
+    if (id.value === 0xe7) {
+      clusterTime = readUInt(buffer, body, size.value);
+    } else if (id.value === 0xa3 && body + 4 <= buffer.length) {
+      // SimpleBlock: track number, then a signed 16-bit relative timecode
+      const track = readVint(buffer, body);
+      if (track) lastBlock = Math.max(lastBlock, buffer.readInt16BE(body + track.length));
+    }
+    offset = body + size.value;
+  }
+  return clusterTime === null ? null : (clusterTime + lastBlock) * scale / 1e9;
+}
+
+function oggDuration(buffer) {
+  const last = buffer.lastIndexOf(Buffer.from('OggS'));
+  if (last === -1 || last + 14 > buffer.length) return null;
+  const granule = Number(buffer.readBigInt64LE(last + 6));
+  if (granule <= 0) return null;
+
+  // Opus always runs at 48 kHz after skipping the encoder's pre-roll
+  const opus = head(buffer).indexOf(Buffer.from('OpusHead'));
+  if (opus !== -1) return (granule - buffer.readUInt16LE(opus + 10)) / 48000;
+
+  const vorbis = head(buffer).indexOf(Buffer.from('\x01vorbis', 'latin1'));
+  if (vorbis !== -1) return granule / buffer.readUInt32LE(vorbis + 12);
+  return null;
+}
+
+function mp3Duration(buffer) {
+  const start = id3Length(buffer);
+  const frame = mp3Frame(buffer, start);
+  if (!frame) return null;
+
+  // VBR files say how many frames they hold in a Xing / Info header
+  const sideInfo = frame.mpeg1 ? (frame.mono ? 17 : 32) : (frame.mono ? 9 : 17);
+  const xing = start + 4 + sideInfo;
+  const tag = buffer.toString('latin1', xing, xing + 4);
+  if ((tag === 'Xing' || tag === 'Info') && buffer.length >= xing + 12 && (buffer.readUInt32BE(xing + 4) & 1)) {
+    return buffer.readUInt32BE(xing + 8) * frame.samplesPerFrame / frame.sampleRate;
+  }
+  return (buffer.length - start) * 8 / frame.bitrate;
+}
+
+function flacDuration(buffer) {
+  // STREAMINFO is always the first metadata block
+  if (buffer.length < 26) return null;
+  const sampleRate = (buffer[18] << 12) | (buffer[19] << 4) | (buffer[20] >> 4);
+  const samples = (buffer[21] & 0x0f) * 2 ** 32 + buffer.readUInt32BE(22);
+  return sampleRate > 0 && samples > 0 ? samples / sampleRate : null;
+}
+
+function mp4Duration(buffer) {
+  const at = buffer.indexOf(Buffer.from('mvhd'));
+  if (at === -1) return null;
+  const version = buffer[at + 4];
+  if (at + (version === 1 ? 36 : 24) > buffer.length) return null;
+  const timescale = buffer.readUInt32BE(at + (version === 1 ? 24 : 16));
+  const duration = version === 1 ? Number(buffer.readBigUInt64BE(at + 28)) : buffer.readUInt32BE(at + 20);
+  // Fragmented files (Safari's MediaRecorder) leave the movie duration at 0
+  return timescale > 0 && duration > 0 ? duration / timescale : null;
+}
+
+const DURATION_READERS = {
+  wav: wavDuration,
+  webm: webmDuration,
+  ogg: oggDuration,
+  mp3: mp3Duration,
+  flac: flacDuration,
+  mp4: mp4Duration
+};
+
+function audioDuration(buffer, format = detectAudioFormat(buffer)) {
+  if (!format) return null;
+  try {
+    return DURATION_READERS[format.container](buffer);
+  } catch {
+    // Truncated or damaged headers: the length is simply unknown
+    return null;
+  }
+}
+
+module.exports = { detectAudioFormat, audioDuration, FORMATS };
@@ -0,0 +1,93 @@
+// ============================================
+// AUDIO UPLOAD VALIDATION
+// Checks a recording before it is sent to speech-to-text: the container
+// must be one the providers accept (judged by magic bytes, not the file
+// name), it must fit the size and length caps, and a WAV of pure silence is
+// turned away without a paid transcription.
+//
+// Failures are AudioUploadErrors with a code the client can act on:
+//   missing_audio       400  no file in the request
+//   file_too_large      413  over MAX_UPLOAD_MB (default 25, Whisper's limit)
+//   unsupported_format  415  not WAV, WebM, Ogg, MP3, FLAC or MP4/M4A
+//   audio_too_long      413  over MAX_AUDIO_SECONDS (default 120)
+//   silence             422  nothing but silence (or an empty transcript)
+// ============================================
+
+const { detectAudioFormat, audioDuration } = require('./audio-format');
+const { parseWav } = require('./wav');
+const { createVoiceActivityDetector } = require('./vad');
+
+const ERROR_STATUS = {
+  missing_audio: 400,
+  file_too_large: 413,
+  unsupported_format: 415,
+  audio_too_long: 413,
+  silence: 422
+};
+
+class AudioUploadError extends Error {
+  constructor(code, message, extra = {}) {
+    super(message);
+    this.name = 'AudioUploadError';
+    this.code = code;
+    this.status = ERROR_STATUS[code];
+    this.extra = extra;
+  }
+}
+
+function fileTooLarge(maxBytes) {
+  return new AudioUploadError('file_too_large', `Audio files can be at most ${Math.round(maxBytes / 1024 / 1024)} MB`,
+    { limit: maxBytes });
+}
+
+function uploadLimits() {
+  return {
+    maxBytes: parseFloat(process.env.MAX_UPLOAD_MB || '25') * 1024 * 1024,
+    maxSeconds: parseFloat(process.env.MAX_AUDIO_SECONDS || '120')
+  };
+}
+
+// True when a 16-bit PCM WAV has no voiced audio at all. Other encodings
+// can't be checked without decoding them, so they count as not silent.
+function isSilentWav(buffer) {
+  const wav = parseWav(buffer);
+  if (!wav || wav.audioFormat !== 1 || wav.bitsPerSample !== 16 || wav.dataLength < 2) return false;
+
+  const samples = new Int16Array(buffer.buffer.slice(
+    buffer.byteOffset + wav.dataOffset,
+    buffer.byteOffset + wav.dataOffset + wav.dataLength - (wav.dataLength % 2)
+  ));
+  // Interleaved channels read as one faster stream, close enough for energy
+  const vad = createVoiceActivityDetector({ sampleRate: wav.sampleRate * wav.channels });
+  return !vad.push(samples).some(event => event.type === 'speech-start') && !vad.isSpeaking();
+}
+
+// Returns { buffer, filename, format, seconds } for a valid recording.
+// seconds is null when the container doesn't record its length.
+function validateAudio(buffer, { maxBytes, maxSeconds } = uploadLimits()) {
+  if (!buffer || buffer.length === 0) {
+    throw new AudioUploadError('missing_audio', 'No audio file provided');
+  }
+  if (buffer.length > maxBytes) throw fileTooLarge(maxBytes);
+
+  const format = detectAudioFormat(buffer);
+  if (!format) {
+    throw new AudioUploadError('unsupported_format',
+      'Unsupported audio format (expected WAV, WebM, Ogg, MP3, FLAC or M4A)');
+  }
+
+  const seconds = audioDuration(buffer, format);
+  if (seconds !== null && maxSeconds > 0 && seconds > maxSeconds) {
+    throw new AudioUploadError('audio_too_long',
+      `Recording is ${Math.round(seconds)} s long; the limit is ${maxSeconds} s`, { limit: maxSeconds, seconds });
+  }
+
+  if (format.container === 'wav' && isSilentWav(buffer)) {
+    throw new AudioUploadError('silence', 'No speech detected');
+  }
+
+  // The file name tells the STT provider how to decode the upload
+  return { buffer, filename: `recording.${format.extension}`, format, seconds };
+}
+
+module.exports = { validateAudio, uploadLimits, fileTooLarge, AudioUploadError };
@@ -0,0 +1,296 @@
+// ============================================
+// CHARACTER REGISTRY
+// Personas are loaded from JSON/YAML files in CHARACTERS_DIR (one file per
+// character, the file name is the character ID) and can be managed through
+// the /api/characters routes.
+// ============================================
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { PROVIDER_NAMES } = require('./providers');
+const { LANGUAGES, AUTO, isLanguage } = require('./languages');
+const { EMOTIONS, PAUSES, isEmotion } = require('./emotions');
+const { logger } = require('./logger');
+
+const log = logger.child('Characters');
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,31}$/;
+const TTS_VOICES = ['alloy', 'ash', 'coral', 'echo', 'fable', 'onyx', 'nova', 'sage', 'shimmer'];
+const EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+// Said when the model can't be reached; characters set their own `fallback`
+const DEFAULT_FALLBACK = "Sorry, I lost my train of thought there. Could you say that again?";
+
+const DEFAULTS = {
+  emoji: '💬',
+  voice: { name: 'alloy', speed: 1.0 },
+  language: AUTO,
+  model: 'gpt-4o-mini',
+  temperature: 0.9,
+  maxTokens: 150
+};
+
+function isNumberInRange(value, min, max) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+function voiceErrors(voice, field) {
+  if (!voice || typeof voice !== 'object') {
+    return [`${field} must be an object with name and speed`];
+  }
+  const errors = [];
+  if (voice.name !== undefined && !TTS_VOICES.includes(voice.name)) {
+    errors.push(`${field}.name must be one of: ${TTS_VOICES.join(', ')}`);
+  }
+  if (voice.speed !== undefined && !isNumberInRange(voice.speed, 0.25, 4.0)) {
+    errors.push(`${field}.speed must be between 0.25 and 4.0`);
+  }
+  return errors;
+}
+
+// Returns a list of problems; an empty list means the definition is valid
+function validateCharacter(def) {
+  const errors = [];
+
+  if (!def || typeof def !== 'object' || Array.isArray(def)) {
+    return ['Character must be an object'];
+  }
+  if (!ID_PATTERN.test(def.id || '')) {
+    errors.push('id must be 1-32 lowercase letters, digits or dashes');
+  }
+  for (const field of ['name', 'systemPrompt', 'greeting']) {
+    if (!isNonEmptyString(def[field])) {
+      errors.push(`${field} is required`);
+    }
+  }
+  for (const field of ['shortName', 'emoji', 'source', 'tagline', 'model']) {
+    if (def[field] !== undefined && typeof def[field] !== 'string') {
+      errors.push(`${field} must be a string`);
+    }
+  }
+  if (def.fallback !== undefined && !isNonEmptyString(def.fallback)) {
+    errors.push('fallback must be a non-empty string');
+  }
+  if (def.order !== undefined && !Number.isInteger(def.order)) {
+    errors.push('order must be an integer');
+  }
+  if (def.voice !== undefined) {
+    errors.push(...voiceErrors(def.voice, 'voice'));
+  }
+  if (def.language !== undefined && def.language !== AUTO && !isLanguage(def.language)) {
+    errors.push(`language must be "${AUTO}" or one of: ${Object.keys(LANGUAGES).join(', ')}`);
+  }
+  // Per-language voices, e.g. { "hi": { "speed": 0.95 } }
+  if (def.voices !== undefined) {
+    if (!def.voices || typeof def.voices !== 'object' || Array.isArray(def.voices)) {
+      errors.push('voices must map language codes to voices');
+    } else {
+      for (const [language, voice] of Object.entries(def.voices)) {
+        if (!isLanguage(language)) errors.push(`voices.${language} is not a supported language`);
+        else errors.push(...voiceErrors(voice, `voices.${language}`));
+      }
+    }
+  }
+  // How each emotion sounds, e.g. { "angry": { "speed": 1.2, "voice": "ash" } } (see lib/emotions.js)
+  if (def.emotions !== undefined) {
+    if (!def.emotions || typeof def.emotions !== 'object' || Array.isArray(def.emotions)) {
+      errors.push('emotions must map emotions to speech styles');
+    } else {
+      for (const [emotion, style] of Object.entries(def.emotions)) {
+        const field = `emotions.${emotion}`;
+        if (!isEmotion(emotion)) {
+          errors.push(`${field} is not an emotion (use one of: ${EMOTIONS.join(', ')})`);
+        } else if (!style || typeof style !== 'object' || Array.isArray(style)) {
+          errors.push(`${field} must be an object with speed, voice and/or pauses`);
+        } else {
+          if (style.speed !== undefined && !isNumberInRange(style.speed, 0.5, 2)) {
+            errors.push(`${field}.speed must be between 0.5 and 2`);
+          }
+          if (style.voice !== undefined && !TTS_VOICES.includes(style.voice)) {
+            errors.push(`${field}.voice must be one of: ${TTS_VOICES.join(', ')}`);
+          }
+          if (style.pauses !== undefined && !PAUSES.includes(style.pauses)) {
+            errors.push(`${field}.pauses must be one of: ${PAUSES.join(', ')}`);
+          }
+        }
+      }
+    }
+  }
+  // { blockedTopics: [...], deflection, disclaimer } (see lib/guardrails.js)
+  if (def.guardrails !== undefined) {
+    const rails = def.guardrails;
+    if (!rails || typeof rails !== 'object' || Array.isArray(rails)) {
+      errors.push('guardrails must be an object');
+    } else {
+      if (rails.blockedTopics !== undefined &&
+          !(Array.isArray(rails.blockedTopics) && rails.blockedTopics.every(isNonEmptyString))) {
+        errors.push('guardrails.blockedTopics must be a list of topics');
+      }
+      for (const field of ['deflection', 'disclaimer']) {
+        if (rails[field] !== undefined && !isNonEmptyString(rails[field])) {
+          errors.push(`guardrails.${field} must be a non-empty string`);
+        }
+      }
+    }
+  }
+  if (def.providers !== undefined) {
+    if (!def.providers || typeof def.providers !== 'object') {
+      errors.push('providers must be an object with stt, llm and/or tts');
+    } else {
+      for (const [kind, name] of Object.entries(def.providers)) {
+        if (!['stt', 'llm', 'tts'].includes(kind)) {
+          errors.push(`providers.${kind} is not a provider kind (use stt, llm or tts)`);
+        } else if (!PROVIDER_NAMES.includes(name)) {
+          errors.push(`providers.${kind} must be one of: ${PROVIDER_NAMES.join(', ')}`);
+        }
+      }
+    }
+  }
+  if (def.temperature !== undefined && !isNumberInRange(def.temperature, 0, 2)) {
+    errors.push('temperature must be between 0 and 2');
+  }
+  if (def.contextTokenBudget !== undefined &&
+      !(Number.isInteger(def.contextTokenBudget) && def.contextTokenBudget >= 200 && def.contextTokenBudget <= 128000)) {
+    errors.push('contextTokenBudget must be an integer between 200 and 128000');
+  }
+  if (def.maxTokens !== undefined && !(Number.isInteger(def.maxTokens) && def.maxTokens >= 1 && def.maxTokens <= 4096)) {
+    errors.push('maxTokens must be an integer between 1 and 4096');
+  }
+
+  return errors;
+}
+
+// The in-character line used in place of a reply when the model fails
+function fallbackLine(char) {
+  return char.fallback || DEFAULT_FALLBACK;
+}
+
+function withDefaults(def) {
+  const voice = { ...DEFAULTS.voice, ...(def.voice || {}) };
+  return {
+    ...DEFAULTS,
+    shortName: def.name.split(' ')[0],
+    source: '',
+    tagline: def.source || '',
+    ...def,
+    voice,
+    // Language voices only need to name what differs from the main voice
+    voices: Object.fromEntries(Object.entries(def.voices || {}).map(([language, v]) => [language, { ...voice, ...v }]))
+  };
+}
+
+class CharacterValidationError extends Error {
+  constructor(errors) {
+    super(errors.join('; '));
+    this.name = 'CharacterValidationError';
+    this.errors = errors;
+  }
+}
+
+function createCharacterRegistry({ dir }) {
+  const characters = new Map();
+  const files = new Map();
+
+  function readFile(file) {
+    const raw = fs.readFileSync(file, 'utf8');
+    return path.extname(file) === '.json' ? JSON.parse(raw) : yaml.load(raw);
+  }
+
+  function load() {
+    characters.clear();
+    files.clear();
+
+    for (const file of fs.readdirSync(dir).sort()) {
+      const ext = path.extname(file);
+      if (!EXTENSIONS.includes(ext)) continue;
+
+      const id = path.basename(file, ext);
+      const fullPath = path.join(dir, file);
+      try {
+        const def = { ...readFile(fullPath), id };
+        const errors = validateCharacter(def);
+        if (errors.length > 0) {
+          log.error('Skipping invalid character', { file, errors });
+          continue;
+        }
+        characters.set(id, withDefaults(def));
+        files.set(id, fullPath);
+      } catch (error) {
+        log.error('Could not load character', { file, error });
+      }
+    }
+  }
+
+  async function write(def) {
+    const { id, ...body } = def;
+    const existing = files.get(id);
+    const file = existing || path.join(dir, `${id}.json`);
+    const content = path.extname(file) === '.json'
+      ? JSON.stringify(body, null, 2) + '\n'
+      : yaml.dump(body);
+
+    await fs.promises.writeFile(file, content);
+    files.set(id, file);
+  }
+
+  function list() {
+    return [...characters.values()].sort((a, b) =>
+      (a.order ?? Infinity) - (b.order ?? Infinity) || a.id.localeCompare(b.id));
+  }
+
+  function get(id) {
+    return characters.get(id) || null;
+  }
+
+  async function create(def) {
+    const errors = validateCharacter(def);
+    if (characters.has(def && def.id)) {
+      errors.push(`Character "${def.id}" already exists`);
+    }
+    if (errors.length > 0) throw new CharacterValidationError(errors);
+
+    await write(def);
+    characters.set(def.id, withDefaults(def));
+    log.info('Created', { character: def.id });
+    return get(def.id);
+  }
+
+  async function update(id, def) {
+    const merged = { ...def, id };
+    const errors = validateCharacter(merged);
+    if (errors.length > 0) throw new CharacterValidationError(errors);
+
+    await write(merged);
+    characters.set(id, withDefaults(merged));
+    log.info('Updated', { character: id });
+    return get(id);
+  }
+
+  async function remove(id) {
+    const file = files.get(id);
+    if (!file) return false;
+
+    await fs.promises.rm(file, { force: true });
+    characters.delete(id);
+    files.delete(id);
+    log.info('Deleted', { character: id });
+    return true;
+  }
+
+  load();
+
+  return { load, list, get, create, update, remove };
+}
+
+module.exports = {
+  createCharacterRegistry,
+  validateCharacter,
+  CharacterValidationError,
+  fallbackLine,
+  TTS_VOICES
+};
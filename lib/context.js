@@ -0,0 +1,143 @@
+// ============================================
+// CONTEXT WINDOW MANAGEMENT
+// Keeps each chat request inside a token budget. Recent turns go to the model
+// verbatim; once the conversation outgrows the budget, the oldest turns are
+// folded into a running "memory summary" that the model writes and the store
+// keeps next to the history.
+// ============================================
+
+const { logger } = require('./logger');
+
+const log = logger.child('Context');
+
+const CHARS_PER_TOKEN = 4;
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+// After summarizing, verbatim history is cut down to this share of the budget
+// so the summarizer runs in batches instead of on every turn
+const TARGET_RATIO = 0.6;
+
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+function messageTokens(message) {
+  return estimateTokens(message.content) + MESSAGE_OVERHEAD_TOKENS;
+}
+
+function sumTokens(messages) {
+  return messages.reduce((total, message) => total + messageTokens(message), 0);
+}
+
+function summaryPrompt(char) {
+  return `You maintain a running memory summary of a conversation between a user and ${char.name}. ` +
+    'Merge the existing summary with the new messages. Keep names, facts, preferences, promises, ' +
+    'open questions and running jokes; drop small talk. Write at most 120 words of plain text in the third person.';
+}
+
+function formatTranscript(char, messages) {
+  return messages
+    .map(m => `${m.role === 'user' ? 'User' : char.name}: ${m.content}`)
+    .join('\n');
+}
+
+function createContextManager({ store, defaultBudget, summaryMaxTokens = 200 }) {
+  async function summarize({ char, llm, previous, messages, signal }) {
+    const { text } = await llm.complete({
+      model: char.model,
+      temperature: 0.3,
+      maxTokens: summaryMaxTokens,
+      messages: [
+        { role: 'system', content: summaryPrompt(char) },
+        {
+          role: 'user',
+          content: `Existing summary:\n${previous || '(none)'}\n\nNew messages:\n${formatTranscript(char, messages)}`
+        }
+      ]
+    }, { signal });
+    return text.trim();
+  }
+
+  // Builds the chat messages for one request.
+  // Returns { messages, debug } where debug says what was sent and how.
+  async function build({ sessionId, conversationId, char, llm, history, systemPrompt = char.systemPrompt, signal }) {
+    const budget = char.contextTokenBudget || defaultBudget;
+    let summary = await store.getSummary(sessionId, conversationId);
+
+    // Only turns after the last summarized message are still pending. If that
+    // message is gone (history was edited), the summary no longer applies.
+    let start = 0;
+    if (summary) {
+      const coveredIndex = history.findIndex(m => m.id === summary.coveredUntil);
+      if (coveredIndex === -1) {
+        summary = null;
+        await store.setSummary(sessionId, conversationId, null);
+      } else {
+        start = coveredIndex + 1;
+      }
+    }
+
+    const pending = history.slice(start);
+    const summaryTokens = summary ? estimateTokens(summary.text) + MESSAGE_OVERHEAD_TOKENS : 0;
+    const fixedTokens = estimateTokens(systemPrompt) + MESSAGE_OVERHEAD_TOKENS + summaryTokens;
+
+    let verbatim = pending;
+    let droppedTurns = 0;
+
+    if (fixedTokens + sumTokens(pending) > budget) {
+      // Keep the newest turns that fit the target; always keep the last one
+      const target = budget * TARGET_RATIO - fixedTokens;
+      let used = 0;
+      let keepFrom = pending.length;
+      for (let i = pending.length - 1; i >= 0; i--) {
+        const tokens = messageTokens(pending[i]);
+        if (keepFrom < pending.length && used + tokens > target) break;
+        used += tokens;
+        keepFrom = i;
+      }
+
+      const older = pending.slice(0, keepFrom);
+      verbatim = pending.slice(keepFrom);
+
+      if (older.length > 0) {
+        try {
+          const text = await summarize({ char, llm, previous: summary && summary.text, messages: older, signal });
+          summary = {
+            text,
+            coveredUntil: older[older.length - 1].id,
+            summarizedTurns: (summary ? summary.summarizedTurns : 0) + older.length,
+            updatedAt: new Date().toISOString()
+          };
+          await store.setSummary(sessionId, conversationId, summary);
+          log.info('Summarized older turns', { conversationId, turns: older.length });
+        } catch (error) {
+          if (signal && signal.aborted) throw error;
+          // Still answer: just leave the oldest turns out this time
+          log.warn('Summary failed, trimming instead', { conversationId, error });
+          droppedTurns = older.length;
+        }
+      }
+    }
+
+    const messages = [
+      { role: 'system', content: systemPrompt },
+      ...(summary ? [{ role: 'system', content: `Summary of the earlier conversation:\n${summary.text}` }] : []),
+      ...verbatim.map(({ role, content }) => ({ role, content }))
+    ];
+
+    return {
+      messages,
+      debug: {
+        verbatimTurns: verbatim.length,
+        summarizedTurns: summary ? summary.summarizedTurns : 0,
+        droppedTurns,
+        estimatedTokens: sumTokens(messages),
+        tokenBudget: budget
+      }
+    };
+  }
+
+  return { build };
+}
+
+module.exports = { createContextManager, estimateTokens, formatTranscript };
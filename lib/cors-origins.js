@@ -0,0 +1,51 @@
+// ============================================
+// CORS ORIGINS
+// Which other sites may call the API from a browser, e.g. pages that embed
+// the chat widget (public/widget.js). Pages served by this server never
+// need CORS.
+//   CORS_ORIGINS  comma-separated origins, e.g.
+//                 "https://example.com,https://*.example.org"
+//                 (*. matches any subdomain); "*" allows every site.
+//                 Unset or empty: no other site may call the API.
+// ============================================
+
+const WILDCARD_PATTERN = /^([a-z][a-z0-9+.-]*:\/\/)\*\.(.+)$/;
+
+function parseOrigins(value = '') {
+  return value.split(',')
+    .map(origin => origin.trim().toLowerCase().replace(/\/+$/, ''))
+    .filter(Boolean);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// origin => whether it is one of `patterns`
+function originMatcher(patterns) {
+  if (patterns.includes('*')) return () => true;
+
+  const exact = new Set(patterns.filter(pattern => !WILDCARD_PATTERN.test(pattern)));
+  const wildcards = patterns
+    .map(pattern => WILDCARD_PATTERN.exec(pattern))
+    .filter(Boolean)
+    .map(([, scheme, domain]) => new RegExp(`^${escapeRegExp(scheme)}([a-z0-9-]+\\.)+${escapeRegExp(domain)}$`));
+
+  return origin => {
+    if (!origin) return false;
+    const normalized = origin.toLowerCase();
+    return exact.has(normalized) || wildcards.some(pattern => pattern.test(normalized));
+  };
+}
+
+// The `origin` option for the cors middleware and socket.io
+function corsOrigin(env = process.env) {
+  const patterns = parseOrigins(env.CORS_ORIGINS);
+  if (patterns.length === 0) return false;
+  if (patterns.includes('*')) return true;
+
+  const allowed = originMatcher(patterns);
+  return (origin, callback) => callback(null, allowed(origin));
+}
+
+module.exports = { parseOrigins, originMatcher, corsOrigin };
@@ -0,0 +1,161 @@
+// ============================================
+// DEBATE MODE
+// Two or more characters argue about a topic for a fixed number of turns,
+// each turn answering the shared transcript. The user moderates while it
+// runs: pause, resume, stop, change the topic, or jump in with a message.
+//
+// With `paced` on, the debate stays at most one turn ahead of what the
+// client has finished playing, so moderation lands where the user is
+// listening rather than several generated-but-unheard turns later.
+// ============================================
+
+const crypto = require('crypto');
+const { roomSystemPrompt } = require('./room');
+
+const DEFAULT_TURNS = 6;
+const MAX_TURNS = 20;
+const ACTIONS = ['pause', 'resume', 'stop', 'redirect', 'interject', 'played'];
+
+function debateSystemPrompt(char, members, topic) {
+  return `${roomSystemPrompt(char, members)}\n\nThis is a debate about: "${topic}". ` +
+    'Argue your own point of view in character, answer the last point that was made, ' +
+    'and keep each turn to two or three sentences. If the user interrupts, respond to them.';
+}
+
+// Resolves once `check()` is true; re-checked whenever `wake()` is called
+function createGate() {
+  let waiters = [];
+
+  function wait(check, signal) {
+    if (check() || (signal && signal.aborted)) return Promise.resolve();
+    return new Promise(resolve => {
+      const waiter = () => {
+        if (!check() && !(signal && signal.aborted)) return false;
+        resolve();
+        return true;
+      };
+      waiters.push(waiter);
+      if (signal) signal.addEventListener('abort', () => wake(), { once: true });
+    });
+  }
+
+  function wake() {
+    waiters = waiters.filter(waiter => !waiter());
+  }
+
+  return { wait, wake };
+}
+
+// `members` are character objects, `turns` the number of character turns
+function createDebate({ sessionId, roomId, members, topic, turns = DEFAULT_TURNS, paced = false }) {
+  const controller = new AbortController();
+  const gate = createGate();
+  const pending = []; // user messages waiting to be added to the transcript
+  let paused = false;
+  let playedTurns = 0;
+  let lastSpeaker = -1;
+  let emit = () => {};
+
+  const debate = {
+    id: crypto.randomUUID(),
+    sessionId,
+    roomId,
+    members,
+    topic,
+    turns,
+    paced,
+    signal: controller.signal,
+    get paused() {
+      return paused;
+    }
+  };
+
+  function pause() {
+    if (paused) return;
+    paused = true;
+    emit('paused', {});
+  }
+
+  function resume() {
+    if (!paused) return;
+    paused = false;
+    emit('resumed', {});
+    gate.wake();
+  }
+
+  function stop() {
+    controller.abort();
+  }
+
+  function redirect(newTopic) {
+    debate.topic = newTopic;
+    pending.push(`Let's move on to a new topic: ${newTopic}`);
+    emit('topic', { topic: newTopic });
+    resume();
+  }
+
+  // Jumping in also un-pauses: the characters should answer right away
+  function interject(message) {
+    pending.push(message);
+    resume();
+  }
+
+  function played(turn) {
+    playedTurns = Math.max(playedTurns, turn);
+    gate.wake();
+  }
+
+  // A member the user just addressed goes next, otherwise take turns
+  function nextSpeaker(lastUserMessage) {
+    const text = (lastUserMessage || '').toLowerCase();
+    const mentioned = lastUserMessage
+      ? members.findIndex(member =>
+        [member.shortName, member.name].some(label => label && text.includes(label.toLowerCase())))
+      : -1;
+
+    lastSpeaker = mentioned !== -1 ? mentioned : (lastSpeaker + 1) % members.length;
+    return members[lastSpeaker];
+  }
+
+  // Runs the debate to the end (or until stopped).
+  // addUserMessage(text) stores a moderator line; takeTurn({ char, turn,
+  // systemPrompt, signal }) generates, voices and stores one character turn.
+  async function run({ addUserMessage, takeTurn, emit: send }) {
+    emit = send;
+    const { signal } = controller;
+    let completed = 0;
+
+    try {
+      for (let turn = 1; turn <= turns; turn++) {
+        await gate.wait(() => !paused && (!paced || playedTurns >= turn - 2), signal);
+        if (signal.aborted) break;
+
+        let lastUserMessage = null;
+        while (pending.length > 0) {
+          lastUserMessage = pending.shift();
+          await addUserMessage(lastUserMessage);
+          emit('interjection', { message: lastUserMessage });
+        }
+
+        const char = nextSpeaker(lastUserMessage);
+        emit('turn', { turn, character: char.id, name: char.name });
+        const result = await takeTurn({
+          char,
+          turn,
+          systemPrompt: debateSystemPrompt(char, members, debate.topic),
+          signal
+        });
+        emit('turn-end', { turn, character: char.id, ...result });
+        completed = turn;
+      }
+    } catch (error) {
+      if (!signal.aborted) throw error;
+    }
+
+    return { turns: completed, stopped: signal.aborted };
+  }
+
+  return Object.assign(debate, { pause, resume, stop, redirect, interject, played, run });
+}
+
+module.exports = { createDebate, debateSystemPrompt, DEFAULT_TURNS, MAX_TURNS, ACTIONS };
@@ -0,0 +1,150 @@
+// ============================================
+// EMOTION-AWARE SPEECH
+// Characters tag each reply with the emotion they say it with and how
+// strongly, e.g. "[angry:3] Michael! That is not a fire drill!". The tag is
+// taken out before anyone sees the text (streams included) and turned into
+// speech settings for that reply:
+//   speed   multiplies the voice's speed at intensity 2 (intensity 1 changes
+//           it half as much, 3 half as much again)
+//   voice   a different TTS voice for the emotion
+//   pauses  "long" for slower, more hesitant delivery
+// Every emotion has a default style; a character's `emotions` field
+// overrides it, e.g. { "flirty": { "speed": 0.85, "pauses": "long" } }.
+//
+// An emotion: { name, intensity } with intensity 1-3. Replies without a tag
+// (fallback lines, deflections, models that ignore the instruction) have
+// emotion: null and the character's plain voice.
+// ============================================
+
+const EMOTIONS = ['neutral', 'happy', 'excited', 'flirty', 'angry', 'sad', 'deadpan', 'surprised', 'nervous', 'thoughtful'];
+const PAUSES = ['normal', 'long'];
+const DEFAULT_INTENSITY = 2;
+const MAX_INTENSITY = 3;
+const MIN_SPEED = 0.25;
+const MAX_SPEED = 4.0;
+
+const DEFAULT_STYLES = {
+  neutral: {},
+  happy: { speed: 1.05 },
+  excited: { speed: 1.15 },
+  flirty: { speed: 0.9, pauses: 'long' },
+  angry: { speed: 1.1 },
+  sad: { speed: 0.85, pauses: 'long' },
+  deadpan: { speed: 0.92 },
+  surprised: { speed: 1.1 },
+  nervous: { speed: 1.1 },
+  thoughtful: { speed: 0.92, pauses: 'long' }
+};
+
+const TAG_PATTERN = /^\[([a-z]+)(?::([1-3]))?\]\s*/i;
+// What the start of a tag can look like before its closing bracket arrives
+const PARTIAL_TAG_PATTERN = /^\[[a-z]*(?::[1-3]?)?$/i;
+
+const EMOTION_INSTRUCTIONS = 'Start every reply with a tag for the emotion you say it with and how strongly, ' +
+  `from 1 to ${MAX_INTENSITY}, for example [excited:2]. Use one of: ${EMOTIONS.join(', ')}. ` +
+  'The tag is removed before the user sees the reply; use no other markup.';
+
+function isEmotion(name) {
+  return EMOTIONS.includes(name);
+}
+
+// { name, intensity } from a request or a tag, or null if it isn't one
+function toEmotion(name, intensity = DEFAULT_INTENSITY) {
+  const normalized = typeof name === 'string' ? name.toLowerCase() : '';
+  const level = parseInt(intensity, 10);
+  if (!isEmotion(normalized) || !(level >= 1 && level <= MAX_INTENSITY)) return null;
+  return { name: normalized, intensity: level };
+}
+
+// The chat messages with the tagging instruction ahead of the system prompt
+function withEmotionTags(messages) {
+  const [first, ...rest] = messages;
+  if (!first || first.role !== 'system') return [{ role: 'system', content: EMOTION_INSTRUCTIONS }, ...messages];
+  return [{ ...first, content: `${EMOTION_INSTRUCTIONS}\n\n${first.content}` }, ...rest];
+}
+
+// Takes the emotion tags out of streamed text. push() returns the text that
+// is safe to show so far; a possible tag is held back until it closes.
+// Only the first tag counts; the reply's leading whitespace is dropped.
+function createEmotionFilter() {
+  let pending = '';
+  let emotion = null;
+  let started = false;
+
+  function drain(final) {
+    let out = '';
+    while (pending) {
+      const open = pending.indexOf('[');
+      if (open === -1) {
+        out += pending;
+        pending = '';
+        break;
+      }
+      out += pending.slice(0, open);
+      pending = pending.slice(open);
+
+      const match = TAG_PATTERN.exec(pending);
+      const tagged = match && toEmotion(match[1], match[2]);
+      if (tagged) {
+        if (!emotion) emotion = tagged;
+        pending = pending.slice(match[0].length);
+      } else if (!final && PARTIAL_TAG_PATTERN.test(pending)) {
+        break;
+      } else {
+        out += '[';
+        pending = pending.slice(1);
+      }
+    }
+
+    if (!started) {
+      out = out.trimStart();
+      started = out.length > 0;
+    }
+    return out;
+  }
+
+  return {
+    push: text => {
+      pending += text;
+      return drain(false);
+    },
+    flush: () => drain(true),
+    emotion: () => emotion
+  };
+}
+
+// A whole reply's text without its tags, and the emotion it was tagged with
+function parseEmotion(text) {
+  const filter = createEmotionFilter();
+  const clean = filter.push(text) + filter.flush();
+  return { text: clean.replace(/ {2,}/g, ' ').trim(), emotion: filter.emotion() };
+}
+
+// TTS settings for `voice` ({ name, speed }, the character's voice for the
+// reply's language) said with `emotion`
+function speechStyle(char, voice, emotion) {
+  if (!emotion) return { voice: voice.name, speed: voice.speed, pauses: 'normal' };
+
+  const style = { ...DEFAULT_STYLES[emotion.name], ...((char.emotions && char.emotions[emotion.name]) || {}) };
+  const factor = 1 + ((style.speed || 1) - 1) * emotion.intensity / DEFAULT_INTENSITY;
+  const speed = Math.min(MAX_SPEED, Math.max(MIN_SPEED, Math.round(voice.speed * factor * 100) / 100));
+  return { voice: style.voice || voice.name, speed, pauses: style.pauses || 'normal' };
+}
+
+// The text as sent to TTS: long pauses become ellipses after each clause
+function speechText(text, pauses) {
+  if (pauses !== 'long') return text;
+  return text.replace(/([,;:.!?])\s+/g, '$1 … ');
+}
+
+module.exports = {
+  EMOTIONS,
+  PAUSES,
+  isEmotion,
+  toEmotion,
+  withEmotionTags,
+  createEmotionFilter,
+  parseEmotion,
+  speechStyle,
+  speechText
+};
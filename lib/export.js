@@ -0,0 +1,156 @@
+// ============================================
+// CONVERSATION EXPORT / IMPORT
+// A conversation (one character or a room) can be exported as structured
+// JSON, as a readable Markdown transcript, or as a ZIP with both plus one
+// MP3 per voiced reply. A JSON export can be imported again to continue it.
+// ============================================
+
+const { createZip } = require('./zip');
+const { isLanguage } = require('./languages');
+
+const EXPORT_FORMAT = 'voice-chat-export';
+const EXPORT_VERSION = 1;
+const MAX_IMPORT_MESSAGES = 5000;
+
+class ImportValidationError extends Error {
+  constructor(errors) {
+    super(errors.join('; '));
+    this.name = 'ImportValidationError';
+    this.errors = errors;
+  }
+}
+
+// members: the conversation's characters (one, or several for a room)
+function buildExport({ conversationId, members, messages, summary, exportedAt = new Date() }) {
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: exportedAt.toISOString(),
+    conversationId,
+    characters: members.map(char => ({ ...char })),
+    summary: summary || null,
+    messages: messages.map(message => ({
+      id: message.id,
+      role: message.role,
+      speaker: message.speaker || null,
+      content: message.content,
+      timestamp: message.timestamp,
+      language: message.language || null,
+      audio: Boolean(message.audioId)
+    }))
+  };
+}
+
+function displayName(exported, message) {
+  if (message.role === 'user') return 'You';
+  const speakerId = message.speaker || exported.characters[0].id;
+  const char = exported.characters.find(member => member.id === speakerId);
+  return char ? char.name : speakerId;
+}
+
+function formatTime(timestamp) {
+  return `${timestamp.slice(0, 16).replace('T', ' ')} UTC`;
+}
+
+function toMarkdown(exported) {
+  const names = exported.characters.map(char => char.name);
+  const title = names.length > 1 ? `Group chat: ${names.join(', ')}` : `Conversation with ${names[0]}`;
+
+  const lines = [`# ${title}`, '', `_Exported ${formatTime(exported.exportedAt)}_`, ''];
+  if (exported.summary) {
+    lines.push(`> Earlier conversation (summary): ${exported.summary.text}`, '');
+  }
+  for (const message of exported.messages) {
+    lines.push(`**${displayName(exported, message)}** · ${formatTime(message.timestamp)}`, '', message.content, '');
+  }
+  return lines.join('\n');
+}
+
+// File name of a reply's clip inside the ZIP, e.g. "audio/003-joey.mp3"
+function audioFileName(index, message, exported) {
+  const speaker = message.speaker || exported.characters[0].id;
+  return `audio/${String(index + 1).padStart(3, '0')}-${speaker}.mp3`;
+}
+
+// getAudio(messageId) resolves to the clip Buffer or null
+async function toZip(exported, getAudio) {
+  const entries = [
+    { name: 'transcript.md', data: toMarkdown(exported) },
+    { name: 'conversation.json', data: JSON.stringify(exported, null, 2) }
+  ];
+
+  for (const [index, message] of exported.messages.entries()) {
+    if (message.role !== 'assistant' || !message.audio) continue;
+    const audio = await getAudio(message.id);
+    if (audio) entries.push({ name: audioFileName(index, message, exported), data: audio });
+  }
+
+  return createZip(entries);
+}
+
+// Checks a JSON export and returns what should go into the store.
+// isConversation(id) says whether the conversation exists on this server;
+// memberIds(id) lists the characters allowed to speak in it.
+function parseImport(data, { isConversation, memberIds }) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new ImportValidationError(['Export must be a JSON object']);
+  }
+
+  const errors = [];
+  if (data.format !== EXPORT_FORMAT) errors.push(`format must be "${EXPORT_FORMAT}"`);
+  if (data.version !== EXPORT_VERSION) errors.push(`version ${data.version} is not supported`);
+  if (typeof data.conversationId !== 'string' || !isConversation(data.conversationId)) {
+    errors.push('conversationId does not match a character or room on this server');
+  }
+  if (!Array.isArray(data.messages)) {
+    errors.push('messages must be an array');
+  } else if (data.messages.length > MAX_IMPORT_MESSAGES) {
+    errors.push(`messages can hold at most ${MAX_IMPORT_MESSAGES} entries`);
+  }
+  if (errors.length > 0) throw new ImportValidationError(errors);
+
+  const speakers = memberIds(data.conversationId);
+  data.messages.forEach((message, index) => {
+    const where = `messages[${index}]`;
+    if (!message || typeof message !== 'object') {
+      errors.push(`${where} must be an object`);
+      return;
+    }
+    if (!['user', 'assistant'].includes(message.role)) errors.push(`${where}.role must be "user" or "assistant"`);
+    if (typeof message.content !== 'string') errors.push(`${where}.content must be a string`);
+    if (message.timestamp !== undefined && Number.isNaN(Date.parse(message.timestamp))) {
+      errors.push(`${where}.timestamp is not a valid date`);
+    }
+    if (message.role === 'assistant' && speakers.length > 1 && !speakers.includes(message.speaker)) {
+      errors.push(`${where}.speaker must be one of: ${speakers.join(', ')}`);
+    }
+  });
+  if (errors.length > 0) throw new ImportValidationError(errors);
+
+  const messages = data.messages.map(message => ({
+    sourceId: message.id,
+    role: message.role,
+    content: message.content,
+    timestamp: message.timestamp ? new Date(message.timestamp).toISOString() : new Date().toISOString(),
+    ...(isLanguage(message.language) ? { language: message.language } : {}),
+    ...(speakers.length > 1 && message.role === 'assistant' ? { speaker: message.speaker } : {})
+  }));
+
+  // The summary only carries over if the message it ends at came along too
+  const summary = data.summary && typeof data.summary.text === 'string' &&
+    messages.some(message => message.sourceId === data.summary.coveredUntil)
+    ? data.summary
+    : null;
+
+  return { conversationId: data.conversationId, messages, summary };
+}
+
+module.exports = {
+  buildExport,
+  toMarkdown,
+  toZip,
+  parseImport,
+  ImportValidationError,
+  EXPORT_FORMAT,
+  EXPORT_VERSION
+};
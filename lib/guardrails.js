@@ -0,0 +1,174 @@
+// ============================================
+// GUARDRAILS
+// Checks on both sides of every reply:
+//   - the user's message goes through moderation; flagged messages are
+//     refused with a GuardrailError (code input_flagged)
+//   - a message touching one of the character's `guardrails.blockedTopics`
+//     gets the character's deflection instead of a model reply
+//   - replies that break character (talking about being an AI, assistant
+//     refusal boilerplate) are regenerated once with a reminder, and any
+//     lines still out of character are cut
+//   - replies go through moderation too; flagged ones are replaced by the
+//     deflection
+//
+// Every intervention is logged and returned as { code, action, details }
+// so the client can show what happened:
+//   restricted_topic  deflected  the message touched a blocked topic
+//   out_of_character  retried    the reply was regenerated
+//   out_of_character  repaired   out-of-character lines were removed
+//   output_flagged    replaced   moderation flagged the reply
+//   output_flagged    repaired   flagged lines were cut (streamed replies)
+//
+// Moderation is skipped when MODERATION=off or the provider has no
+// credentials, and fails open (with a warning) if the provider errors.
+// ============================================
+
+const { createSentenceSplitter } = require('./sentences');
+const { logger } = require('./logger');
+
+const DEFAULT_DEFLECTION = "Let's talk about something else.";
+
+// Added as a system message when a reply is regenerated
+const STAY_IN_CHARACTER = 'Your last reply broke character. Answer again fully in character: never mention ' +
+  'being an AI, a language model or an assistant, and never use canned refusals. If you would rather not ' +
+  'discuss something, steer away from it the way your character would.';
+
+const OUT_OF_CHARACTER = [
+  { reason: 'ai_disclosure', pattern: /\bas an? (?:ai|artificial intelligence|language model|virtual assistant|chatbot)\b/i },
+  { reason: 'ai_disclosure', pattern: /\bI(?:'m| am) (?:just |only |merely )?an? (?:ai|artificial intelligence|chatbot|bot|virtual assistant|ai assistant|computer program)\b/i },
+  { reason: 'ai_disclosure', pattern: /\b(?:large )?language model\b/i },
+  { reason: 'ai_disclosure', pattern: /\b(?:OpenAI|ChatGPT|GPT-\d)\b/i },
+  { reason: 'refusal', pattern: /\bI(?:'m| am) sorry,? but I (?:can(?:no|')t|am unable to|'m unable to|am not able to) (?:assist|help|comply|provide|fulfil)/i },
+  { reason: 'refusal', pattern: /\bI (?:can(?:no|')t|am unable to|'m unable to) (?:assist|comply) with (?:that|this|your) request\b/i },
+  { reason: 'refusal', pattern: /\b(?:my|OpenAI's) (?:content policy|usage policies|guidelines|programming|training data)\b/i }
+];
+
+class GuardrailError extends Error {
+  constructor(code, message, extra = {}) {
+    super(message);
+    this.name = 'GuardrailError';
+    this.code = code;
+    this.status = 422;
+    this.extra = extra;
+  }
+}
+
+function splitSentences(text) {
+  const splitter = createSentenceSplitter();
+  return [...splitter.push(text), ...splitter.flush()];
+}
+
+// Why `text` breaks character ('ai_disclosure' or 'refusal'), or null
+function breaksCharacter(text) {
+  const match = OUT_OF_CHARACTER.find(({ pattern }) => pattern.test(text));
+  return match ? match.reason : null;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// The first of the character's blocked topics that `text` mentions
+function blockedTopic(char, text) {
+  const topics = (char.guardrails && char.guardrails.blockedTopics) || [];
+  return topics.find(topic => new RegExp(`\\b${escapeRegExp(topic)}\\b`, 'i').test(text)) || null;
+}
+
+function deflection(char) {
+  return (char.guardrails && char.guardrails.deflection) || DEFAULT_DEFLECTION;
+}
+
+function createGuardrails({
+  moderation,
+  enabled = process.env.MODERATION !== 'off',
+  retries = parseInt(process.env.GUARDRAIL_RETRIES || '1', 10)
+} = {}) {
+  const logs = logger.child('Guardrails');
+
+  function log(char, intervention) {
+    logs.info('Intervention', { character: char ? char.id : null, ...intervention });
+    return intervention;
+  }
+
+  // Flagged categories, or null when the text is fine or can't be checked
+  async function moderate(text, { signal } = {}) {
+    if (!enabled || !moderation) return null;
+    const capability = moderation();
+    if (!capability.configured) return null;
+
+    try {
+      const { flagged, categories } = await capability.moderate({ text }, { signal });
+      return flagged ? categories : null;
+    } catch (error) {
+      if (signal && signal.aborted) throw error;
+      logs.warn('Moderation unavailable', { provider: capability.name, error });
+      return null;
+    }
+  }
+
+  // Throws a GuardrailError if moderation flags the user's message
+  async function screenInput(text, { signal } = {}) {
+    const categories = await moderate(text, { signal });
+    if (!categories) return;
+
+    log(null, { code: 'input_flagged', action: 'blocked', details: categories.join(', ') });
+    throw new GuardrailError('input_flagged', 'This message was blocked by moderation', { categories });
+  }
+
+  // The intervention for a message touching a blocked topic, or null
+  function restrictTopic(char, text) {
+    const topic = blockedTopic(char, text);
+    return topic ? log(char, { code: 'restricted_topic', action: 'deflected', details: topic }) : null;
+  }
+
+  // Checks a finished reply. `regenerate(previous, reminder)` shows the model
+  // its rejected reply and a reminder, and resolves to the new text. Resolves
+  // to { text, interventions } with the text that may be sent to the user.
+  async function reviewReply(char, text, { regenerate, signal } = {}) {
+    const interventions = [];
+    let reply = text;
+
+    for (let attempt = 0; attempt < retries && regenerate; attempt++) {
+      const reason = breaksCharacter(reply);
+      if (!reason) break;
+      interventions.push(log(char, { code: 'out_of_character', action: 'retried', details: reason }));
+      reply = await regenerate(reply, STAY_IN_CHARACTER);
+    }
+
+    const reason = breaksCharacter(reply);
+    if (reason) {
+      interventions.push(log(char, { code: 'out_of_character', action: 'repaired', details: reason }));
+      reply = splitSentences(reply).filter(sentence => !breaksCharacter(sentence)).join(' ') || deflection(char);
+    }
+
+    const categories = await moderate(reply, { signal });
+    if (categories) {
+      interventions.push(log(char, { code: 'output_flagged', action: 'replaced', details: categories.join(', ') }));
+      reply = deflection(char);
+    }
+
+    return { text: reply, interventions };
+  }
+
+  // Checks one sentence of a streamed reply, which can't be taken back and
+  // regenerated: resolves to the intervention that cuts it, or null
+  async function reviewSentence(char, sentence, { signal } = {}) {
+    const reason = breaksCharacter(sentence);
+    if (reason) return log(char, { code: 'out_of_character', action: 'repaired', details: reason });
+
+    const categories = await moderate(sentence, { signal });
+    if (categories) return log(char, { code: 'output_flagged', action: 'repaired', details: categories.join(', ') });
+    return null;
+  }
+
+  return { screenInput, restrictTopic, reviewReply, reviewSentence, deflection };
+}
+
+module.exports = {
+  createGuardrails,
+  GuardrailError,
+  breaksCharacter,
+  blockedTopic,
+  deflection,
+  STAY_IN_CHARACTER
+};
@@ -0,0 +1,101 @@
+// ============================================
+// LANGUAGES
+// Conversations can happen in any language Whisper understands. The STT
+// language comes from the user's setting, else the character's `language`,
+// else Whisper detects it. Replies are written in the user's language and
+// spoken with the character's voice for it (`voices`, falling back to
+// `voice`).
+//
+// Languages are ISO 639-1 codes ("en", "hi", ...); "auto" means detect.
+// ============================================
+
+// code → English name (as Whisper reports it) and native name
+const LANGUAGES = {
+  en: { name: 'English', native: 'English' },
+  hi: { name: 'Hindi', native: 'हिन्दी' },
+  ur: { name: 'Urdu', native: 'اردو' },
+  bn: { name: 'Bengali', native: 'বাংলা' },
+  mr: { name: 'Marathi', native: 'मराठी' },
+  ta: { name: 'Tamil', native: 'தமிழ்' },
+  te: { name: 'Telugu', native: 'తెలుగు' },
+  es: { name: 'Spanish', native: 'Español' },
+  fr: { name: 'French', native: 'Français' },
+  de: { name: 'German', native: 'Deutsch' },
+  it: { name: 'Italian', native: 'Italiano' },
+  pt: { name: 'Portuguese', native: 'Português' },
+  ru: { name: 'Russian', native: 'Русский' },
+  ar: { name: 'Arabic', native: 'العربية' },
+  zh: { name: 'Chinese', native: '中文' },
+  ja: { name: 'Japanese', native: '日本語' },
+  ko: { name: 'Korean', native: '한국어' }
+};
+
+const AUTO = 'auto';
+
+// Scripts that give a typed message's language away. Latin-script text
+// (including romanized Hinglish) can't be told apart this way.
+const SCRIPTS = [
+  { pattern: /[ऀ-ॿ]/, code: 'hi' },
+  { pattern: /[ঀ-৿]/, code: 'bn' },
+  { pattern: /[஀-௿]/, code: 'ta' },
+  { pattern: /[ఀ-౿]/, code: 'te' },
+  { pattern: /[؀-ۿ]/, code: 'ar' },
+  { pattern: /[Ѐ-ӿ]/, code: 'ru' },
+  { pattern: /[぀-ヿ]/, code: 'ja' },
+  { pattern: /[가-힯]/, code: 'ko' },
+  { pattern: /[一-鿿]/, code: 'zh' }
+];
+
+function isLanguage(code) {
+  return Object.prototype.hasOwnProperty.call(LANGUAGES, code);
+}
+
+// A language setting from a request or character: a code, or null for auto
+function parseLanguage(value) {
+  if (value === undefined || value === null || value === '' || value === AUTO) return null;
+  return isLanguage(value) ? value : undefined;
+}
+
+// Whisper's verbose output names the language ("hindi"); others send a code
+function normalizeLanguage(reported) {
+  if (!reported) return null;
+  const value = String(reported).toLowerCase();
+  if (isLanguage(value)) return value;
+  const match = Object.entries(LANGUAGES).find(([, language]) => language.name.toLowerCase() === value);
+  return match ? match[0] : null;
+}
+
+function guessLanguage(text) {
+  const script = SCRIPTS.find(({ pattern }) => pattern.test(text || ''));
+  return script ? script.code : null;
+}
+
+// What to ask STT for: the user's choice, else the character's, else auto
+function sttLanguage(requested, char) {
+  return requested || (char && parseLanguage(char.language)) || null;
+}
+
+// The character's voice for a language
+function voiceFor(char, language) {
+  return (language && char.voices && char.voices[language]) || char.voice;
+}
+
+// Appended to the system prompt once the user's language is known
+function withLanguage(systemPrompt, language) {
+  if (!language) return systemPrompt;
+  const { name } = LANGUAGES[language];
+  return `${systemPrompt}\n\nThe user is speaking ${name}. Reply in ${name} while staying fully in character. ` +
+    'If they mix languages (for example Hinglish), mirror their mix.';
+}
+
+module.exports = {
+  LANGUAGES,
+  AUTO,
+  isLanguage,
+  parseLanguage,
+  normalizeLanguage,
+  guessLanguage,
+  sttLanguage,
+  voiceFor,
+  withLanguage
+};
@@ -0,0 +1,74 @@
+// ============================================
+// STRUCTURED LOGGING
+// One JSON object per line on stdout:
+//   {"time":"…","level":"info","tag":"Respond","msg":"Reply generated","requestId":"…",…}
+//
+// Fields set with run() (the request ID, the route) are added to every line
+// logged while handling that request, however deep the call.
+//
+// LOG_LEVEL      debug | info (default) | warn | error | silent
+// LOG_USER_CONTENT=true  log transcripts, messages and replies verbatim;
+//                        by default only their length is logged
+// ============================================
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Error fields worth logging; SDK errors also carry request headers and
+// bodies, which are left out
+function serializeError(error) {
+  if (!(error instanceof Error)) return { message: String(error) };
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.code !== undefined ? { code: error.code } : {}),
+    ...(error.status !== undefined ? { status: error.status } : {}),
+    stack: error.stack
+  };
+}
+
+function createLogger({
+  level = process.env.LOG_LEVEL || 'info',
+  logContent = process.env.LOG_USER_CONTENT === 'true',
+  write = line => process.stdout.write(line + '\n'),
+  now = () => new Date()
+} = {}) {
+  const threshold = LEVELS[level] ?? LEVELS.info;
+  const context = new AsyncLocalStorage();
+
+  function emit(levelName, tag, msg, fields = {}) {
+    if (LEVELS[levelName] < threshold) return;
+    const entry = { time: now().toISOString(), level: levelName, tag, msg, ...context.getStore(), ...fields };
+    if (entry.error) entry.error = serializeError(entry.error);
+    write(JSON.stringify(entry));
+  }
+
+  // A logger whose lines carry `tag`, e.g. child('Respond')
+  function child(tag) {
+    return {
+      debug: (msg, fields) => emit('debug', tag, msg, fields),
+      info: (msg, fields) => emit('info', tag, msg, fields),
+      warn: (msg, fields) => emit('warn', tag, msg, fields),
+      error: (msg, fields) => emit('error', tag, msg, fields)
+    };
+  }
+
+  // Run fn with `fields` added to every line it logs
+  function run(fields, fn) {
+    return context.run({ ...context.getStore(), ...fields }, fn);
+  }
+
+  // User content as it may be logged: verbatim, or just its length
+  function content(text) {
+    if (text === null || text === undefined || logContent) return text;
+    return `[redacted: ${String(text).length} chars]`;
+  }
+
+  return { child, run, content, fields: () => context.getStore() || {} };
+}
+
+// The process-wide logger
+const logger = createLogger();
+
+module.exports = { createLogger, logger, serializeError, LEVELS };
@@ -0,0 +1,90 @@
+// ============================================
+// METRICS
+// Counters and histograms kept in memory and rendered in the Prometheus
+// text exposition format for GET /metrics. Series are keyed by their label
+// values; nothing is ever reset, so Prometheus can compute rates.
+// ============================================
+
+// Seconds; spans a cached TTS clip up to a slow long-form reply
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(names, values, extra = '') {
+  const pairs = names.map((name, i) => `${name}="${escapeLabel(values[i])}"`);
+  if (extra) pairs.push(extra);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function labelValues(names, labels = {}) {
+  return names.map(name => (labels[name] === undefined || labels[name] === null ? '' : String(labels[name])));
+}
+
+function createMetrics() {
+  const metrics = [];
+
+  function counter(name, help, labelNames = []) {
+    const series = new Map();
+
+    function inc(labels, value = 1) {
+      const values = labelValues(labelNames, labels);
+      const key = JSON.stringify(values);
+      const current = series.get(key) || { values, count: 0 };
+      current.count += value;
+      series.set(key, current);
+    }
+
+    function render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      for (const { values, count } of series.values()) {
+        lines.push(`${name}${formatLabels(labelNames, values)} ${count}`);
+      }
+      return lines;
+    }
+
+    metrics.push(render);
+    return { inc, get: labels => (series.get(JSON.stringify(labelValues(labelNames, labels))) || { count: 0 }).count };
+  }
+
+  function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    const series = new Map();
+
+    function observe(labels, value) {
+      const values = labelValues(labelNames, labels);
+      const key = JSON.stringify(values);
+      const current = series.get(key) || { values, counts: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((bound, i) => {
+        if (value <= bound) current.counts[i]++;
+      });
+      current.sum += value;
+      current.count++;
+      series.set(key, current);
+    }
+
+    function render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const { values, counts, sum, count } of series.values()) {
+        buckets.forEach((bound, i) => {
+          lines.push(`${name}_bucket${formatLabels(labelNames, values, `le="${bound}"`)} ${counts[i]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels(labelNames, values, 'le="+Inf"')} ${count}`);
+        lines.push(`${name}_sum${formatLabels(labelNames, values)} ${sum}`);
+        lines.push(`${name}_count${formatLabels(labelNames, values)} ${count}`);
+      }
+      return lines;
+    }
+
+    metrics.push(render);
+    return { observe };
+  }
+
+  function render() {
+    return metrics.map(renderMetric => renderMetric().join('\n')).join('\n') + '\n';
+  }
+
+  return { counter, histogram, render };
+}
+
+module.exports = { createMetrics, DEFAULT_BUCKETS };
@@ -0,0 +1,112 @@
+// ============================================
+// AI PROVIDERS
+// Speech-to-text, chat and text-to-speech each sit behind a small interface:
+//   stt.transcribe({ buffer, filename, language }, { signal }) → { text, language, duration, words }
+//     (language: ISO code, omitted to auto-detect; duration and words, as
+//     [{ word, start, end }] in seconds, when known)
+//   llm.complete({ model, messages, temperature, maxTokens }, { signal }) → { text, usage }
+//   llm.stream(sameParams, { signal }) → async iterable of text fragments
+//     (which may return { usage } when it ends)
+//   tts.synthesize({ text, voice, speed }, { signal }) → { audio, contentType }
+//   moderation.moderate({ text }, { signal }) → { flagged, categories }
+//   embeddings.embed({ texts }, { signal }) → { vectors, usage }
+//     (one unit-length vector per text, in order)
+//
+// The deployment default comes from STT_PROVIDER / LLM_PROVIDER /
+// TTS_PROVIDER / MODERATION_PROVIDER / EMBEDDINGS_PROVIDER (falling back to
+// AI_PROVIDER, then "openai"). A character can override stt, llm and tts
+// with its `providers` field; moderation and embeddings are the same for
+// everyone.
+//
+// Every call made through the registry has timeouts, retries and a circuit
+// breaker per provider and kind (see resilience.js; onRetry hears about each
+// retry), and is metered and timed: onUsage receives one event per call (see
+// metering.js), onTiming its latency, retries included (see timing.js).
+// ============================================
+
+const { createOpenAIProvider } = require('./openai');
+const { createMockProvider } = require('./mock');
+const { meterCapability } = require('./metering');
+const { timeCapability } = require('./timing');
+const { resilientCapability, createCircuitBreaker, resilienceOptions } = require('./resilience');
+
+const PROVIDER_NAMES = ['openai', 'openai-compatible', 'mock'];
+const KINDS = ['stt', 'llm', 'tts', 'moderation', 'embeddings'];
+
+function createProviderRegistry(env = process.env, { onUsage = () => {}, onTiming = () => {}, onRetry = () => {} } = {}) {
+  const instances = {
+    openai: createOpenAIProvider({
+      name: 'openai',
+      apiKey: env.OPENAI_API_KEY,
+      sttModel: env.STT_MODEL,
+      ttsModel: env.TTS_MODEL,
+      moderationModel: env.MODERATION_MODEL,
+      embeddingsModel: env.EMBEDDINGS_MODEL
+    }),
+    // Self-hosted servers often need no key, so any placeholder will do
+    'openai-compatible': createOpenAIProvider({
+      name: 'openai-compatible',
+      apiKey: env.OPENAI_COMPATIBLE_BASE_URL ? (env.OPENAI_COMPATIBLE_API_KEY || 'not-needed') : null,
+      baseURL: env.OPENAI_COMPATIBLE_BASE_URL,
+      sttModel: env.OPENAI_COMPATIBLE_STT_MODEL || env.STT_MODEL,
+      ttsModel: env.OPENAI_COMPATIBLE_TTS_MODEL || env.TTS_MODEL,
+      embeddingsModel: env.OPENAI_COMPATIBLE_EMBEDDINGS_MODEL || env.EMBEDDINGS_MODEL
+    }),
+    mock: createMockProvider({ transcript: env.MOCK_TRANSCRIPT })
+  };
+
+  const resilience = resilienceOptions(env);
+  const breakers = new Map();
+
+  // One breaker per provider and kind, shared by every character using it
+  function breakerFor(name, kind) {
+    const key = `${name}:${kind}`;
+    if (!breakers.has(key)) {
+      breakers.set(key, createCircuitBreaker({
+        name: key,
+        threshold: resilience.breakerThreshold,
+        cooldownMs: resilience.breakerCooldownMs
+      }));
+    }
+    return breakers.get(key);
+  }
+
+  const defaults = {};
+  for (const kind of KINDS) {
+    const name = env[`${kind.toUpperCase()}_PROVIDER`] || env.AI_PROVIDER || 'openai';
+    if (!instances[name]) {
+      throw new Error(`Unknown ${kind.toUpperCase()} provider "${name}" (expected one of: ${PROVIDER_NAMES.join(', ')})`);
+    }
+    defaults[kind] = name;
+  }
+
+  // Returns the capability with the provider's name and configured flag
+  function resolve(kind, char) {
+    const name = (char && char.providers && char.providers[kind]) || defaults[kind];
+    const provider = instances[name];
+    const capability = { name: provider.name, configured: provider.configured, ...provider[kind] };
+    const resilient = resilientCapability(kind, capability, {
+      breaker: breakerFor(name, kind),
+      timeoutMs: resilience.timeouts[kind],
+      retries: resilience.retries,
+      retryDelayMs: resilience.retryDelayMs,
+      onRetry
+    });
+    const metered = meterCapability(kind, resilient, { model: provider.models[kind], onUsage });
+    return timeCapability(kind, metered, { character: char ? char.id : null, onTiming });
+  }
+
+  return {
+    defaults,
+    get: name => instances[name],
+    // State of every breaker that has seen a call, e.g. { 'openai:tts': 'open' }
+    circuits: () => Object.fromEntries([...breakers].map(([key, breaker]) => [key, breaker.state()])),
+    stt: char => resolve('stt', char),
+    llm: char => resolve('llm', char),
+    tts: char => resolve('tts', char),
+    moderation: () => resolve('moderation', null),
+    embeddings: () => resolve('embeddings', null)
+  };
+}
+
+module.exports = { createProviderRegistry, PROVIDER_NAMES };
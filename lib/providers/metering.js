@@ -0,0 +1,104 @@
+// ============================================
+// PROVIDER METERING
+// Wraps a resolved capability so every successful call reports what it
+// consumed through onUsage(event):
+//   { kind: 'stt', provider, model, seconds }
+//   { kind: 'llm', provider, model, promptTokens, completionTokens, estimated }
+//   { kind: 'tts', provider, model, characters }
+// When a provider doesn't report a figure (most streams, self-hosted
+// servers, compressed recordings) it is estimated and flagged as such.
+// ============================================
+
+const { estimateTokens } = require('../context');
+const { audioDuration } = require('../audio-format');
+
+// For containers that don't record their length: browsers record Opus at
+// roughly 32 kbit/s
+const COMPRESSED_BYTES_PER_SECOND = 4000;
+
+function audioSeconds(buffer) {
+  const seconds = audioDuration(buffer);
+  return seconds === null ? buffer.length / COMPRESSED_BYTES_PER_SECOND : seconds;
+}
+
+function llmUsage(messages, usage, text) {
+  if (usage) {
+    return {
+      promptTokens: usage.prompt_tokens || 0,
+      completionTokens: usage.completion_tokens || 0,
+      estimated: false
+    };
+  }
+  return {
+    promptTokens: messages.reduce((sum, message) => sum + estimateTokens(message.content), 0),
+    completionTokens: estimateTokens(text),
+    estimated: true
+  };
+}
+
+function meterCapability(kind, capability, { model, onUsage }) {
+  const report = details => onUsage({ kind, provider: capability.name, ...details });
+
+  switch (kind) {
+    case 'stt':
+      return {
+        ...capability,
+        async transcribe(params, options) {
+          const result = await capability.transcribe(params, options);
+          report({ model, seconds: result.duration || audioSeconds(params.buffer) });
+          return result;
+        }
+      };
+
+    case 'llm':
+      return {
+        ...capability,
+        async complete(params, options) {
+          const result = await capability.complete(params, options);
+          report({ model: params.model, ...llmUsage(params.messages, result.usage, result.text) });
+          return result;
+        },
+
+        // Providers may return { usage } when the stream ends; otherwise the
+        // text that made it out is counted, even if the stream was cut short
+        async *stream(params, options) {
+          const iterator = capability.stream(params, options)[Symbol.asyncIterator]();
+          let started = false;
+          let finished = false;
+          let usage = null;
+          let text = '';
+          try {
+            while (true) {
+              const { value, done } = await iterator.next();
+              started = true;
+              if (done) {
+                finished = true;
+                usage = value && value.usage;
+                break;
+              }
+              text += value;
+              yield value;
+            }
+          } finally {
+            if (!finished && iterator.return) await iterator.return().catch(() => {});
+            if (started) report({ model: params.model, ...llmUsage(params.messages, usage, text) });
+          }
+        }
+      };
+
+    case 'tts':
+      return {
+        ...capability,
+        async synthesize(params, options) {
+          const result = await capability.synthesize(params, options);
+          report({ model, characters: params.text.length });
+          return result;
+        }
+      };
+
+    default:
+      return capability;
+  }
+}
+
+module.exports = { meterCapability, audioSeconds };
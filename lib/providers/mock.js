@@ -0,0 +1,128 @@
+// ============================================
+// MOCK PROVIDER
+// Deterministic and offline: canned transcripts (with estimated word
+// timings), echo replies, silent MP3 audio, moderation that lets everything
+// through and word-hash embeddings (texts sharing words come out similar).
+// Lets the whole pipeline run without network or an API key.
+// ============================================
+
+const crypto = require('crypto');
+const { guessLanguage } = require('../languages');
+const { estimateWordTimings } = require('../word-timings');
+
+const CANNED_TRANSCRIPTS = [
+  'Hello there, how are you today?',
+  'Tell me something interesting.',
+  'What do you think about that?',
+  'That is really funny.'
+];
+
+// One MPEG-1 Layer III frame: 128 kbps, 44.1 kHz, mono, no padding.
+// An all-zero body decodes as 1152 samples (~26 ms) of silence.
+const MP3_FRAME_BYTES = 417;
+const MP3_FRAME_MS = 1152 / 44100 * 1000;
+const SILENT_FRAME = Buffer.alloc(MP3_FRAME_BYTES);
+SILENT_FRAME.set([0xff, 0xfb, 0x90, 0xc0]);
+
+// Roughly the length of speaking the text out loud
+function silentMp3(text, speed = 1.0) {
+  const durationMs = Math.max(300, text.length * 60 / speed);
+  const frames = Math.ceil(durationMs / MP3_FRAME_MS);
+  return Buffer.concat(Array(frames).fill(SILENT_FRAME));
+}
+
+function lastUserMessage(messages) {
+  const last = [...messages].reverse().find(m => m.role === 'user');
+  return last ? last.content : '';
+}
+
+const EMBEDDING_DIMENSIONS = 64;
+
+// Each word adds to the dimension its hash picks; unit length, like OpenAI's
+function hashedVector(text) {
+  const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+  for (const word of text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []) {
+    vector[crypto.createHash('sha1').update(word).digest()[0] % EMBEDDING_DIMENSIONS] += 1;
+  }
+  const length = Math.hypot(...vector) || 1;
+  return vector.map(value => value / length);
+}
+
+function throwIfAborted(options) {
+  if (options.signal && options.signal.aborted) {
+    const error = new Error('Request was aborted.');
+    error.name = 'AbortError';
+    throw error;
+  }
+}
+
+function createMockProvider({ transcript } = {}) {
+  function echoReply(messages) {
+    return `You said: "${lastUserMessage(messages)}"`;
+  }
+
+  return {
+    name: 'mock',
+    configured: true,
+    models: { stt: 'mock', tts: 'mock', moderation: 'mock', embeddings: 'mock' },
+
+    stt: {
+      // The same audio always gets the same transcript
+      async transcribe({ buffer, language }, options = {}) {
+        throwIfAborted(options);
+        const digest = crypto.createHash('sha1').update(buffer).digest();
+        const text = transcript || CANNED_TRANSCRIPTS[digest[0] % CANNED_TRANSCRIPTS.length];
+        return { text, language: language || guessLanguage(text) || 'en', words: estimateWordTimings(text, null) };
+      }
+    },
+
+    llm: {
+      async complete({ messages }, options = {}) {
+        throwIfAborted(options);
+        const text = echoReply(messages);
+        // ~4 characters per token, good enough for usage accounting in tests
+        const promptTokens = Math.ceil(messages.reduce((n, m) => n + m.content.length, 0) / 4);
+        const completionTokens = Math.ceil(text.length / 4);
+        return {
+          text,
+          usage: {
+            prompt_tokens: promptTokens,
+            completion_tokens: completionTokens,
+            total_tokens: promptTokens + completionTokens
+          }
+        };
+      },
+
+      async *stream({ messages }, options = {}) {
+        const words = echoReply(messages).split(/(?<=\s)/);
+        for (const word of words) {
+          throwIfAborted(options);
+          yield word;
+        }
+      }
+    },
+
+    tts: {
+      async synthesize({ text, speed }, options = {}) {
+        throwIfAborted(options);
+        return { audio: silentMp3(text, speed), contentType: 'audio/mpeg' };
+      }
+    },
+
+    moderation: {
+      async moderate(params, options = {}) {
+        throwIfAborted(options);
+        return { flagged: false, categories: [] };
+      }
+    },
+
+    embeddings: {
+      async embed({ texts }, options = {}) {
+        throwIfAborted(options);
+        return { vectors: texts.map(hashedVector), usage: null };
+      }
+    }
+  };
+}
+
+module.exports = { createMockProvider, silentMp3 };
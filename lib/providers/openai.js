@@ -0,0 +1,130 @@
+// ============================================
+// OPENAI PROVIDER
+// Whisper for STT, chat completions for the LLM, the speech endpoint for
+// TTS and the embeddings endpoint for knowledge retrieval. Also used for any
+// OpenAI-compatible server via baseURL.
+// ============================================
+
+const OpenAI = require('openai');
+const { normalizeLanguage } = require('../languages');
+
+function createOpenAIProvider({
+  name = 'openai',
+  apiKey,
+  baseURL,
+  sttModel = 'whisper-1',
+  ttsModel = 'tts-1',
+  moderationModel = 'omni-moderation-latest',
+  embeddingsModel = 'text-embedding-3-small'
+}) {
+  const configured = Boolean(apiKey);
+  // Without a key the provider stays registered but reports configured: false.
+  // Retries and timeouts are handled by the registry (see resilience.js).
+  const client = configured ? new OpenAI({ apiKey, baseURL, maxRetries: 0 }) : null;
+
+  function requireClient() {
+    if (!client) {
+      throw new Error(`Provider "${name}" is missing its API key`);
+    }
+    return client;
+  }
+
+  return {
+    name,
+    configured,
+    client,
+    models: { stt: sttModel, tts: ttsModel, moderation: moderationModel, embeddings: embeddingsModel },
+
+    stt: {
+      // Whisper's verbose output also reports the language it heard, the
+      // clip's length and when each word was said; newer transcription
+      // models only return text
+      async transcribe({ buffer, filename, language }, options = {}) {
+        const verbose = /whisper/.test(sttModel);
+        const transcription = await requireClient().audio.transcriptions.create({
+          file: await OpenAI.toFile(buffer, filename),
+          model: sttModel,
+          ...(language ? { language } : {}),
+          ...(verbose ? { response_format: 'verbose_json', timestamp_granularities: ['word'] } : {})
+        }, options);
+        return {
+          text: transcription.text,
+          language: normalizeLanguage(transcription.language) || language || null,
+          duration: transcription.duration,
+          words: transcription.words || null
+        };
+      }
+    },
+
+    llm: {
+      async complete({ model, messages, temperature, maxTokens }, options = {}) {
+        const response = await requireClient().chat.completions.create({
+          model,
+          messages,
+          max_tokens: maxTokens,
+          temperature
+        }, options);
+        return { text: response.choices[0].message.content, usage: response.usage || null };
+      },
+
+      // Async iterable of text fragments. OpenAI itself reports token usage
+      // in a final chunk; compatible servers don't all accept the option.
+      async *stream({ model, messages, temperature, maxTokens }, options = {}) {
+        const stream = await requireClient().chat.completions.create({
+          model,
+          messages,
+          max_tokens: maxTokens,
+          temperature,
+          stream: true,
+          ...(baseURL ? {} : { stream_options: { include_usage: true } })
+        }, options);
+
+        let usage = null;
+        for await (const chunk of stream) {
+          if (chunk.usage) usage = chunk.usage;
+          const token = chunk.choices[0]?.delta?.content;
+          if (token) yield token;
+        }
+        return { usage };
+      }
+    },
+
+    tts: {
+      async synthesize({ text, voice, speed }, options = {}) {
+        const mp3 = await requireClient().audio.speech.create({
+          model: ttsModel,
+          voice,
+          input: text,
+          speed
+        }, options);
+        return { audio: Buffer.from(await mp3.arrayBuffer()), contentType: 'audio/mpeg' };
+      }
+    },
+
+    moderation: {
+      async moderate({ text }, options = {}) {
+        const { results: [result] } = await requireClient().moderations.create({
+          model: moderationModel,
+          input: text
+        }, options);
+        return {
+          flagged: result.flagged,
+          categories: Object.keys(result.categories).filter(category => result.categories[category])
+        };
+      }
+    },
+
+    embeddings: {
+      async embed({ texts }, options = {}) {
+        const response = await requireClient().embeddings.create({
+          model: embeddingsModel,
+          input: texts
+        }, options);
+        const items = [...response.data].sort((a, b) => a.index - b.index);
+        return { vectors: items.map(item => item.embedding), usage: response.usage || null };
+      }
+    }
+  };
+}
+
+module.exports = { createOpenAIProvider };
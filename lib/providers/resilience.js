@@ -0,0 +1,306 @@
+// ============================================
+// PROVIDER RESILIENCE
+// Wraps a resolved capability so a slow or flaky upstream can't hang a
+// request or fail it on the first hiccup:
+//   - every attempt has a timeout (streams: until the first fragment, then
+//     between fragments)
+//   - timeouts, connection errors, 408/409/429 and 5xx responses are retried
+//     with exponential backoff and full jitter, honouring Retry-After
+//   - a circuit breaker per provider and kind opens after repeated failures
+//     and refuses calls straight away until its cooldown has passed; one
+//     trial call then decides whether it closes again
+// Streams are only retried until their first fragment has gone out.
+//
+// Failures that outlast the retries surface as UpstreamError:
+//   upstream_timeout      504  the last attempt timed out
+//   upstream_unavailable  503  the circuit is open (extra.retryAfter: seconds)
+//   upstream_error        502  the provider kept failing
+// Other errors (a 400, a missing key) and the caller's own abort come
+// through unchanged.
+//
+// Environment:
+//   STT_TIMEOUT_MS / LLM_TIMEOUT_MS / TTS_TIMEOUT_MS / MODERATION_TIMEOUT_MS /
+//   EMBEDDINGS_TIMEOUT_MS        per attempt (default 30000 / 30000 / 20000 / 5000 / 10000)
+//   UPSTREAM_RETRIES             retries after the first attempt (default 2)
+//   UPSTREAM_RETRY_DELAY_MS      base backoff delay (default 250)
+//   CIRCUIT_BREAKER_THRESHOLD    consecutive failures that open it (default 5, 0 = off)
+//   CIRCUIT_BREAKER_COOLDOWN_MS  how long it stays open (default 30000)
+// ============================================
+
+const { logger } = require('../logger');
+
+const log = logger.child('Upstream');
+
+const DEFAULT_TIMEOUTS = { stt: 30000, llm: 30000, tts: 20000, moderation: 5000, embeddings: 10000 };
+const MAX_RETRY_DELAY_MS = 10000;
+const RETRYABLE_STATUSES = [408, 409, 429];
+const CONNECTION_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'UND_ERR_SOCKET'];
+
+const METHODS = {
+  stt: ['transcribe'],
+  llm: ['complete'],
+  tts: ['synthesize'],
+  moderation: ['moderate'],
+  embeddings: ['embed']
+};
+
+const STATUSES = { upstream_timeout: 504, upstream_unavailable: 503, upstream_error: 502 };
+
+class UpstreamError extends Error {
+  constructor(code, message, extra = {}, cause) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'UpstreamError';
+    this.code = code;
+    this.status = STATUSES[code];
+    this.extra = extra;
+  }
+}
+
+function envNumber(env, name, fallback) {
+  const value = parseInt(env[name], 10);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+function resilienceOptions(env = process.env) {
+  return {
+    timeouts: Object.fromEntries(Object.entries(DEFAULT_TIMEOUTS)
+      .map(([kind, fallback]) => [kind, envNumber(env, `${kind.toUpperCase()}_TIMEOUT_MS`, fallback)])),
+    retries: envNumber(env, 'UPSTREAM_RETRIES', 2),
+    retryDelayMs: envNumber(env, 'UPSTREAM_RETRY_DELAY_MS', 250),
+    breakerThreshold: envNumber(env, 'CIRCUIT_BREAKER_THRESHOLD', 5),
+    breakerCooldownMs: envNumber(env, 'CIRCUIT_BREAKER_COOLDOWN_MS', 30000)
+  };
+}
+
+// Worth another try: the provider was slow, overloaded or unreachable. A 429
+// for an exhausted account balance won't clear up by waiting.
+function isTransient(error) {
+  if (error instanceof UpstreamError) return error.code === 'upstream_timeout';
+  if (typeof error.status === 'number') {
+    if (error.status === 429 && error.code === 'insufficient_quota') return false;
+    return RETRYABLE_STATUSES.includes(error.status) || error.status >= 500;
+  }
+  return error.name === 'APIConnectionError' || error.name === 'APIConnectionTimeoutError' ||
+    CONNECTION_ERROR_CODES.includes(error.code);
+}
+
+// Milliseconds the provider asked us to wait, if it said
+function retryAfterMs(error) {
+  const headers = error.headers;
+  if (!headers) return null;
+  const header = name => (typeof headers.get === 'function' ? headers.get(name) : headers[name]);
+  const ms = parseFloat(header('retry-after-ms'));
+  if (Number.isFinite(ms)) return ms;
+  const seconds = parseFloat(header('retry-after'));
+  return Number.isFinite(seconds) ? seconds * 1000 : null;
+}
+
+// Full jitter: anywhere between 0 and the exponential step
+function backoffMs(attempt, baseMs, error) {
+  const requested = retryAfterMs(error);
+  if (requested !== null) return Math.min(requested, MAX_RETRY_DELAY_MS);
+  return Math.random() * Math.min(baseMs * 2 ** attempt, MAX_RETRY_DELAY_MS);
+}
+
+function abortError() {
+  const error = new Error('Request was aborted.');
+  error.name = 'AbortError';
+  return error;
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(abortError());
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    function onAbort() {
+      clearTimeout(timer);
+      reject(abortError());
+    }
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// closed → open after `threshold` consecutive failures → half-open once the
+// cooldown has passed, letting a single trial call through
+function createCircuitBreaker({ name, threshold, cooldownMs, now = Date.now }) {
+  let failures = 0;
+  let openedAt = null;
+  let trial = false;
+
+  function state() {
+    if (openedAt === null) return 'closed';
+    return now() - openedAt >= cooldownMs ? 'half-open' : 'open';
+  }
+
+  // Throws an UpstreamError while calls are being refused
+  function acquire() {
+    const current = state();
+    if (current === 'closed') return;
+    if (current === 'half-open' && !trial) {
+      trial = true;
+      return;
+    }
+    const waitMs = current === 'open' ? openedAt + cooldownMs - now() : cooldownMs;
+    throw new UpstreamError('upstream_unavailable', `${name} is unavailable after repeated failures`, {
+      retryAfter: Math.max(1, Math.ceil(waitMs / 1000))
+    });
+  }
+
+  function success() {
+    if (openedAt !== null) log.info('Circuit closed', { circuit: name });
+    failures = 0;
+    openedAt = null;
+    trial = false;
+  }
+
+  function failure() {
+    failures++;
+    if (trial || (threshold > 0 && failures >= threshold && openedAt === null)) {
+      log.warn('Circuit opened', { circuit: name, failures });
+      openedAt = now();
+    }
+    trial = false;
+  }
+
+  // The trial call ended without telling us anything (the caller gave up)
+  function release() {
+    trial = false;
+  }
+
+  return { acquire, success, failure, release, state };
+}
+
+// One attempt's signal, aborted by the caller or when a wait times out.
+// race() waits for a provider promise under a fresh timeout (streams wait
+// once per fragment) and gives up even if the provider ignores its signal.
+function attemptScope(timeoutMs, signal, describe) {
+  const controller = new AbortController();
+  const onAbort = () => controller.abort();
+  if (signal) {
+    if (signal.aborted) controller.abort();
+    else signal.addEventListener('abort', onAbort, { once: true });
+  }
+
+  function race(promise) {
+    promise.catch(() => {}); // settles late when it loses
+    let timer = null;
+    let onCancel = null;
+    const deadline = new Promise((_, reject) => {
+      onCancel = () => reject(abortError());
+      if (signal && signal.aborted) return onCancel();
+      if (signal) signal.addEventListener('abort', onCancel, { once: true });
+      if (timeoutMs > 0) {
+        timer = setTimeout(() => {
+          controller.abort();
+          reject(new UpstreamError('upstream_timeout', `${describe} timed out after ${timeoutMs} ms`));
+        }, timeoutMs);
+      }
+    });
+    return Promise.race([promise, deadline]).finally(() => {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onCancel);
+    });
+  }
+
+  return {
+    signal: controller.signal,
+    race,
+    clear: () => signal && signal.removeEventListener('abort', onAbort)
+  };
+}
+
+function resilientCapability(kind, capability, { breaker, timeoutMs, retries, retryDelayMs, onRetry = () => {} }) {
+  const describe = `${capability.name} ${kind}`;
+
+  // The error to give up with: transient failures become UpstreamErrors
+  function finalError(error) {
+    if (error instanceof UpstreamError || !isTransient(error)) return error;
+    return new UpstreamError('upstream_error', `${describe} failed: ${error.message}`, { status: error.status }, error);
+  }
+
+  // Decides what happens after a failed attempt: resolves once it is time
+  // to retry, or throws the error to give up with
+  async function afterFailure(error, attempt, signal) {
+    if (signal && signal.aborted) {
+      breaker.release();
+      throw error;
+    }
+    if (!isTransient(error)) {
+      breaker.success();
+      throw error;
+    }
+    breaker.failure();
+    if (attempt >= retries) throw finalError(error);
+
+    const delayMs = backoffMs(attempt, retryDelayMs, error);
+    log.warn('Retrying', { provider: capability.name, kind, attempt: attempt + 1, delayMs: Math.round(delayMs), error });
+    onRetry({ kind, provider: capability.name, attempt: attempt + 1 });
+    await sleep(delayMs, signal);
+  }
+
+  const resilient = { ...capability };
+  for (const method of METHODS[kind] || []) {
+    resilient[method] = async (params, options = {}) => {
+      for (let attempt = 0; ; attempt++) {
+        breaker.acquire();
+        const scope = attemptScope(timeoutMs, options.signal, describe);
+        try {
+          const result = await scope.race(capability[method](params, { ...options, signal: scope.signal }));
+          breaker.success();
+          return result;
+        } catch (error) {
+          await afterFailure(error, attempt, options.signal);
+        } finally {
+          scope.clear();
+        }
+      }
+    };
+  }
+
+  if (kind === 'llm') {
+    resilient.stream = async function* (params, options = {}) {
+      for (let attempt = 0; ; attempt++) {
+        breaker.acquire();
+        const scope = attemptScope(timeoutMs, options.signal, describe);
+        const iterator = capability.stream(params, { ...options, signal: scope.signal })[Symbol.asyncIterator]();
+        let started = false;
+        let finished = false;
+        try {
+          while (true) {
+            const { value, done } = await scope.race(iterator.next());
+            if (done) {
+              finished = true;
+              if (!started) breaker.success();
+              return value;
+            }
+            if (!started) {
+              started = true;
+              breaker.success();
+            }
+            yield value;
+          }
+        } catch (error) {
+          // Text already sent can't be taken back, so no retry after that
+          if (started) throw finalError(error);
+          await afterFailure(error, attempt, options.signal);
+        } finally {
+          scope.clear();
+          if (!finished && iterator.return) await iterator.return().catch(() => {});
+        }
+      }
+    };
+  }
+
+  return resilient;
+}
+
+module.exports = {
+  resilientCapability,
+  createCircuitBreaker,
+  resilienceOptions,
+  isTransient,
+  UpstreamError
+};
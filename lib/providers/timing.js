@@ -0,0 +1,68 @@
+// ============================================
+// PROVIDER TIMING
+// Wraps a resolved capability so every call reports how long it took
+// through onTiming(event):
+//   { stage, provider, character, seconds, ok }
+// where stage is the capability kind (stt, llm, tts, moderation,
+// embeddings). Streams also report { stage: 'llm_first_token', … } when the
+// first text arrives, and are timed until they end or are abandoned.
+// ============================================
+
+const METHODS = {
+  stt: ['transcribe'],
+  llm: ['complete'],
+  tts: ['synthesize'],
+  moderation: ['moderate'],
+  embeddings: ['embed']
+};
+
+function timeCapability(kind, capability, { character = null, onTiming, now = () => performance.now() }) {
+  const report = (stage, started, ok) =>
+    onTiming({ stage, provider: capability.name, character, seconds: (now() - started) / 1000, ok });
+
+  const timed = { ...capability };
+  for (const method of METHODS[kind] || []) {
+    timed[method] = async (...args) => {
+      const started = now();
+      try {
+        const result = await capability[method](...args);
+        report(kind, started, true);
+        return result;
+      } catch (error) {
+        report(kind, started, false);
+        throw error;
+      }
+    };
+  }
+
+  if (kind === 'llm') {
+    // Iterated by hand so the stream's return value ({ usage }) gets through
+    timed.stream = async function* (...args) {
+      const iterator = capability.stream(...args)[Symbol.asyncIterator]();
+      const started = now();
+      let first = true;
+      let finished = false;
+      try {
+        while (true) {
+          const { value, done } = await iterator.next();
+          if (done) {
+            finished = true;
+            return value;
+          }
+          if (first) {
+            report('llm_first_token', started, true);
+            first = false;
+          }
+          yield value;
+        }
+      } finally {
+        if (!finished && iterator.return) await iterator.return().catch(() => {});
+        report(kind, started, finished);
+      }
+    };
+  }
+
+  return timed;
+}
+
+module.exports = { timeCapability };
@@ -0,0 +1,198 @@
+// ============================================
+// REAL-TIME VOICE CHANNEL (socket.io)
+// Hands-free conversations: the browser streams 16-bit mono PCM frames, the
+// server finds utterance boundaries with VAD and runs transcribe → reply →
+// TTS for each one. Talking over the character cancels the reply in progress.
+//
+// Client → server:
+//   voice:start { character, sampleRate, language }   voice:audio <ArrayBuffer>   voice:stop
+// Server → client:
+//   voice:ready, voice:speech-start, voice:interrupt, voice:transcript,
+//   voice:token, voice:sentence, voice:audio, voice:guardrail, voice:fallback,
+//   voice:done, voice:error (with a `code` such as input_flagged,
+//   upstream_timeout or invalid_audio)
+// Anything a client sends is untrusted: malformed payloads and frames are
+// answered with voice:error and never reach the rest of the server.
+// ============================================
+
+const { createVoiceActivityDetector } = require('./vad');
+const { encodeWav } = require('./wav');
+const { parseLanguage } = require('./languages');
+const { logger } = require('./logger');
+
+const log = logger.child('Voice');
+
+// A PCM frame as samples, or null unless it is binary with whole samples
+function toInt16(chunk) {
+  if (!Buffer.isBuffer(chunk) && !(chunk instanceof ArrayBuffer)) return null;
+  if (chunk.byteLength % 2 !== 0) return null;
+  // Copy so the view is always 2-byte aligned
+  const bytes = Buffer.from(chunk);
+  return new Int16Array(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength));
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// meter({ sessionId, ip }, work) runs each turn; it may throw to refuse the
+// turn (rate limits, quotas) and decides who the provider calls are charged to.
+// resolveUserId(handshake) names the user whose memories the character uses.
+// resolveClientIp(request) finds the client's address from the handshake
+// request, which may have come through a proxy.
+function attachVoiceChannel(io, {
+  sessions,
+  characters,
+  resolveSessionId,
+  resolveUserId = () => null,
+  resolveClientIp = request => request.socket.remoteAddress,
+  transcribe,
+  streamReply,
+  meter = (client, work) => work()
+}) {
+  io.use(async (socket, next) => {
+    try {
+      socket.data.session = await sessions.resolve(resolveSessionId(socket.handshake));
+      socket.data.userId = resolveUserId(socket.handshake);
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  io.on('connection', socket => {
+    const sessionId = socket.data.session.id;
+    const { userId } = socket.data;
+    let char = null;
+    let vad = null;
+    let sampleRate = 16000;
+    let language = null; // the user's setting; null lets STT detect it
+    let turn = null; // AbortController of the reply in progress
+
+    log.info('Connected', { socket: socket.id });
+
+    function cancelTurn(reason) {
+      if (!turn) return;
+      turn.abort();
+      turn = null;
+      log.info('Reply cancelled', { socket: socket.id, reason });
+      socket.emit('voice:interrupt', { reason });
+    }
+
+    async function runTurn(audio) {
+      const controller = new AbortController();
+      turn = controller;
+      const { signal } = controller;
+
+      // Nothing from a cancelled turn may reach the client
+      const emit = (event, data) => {
+        if (!signal.aborted) socket.emit(`voice:${event}`, data);
+      };
+
+      try {
+        await meter({ sessionId, ip: resolveClientIp(socket.request) }, async () => {
+          const heard = await transcribe({
+            buffer: encodeWav(audio, sampleRate),
+            filename: 'utterance.wav',
+            char,
+            language,
+            signal
+          });
+          const { text } = heard;
+          if (signal.aborted) return;
+
+          if (!text || !text.trim()) {
+            emit('empty', {});
+            return;
+          }
+
+          log.info('Transcribed', { character: char.id, language: heard.language, transcript: logger.content(text) });
+          emit('transcript', { text, language: heard.language, words: heard.words });
+
+          const result = await streamReply({
+            sessionId,
+            userId,
+            char,
+            userMessage: text,
+            userWords: heard.words,
+            language: heard.language,
+            voice: true,
+            signal,
+            emit
+          });
+          emit('done', result);
+        });
+      } catch (error) {
+        if (!signal.aborted) {
+          log.error('Voice turn failed', { error });
+          emit('error', { error: 'Voice turn failed', details: error.details || error.message, code: error.code });
+        }
+      } finally {
+        if (turn === controller) turn = null;
+      }
+    }
+
+    // A handler that throws must not take the process down with it
+    function on(event, handler) {
+      socket.on(event, (...args) => {
+        try {
+          handler(...args);
+        } catch (error) {
+          log.error('Socket event failed', { socket: socket.id, event, error });
+          socket.emit('voice:error', { error: 'Voice channel error', details: error.message });
+        }
+      });
+    }
+
+    on('voice:start', (options = {}) => {
+      if (!isPlainObject(options)) {
+        socket.emit('voice:error', { error: 'Invalid voice:start payload' });
+        return;
+      }
+      const { character, sampleRate: rate, language: setting } = options;
+      char = typeof character === 'string' ? characters.get(character) : null;
+      if (!char) {
+        socket.emit('voice:error', { error: 'Invalid character' });
+        return;
+      }
+      language = parseLanguage(setting) || null;
+
+      sampleRate = Number.isInteger(rate) && rate >= 8000 && rate <= 48000 ? rate : 16000;
+      vad = createVoiceActivityDetector({ sampleRate });
+      log.info('Listening', { socket: socket.id, character, sampleRate });
+      socket.emit('voice:ready', { character, sampleRate });
+    });
+
+    on('voice:audio', chunk => {
+      if (!vad) return;
+      const samples = toInt16(chunk);
+      if (!samples) {
+        socket.emit('voice:error', { error: 'Audio frames must be 16-bit PCM binary', code: 'invalid_audio' });
+        return;
+      }
+
+      for (const event of vad.push(samples)) {
+        if (event.type === 'speech-start') {
+          socket.emit('voice:speech-start');
+          cancelTurn('barge-in');
+        } else if (event.type === 'speech-end') {
+          socket.emit('voice:speech-end', { durationMs: event.durationMs });
+          runTurn(event.audio);
+        }
+      }
+    });
+
+    on('voice:stop', () => {
+      cancelTurn('stopped');
+      vad = null;
+      log.info('Stopped listening', { socket: socket.id });
+    });
+
+    socket.on('disconnect', () => {
+      if (turn) turn.abort();
+      log.info('Disconnected', { socket: socket.id });
+    });
+  });
+}
+
+module.exports = { attachVoiceChannel };
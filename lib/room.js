@@ -0,0 +1,123 @@
+// ============================================
+// GROUP CHAT ROOMS
+// Several characters share one transcript. Each turn the room decides who
+// answers (round-robin, everyone, or a router prompt) and every speaker sees
+// the conversation with speaker labels.
+// ============================================
+
+const { logger } = require('./logger');
+
+const MIN_MEMBERS = 2;
+const MAX_MEMBERS = 4;
+const STRATEGIES = ['round-robin', 'all', 'router'];
+
+// Room IDs are stable for a set of characters, whatever order they come in
+function roomIdFor(characterIds) {
+  return `room:${[...characterIds].sort().join('+')}`;
+}
+
+function isRoomId(id) {
+  return typeof id === 'string' && id.startsWith('room:');
+}
+
+function memberIds(roomId) {
+  return roomId.slice('room:'.length).split('+');
+}
+
+function speakerName(message, members) {
+  if (message.role === 'user') return 'User';
+  const speaker = members.find(char => char.id === message.speaker);
+  return speaker ? speaker.name : 'Someone';
+}
+
+// One character's view of the room: its own lines are "assistant" turns,
+// everyone else's are labeled "user" turns
+function viewFor(char, members, history) {
+  return history.map(message => {
+    if (message.role === 'assistant' && message.speaker === char.id) {
+      return { id: message.id, role: 'assistant', content: message.content };
+    }
+    return { id: message.id, role: 'user', content: `${speakerName(message, members)}: ${message.content}` };
+  });
+}
+
+function roomSystemPrompt(char, members) {
+  const others = members.filter(member => member.id !== char.id).map(member => member.name);
+  return `${char.systemPrompt}\n\nYou are in a group conversation with the user and ${others.join(' and ')}. ` +
+    'Each line is labeled with who said it. React to the others when it fits, reply only as yourself, ' +
+    'and do not start your reply with your own name.';
+}
+
+// Models sometimes echo the "Name:" label back; drop it
+function stripSpeakerLabel(text, char) {
+  const labels = [char.name, char.shortName].filter(Boolean).map(label => label.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return text.replace(new RegExp(`^\\s*(?:${labels.join('|')})\\s*:\\s*`, 'i'), '').trim();
+}
+
+// Characters the user addressed by name, in member order
+function mentionedMembers(userMessage, members) {
+  const text = userMessage.toLowerCase();
+  return members.filter(member =>
+    [member.shortName, member.name].some(label => label && text.includes(label.toLowerCase())));
+}
+
+function nextInTurn(members, history) {
+  const last = [...history].reverse().find(message => message.role === 'assistant');
+  const lastIndex = last ? members.findIndex(member => member.id === last.speaker) : -1;
+  return members[(lastIndex + 1) % members.length];
+}
+
+async function routeWithModel({ userMessage, members, history, llm, model, signal }) {
+  const recent = history.slice(-6).map(message => `${speakerName(message, members)}: ${message.content}`).join('\n');
+  const { text } = await llm.complete({
+    model,
+    temperature: 0,
+    maxTokens: 30,
+    messages: [
+      {
+        role: 'system',
+        content: 'You direct a group chat. Given the recent conversation, decide which characters should reply ' +
+          'to the user\'s latest message. Answer with a JSON array of character IDs, most relevant first, ' +
+          `choosing from: ${members.map(member => `${member.id} (${member.name})`).join(', ')}.`
+      },
+      { role: 'user', content: `${recent}\nUser: ${userMessage}` }
+    ]
+  }, { signal });
+
+  const match = text.match(/\[[^\]]*\]/);
+  const ids = match ? JSON.parse(match[0]) : [];
+  return ids.map(id => members.find(member => member.id === id)).filter(Boolean);
+}
+
+// Decide who replies this turn
+async function pickSpeakers({ strategy, userMessage, members, history, llm, model, signal }) {
+  const mentioned = mentionedMembers(userMessage, members);
+  if (mentioned.length > 0) return mentioned;
+
+  if (strategy === 'all') return members;
+
+  if (strategy === 'router') {
+    try {
+      const routed = await routeWithModel({ userMessage, members, history, llm, model, signal });
+      if (routed.length > 0) return routed;
+    } catch (error) {
+      if (signal && signal.aborted) throw error;
+      logger.child('Room').warn('Router failed, using turn order', { error });
+    }
+  }
+
+  return [nextInTurn(members, history)];
+}
+
+module.exports = {
+  MIN_MEMBERS,
+  MAX_MEMBERS,
+  STRATEGIES,
+  roomIdFor,
+  isRoomId,
+  memberIds,
+  viewFor,
+  roomSystemPrompt,
+  stripSpeakerLabel,
+  pickSpeakers
+};
@@ -0,0 +1,54 @@
+// ============================================
+// SENTENCE SPLITTER
+// Cuts streamed model output into sentences so each one can be sent to TTS
+// as soon as it is complete.
+// ============================================
+
+const ABBREVIATIONS = ['mr', 'mrs', 'ms', 'dr', 'prof', 'sr', 'jr', 'st', 'vs', 'etc', 'e.g', 'i.e', 'no'];
+
+// Sentence end: terminal punctuation (optionally followed by closing quotes
+// or brackets) and then whitespace
+const BOUNDARY = /[.!?…]+["'”’)\]]*\s+/g;
+
+function endsWithAbbreviation(text) {
+  const lastWord = text.trim().split(/\s+/).pop().replace(/\.+$/, '').toLowerCase();
+  // Single letters cover initials such as "Dwight K. Schrute"
+  return lastWord.length === 1 || ABBREVIATIONS.includes(lastWord);
+}
+
+function createSentenceSplitter() {
+  let buffer = '';
+
+  // Add streamed text; returns any sentences completed by it
+  function push(text) {
+    buffer += text;
+    const sentences = [];
+    let start = 0;
+    let match;
+
+    BOUNDARY.lastIndex = 0;
+    while ((match = BOUNDARY.exec(buffer)) !== null) {
+      const end = match.index + match[0].length;
+      const candidate = buffer.slice(start, end);
+      if (match[0].trim() === '.' && endsWithAbbreviation(candidate)) continue;
+
+      const sentence = candidate.trim();
+      if (sentence) sentences.push(sentence);
+      start = end;
+    }
+
+    buffer = buffer.slice(start);
+    return sentences;
+  }
+
+  // Returns whatever is left once the stream has ended
+  function flush() {
+    const rest = buffer.trim();
+    buffer = '';
+    return rest ? [rest] : [];
+  }
+
+  return { push, flush };
+}
+
+module.exports = { createSentenceSplitter };
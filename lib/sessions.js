@@ -0,0 +1,94 @@
+// ============================================
+// SESSION MANAGER
+// One session per browser. Session records and their conversations live in
+// the conversation store. A session idle for ttlMs has ended: its ID,
+// whether from the cookie or the X-Session-Id header, gets a fresh session.
+// What it stored is deleted once it has been idle for retentionMs
+// (server.js sets them from SESSION_TTL_MINUTES and CONVERSATION_RETENTION_DAYS).
+//
+// Activity is written back at most once per touchIntervalMs (and at least
+// ten times per TTL) rather than on every request, so expiry can come that
+// much early or late.
+// ============================================
+
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const log = logger.child('Session');
+
+const SESSION_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function isValidSessionId(id) {
+  return typeof id === 'string' && SESSION_ID_PATTERN.test(id);
+}
+
+function createSessionManager({
+  store,
+  ttlMs,
+  retentionMs = ttlMs,
+  touchIntervalMs = 5 * 60 * 1000,
+  sweepIntervalMs = 60 * 1000
+}) {
+  const touchEvery = Math.min(touchIntervalMs, ttlMs / 10);
+
+  function isExpired(session, now = Date.now()) {
+    return now - session.lastSeen > ttlMs;
+  }
+
+  function isPastRetention(session, now = Date.now()) {
+    return now - session.lastSeen > Math.max(retentionMs, ttlMs);
+  }
+
+  // Returns the live session for this ID, or a fresh one if the ID is
+  // missing, malformed or expired. Every call counts as activity.
+  async function resolve(id) {
+    let session = isValidSessionId(id) ? await store.getSession(id) : null;
+    const now = Date.now();
+
+    if (session && isExpired(session, now)) {
+      if (isPastRetention(session, now)) await destroy(session.id);
+      session = null;
+    }
+
+    if (!session) {
+      session = { id: crypto.randomUUID(), createdAt: now, lastSeen: now };
+      await store.saveSession(session);
+      log.info('Created');
+    } else if (now - session.lastSeen >= touchEvery) {
+      session.lastSeen = now;
+      await store.saveSession(session);
+    }
+    return session;
+  }
+
+  async function destroy(id) {
+    await store.deleteSession(id);
+    log.info('Removed');
+  }
+
+  async function sweep() {
+    const now = Date.now();
+    const all = await store.listSessions();
+    for (const session of all) {
+      if (isPastRetention(session, now)) {
+        await destroy(session.id);
+      }
+    }
+  }
+
+  // unref() so the timer never keeps the process alive on its own
+  const timer = setInterval(() => {
+    sweep().catch(error => log.error('Sweep failed', { error }));
+  }, sweepIntervalMs);
+  timer.unref();
+
+  return {
+    ttlMs,
+    retentionMs,
+    resolve,
+    destroy,
+    sweep
+  };
+}
+
+module.exports = { createSessionManager, isValidSessionId };
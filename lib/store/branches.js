@@ -0,0 +1,127 @@
+// ============================================
+// MESSAGE EDITS AND BRANCHES
+// Shared by every store backend. Each works on a session document shaped
+// { conversations, summaries, branches }, mutating it in place.
+//
+// A conversation's messages are its active branch. Forking from a message
+// archives the whole conversation as a branch and keeps the messages up to
+// that one as the new active branch; activating an archived branch swaps it
+// back in. Archived branches keep their own memory summary.
+//
+// Branch descriptions, newest activity first after the active one:
+//   { id, forkedFrom, createdAt, updatedAt, messageCount, preview, active }
+// The branch a conversation starts on is "main".
+// ============================================
+
+const MAIN_BRANCH = 'main';
+const PREVIEW_LENGTH = 80;
+
+function messagesOf(doc, conversationId) {
+  return doc.conversations[conversationId] || [];
+}
+
+function indexOf(doc, conversationId, messageId) {
+  return messagesOf(doc, conversationId).findIndex(message => message.id === messageId);
+}
+
+function branchState(doc, conversationId) {
+  if (!doc.branches) doc.branches = {};
+  if (!doc.branches[conversationId]) {
+    doc.branches[conversationId] = { active: { id: MAIN_BRANCH, forkedFrom: null, createdAt: null }, archived: [] };
+  }
+  return doc.branches[conversationId];
+}
+
+function describe(meta, messages, active) {
+  const last = messages[messages.length - 1];
+  return {
+    id: meta.id,
+    forkedFrom: meta.forkedFrom,
+    createdAt: meta.createdAt,
+    updatedAt: last ? last.timestamp : meta.createdAt,
+    messageCount: messages.length,
+    preview: last ? last.content.slice(0, PREVIEW_LENGTH) : '',
+    active
+  };
+}
+
+function listBranches(doc, conversationId) {
+  const state = doc.branches && doc.branches[conversationId];
+  const activeMeta = state ? state.active : { id: MAIN_BRANCH, forkedFrom: null, createdAt: null };
+  const archived = state ? state.archived.map(branch => describe(branch, branch.messages, false)) : [];
+  archived.sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+  return [describe(activeMeta, messagesOf(doc, conversationId), true), ...archived];
+}
+
+// Removes `messageId` and every message after it. Resolves to the removed
+// messages, or null if there is no such message.
+function truncateMessages(doc, conversationId, messageId) {
+  const index = indexOf(doc, conversationId, messageId);
+  if (index === -1) return null;
+  return doc.conversations[conversationId].splice(index);
+}
+
+// Replaces a message's text and drops everything after it (the replies were
+// to the old text), along with a summary that ends on it. Returns the
+// updated message, or null.
+function editMessage(doc, conversationId, messageId, changes) {
+  const index = indexOf(doc, conversationId, messageId);
+  if (index === -1) return null;
+  const messages = doc.conversations[conversationId];
+  messages.splice(index + 1);
+  Object.assign(messages[index], changes);
+  const summary = doc.summaries && doc.summaries[conversationId];
+  if (summary && summary.coveredUntil === messageId) delete doc.summaries[conversationId];
+  return { ...messages[index] };
+}
+
+function archiveActive(doc, conversationId, state) {
+  state.archived.push({
+    ...state.active,
+    messages: messagesOf(doc, conversationId),
+    summary: (doc.summaries && doc.summaries[conversationId]) || null
+  });
+}
+
+// Starts branch `id` from `messageId`. Returns the branch list, or null if
+// there is no such message. The summary comes along; the context manager
+// drops it if it covered messages the new branch doesn't have.
+function forkConversation(doc, conversationId, messageId, { id, createdAt }) {
+  const index = indexOf(doc, conversationId, messageId);
+  if (index === -1) return null;
+
+  const state = branchState(doc, conversationId);
+  const kept = messagesOf(doc, conversationId).slice(0, index + 1).map(message => ({ ...message }));
+  archiveActive(doc, conversationId, state);
+  doc.conversations[conversationId] = kept;
+  state.active = { id, forkedFrom: messageId, createdAt };
+  return listBranches(doc, conversationId);
+}
+
+// Makes an archived branch the active one. Returns the branch list, or null
+// if there is no such branch.
+function activateBranch(doc, conversationId, branchId) {
+  const state = branchState(doc, conversationId);
+  if (state.active.id === branchId) return listBranches(doc, conversationId);
+
+  const index = state.archived.findIndex(branch => branch.id === branchId);
+  if (index === -1) return null;
+
+  const [{ messages, summary, ...meta }] = state.archived.splice(index, 1);
+  archiveActive(doc, conversationId, state);
+  doc.conversations[conversationId] = messages;
+  if (!doc.summaries) doc.summaries = {};
+  if (summary) doc.summaries[conversationId] = summary;
+  else delete doc.summaries[conversationId];
+  state.active = meta;
+  return listBranches(doc, conversationId);
+}
+
+module.exports = {
+  MAIN_BRANCH,
+  listBranches,
+  truncateMessages,
+  editMessage,
+  forkConversation,
+  activateBranch
+};
@@ -0,0 +1,298 @@
+// ============================================
+// FILE-BACKED CONVERSATION STORE
+// One JSON document per session: <dir>/<sessionId>.json
+// and one per user for long-term memories: <dir>/users/<userId>.json
+// Session records are also logged to <dir>/index/sessions.jsonl, one line
+// per save or delete, so listing them (the expiry sweep) reads one file
+// instead of every conversation. Saves only append to it; listing folds the
+// log and rewrites it once it has grown well past the live sessions.
+// ============================================
+
+const fs = require('fs');
+const path = require('path');
+const branches = require('./branches');
+
+const SAFE_ID = /^[A-Za-z0-9_-]+$/;
+
+// Log lines allowed per live session before the index is rewritten
+const INDEX_SLACK = 2;
+
+function createFileStore({ dir }) {
+  const usersDir = path.join(dir, 'users');
+  const indexFile = path.join(dir, 'index', 'sessions.jsonl');
+  let indexChecked = false;
+  fs.mkdirSync(usersDir, { recursive: true });
+  fs.mkdirSync(path.dirname(indexFile), { recursive: true });
+
+  // Writes to the same document are chained so concurrent requests
+  // never interleave a read-modify-write cycle.
+  const queues = new Map();
+
+  function assertSafeId(id) {
+    if (!SAFE_ID.test(String(id))) {
+      throw new Error(`Invalid store id: ${id}`);
+    }
+  }
+
+  function sessionFile(sessionId) {
+    assertSafeId(sessionId);
+    return path.join(dir, `${sessionId}.json`);
+  }
+
+  function userFile(userId) {
+    assertSafeId(userId);
+    return path.join(usersDir, `${userId}.json`);
+  }
+
+  async function readFile(file) {
+    try {
+      const raw = await fs.promises.readFile(file, 'utf8');
+      return JSON.parse(raw);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async function write(file, doc) {
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(doc, null, 2));
+    await fs.promises.rename(tmp, file);
+  }
+
+  function read(sessionId) {
+    return readFile(sessionFile(sessionId));
+  }
+
+  function queued(file, task) {
+    const previous = queues.get(file) || Promise.resolve();
+    const next = previous.catch(() => {}).then(task);
+    queues.set(file, next);
+    next.finally(() => {
+      if (queues.get(file) === next) queues.delete(file);
+    }).catch(() => {});
+    return next;
+  }
+
+  function updateFile(file, empty, mutate) {
+    return queued(file, async () => {
+      const doc = (await readFile(file)) || empty();
+      const result = mutate(doc);
+      await write(file, doc);
+      return result;
+    });
+  }
+
+  // Session records by ID, read from the session files themselves
+  async function scanSessions() {
+    const files = await fs.promises.readdir(dir);
+    const docs = await Promise.all(files
+      .filter(file => file.endsWith('.json'))
+      .map(file => read(path.basename(file, '.json')).catch(() => null)));
+    return Object.fromEntries(docs.filter(doc => doc && doc.session).map(doc => [doc.session.id, doc.session]));
+  }
+
+  async function writeIndex(index) {
+    const tmp = `${indexFile}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, Object.values(index).map(session => JSON.stringify(session) + '\n').join(''));
+    await fs.promises.rename(tmp, indexFile);
+  }
+
+  // Session records by ID, and how many log lines they took. A line cut
+  // short by a crash is skipped.
+  async function readIndex() {
+    const raw = await fs.promises.readFile(indexFile, 'utf8');
+    const index = {};
+    let lines = 0;
+    for (const line of raw.split('\n')) {
+      if (!line) continue;
+      lines++;
+      try {
+        const entry = JSON.parse(line);
+        if (entry.deleted) delete index[entry.id];
+        else index[entry.id] = entry;
+      } catch {
+        // a torn write
+      }
+    }
+    return { index, lines };
+  }
+
+  // Runs task with the index to itself. A store from before the index gets
+  // one built from its session files first.
+  function withIndex(task) {
+    return queued(indexFile, async () => {
+      if (!indexChecked) {
+        try {
+          await fs.promises.access(indexFile);
+        } catch {
+          await writeIndex(await scanSessions());
+        }
+        indexChecked = true;
+      }
+      return task();
+    });
+  }
+
+  function logSession(entry) {
+    return withIndex(() => fs.promises.appendFile(indexFile, JSON.stringify(entry) + '\n'));
+  }
+
+  function update(sessionId, mutate) {
+    return updateFile(sessionFile(sessionId), () => ({ session: null, conversations: {} }), mutate);
+  }
+
+  function updateUser(userId, mutate) {
+    return updateFile(userFile(userId), () => ({ memories: {} }), mutate);
+  }
+
+  return {
+    type: 'file',
+    dir,
+
+    async getSession(id) {
+      const doc = await read(id);
+      return doc && doc.session ? doc.session : null;
+    },
+
+    // The file and its index line are written under the session's lock, so
+    // a save can't slip in between a delete's two steps
+    saveSession(session) {
+      const file = sessionFile(session.id);
+      return queued(file, async () => {
+        const doc = (await readFile(file)) || { session: null, conversations: {} };
+        doc.session = { ...session };
+        await write(file, doc);
+        await logSession({ ...session });
+      });
+    },
+
+    deleteSession(id) {
+      const file = sessionFile(id);
+      return queued(file, async () => {
+        await fs.promises.rm(file, { force: true });
+        await logSession({ id, deleted: true });
+      });
+    },
+
+    listSessions() {
+      return withIndex(async () => {
+        const { index, lines } = await readIndex();
+        const sessions = Object.values(index);
+        if (lines > INDEX_SLACK * sessions.length + 100) await writeIndex(index);
+        return sessions;
+      });
+    },
+
+    async getMessages(sessionId, conversationId) {
+      const doc = await read(sessionId);
+      return doc ? doc.conversations[conversationId] || [] : [];
+    },
+
+    appendMessage(sessionId, conversationId, message) {
+      return update(sessionId, doc => {
+        if (!doc.conversations[conversationId]) {
+          doc.conversations[conversationId] = [];
+        }
+        doc.conversations[conversationId].push({ ...message });
+        return message;
+      });
+    },
+
+    updateMessage(sessionId, conversationId, messageId, changes) {
+      return update(sessionId, doc => {
+        const messages = doc.conversations[conversationId] || [];
+        const message = messages.find(m => m.id === messageId);
+        if (!message) return null;
+        Object.assign(message, changes);
+        return { ...message };
+      });
+    },
+
+    clearConversation(sessionId, conversationId) {
+      return update(sessionId, doc => {
+        delete doc.conversations[conversationId];
+        if (doc.summaries) delete doc.summaries[conversationId];
+        if (doc.branches) delete doc.branches[conversationId];
+      });
+    },
+
+    replaceConversation(sessionId, conversationId, messages, summary) {
+      return update(sessionId, doc => {
+        doc.conversations[conversationId] = messages.map(message => ({ ...message }));
+        if (!doc.summaries) doc.summaries = {};
+        if (summary) doc.summaries[conversationId] = { ...summary };
+        else delete doc.summaries[conversationId];
+        if (doc.branches) delete doc.branches[conversationId];
+      });
+    },
+
+    truncateMessages(sessionId, conversationId, messageId) {
+      return update(sessionId, doc => branches.truncateMessages(doc, conversationId, messageId));
+    },
+
+    editMessage(sessionId, conversationId, messageId, changes) {
+      return update(sessionId, doc => branches.editMessage(doc, conversationId, messageId, changes));
+    },
+
+    async listBranches(sessionId, conversationId) {
+      const doc = await read(sessionId);
+      return branches.listBranches(doc || { conversations: {} }, conversationId);
+    },
+
+    forkConversation(sessionId, conversationId, messageId, branch) {
+      return update(sessionId, doc => branches.forkConversation(doc, conversationId, messageId, branch));
+    },
+
+    activateBranch(sessionId, conversationId, branchId) {
+      return update(sessionId, doc => branches.activateBranch(doc, conversationId, branchId));
+    },
+
+    async listConversations(sessionId) {
+      const doc = await read(sessionId);
+      if (!doc) return [];
+      return Object.entries(doc.conversations)
+        .filter(([, messages]) => messages.length > 0)
+        .map(([conversationId, messages]) => ({
+          character: conversationId,
+          messageCount: messages.length,
+          updatedAt: messages[messages.length - 1].timestamp
+        }));
+    },
+
+    async getSummary(sessionId, conversationId) {
+      const doc = await read(sessionId);
+      return doc && doc.summaries ? doc.summaries[conversationId] || null : null;
+    },
+
+    setSummary(sessionId, conversationId, summary) {
+      return update(sessionId, doc => {
+        if (!doc.summaries) doc.summaries = {};
+        if (summary) doc.summaries[conversationId] = { ...summary };
+        else delete doc.summaries[conversationId];
+      });
+    },
+
+    async getMemories(userId, characterId) {
+      const doc = await readFile(userFile(userId));
+      return doc ? doc.memories[characterId] || [] : [];
+    },
+
+    async listMemories(userId) {
+      const doc = await readFile(userFile(userId));
+      return doc ? doc.memories : {};
+    },
+
+    updateMemories(userId, characterId, mutate) {
+      return updateUser(userId, doc => {
+        const memories = doc.memories[characterId] || [];
+        const result = mutate(memories);
+        if (memories.length > 0) doc.memories[characterId] = memories;
+        else delete doc.memories[characterId];
+        return result;
+      });
+    }
+  };
+}
+
+module.exports = { createFileStore };
@@ -0,0 +1,54 @@
+// ============================================
+// CONVERSATION STORE
+// Picks a storage backend from CONVERSATION_STORE:
+//   memory - lost on restart, handy for development
+//   file   - JSON files on disk (default)
+//
+// Every backend implements the same async interface:
+//   getSession(id) / saveSession(session) / deleteSession(id)
+//   listSessions() - session records only, for the expiry sweep
+//   getMessages(sessionId, conversationId)
+//   appendMessage(sessionId, conversationId, message)
+//   updateMessage(sessionId, conversationId, messageId, changes)
+//   truncateMessages(sessionId, conversationId, messageId) - drops it and what follows
+//   editMessage(sessionId, conversationId, messageId, changes) - updates it, drops what follows
+//   clearConversation(sessionId, conversationId)
+//   replaceConversation(sessionId, conversationId, messages, summary) - swaps
+//     in new messages and summary (or none) in one write, dropping branches
+//   listConversations(sessionId)
+//   getSummary(sessionId, conversationId) / setSummary(sessionId, conversationId, summary)
+//   listBranches(sessionId, conversationId)
+//   forkConversation(sessionId, conversationId, messageId, { id, createdAt })
+//   activateBranch(sessionId, conversationId, branchId)
+// Branches are kept per conversation; see ./branches for how they work.
+//
+// Long-term memories belong to a user rather than a session, so they
+// outlive cleared chats and expired sessions (see lib/user-memory.js):
+//   getMemories(userId, characterId) / listMemories(userId)
+//   updateMemories(userId, characterId, mutate) - mutate(memories) edits the
+//     array in place; resolves to what it returns
+// Voiced messages carry an `audioId`; the clips live in the audio cache.
+// ============================================
+
+const path = require('path');
+const { createMemoryStore } = require('./memory');
+const { createFileStore } = require('./file');
+
+function defaultStoreDir() {
+  // Vercel only allows writes under /tmp
+  if (process.env.VERCEL) return '/tmp/conversations';
+  return path.join(__dirname, '..', '..', 'data', 'conversations');
+}
+
+function createStore(type = process.env.CONVERSATION_STORE || 'file') {
+  switch (type) {
+    case 'memory':
+      return createMemoryStore();
+    case 'file':
+      return createFileStore({ dir: process.env.CONVERSATION_STORE_PATH || defaultStoreDir() });
+    default:
+      throw new Error(`Unknown CONVERSATION_STORE "${type}" (expected "memory" or "file")`);
+  }
+}
+
+module.exports = { createStore };
@@ -0,0 +1,151 @@
+// ============================================
+// IN-MEMORY CONVERSATION STORE
+// ============================================
+
+const branches = require('./branches');
+
+function createMemoryStore() {
+  const sessions = new Map();
+  const users = new Map();
+
+  function entry(sessionId) {
+    if (!sessions.has(sessionId)) {
+      sessions.set(sessionId, { session: null, conversations: {}, summaries: {}, branches: {} });
+    }
+    return sessions.get(sessionId);
+  }
+
+  return {
+    type: 'memory',
+
+    async getSession(id) {
+      const found = sessions.get(id);
+      return found && found.session ? { ...found.session } : null;
+    },
+
+    async saveSession(session) {
+      entry(session.id).session = { ...session };
+    },
+
+    async deleteSession(id) {
+      sessions.delete(id);
+    },
+
+    async listSessions() {
+      return [...sessions.values()]
+        .filter(found => found.session)
+        .map(found => ({ ...found.session }));
+    },
+
+    async getMessages(sessionId, conversationId) {
+      const found = sessions.get(sessionId);
+      const messages = found ? found.conversations[conversationId] : null;
+      return messages ? messages.map(message => ({ ...message })) : [];
+    },
+
+    async appendMessage(sessionId, conversationId, message) {
+      const { conversations } = entry(sessionId);
+      if (!conversations[conversationId]) {
+        conversations[conversationId] = [];
+      }
+      conversations[conversationId].push({ ...message });
+      return message;
+    },
+
+    async updateMessage(sessionId, conversationId, messageId, changes) {
+      const found = sessions.get(sessionId);
+      const messages = found ? found.conversations[conversationId] || [] : [];
+      const message = messages.find(m => m.id === messageId);
+      if (!message) return null;
+      Object.assign(message, changes);
+      return { ...message };
+    },
+
+    async clearConversation(sessionId, conversationId) {
+      const found = sessions.get(sessionId);
+      if (!found) return;
+      delete found.conversations[conversationId];
+      delete found.summaries[conversationId];
+      delete found.branches[conversationId];
+    },
+
+    async replaceConversation(sessionId, conversationId, messages, summary) {
+      const found = entry(sessionId);
+      found.conversations[conversationId] = messages.map(message => ({ ...message }));
+      if (summary) found.summaries[conversationId] = { ...summary };
+      else delete found.summaries[conversationId];
+      delete found.branches[conversationId];
+    },
+
+    async truncateMessages(sessionId, conversationId, messageId) {
+      const found = sessions.get(sessionId);
+      const removed = found ? branches.truncateMessages(found, conversationId, messageId) : null;
+      return removed ? removed.map(message => ({ ...message })) : null;
+    },
+
+    async editMessage(sessionId, conversationId, messageId, changes) {
+      const found = sessions.get(sessionId);
+      return found ? branches.editMessage(found, conversationId, messageId, changes) : null;
+    },
+
+    async listBranches(sessionId, conversationId) {
+      return branches.listBranches(sessions.get(sessionId) || { conversations: {} }, conversationId);
+    },
+
+    async forkConversation(sessionId, conversationId, messageId, branch) {
+      const found = sessions.get(sessionId);
+      return found ? branches.forkConversation(found, conversationId, messageId, branch) : null;
+    },
+
+    async activateBranch(sessionId, conversationId, branchId) {
+      return branches.activateBranch(entry(sessionId), conversationId, branchId);
+    },
+
+    async listConversations(sessionId) {
+      const found = sessions.get(sessionId);
+      if (!found) return [];
+      return Object.entries(found.conversations)
+        .filter(([, messages]) => messages.length > 0)
+        .map(([conversationId, messages]) => ({
+          character: conversationId,
+          messageCount: messages.length,
+          updatedAt: messages[messages.length - 1].timestamp
+        }));
+    },
+
+    async getSummary(sessionId, conversationId) {
+      const found = sessions.get(sessionId);
+      const summary = found ? found.summaries[conversationId] : null;
+      return summary ? { ...summary } : null;
+    },
+
+    async setSummary(sessionId, conversationId, summary) {
+      const { summaries } = entry(sessionId);
+      if (summary) summaries[conversationId] = { ...summary };
+      else delete summaries[conversationId];
+    },
+
+    async getMemories(userId, characterId) {
+      const memories = (users.get(userId) || {})[characterId] || [];
+      return memories.map(memory => ({ ...memory }));
+    },
+
+    async listMemories(userId) {
+      const found = users.get(userId) || {};
+      return Object.fromEntries(Object.entries(found)
+        .map(([characterId, memories]) => [characterId, memories.map(memory => ({ ...memory }))]));
+    },
+
+    async updateMemories(userId, characterId, mutate) {
+      if (!users.has(userId)) users.set(userId, {});
+      const found = users.get(userId);
+      const memories = (found[characterId] || []).map(memory => ({ ...memory }));
+      const result = mutate(memories);
+      if (memories.length > 0) found[characterId] = memories;
+      else delete found[characterId];
+      return result;
+    }
+  };
+}
+
+module.exports = { createMemoryStore };
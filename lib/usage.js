@@ -0,0 +1,306 @@
+// ============================================
+// USAGE ACCOUNTING
+// Every provider call is recorded in a per-day ledger: seconds transcribed,
+// chat tokens and characters synthesized, each with an estimated cost.
+// The ledger backs request rate limits, daily quotas and GET /api/usage.
+//
+// Usage belongs to an owner: "session:<id>", or "key:<hash>" when the
+// request carried an API key. Provider calls find their owner through
+// AsyncLocalStorage, so nothing deep in a request (summaries, speaker
+// routing) has to pass it along. The ledger lives in memory and starts over
+// when the server restarts; quotas reset at 00:00 UTC.
+//
+// Sessions cost nothing to make, so usage without an API key is charged to
+// the client's IP address as well, against QUOTA_IP_MULTIPLIER times each
+// quota: dropping the session cookie starts a new session, not a new quota.
+// API keys are handed out deliberately and only count against their own.
+// The ledger keeps at most MAX_ACCOUNTS owners, dropping the ones least
+// recently active first.
+//
+// Behind a reverse proxy every request comes from the proxy's address, so
+// all clients would share one IP limit. TRUST_PROXY says which proxies may
+// name the client in X-Forwarded-For; it is Express's "trust proxy" setting
+// and applies to the voice socket too:
+//   true            trust every hop (only if the proxy overwrites the header)
+//   <n>             trust the n hops nearest the server
+//   <addresses>     trust these addresses or subnets, comma separated
+//                   ("loopback", "10.0.0.0/8, 127.0.0.1")
+// Unset, it is 1 on Vercel and off elsewhere: the connection's own address.
+//
+// Environment (0 turns a limit off):
+//   RATE_LIMIT_PER_MINUTE          requests per session or API key (default 30)
+//   RATE_LIMIT_PER_IP_PER_MINUTE   requests per client IP (default 120)
+//   QUOTA_STT_SECONDS              seconds transcribed per day (default 1800)
+//   QUOTA_CHAT_TOKENS              prompt + completion tokens per day (default 200000)
+//   QUOTA_TTS_CHARACTERS           characters synthesized per day (default 100000)
+//   QUOTA_IP_MULTIPLIER            sessions' worth of each quota per IP (default 5)
+//   TRUST_PROXY                    proxies to take the client IP from (see above)
+// ============================================
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const WINDOW_MS = 60 * 1000;
+const MAX_RECENT_ENTRIES = 100;
+const MAX_ACCOUNTS = 10000;
+
+// USD list prices: per second (stt), per token (llm), per character (tts).
+// Only the hosted OpenAI API is priced; other providers count but cost nothing.
+const PRICES = {
+  stt: {
+    'whisper-1': 0.006 / 60,
+    'gpt-4o-transcribe': 0.006 / 60,
+    'gpt-4o-mini-transcribe': 0.003 / 60
+  },
+  llm: {
+    'gpt-4o-mini': { input: 0.15e-6, output: 0.6e-6 },
+    'gpt-4o': { input: 2.5e-6, output: 10e-6 },
+    'gpt-4.1': { input: 2e-6, output: 8e-6 },
+    'gpt-4.1-mini': { input: 0.4e-6, output: 1.6e-6 },
+    'gpt-4.1-nano': { input: 0.1e-6, output: 0.4e-6 },
+    'gpt-3.5-turbo': { input: 0.5e-6, output: 1.5e-6 }
+  },
+  tts: {
+    'tts-1': 15e-6,
+    'tts-1-hd': 30e-6
+  }
+};
+
+const QUOTAS = {
+  stt: { env: 'QUOTA_STT_SECONDS', fallback: 1800, label: 'Transcription', unit: 'seconds' },
+  llm: { env: 'QUOTA_CHAT_TOKENS', fallback: 200000, label: 'Chat', unit: 'tokens' },
+  tts: { env: 'QUOTA_TTS_CHARACTERS', fallback: 100000, label: 'Speech', unit: 'characters' }
+};
+
+const KINDS = Object.keys(QUOTAS);
+
+class UsageLimitError extends Error {
+  constructor(message, { code, details, retryAfter }) {
+    super(message);
+    this.name = 'UsageLimitError';
+    this.code = code;
+    this.details = details;
+    this.retryAfter = retryAfter;
+  }
+}
+
+function envLimit(name, fallback) {
+  const value = process.env[name];
+  return value === undefined || value === '' ? fallback : parseFloat(value);
+}
+
+// The "trust proxy" setting for TRUST_PROXY
+function trustProxy(env = process.env) {
+  const value = (env.TRUST_PROXY || '').trim();
+  if (!value) return env.VERCEL ? 1 : false;
+  if (value === 'true' || value === 'false') return value === 'true';
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  return value;
+}
+
+// Dated snapshots ("gpt-4o-mini-2024-07-18") share their base model's price
+function priceFor(kind, model) {
+  const table = PRICES[kind];
+  return table[model] || table[String(model).replace(/-\d{4}-\d{2}-\d{2}$/, '')] || null;
+}
+
+function estimateCost(event) {
+  const price = event.provider === 'openai' ? priceFor(event.kind, event.model) : null;
+  if (!price) return 0;
+  switch (event.kind) {
+    case 'stt': return event.seconds * price;
+    case 'llm': return event.promptTokens * price.input + event.completionTokens * price.output;
+    case 'tts': return event.characters * price;
+    default: return 0;
+  }
+}
+
+// What a ledger entry counts against its quota
+function quotaAmount(event) {
+  switch (event.kind) {
+    case 'stt': return event.seconds;
+    case 'llm': return event.promptTokens + event.completionTokens;
+    case 'tts': return event.characters;
+    default: return 0;
+  }
+}
+
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+function createUsageTracker({
+  perMinute = envLimit('RATE_LIMIT_PER_MINUTE', 30),
+  perIpPerMinute = envLimit('RATE_LIMIT_PER_IP_PER_MINUTE', 120),
+  quotas = Object.fromEntries(KINDS.map(kind => [kind, envLimit(QUOTAS[kind].env, QUOTAS[kind].fallback)])),
+  ipMultiplier = envLimit('QUOTA_IP_MULTIPLIER', 5),
+  maxAccounts = MAX_ACCOUNTS,
+  now = Date.now
+} = {}) {
+  const scope = new AsyncLocalStorage();
+  const windows = new Map(); // rate-limit key → { start, count }
+  const accounts = new Map(); // owner → today's totals and recent entries, least recently active first
+  let currentDay = null;
+
+  function today() {
+    return new Date(now()).toISOString().slice(0, 10);
+  }
+
+  function secondsUntilMidnight() {
+    const midnight = new Date(`${today()}T00:00:00.000Z`).getTime() + 24 * 60 * 60 * 1000;
+    return Math.ceil((midnight - now()) / 1000);
+  }
+
+  function emptyAccount() {
+    return {
+      used: { stt: 0, llm: 0, tts: 0 },
+      cost: { stt: 0, llm: 0, tts: 0 },
+      tokens: { prompt: 0, completion: 0 },
+      entries: []
+    };
+  }
+
+  // Today's totals for `owner`, without adding an account for it
+  function peek(owner) {
+    const day = today();
+    if (day !== currentDay) {
+      // A new UTC day: every quota starts over
+      accounts.clear();
+      currentDay = day;
+    }
+    return accounts.get(owner) || emptyAccount();
+  }
+
+  // Today's totals for `owner` to charge, marked as its latest activity
+  function account(owner) {
+    const totals = peek(owner);
+    accounts.delete(owner);
+    accounts.set(owner, totals);
+    if (accounts.size > maxAccounts) accounts.delete(accounts.keys().next().value);
+    return totals;
+  }
+
+  // The ledger account of the IP address a session's usage also counts against
+  function ipOwner(owner, ip) {
+    return ip && ipMultiplier > 0 && owner.startsWith('session:') ? `ip:${ip}` : null;
+  }
+
+  // Runs fn with provider calls charged to `owner` (and to `ip`, for a
+  // session); `route` labels the entries
+  function run({ owner, ip, route }, fn) {
+    return scope.run({ owner, ip, route }, fn);
+  }
+
+  // Called by the provider registry after every successful call
+  function record(event) {
+    const { owner, ip, route } = scope.getStore() || { owner: 'system', route: null };
+    const entry = { timestamp: new Date(now()).toISOString(), route, ...event, cost: estimateCost(event) };
+    const charged = [owner, ipOwner(owner, ip)].filter(Boolean);
+
+    for (const totals of charged.map(account)) {
+      totals.used[event.kind] += quotaAmount(event);
+      totals.cost[event.kind] += entry.cost;
+      if (event.kind === 'llm') {
+        totals.tokens.prompt += event.promptTokens;
+        totals.tokens.completion += event.completionTokens;
+      }
+      totals.entries.push(entry);
+      if (totals.entries.length > MAX_RECENT_ENTRIES) totals.entries.shift();
+    }
+    return entry;
+  }
+
+  function checkQuota(owner, kinds, ip) {
+    const limits = [{ totals: peek(owner), factor: 1, where: '' }];
+    const shared = ipOwner(owner, ip);
+    if (shared) limits.push({ totals: peek(shared), factor: ipMultiplier, where: ' from this IP address' });
+
+    for (const { totals, factor, where } of limits) {
+      for (const kind of kinds) {
+        const limit = quotas[kind] * factor;
+        if (limit > 0 && totals.used[kind] >= limit) {
+          const { label, unit } = QUOTAS[kind];
+          const used = round(totals.used[kind], 1);
+          throw new UsageLimitError('Daily quota exceeded', {
+            code: 'quota_exceeded',
+            details: `${label} quota used up: ${used} of ${limit} ${unit} today${where}. Resets at 00:00 UTC.`,
+            retryAfter: secondsUntilMidnight()
+          });
+        }
+      }
+    }
+  }
+
+  // Fixed one-minute windows. A request counts against every limit or none.
+  function takeRequest(limits) {
+    const time = now();
+    if (windows.size > 10000) {
+      for (const [key, window] of windows) {
+        if (time - window.start >= WINDOW_MS) windows.delete(key);
+      }
+    }
+
+    const active = limits.filter(limit => limit.max > 0).map(limit => {
+      let window = windows.get(limit.key);
+      if (!window || time - window.start >= WINDOW_MS) {
+        window = { start: time, count: 0 };
+        windows.set(limit.key, window);
+      }
+      return { ...limit, window };
+    });
+
+    const blocked = active.find(limit => limit.window.count >= limit.max);
+    if (blocked) {
+      const retryAfter = Math.max(1, Math.ceil((blocked.window.start + WINDOW_MS - time) / 1000));
+      throw new UsageLimitError('Rate limit exceeded', {
+        code: 'rate_limited',
+        details: `At most ${blocked.max} requests per minute per ${blocked.per}. Try again in ${retryAfter} s.`,
+        retryAfter
+      });
+    }
+    for (const limit of active) limit.window.count++;
+  }
+
+  // Throws UsageLimitError when the request may not go ahead
+  function admit({ owner, ip, kinds = [] }) {
+    checkQuota(owner, kinds, ip);
+    takeRequest([
+      ...(ip ? [{ key: `ip:${ip}`, max: perIpPerMinute, per: 'IP address' }] : []),
+      { key: owner, max: perMinute, per: owner.startsWith('key:') ? 'API key' : 'session' }
+    ]);
+  }
+
+  function report(owner) {
+    const totals = peek(owner);
+    const usage = {};
+    for (const kind of KINDS) {
+      const limit = quotas[kind] > 0 ? quotas[kind] : null;
+      const used = round(totals.used[kind], 1);
+      usage[kind] = {
+        used,
+        unit: QUOTAS[kind].unit,
+        limit,
+        remaining: limit === null ? null : round(Math.max(limit - used, 0), 1)
+      };
+    }
+    usage.llm.promptTokens = totals.tokens.prompt;
+    usage.llm.completionTokens = totals.tokens.completion;
+
+    const cost = KINDS.reduce((sum, kind) => sum + totals.cost[kind], 0);
+    return {
+      day: today(),
+      resetsIn: secondsUntilMidnight(),
+      rateLimit: { perMinute: perMinute > 0 ? perMinute : null },
+      usage,
+      estimatedCost: {
+        currency: 'USD',
+        stt: round(totals.cost.stt, 8),
+        llm: round(totals.cost.llm, 8),
+        tts: round(totals.cost.tts, 8),
+        total: round(cost, 8)
+      },
+      recent: totals.entries.slice(-20).reverse().map(entry => ({ ...entry, cost: round(entry.cost, 8) }))
+    };
+  }
+
+  return { run, record, admit, checkQuota, report };
+}
+
+module.exports = { createUsageTracker, UsageLimitError, estimateCost, trustProxy, PRICES };
@@ -0,0 +1,124 @@
+// ============================================
+// VOICE ACTIVITY DETECTION
+// Energy-based endpointing for 16-bit mono PCM. Feed it audio with push();
+// it reports when speech starts and hands back each finished utterance.
+// ============================================
+
+function rms(frame) {
+  let sum = 0;
+  for (let i = 0; i < frame.length; i++) {
+    const sample = frame[i] / 32768;
+    sum += sample * sample;
+  }
+  return Math.sqrt(sum / frame.length);
+}
+
+function createVoiceActivityDetector({
+  sampleRate = 16000,
+  frameMs = 20,
+  minEnergy = 0.01,        // absolute floor for the speech threshold
+  noiseRatio = 3,          // speech must be this many times the noise floor
+  minSpeechMs = 150,       // voiced audio needed before speech counts
+  endSilenceMs = 700,      // silence that ends an utterance
+  preRollMs = 300,         // audio kept from just before speech started
+  maxUtteranceMs = 30000
+} = {}) {
+  const frameSize = Math.round(sampleRate * frameMs / 1000);
+  const preRollFrames = Math.ceil(preRollMs / frameMs);
+
+  let pending = new Int16Array(0);
+  let noiseFloor = minEnergy / noiseRatio;
+  let speaking = false;
+  let voicedMs = 0;
+  let silenceMs = 0;
+  let recent = [];      // frames before speech (pre-roll)
+  let utterance = [];   // frames of the current utterance
+
+  function threshold() {
+    return Math.max(minEnergy, noiseFloor * noiseRatio);
+  }
+
+  function finishUtterance() {
+    const total = utterance.reduce((n, frame) => n + frame.length, 0);
+    const audio = new Int16Array(total);
+    let offset = 0;
+    for (const frame of utterance) {
+      audio.set(frame, offset);
+      offset += frame.length;
+    }
+
+    speaking = false;
+    voicedMs = 0;
+    silenceMs = 0;
+    utterance = [];
+    return { type: 'speech-end', audio, durationMs: Math.round(total / sampleRate * 1000) };
+  }
+
+  function processFrame(frame) {
+    const energy = rms(frame);
+    const voiced = energy > threshold();
+
+    if (!speaking) {
+      if (!voiced) {
+        // Track background noise only while nobody is talking
+        noiseFloor = noiseFloor * 0.95 + energy * 0.05;
+      }
+      voicedMs = voiced ? voicedMs + frameMs : 0;
+
+      recent.push(frame);
+      if (recent.length > preRollFrames + minSpeechMs / frameMs) recent.shift();
+
+      if (voicedMs >= minSpeechMs) {
+        speaking = true;
+        silenceMs = 0;
+        utterance = recent;
+        recent = [];
+        return { type: 'speech-start' };
+      }
+      return null;
+    }
+
+    utterance.push(frame);
+    silenceMs = voiced ? 0 : silenceMs + frameMs;
+
+    if (silenceMs >= endSilenceMs || utterance.length * frameMs >= maxUtteranceMs) {
+      return finishUtterance();
+    }
+    return null;
+  }
+
+  // Feed PCM samples; returns the events they triggered, in order
+  function push(samples) {
+    const combined = new Int16Array(pending.length + samples.length);
+    combined.set(pending);
+    combined.set(samples, pending.length);
+
+    const events = [];
+    let offset = 0;
+    while (offset + frameSize <= combined.length) {
+      const event = processFrame(combined.slice(offset, offset + frameSize));
+      if (event) events.push(event);
+      offset += frameSize;
+    }
+
+    pending = combined.slice(offset);
+    return events;
+  }
+
+  function isSpeaking() {
+    return speaking;
+  }
+
+  function reset() {
+    pending = new Int16Array(0);
+    speaking = false;
+    voicedMs = 0;
+    silenceMs = 0;
+    recent = [];
+    utterance = [];
+  }
+
+  return { push, isSpeaking, reset };
+}
+
+module.exports = { createVoiceActivityDetector };
@@ -0,0 +1,70 @@
+// ============================================
+// WAV ENCODING
+// Wraps 16-bit mono PCM samples in a RIFF/WAVE header, and reads the
+// length back out of one.
+// ============================================
+
+function encodeWav(samples, sampleRate) {
+  const dataSize = samples.length * 2;
+  const buffer = Buffer.alloc(44 + dataSize);
+
+  buffer.write('RIFF', 0);
+  buffer.writeUInt32LE(36 + dataSize, 4);
+  buffer.write('WAVE', 8);
+  buffer.write('fmt ', 12);
+  buffer.writeUInt32LE(16, 16);             // fmt chunk size
+  buffer.writeUInt16LE(1, 20);              // PCM
+  buffer.writeUInt16LE(1, 22);              // mono
+  buffer.writeUInt32LE(sampleRate, 24);
+  buffer.writeUInt32LE(sampleRate * 2, 28); // byte rate
+  buffer.writeUInt16LE(2, 32);              // block align
+  buffer.writeUInt16LE(16, 34);             // bits per sample
+  buffer.write('data', 36);
+  buffer.writeUInt32LE(dataSize, 40);
+
+  for (let i = 0; i < samples.length; i++) {
+    buffer.writeInt16LE(samples[i], 44 + i * 2);
+  }
+
+  return buffer;
+}
+
+// Reads the format and the location of the samples from a RIFF/WAVE file.
+// Returns null if the buffer isn't one or has no fmt / data chunk.
+function parseWav(buffer) {
+  if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    return null;
+  }
+
+  let format = null;
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString('ascii', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const body = offset + 8;
+
+    if (id === 'fmt ' && body + 16 <= buffer.length) {
+      format = {
+        audioFormat: buffer.readUInt16LE(body),
+        channels: buffer.readUInt16LE(body + 2),
+        sampleRate: buffer.readUInt32LE(body + 4),
+        byteRate: buffer.readUInt32LE(body + 8),
+        bitsPerSample: buffer.readUInt16LE(body + 14)
+      };
+    } else if (id === 'data' && format) {
+      // Streamed recordings may leave the size at 0 or 0xFFFFFFFF
+      const dataLength = size === 0 || body + size > buffer.length ? buffer.length - body : size;
+      return { ...format, dataOffset: body, dataLength };
+    }
+    offset = body + size + (size % 2);
+  }
+  return null;
+}
+
+// Length in seconds of a WAV clip, or null if the buffer isn't one
+function wavDuration(buffer) {
+  const wav = parseWav(buffer);
+  return wav && wav.byteRate > 0 ? wav.dataLength / wav.byteRate : null;
+}
+
+module.exports = { encodeWav, parseWav, wavDuration };
@@ -0,0 +1,113 @@
+// ============================================
+// WORD TIMINGS
+// When each word of a message is spoken, for captions that follow the
+// audio: [{ word, start, end }] in seconds, one entry per whitespace-
+// separated word of the message text, in order.
+//
+// User messages keep the timings their transcription reported. Character
+// replies get estimates: a clip's length is shared out between its words by
+// their length, with extra room after punctuation, where speech pauses.
+// Streamed replies are estimated sentence by sentence within each
+// sentence's own clip, which keeps long replies close to the audio. Clips
+// of unknown length are assumed to be spoken at an average rate.
+// ============================================
+
+const { audioDuration } = require('./audio-format');
+
+// Average speaking rate at speed 1.0, in characters per second
+const CHARACTERS_PER_SECOND = 14;
+// How many characters' worth of silence follows each kind of punctuation
+const PAUSES = { ',': 2, ';': 2, ':': 2, '—': 2, '.': 4, '!': 4, '?': 4, '…': 4 };
+const MAX_WORDS = 2000;
+const MAX_WORD_LENGTH = 100;
+
+function wordsOf(text) {
+  return text.split(/\s+/).filter(Boolean);
+}
+
+function round(seconds) {
+  return Math.round(seconds * 1000) / 1000;
+}
+
+function pauseAfter(word) {
+  return PAUSES[word.replace(/["'”’)\]]+$/, '').slice(-1)] || 0;
+}
+
+// The word itself plus the gap before the next one
+function weightOf(word) {
+  return word.length + 1 + pauseAfter(word);
+}
+
+// How long `text` takes to say at `speed`, for clips of unknown length
+function speakingTime(text, speed = 1) {
+  return wordsOf(text).reduce((sum, word) => sum + weightOf(word), 0) / (CHARACTERS_PER_SECOND * speed);
+}
+
+// Timings for `text` spoken over `duration` seconds starting at `offset`
+// (duration null: estimated from the text and `speed`)
+function estimateWordTimings(text, duration, { offset = 0, speed = 1 } = {}) {
+  const words = wordsOf(text);
+  if (words.length === 0) return [];
+  const total = words.reduce((sum, word) => sum + weightOf(word), 0);
+  const length = duration > 0 ? duration : speakingTime(text, speed);
+  const perUnit = length / total;
+
+  let time = offset;
+  return words.map(word => {
+    const start = time;
+    time += weightOf(word) * perUnit;
+    // The pause after a word is nobody's: the highlight moves on after it
+    return { word, start: round(start), end: round(time - (pauseAfter(word) + 1) * perUnit) };
+  });
+}
+
+// Timings for a reply whose clips (one per segment of text, e.g. a streamed
+// reply's sentences) are played back to back. If the segments don't add up
+// to the reply's words (a label was stripped, say), the reply is estimated
+// as a whole over the clips' combined length.
+function alignWordTimings(text, segments, { speed = 1 } = {}) {
+  const timed = segments.map(segment => ({
+    text: segment.text,
+    duration: segment.duration > 0 ? segment.duration : speakingTime(segment.text, speed)
+  }));
+
+  let offset = 0;
+  const words = [];
+  for (const segment of timed) {
+    words.push(...estimateWordTimings(segment.text, segment.duration, { offset }));
+    offset += segment.duration;
+  }
+
+  const expected = wordsOf(text);
+  if (words.length !== expected.length) return estimateWordTimings(text, offset);
+  return words.map((timing, i) => ({ ...timing, word: expected[i] }));
+}
+
+// Timings for `text` spoken in the MP3 `audio`
+function wordTimingsFor(text, audio, options = {}) {
+  return estimateWordTimings(text, audioDuration(audio), options);
+}
+
+// Timings from a client or a provider, tidied up; null if they aren't usable
+function sanitizeWordTimings(words) {
+  if (!Array.isArray(words) || words.length === 0 || words.length > MAX_WORDS) return null;
+
+  const clean = [];
+  for (const item of words) {
+    if (!item || typeof item.word !== 'string' || !Number.isFinite(item.start) || !Number.isFinite(item.end)) {
+      return null;
+    }
+    if (item.start < 0 || item.end < item.start) return null;
+    const word = item.word.trim();
+    if (word) clean.push({ word: word.slice(0, MAX_WORD_LENGTH), start: round(item.start), end: round(item.end) });
+  }
+  return clean.length > 0 ? clean : null;
+}
+
+module.exports = {
+  estimateWordTimings,
+  alignWordTimings,
+  wordTimingsFor,
+  sanitizeWordTimings,
+  speakingTime
+};
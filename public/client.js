@@ -6,23 +6,114 @@
 let mediaRecorder;
 let audioChunks = [];
 let isRecording = false;
-let currentCharacter = 'joey';
+let currentCharacter = null;
 
-let chatHistories = {
-  joey: [],
-  dwight: [],
-  dhruv: []
-};
+// Characters as served by GET /api/characters, keyed by ID
+let characterInfo = {};
+
+let chatHistories = {};
+
+// Characters whose history has been fetched from the server this page load
+const loadedHistories = {};
 
 let audioPlayer = null;
 let currentlyPlayingIndex = null;
 let currentlyPlayingCharacter = null;
 
-let recordBtn, stopBtn, clearBtn, statusBox, statusText, connectionStatus, chatHistory;
+// Streaming mode: text renders as it arrives, audio plays sentence by sentence
+let streamingEnabled = true;
+let audioContext = null;
+let playbackCursor = 0;
+let scheduledSources = [];
+let decodeChain = Promise.resolve();
+
+// Hands-free mode: microphone streamed over socket.io, server-side VAD
+const VOICE_SAMPLE_RATE = 16000;
+let handsFree = false;
+let voiceSocket = null;
+let micStream = null;
+let micContext = null;
+let voiceReply = null;
+
+// Group chat: several characters share one room; currentCharacter then holds
+// the room ID (same format as the server's, e.g. "room:dwight+joey")
+const MAX_ROOM_MEMBERS = 4;
+let roomMode = false;
+let roomMembers = [];
+
+// Debate mode: the room's characters argue a topic while the user moderates.
+// Playback is reported back so the server stays one turn ahead of what the
+// user has heard.
+const DEBATE_TURNS = 6;
+let activeDebate = null;
+
+// Conversations switched to text-only replies (no TTS), kept across reloads
+const TEXT_ONLY_STORAGE_KEY = 'voiceChatTextOnly';
+const textOnlyConversations = new Set(JSON.parse(localStorage.getItem(TEXT_ONLY_STORAGE_KEY) || '[]'));
+
+// The language the user speaks; "auto" lets the server detect it
+const LANGUAGE_STORAGE_KEY = 'voiceChatLanguage';
+let languageSetting = localStorage.getItem(LANGUAGE_STORAGE_KEY) || 'auto';
+const languageNames = new Intl.DisplayNames([navigator.language || 'en'], { type: 'language' });
+
+let messageForm, messageInput, sendBtn, voiceToggle, languageSelect;
+let recordBtn, stopBtn, clearBtn, handsFreeBtn, roomBtn, roomStrategy, debateBtn, debatePauseBtn, debateTopicBtn;
+let statusBox, statusText, statusRetry, connectionStatus, chatHistory, branchSelect;
+let memoryBtn, memoryPanel;
+
+// Session ID issued by the server, kept across page loads
+const SESSION_STORAGE_KEY = 'voiceChatSessionId';
+let sessionId = localStorage.getItem(SESSION_STORAGE_KEY);
+
+// User ID the characters' long-term memories belong to; outlives sessions
+const USER_STORAGE_KEY = 'voiceChatUserId';
+let userId = localStorage.getItem(USER_STORAGE_KEY);
+
+// fetch() wrapper that sends and remembers the session and user IDs
+async function apiFetch(url, options = {}) {
+  const headers = { ...(options.headers || {}) };
+  if (sessionId) {
+    headers['X-Session-Id'] = sessionId;
+  }
+  if (userId) {
+    headers['X-User-Id'] = userId;
+  }
+  
+  const res = await fetch(url, { ...options, headers });
+  
+  const returnedId = res.headers.get('X-Session-Id');
+  if (returnedId && returnedId !== sessionId) {
+    sessionId = returnedId;
+    localStorage.setItem(SESSION_STORAGE_KEY, sessionId);
+    console.log('🔑 Session:', sessionId);
+  }
+  
+  const returnedUserId = res.headers.get('X-User-Id');
+  if (returnedUserId && returnedUserId !== userId) {
+    userId = returnedUserId;
+    localStorage.setItem(USER_STORAGE_KEY, userId);
+  }
+  
+  // Rate limit or daily quota: every caller reports the server's explanation
+  if (res.status === 429) {
+    const { error, details } = await res.json().catch(() => ({}));
+    console.warn('⏳ Usage limit:', details || error);
+    throw new Error(details || error || 'Too many requests, try again shortly');
+  }
+  
+  return res;
+}
+
+// One ID per turn, sent as X-Request-Id so the server's logs tie the
+// turn's transcribe and reply requests together (crypto.randomUUID needs a
+// secure context; plain-http LAN addresses get a random fallback)
+function newRequestId() {
+  if (window.crypto && crypto.randomUUID) return crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
 
 // Format timestamp
-function formatTimestamp() {
-  const now = new Date();
+function formatTimestamp(now = new Date()) {
   const hours = now.getHours().toString().padStart(2, '0');
   const minutes = now.getMinutes().toString().padStart(2, '0');
   const day = now.getDate();
@@ -30,22 +121,354 @@ function formatTimestamp() {
   return `${hours}:${minutes} • ${day} ${month}`;
 }
 
+// "Hindi" for "hi"
+function languageLabel(code) {
+  try {
+    return languageNames.of(code) || code;
+  } catch {
+    return code;
+  }
+}
+
+// The line under a message: its time, and the language once it's known
+function createMessageMeta(item) {
+  const metaDiv = document.createElement('div');
+  metaDiv.className = 'message-timestamp';
+  updateMessageMeta(metaDiv, item);
+  return metaDiv;
+}
+
+// How a reply is said (see lib/emotions.js), shown next to its time
+const EMOTION_ICONS = {
+  neutral: '😐',
+  happy: '😊',
+  excited: '🤩',
+  flirty: '😏',
+  angry: '😠',
+  sad: '😢',
+  deadpan: '😑',
+  surprised: '😲',
+  nervous: '😬',
+  thoughtful: '🤔'
+};
+const INTENSITY_WORDS = { 1: 'a little ', 2: '', 3: 'very ' };
+
+function emotionLabel({ name, intensity }) {
+  return `${EMOTION_ICONS[name] || '🎭'} ${INTENSITY_WORDS[intensity] || ''}${name}`;
+}
+
+function updateMessageMeta(metaDiv, item) {
+  const parts = [item.timestamp];
+  if (item.emotion) parts.push(emotionLabel(item.emotion));
+  if (item.language) parts.push(`🌐 ${languageLabel(item.language)}`);
+  if (item.edited) parts.push('✏️ edited');
+  metaDiv.textContent = parts.join(' · ');
+}
+
+// What the guardrails did to a reply (see lib/guardrails.js)
+const GUARDRAIL_LABELS = {
+  restricted_topic: '🛡️ Steered away from a restricted topic',
+  out_of_character: '🛡️ Adjusted to stay in character',
+  output_flagged: '🛡️ Moderation changed this reply'
+};
+
+// One note per kind of intervention, shown under the bubble
+function createGuardrailNotes(interventions) {
+  const codes = [...new Set(interventions.map(intervention => intervention.code))];
+  const notesDiv = document.createElement('div');
+  notesDiv.className = 'message-guardrail';
+  notesDiv.textContent = codes.map(code => GUARDRAIL_LABELS[code] || `🛡️ ${code}`).join(' · ');
+  notesDiv.title = interventions.map(({ code, action, details }) =>
+    `${code}: ${action}${details ? ` (${details})` : ''}`).join('\n');
+  return notesDiv;
+}
+
+function setMessageGuardrails(entry, interventions) {
+  if (!entry || !interventions || interventions.length === 0) return;
+  entry.historyItem.guardrails = interventions;
+  entry.metaDiv.before(createGuardrailNotes(interventions));
+}
+
+// The passages of the character's documents a reply drew on, numbered like
+// the prompt had them; hover a citation for its excerpt
+function createSourceNotes(sources) {
+  const sourcesDiv = document.createElement('div');
+  sourcesDiv.className = 'message-sources';
+  sourcesDiv.textContent = '📚 ';
+  sources.forEach((source, i) => {
+    const cite = document.createElement('span');
+    cite.className = 'message-source';
+    cite.textContent = `[${i + 1}] ${source.title}`;
+    cite.title = source.excerpt;
+    sourcesDiv.appendChild(cite);
+  });
+  return sourcesDiv;
+}
+
+function setMessageSources(entry, sources) {
+  if (!entry || !sources || sources.length === 0) return;
+  entry.historyItem.sources = sources;
+  entry.metaDiv.before(createSourceNotes(sources));
+}
+
+function setMessageEmotion(entry, emotion) {
+  if (!entry || !emotion) return;
+  entry.historyItem.emotion = emotion;
+  updateMessageMeta(entry.metaDiv, entry.historyItem);
+}
+
+// A message's text, word by word when we know when each word was said (see
+// lib/word-timings.js): hover a word for its time, click a word of a reply
+// to hear it from there
+function renderMessageText(textDiv, item) {
+  const parts = item.message.split(/(\s+)/);
+  const words = item.words || [];
+  if (words.length === 0 || words.length !== parts.filter(part => part.trim()).length) {
+    textDiv.textContent = item.message;
+    return;
+  }
+  
+  textDiv.textContent = '';
+  let index = 0;
+  parts.forEach(part => {
+    if (!part.trim()) {
+      if (part) textDiv.appendChild(document.createTextNode(part));
+      return;
+    }
+    const { start, end } = words[index++];
+    const span = document.createElement('span');
+    span.className = 'message-word';
+    span.textContent = part;
+    span.dataset.start = start;
+    span.dataset.end = end;
+    span.title = `${start.toFixed(1)} s`;
+    textDiv.appendChild(span);
+  });
+}
+
+function setMessageLanguage(entry, language) {
+  if (!entry || !language) return;
+  entry.historyItem.language = language;
+  updateMessageMeta(entry.metaDiv, entry.historyItem);
+}
+
 // Show/hide status
 function showStatus(message) {
   if (statusBox) {
     statusBox.classList.remove('hidden');
     statusText.textContent = message;
+    statusRetry.classList.add('hidden');
+  }
+}
+
+// Show why a step failed; rejected recordings already carry a friendly message
+function showStepError(error) {
+  console.error('❌ Error:', error.message);
+  showStatus(error.code ? error.message : `❌ Error: ${error.message}`);
+}
+
+// A retry button next to the status that runs the failed step again
+function offerRetry(step) {
+  statusRetry.classList.remove('hidden');
+  statusRetry.onclick = async () => {
+    statusRetry.classList.add('hidden');
+    try {
+      await step();
+    } catch (error) {
+      showStepError(error);
+      offerRetry(step);
+    }
+  };
+}
+
+// Steps of a reply that fell back on the server
+const DEGRADED_LABELS = {
+  llm: "⚠️ Couldn't reach the model, so this is a stand-in reply",
+  tts: '🔇 No audio this time'
+};
+
+// A "retry this step" button under a message, gone once the retry works
+function addRetryButton(entry, label, step) {
+  const button = document.createElement('button');
+  button.className = 'message-retry';
+  button.textContent = `🔁 ${label}`;
+  button.onclick = async () => {
+    button.disabled = true;
+    try {
+      await step();
+      button.remove();
+    } catch (error) {
+      showStepError(error);
+      button.disabled = false;
+    }
+  };
+  entry.metaDiv.before(button);
+}
+
+// Notes (and retry buttons) for a reply that came back degraded. `retryReply`
+// asks for the reply again; rooms can only retry the audio.
+function showDegraded(entry, degraded, { character, retryReply = null }) {
+  if (!entry || !degraded || degraded.length === 0) return;
+  
+  const note = document.createElement('div');
+  note.className = 'message-degraded';
+  note.textContent = degraded.map(step => DEGRADED_LABELS[step] || step).join(' · ');
+  entry.metaDiv.before(note);
+  
+  if (degraded.includes('llm') && retryReply) {
+    addRetryButton(entry, 'Retry reply', retryReply);
+  } else if (degraded.includes('tts')) {
+    addRetryButton(entry, 'Retry audio', () => retrySpeech(entry, character));
   }
 }
 
+// Voice a reply that went out as text only. The clip is linked to the
+// stored message so it is there after a reload.
+async function retrySpeech(entry, character) {
+  const conversation = currentCharacter;
+  const { message, id, language, emotion } = entry.historyItem;
+  const res = await apiFetch('/api/tts', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      text: message,
+      character,
+      language,
+      emotion,
+      ...(id ? { messageId: id, conversationId: conversation } : {})
+    })
+  });
+  if (!res.ok) throw requestError(await res.json().catch(() => ({})), 'Text-to-speech failed');
+  
+  const { audioUrl, words } = await res.json();
+  entry.historyItem.audioUrl = audioUrl;
+  entry.historyItem.audioExpired = false;
+  entry.historyItem.words = words;
+  if (currentCharacter !== conversation) return;
+  renderMessageText(entry.textDiv, entry.historyItem);
+  entry.bubble.appendChild(createPlayButton(conversation, entry.messageIndex));
+  autoplayReply(audioUrl, entry.messageIndex);
+}
+
 function hideStatus() {
   if (statusBox) {
     statusBox.classList.add('hidden');
   }
 }
 
+// Voice replies are on unless this conversation was switched to text-only
+function voiceRepliesEnabled() {
+  return !textOnlyConversations.has(currentCharacter);
+}
+
+function setVoiceReplies(enabled) {
+  if (!currentCharacter) return;
+  
+  if (enabled) textOnlyConversations.delete(currentCharacter);
+  else textOnlyConversations.add(currentCharacter);
+  localStorage.setItem(TEXT_ONLY_STORAGE_KEY, JSON.stringify([...textOnlyConversations]));
+  console.log(`🔊 Voice replies ${enabled ? 'on' : 'off'} for ${currentCharacter}`);
+}
+
+function setLanguage(language) {
+  languageSetting = language;
+  localStorage.setItem(LANGUAGE_STORAGE_KEY, language);
+  console.log(`🌐 Language: ${language}`);
+  
+  // The voice channel picks the setting up on its next start
+  if (handsFree && voiceSocket && !roomMode) {
+    voiceSocket.emit('voice:start', { character: currentCharacter, sampleRate: VOICE_SAMPLE_RATE, language });
+  }
+}
+
+// Join names as "A, B, or C"
+function formatNameList(names) {
+  if (names.length <= 1) return names.join('');
+  return `${names.slice(0, -1).join(', ')}, or ${names[names.length - 1]}`;
+}
+
+function roomIdFor(characterIds) {
+  return `room:${[...characterIds].sort().join('+')}`;
+}
+
+function isRoomId(id) {
+  return typeof id === 'string' && id.startsWith('room:');
+}
+
+// Load the character registry and build the selection buttons
+async function loadCharacters() {
+  const res = await apiFetch('/api/characters');
+  if (!res.ok) throw new Error(`Could not load characters (HTTP ${res.status})`);
+  
+  const list = await res.json();
+  characterInfo = {};
+  
+  const container = document.getElementById('characterButtons');
+  container.innerHTML = '';
+  
+  list.forEach(char => {
+    characterInfo[char.id] = char;
+    if (!chatHistories[char.id]) {
+      chatHistories[char.id] = [];
+    }
+    
+    const btn = document.createElement('button');
+    btn.className = 'character-btn';
+    btn.dataset.character = char.id;
+    btn.appendChild(document.createTextNode(`${char.emoji} ${char.shortName}`));
+    btn.appendChild(document.createElement('br'));
+    const small = document.createElement('small');
+    small.textContent = char.tagline;
+    btn.appendChild(small);
+    btn.addEventListener('click', () => (roomMode ? toggleRoomMember(char.id) : selectCharacter(char.id)));
+    container.appendChild(btn);
+  });
+  
+  document.getElementById('headerTagline').textContent =
+    `Talk to ${formatNameList(list.map(char => char.shortName))}`;
+  
+  console.log(`✅ Loaded ${list.length} characters`);
+  return list;
+}
+
+// A stored message from the server, as kept in chatHistories
+function toHistoryItem(m) {
+  return {
+    id: m.id,
+    sender: m.role === 'user' ? 'user' : 'character',
+    speaker: m.speaker,
+    message: m.content,
+    audioUrl: m.audioUrl,
+    audioExpired: m.audioExpired,
+    language: m.language,
+    guardrails: m.guardrails,
+    sources: m.sources,
+    emotion: m.emotion,
+    words: m.words,
+    edited: m.edited,
+    timestamp: formatTimestamp(new Date(m.timestamp))
+  };
+}
+
+// Fetch a character's stored conversation so the chat survives a reload
+async function fetchCharacterHistory(character) {
+  if (loadedHistories[character]) return;
+  
+  try {
+    const res = await apiFetch(`/api/history/${encodeURIComponent(character)}`);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    
+    const { messages } = await res.json();
+    chatHistories[character] = messages.map(toHistoryItem);
+    loadedHistories[character] = true;
+    console.log(`📜 Restored ${messages.length} messages for ${character}`);
+  } catch (error) {
+    console.error(`❌ Could not restore history for ${character}:`, error);
+  }
+}
+
 // Select a character
-function selectCharacter(characterName) {
+async function selectCharacter(characterName) {
   console.log(`👤 Selected character: ${characterName}`);
   currentCharacter = characterName;
   
@@ -58,9 +481,110 @@ function selectCharacter(characterName) {
     }
   });
   
-  loadCharacterHistory(characterName);
   updateCharacterDisplay(characterName);
   hideStatus();
+  
+  if (handsFree && voiceSocket) {
+    voiceReply = null;
+    stopAllPlayback();
+    voiceSocket.emit('voice:start', { character: characterName, sampleRate: VOICE_SAMPLE_RATE, language: languageSetting });
+  }
+  
+  await openConversation(characterName);
+}
+
+// Restore and show a conversation (character or room)
+async function openConversation(conversationId) {
+  if (!chatHistories[conversationId]) {
+    chatHistories[conversationId] = [];
+  }
+  voiceToggle.checked = voiceRepliesEnabled();
+  
+  await fetchCharacterHistory(conversationId);
+  if (currentCharacter === conversationId) {
+    loadCharacterHistory(conversationId);
+  }
+  await loadBranches(conversationId);
+}
+
+// Add or remove a character from the group chat
+async function toggleRoomMember(character) {
+  if (activeDebate) stopDebate();
+  
+  if (roomMembers.includes(character)) {
+    roomMembers = roomMembers.filter(id => id !== character);
+  } else if (roomMembers.length < MAX_ROOM_MEMBERS) {
+    roomMembers.push(character);
+  } else {
+    showStatus(`👥 A group chat can have up to ${MAX_ROOM_MEMBERS} characters`);
+    return;
+  }
+  
+  await showRoom();
+}
+
+// Show the room for the selected members, once there are enough of them
+async function showRoom() {
+  document.querySelectorAll('.character-btn').forEach(btn => {
+    btn.classList.toggle('active', roomMembers.includes(btn.dataset.character));
+  });
+  hideStatus();
+  
+  if (roomMembers.length < 2) {
+    currentCharacter = null;
+    updateCharacterDisplay(null);
+    branchSelect.classList.add('hidden');
+    chatHistory.innerHTML = '<p class="history-placeholder">Pick at least two characters for a group chat...</p>';
+    return;
+  }
+  
+  const roomId = roomIdFor(roomMembers);
+  console.log(`👥 Room: ${roomId}`);
+  currentCharacter = roomId;
+  updateCharacterDisplay(roomId);
+  await openConversation(roomId);
+}
+
+// Switch between one-on-one and group chat
+async function setRoomMode(enabled) {
+  if (enabled && handsFree) stopHandsFree();
+  if (activeDebate) stopDebate();
+  stopAllPlayback();
+  
+  roomMode = enabled;
+  roomBtn.classList.toggle('active', enabled);
+  roomStrategy.classList.toggle('hidden', !enabled);
+  debateBtn.classList.toggle('hidden', !enabled);
+  handsFreeBtn.disabled = enabled;
+  
+  if (enabled) {
+    // Start from the character already on screen
+    roomMembers = currentCharacter ? [currentCharacter] : [];
+    await showRoom();
+  } else {
+    const next = roomMembers[0] || Object.keys(characterInfo)[0];
+    roomMembers = [];
+    await selectCharacter(next);
+  }
+}
+
+// Create the inline play button for a character message
+function createPlayButton(character, index) {
+  const playBtn = document.createElement('button');
+  playBtn.className = 'play-button-inline';
+  playBtn.id = `play-btn-${character}-${index}`;
+  playBtn.textContent = '▶️';
+  playBtn.onclick = () => playMessageAudio(character, index);
+  return playBtn;
+}
+
+// Name label shown above a group chat reply
+function createSpeakerLabel(speaker) {
+  const info = characterInfo[speaker];
+  const label = document.createElement('div');
+  label.className = 'label speaker-label';
+  label.textContent = info ? `${info.emoji} ${info.shortName}` : speaker;
+  return label;
 }
 
 // Load character's chat history
@@ -78,6 +602,7 @@ function loadCharacterHistory(character) {
   history.forEach((item, index) => {
     const historyMsg = document.createElement('div');
     historyMsg.className = `history-message ${item.sender === 'user' ? 'user' : 'character'}`;
+    historyMsg.dataset.index = index;
     
     // Create label for user messages
     if (item.sender === 'user') {
@@ -85,6 +610,8 @@ function loadCharacterHistory(character) {
       label.className = 'label';
       label.textContent = 'You';
       historyMsg.appendChild(label);
+    } else if (item.speaker) {
+      historyMsg.appendChild(createSpeakerLabel(item.speaker));
     }
     
     // Create message bubble
@@ -94,34 +621,43 @@ function loadCharacterHistory(character) {
     // Create message text
     const textDiv = document.createElement('div');
     textDiv.className = 'message-text';
-    textDiv.textContent = item.message;
+    renderMessageText(textDiv, item);
     bubble.appendChild(textDiv);
     
     // Create play button for character messages with audio
-    if (item.sender === 'character' && item.audio) {
-      const playBtn = document.createElement('button');
-      playBtn.className = 'play-button-inline';
-      playBtn.id = `play-btn-${character}-${index}`;
-      playBtn.textContent = '▶️';
-      playBtn.onclick = () => playMessageAudio(character, index);
-      bubble.appendChild(playBtn);
+    if (item.sender === 'character' && item.audioUrl) {
+      bubble.appendChild(createPlayButton(character, index));
       console.log(`✅ Loaded play button for ${character} message ${index}`);
     }
     
     historyMsg.appendChild(bubble);
     
+    if (item.guardrails && item.guardrails.length > 0) {
+      historyMsg.appendChild(createGuardrailNotes(item.guardrails));
+    }
+    
+    if (item.sources && item.sources.length > 0) {
+      historyMsg.appendChild(createSourceNotes(item.sources));
+    }
+    
     // Create timestamp
     if (item.timestamp) {
-      const timestampDiv = document.createElement('div');
-      timestampDiv.className = 'message-timestamp';
-      timestampDiv.textContent = item.timestamp;
-      historyMsg.appendChild(timestampDiv);
+      const metaDiv = createMessageMeta(item);
+      historyMsg.appendChild(metaDiv);
+
+      // The server no longer has the clip: offer to voice the reply again
+      if (item.audioExpired && !item.audioUrl) {
+        const entry = { historyItem: item, textDiv, bubble, messageIndex: index, metaDiv };
+        addRetryButton(entry, 'Voice again', () => retrySpeech(entry, item.speaker || character));
+      }
     }
     
+    historyMsg.appendChild(createMessageActions(character, index));
     chatHistory.appendChild(historyMsg);
   });
   
   updatePlayButtonStates();
+  updateMessageActions();
   chatHistory.scrollTop = chatHistory.scrollHeight;
 }
 
@@ -146,8 +682,154 @@ function updatePlayButtonStates() {
   });
 }
 
-// Play audio from message
-function playMessageAudio(character, messageIndex) {
+function getAudioContext() {
+  if (!audioContext) {
+    audioContext = new (window.AudioContext || window.webkitAudioContext)();
+  }
+  return audioContext;
+}
+
+// Queue a streamed clip. Clips are fetched right away but decoded in
+// arrival order and scheduled back-to-back on one AudioContext so sentences
+// play without gaps.
+function enqueueAudioChunk(audioUrl) {
+  const ctx = getAudioContext();
+  const bytes = fetch(audioUrl).then(response => {
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return response.arrayBuffer();
+  });
+  bytes.catch(() => {}); // reported when its turn in decodeChain comes
+
+  decodeChain = decodeChain
+    .then(async () => {
+      const buffer = await ctx.decodeAudioData(await bytes);
+      const source = ctx.createBufferSource();
+      source.buffer = buffer;
+      source.connect(ctx.destination);
+      
+      const startAt = Math.max(ctx.currentTime + 0.05, playbackCursor);
+      source.start(startAt);
+      playbackCursor = startAt + buffer.duration;
+      
+      scheduledSources.push(source);
+      source.onended = () => {
+        scheduledSources = scheduledSources.filter(s => s !== source);
+      };
+    })
+    .catch(err => console.error('❌ Could not play audio chunk:', err));
+}
+
+// Stop every kind of playback (barge-in, clear chat)
+function stopAllPlayback() {
+  stopStreamedAudio();
+  stopCaptions();
+  if (audioPlayer && !audioPlayer.paused) {
+    audioPlayer.pause();
+    audioPlayer.currentTime = 0;
+  }
+  currentlyPlayingIndex = null;
+  currentlyPlayingCharacter = null;
+  updatePlayButtonStates();
+}
+
+// Stop any streamed audio that is playing or scheduled
+function stopStreamedAudio() {
+  scheduledSources.forEach(source => {
+    try {
+      source.stop();
+    } catch (e) {
+      // already stopped
+    }
+  });
+  scheduledSources = [];
+  playbackCursor = 0;
+}
+
+// Read a Server-Sent Events response body, calling onEvent(event, data)
+async function readEventStream(res, onEvent) {
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    
+    buffer += decoder.decode(value, { stream: true });
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const raw = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+      
+      let event = 'message';
+      let data = '';
+      raw.split('\n').forEach(line => {
+        if (line.startsWith('event: ')) event = line.slice(7);
+        else if (line.startsWith('data: ')) data += line.slice(6);
+      });
+      
+      if (data) onEvent(event, JSON.parse(data));
+    }
+  }
+}
+
+// Karaoke captions: while a reply plays from audioPlayer, the word being
+// said is highlighted and the words before it are marked as spoken
+let captionFrame = null;
+
+function followCaptions(character, messageIndex) {
+  stopCaptions();
+  if (character !== currentCharacter) return;
+  
+  const historyMsg = chatHistory.querySelector(`.history-message[data-index="${messageIndex}"]`);
+  const spans = historyMsg ? [...historyMsg.querySelectorAll('.message-word')] : [];
+  if (spans.length === 0) return;
+  
+  let current = -1;
+  const tick = () => {
+    const time = audioPlayer.currentTime;
+    let index = -1;
+    while (index + 1 < spans.length && Number(spans[index + 1].dataset.start) <= time) index++;
+    if (index !== current) {
+      current = index;
+      spans.forEach((span, i) => {
+        span.classList.toggle('spoken', i < index);
+        span.classList.toggle('speaking', i === index);
+      });
+    }
+    captionFrame = requestAnimationFrame(tick);
+  };
+  tick();
+}
+
+function stopCaptions() {
+  if (captionFrame !== null) cancelAnimationFrame(captionFrame);
+  captionFrame = null;
+  if (!chatHistory) return;
+  chatHistory.querySelectorAll('.message-word.spoken, .message-word.speaking').forEach(span => {
+    span.classList.remove('spoken', 'speaking');
+  });
+}
+
+// A clicked word plays its reply from that word, or jumps there if the
+// reply is already playing
+function seekToWord(event) {
+  const span = event.target.closest('.message-word');
+  if (!span) return;
+  const messageIndex = Number(span.closest('.history-message').dataset.index);
+  const message = (chatHistories[currentCharacter] || [])[messageIndex];
+  if (!message || message.sender !== 'character' || !message.audioUrl) return;
+  
+  const time = Number(span.dataset.start);
+  if (currentlyPlayingIndex === messageIndex && currentlyPlayingCharacter === currentCharacter && !audioPlayer.paused) {
+    audioPlayer.currentTime = time;
+    return;
+  }
+  playMessageAudio(currentCharacter, messageIndex, time);
+}
+
+// Play audio from message, from `startAt` seconds in
+function playMessageAudio(character, messageIndex, startAt = 0) {
   console.log(`🎵 Playing ${character} message ${messageIndex}`);
   
   if (!audioPlayer) {
@@ -162,7 +844,7 @@ function playMessageAudio(character, messageIndex) {
   }
   
   const message = history[messageIndex];
-  if (!message.audio) {
+  if (!message.audioUrl) {
     alert('No audio available for this message.');
     return;
   }
@@ -171,6 +853,7 @@ function playMessageAudio(character, messageIndex) {
   if (currentlyPlayingIndex === messageIndex && currentlyPlayingCharacter === character && !audioPlayer.paused) {
     audioPlayer.pause();
     audioPlayer.currentTime = 0;
+    stopCaptions();
     currentlyPlayingIndex = null;
     currentlyPlayingCharacter = null;
     updatePlayButtonStates();
@@ -178,21 +861,20 @@ function playMessageAudio(character, messageIndex) {
     return;
   }
   
+  stopStreamedAudio();
+  
   try {
-    const audioData = new Uint8Array(
-      atob(message.audio).split('').map(c => c.charCodeAt(0))
-    );
-    const audioBlob = new Blob([audioData], { type: 'audio/mp3' });
-    const audioUrl = URL.createObjectURL(audioBlob);
-    
     currentlyPlayingIndex = messageIndex;
     currentlyPlayingCharacter = character;
     
-    audioPlayer.src = audioUrl;
+    // Clips are immutable, so replays come straight from the browser cache
+    audioPlayer.src = message.audioUrl;
+    audioPlayer.currentTime = startAt;
     audioPlayer.play()
       .then(() => {
         console.log('✅ Playing audio');
         updatePlayButtonStates();
+        followCaptions(character, messageIndex);
       })
       .catch(err => {
         console.error('❌ Playback blocked:', err);
@@ -204,6 +886,7 @@ function playMessageAudio(character, messageIndex) {
     
     audioPlayer.onended = () => {
       console.log('✅ Audio finished');
+      stopCaptions();
       currentlyPlayingIndex = null;
       currentlyPlayingCharacter = null;
       updatePlayButtonStates();
@@ -217,26 +900,59 @@ function playMessageAudio(character, messageIndex) {
 
 // Update character display
 function updateCharacterDisplay(character) {
-  const info = {
-    joey: { name: 'Joey Tribbiani', source: 'From F.R.I.E.N.D.S' },
-    dwight: { name: 'Dwight K. Schrute', source: 'From The Office' },
-    dhruv: { name: 'Dhruv Rathee', source: 'YouTuber / Social Commentator' }
-  };
+  const nameEl = document.getElementById('characterName');
+  const sourceEl = document.getElementById('characterSource');
+  const disclaimerEl = document.getElementById('characterDisclaimer');
   
-  document.getElementById('characterName').textContent = info[character].name;
-  document.getElementById('characterSource').textContent = info[character].source;
+  if (roomMode) {
+    const names = roomMembers.map(id => characterInfo[id].shortName);
+    nameEl.textContent = character ? `👥 ${names.join(' & ')}` : '👥 Group chat';
+    sourceEl.textContent = character ? 'Group chat' : 'Pick two or more characters';
+    // Every member's disclaimer applies to the group
+    const disclaimers = roomMembers.map(id => characterInfo[id].disclaimer).filter(Boolean);
+    disclaimerEl.textContent = disclaimers.join(' ');
+    disclaimerEl.classList.toggle('hidden', disclaimers.length === 0);
+    // Memories belong to single characters
+    memoryBtn.classList.add('hidden');
+    memoryPanel.classList.add('hidden');
+    return;
+  }
+  
+  const info = characterInfo[character];
+  nameEl.textContent = info.name;
+  sourceEl.textContent = info.source;
+  disclaimerEl.textContent = info.disclaimer || '';
+  disclaimerEl.classList.toggle('hidden', !info.disclaimer);
+  memoryBtn.classList.remove('hidden');
+  if (!memoryPanel.classList.contains('hidden')) loadMemories(character);
 }
 
 // Add message to history
-function addToHistory(sender, message, audio = null) {
-  console.log(`📥 addToHistory called - Sender: ${sender}, Audio: ${audio ? 'YES' : 'NO'}`);
+function addToHistory(sender, message, {
+  id = null,
+  audioUrl = null,
+  speaker = null,
+  language = null,
+  guardrails = [],
+  sources = [],
+  emotion = null,
+  words = null
+} = {}) {
+  console.log(`📥 addToHistory called - Sender: ${sender}, Audio: ${audioUrl ? 'YES' : 'NO'}`);
   
   const timestamp = formatTimestamp();
   
   const historyItem = { 
+    id,
     sender, 
+    speaker,
     message,
-    audio,
+    audioUrl,
+    language,
+    guardrails,
+    sources,
+    emotion,
+    words,
     timestamp
   };
   
@@ -244,9 +960,6 @@ function addToHistory(sender, message, audio = null) {
   const messageIndex = chatHistories[currentCharacter].length - 1;
   
   console.log(`💾 Added to history: ${currentCharacter} index ${messageIndex}`);
-  if (audio) {
-    console.log(`🎵 Audio stored for message ${messageIndex}`);
-  }
   
   // Remove placeholder
   const placeholder = chatHistory.querySelector('.history-placeholder');
@@ -255,6 +968,7 @@ function addToHistory(sender, message, audio = null) {
   // Create message element
   const historyMsg = document.createElement('div');
   historyMsg.className = `history-message ${sender === 'user' ? 'user' : 'character'}`;
+  historyMsg.dataset.index = messageIndex;
   
   // Create label for user messages
   if (sender === 'user') {
@@ -262,6 +976,8 @@ function addToHistory(sender, message, audio = null) {
     label.className = 'label';
     label.textContent = 'You';
     historyMsg.appendChild(label);
+  } else if (speaker) {
+    historyMsg.appendChild(createSpeakerLabel(speaker));
   }
   
   // Create message bubble
@@ -271,79 +987,484 @@ function addToHistory(sender, message, audio = null) {
   // Create message text
   const textDiv = document.createElement('div');
   textDiv.className = 'message-text';
-  textDiv.textContent = message;
+  renderMessageText(textDiv, historyItem);
   bubble.appendChild(textDiv);
   
   // Create play button for character messages with audio
-  if (sender === 'character' && audio) {
+  if (sender === 'character' && audioUrl) {
     console.log(`🎯 CREATING BUTTON NOW...`);
-    const playBtn = document.createElement('button');
-    playBtn.className = 'play-button-inline';
-    playBtn.id = `play-btn-${currentCharacter}-${messageIndex}`;
-    playBtn.textContent = '▶️';
-    playBtn.onclick = () => playMessageAudio(currentCharacter, messageIndex);
-    bubble.appendChild(playBtn);
+    bubble.appendChild(createPlayButton(currentCharacter, messageIndex));
     console.log(`✅ Play button CREATED for ${currentCharacter} message ${messageIndex}`);
   }
   
   historyMsg.appendChild(bubble);
   
+  if (guardrails.length > 0) {
+    historyMsg.appendChild(createGuardrailNotes(guardrails));
+  }
+  
+  if (sources.length > 0) {
+    historyMsg.appendChild(createSourceNotes(sources));
+  }
+  
   // Create timestamp
-  const timestampDiv = document.createElement('div');
-  timestampDiv.className = 'message-timestamp';
-  timestampDiv.textContent = timestamp;
-  historyMsg.appendChild(timestampDiv);
+  const metaDiv = createMessageMeta(historyItem);
+  historyMsg.appendChild(metaDiv);
+  historyMsg.appendChild(createMessageActions(currentCharacter, messageIndex));
   
   // Add to chat history
   chatHistory.appendChild(historyMsg);
   
   updatePlayButtonStates();
+  updateMessageActions();
   chatHistory.scrollTop = chatHistory.scrollHeight;
   
   console.log(`✅ Message rendered in DOM`);
+  
+  return { historyItem, messageIndex, bubble, textDiv, metaDiv };
+}
+
+// Stop any audio from the current conversation (before its messages change)
+function stopConversationAudio() {
+  stopStreamedAudio();
+  stopCaptions();
+  
+  if (currentlyPlayingCharacter === currentCharacter && audioPlayer) {
+    audioPlayer.pause();
+    audioPlayer.currentTime = 0;
+    currentlyPlayingIndex = null;
+    currentlyPlayingCharacter = null;
+  }
 }
 
 // Clear chat
-function clearChat() {
+async function clearChat() {
   if (confirm('Clear chat history for this character?')) {
+    try {
+      await apiFetch('/api/clear-history', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ character: currentCharacter })
+      });
+    } catch (error) {
+      console.error('❌ Could not clear server history:', error);
+    }
+    
     chatHistories[currentCharacter] = [];
     chatHistory.innerHTML = '<p class="history-placeholder">Start speaking to see the conversation here...</p>';
     hideStatus();
-    
-    if (currentlyPlayingCharacter === currentCharacter && audioPlayer) {
-      audioPlayer.pause();
-      audioPlayer.currentTime = 0;
-      currentlyPlayingIndex = null;
-      currentlyPlayingCharacter = null;
-    }
+    stopConversationAudio();
+    branchSelect.classList.add('hidden');
     
     console.log(`🗑️ Cleared chat for ${currentCharacter}`);
   }
 }
 
-// Request microphone
-async function requestMicrophone() {
-  try {
-    const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
-    mediaRecorder = new MediaRecorder(stream);
-    mediaRecorder.ondataavailable = (e) => audioChunks.push(e.data);
-    mediaRecorder.onstop = handleRecordingStop;
-    console.log('✅ Microphone access granted');
-    return true;
-  } catch (error) {
-    console.error('❌ Microphone denied:', error);
-    alert('Please allow microphone access');
-    return false;
+// Per-message actions, shown once the server has the message: edit and
+// resend (user messages), regenerate (the latest reply) and branch from here
+function createMessageActions(character, index) {
+  const actions = document.createElement('div');
+  actions.className = 'message-actions hidden';
+  
+  const add = (action, label, title, run) => {
+    const button = document.createElement('button');
+    button.dataset.action = action;
+    button.textContent = label;
+    button.title = title;
+    button.onclick = async () => {
+      if (activeDebate) {
+        showStatus('🎤 Stop the debate before changing the conversation');
+        return;
+      }
+      try {
+        await run();
+      } catch (error) {
+        showStepError(error);
+      }
+    };
+    actions.appendChild(button);
+  };
+  
+  if (chatHistories[character][index].sender === 'user') {
+    add('edit', '✏️ Edit', 'Fix this message and send it again', () => editMessage(character, index));
+  } else {
+    add('regenerate', '🔄 Regenerate', 'Ask for a different reply', () => regenerateReply(character, index));
   }
+  add('branch', '🌿 Branch', 'Continue the conversation from here in a new branch', () => branchFrom(character, index));
+  return actions;
 }
 
-// Start recording
-async function startRecording() {
-  if (!mediaRecorder) {
-    const allowed = await requestMicrophone();
+// Show the actions of messages that have an ID; regenerate only on the last
+function updateMessageActions() {
+  const history = chatHistories[currentCharacter] || [];
+  chatHistory.querySelectorAll('.history-message').forEach(historyMsg => {
+    const index = Number(historyMsg.dataset.index);
+    const actions = historyMsg.querySelector('.message-actions');
+    if (!actions || !history[index]) return;
+    actions.classList.toggle('hidden', !history[index].id);
+    const regenerate = actions.querySelector('[data-action="regenerate"]');
+    if (regenerate) regenerate.classList.toggle('hidden', index !== history.length - 1);
+  });
+}
+
+// The rendered message at `index`, shaped like addToHistory's return value
+function entryAt(index) {
+  const historyMsg = chatHistory.querySelector(`.history-message[data-index="${index}"]`);
+  return {
+    historyItem: chatHistories[currentCharacter][index],
+    messageIndex: index,
+    bubble: historyMsg.querySelector('.message-bubble'),
+    textDiv: historyMsg.querySelector('.message-text'),
+    metaDiv: historyMsg.querySelector('.message-timestamp')
+  };
+}
+
+// Ask again for a reply to the user message at `index`, the last one the
+// server has. Drops everything after it from the chat first.
+async function replyAgain(character, index) {
+  stopConversationAudio();
+  chatHistories[character].splice(index + 1);
+  loadCharacterHistory(character);
+  
+  const entry = entryAt(index);
+  const voice = voiceRepliesEnabled();
+  try {
+    await requestReply(entry, voice, newRequestId(), true);
+  } catch (error) {
+    showStepError(error);
+    if (!FINAL_ERROR_CODES.includes(error.code)) {
+      offerRetry(() => requestReply(entry, voice, newRequestId(), true));
+    }
+  }
+}
+
+// Replace the latest reply (in a room: every reply to the last message)
+async function regenerateReply(character, index) {
+  const history = chatHistories[character];
+  const userIndex = history.map(item => item.sender).lastIndexOf('user', index);
+  if (userIndex === -1) return;
+  
+  // Fallback replies were never stored, so start from the first one that was
+  const firstStored = history.slice(userIndex + 1).find(item => item.id);
+  if (firstStored) {
+    const res = await apiFetch(
+      `/api/history/${encodeURIComponent(character)}/messages/${encodeURIComponent(firstStored.id)}`,
+      { method: 'DELETE' }
+    );
+    if (!res.ok) throw requestError(await res.json().catch(() => ({})), 'Could not remove the reply');
+  }
+  
+  console.log(`🔄 Regenerating reply to message ${userIndex}`);
+  await replyAgain(character, userIndex);
+}
+
+// Correct a user message (Whisper sometimes mishears) and resend it. The
+// replies to the old text are dropped.
+async function editMessage(character, index) {
+  const item = chatHistories[character][index];
+  const text = prompt('Edit your message', item.message);
+  if (text === null || !text.trim() || text.trim() === item.message) return;
+  
+  const res = await apiFetch(`/api/history/${encodeURIComponent(character)}/messages/${encodeURIComponent(item.id)}`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ content: text })
+  });
+  const body = await res.json().catch(() => ({}));
+  if (!res.ok) throw requestError(body, 'Could not edit the message');
+  
+  chatHistories[character][index] = toHistoryItem(body.message);
+  console.log(`✏️ Edited message ${index}`);
+  await replyAgain(character, index);
+}
+
+// Show a conversation's messages after switching or creating a branch
+function replaceHistory(character, messages) {
+  stopConversationAudio();
+  chatHistories[character] = messages.map(toHistoryItem);
+  if (currentCharacter === character) loadCharacterHistory(character);
+}
+
+// Carry on from an earlier message; what came after it stays in the old branch
+async function branchFrom(character, index) {
+  const { id } = chatHistories[character][index];
+  const res = await apiFetch(`/api/history/${encodeURIComponent(character)}/branches`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ messageId: id })
+  });
+  const body = await res.json().catch(() => ({}));
+  if (!res.ok) throw requestError(body, 'Could not create a branch');
+  
+  replaceHistory(character, body.messages);
+  showBranches(body.branches);
+  showStatus('🌿 New branch started, the rest of the conversation is kept in the branch menu');
+  console.log(`🌿 Branched ${character} at message ${index}`);
+}
+
+function branchLabel(branch) {
+  const name = branch.id === 'main' ? 'Main' : `Branch of ${formatTimestamp(new Date(branch.createdAt))}`;
+  return `🌿 ${name} (${branch.messageCount})`;
+}
+
+// Fill the branch menu; it only shows once there is more than one branch
+function showBranches(branches) {
+  branchSelect.innerHTML = '';
+  branches.forEach(branch => {
+    const option = document.createElement('option');
+    option.value = branch.id;
+    option.textContent = branchLabel(branch);
+    option.title = branch.preview;
+    option.selected = branch.active;
+    branchSelect.appendChild(option);
+  });
+  branchSelect.classList.toggle('hidden', branches.length < 2);
+}
+
+async function loadBranches(conversationId) {
+  try {
+    const res = await apiFetch(`/api/history/${encodeURIComponent(conversationId)}/branches`);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const { branches } = await res.json();
+    if (currentCharacter === conversationId) showBranches(branches);
+  } catch (error) {
+    console.error(`❌ Could not load branches for ${conversationId}:`, error);
+  }
+}
+
+async function switchBranch(branchId) {
+  const character = currentCharacter;
+  try {
+    const res = await apiFetch(
+      `/api/history/${encodeURIComponent(character)}/branches/${encodeURIComponent(branchId)}/activate`,
+      { method: 'POST' }
+    );
+    const body = await res.json().catch(() => ({}));
+    if (!res.ok) throw requestError(body, 'Could not switch branch');
+    
+    replaceHistory(character, body.messages);
+    showBranches(body.branches);
+    hideStatus();
+    console.log(`🌿 Switched ${character} to branch ${branchId}`);
+  } catch (error) {
+    showStepError(error);
+    loadBranches(character);
+  }
+}
+
+// What the current character remembers about the user, with edit and
+// forget buttons (see lib/user-memory.js on the server)
+function memoriesUrl(character, id = null) {
+  return `/api/memories/${encodeURIComponent(character)}${id ? `/${encodeURIComponent(id)}` : ''}`;
+}
+
+function toggleMemoryPanel() {
+  const opening = memoryPanel.classList.contains('hidden');
+  memoryPanel.classList.toggle('hidden', !opening);
+  memoryBtn.classList.toggle('active', opening);
+  if (opening) loadMemories(currentCharacter);
+}
+
+async function loadMemories(character) {
+  try {
+    const res = await apiFetch(memoriesUrl(character));
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const { memories } = await res.json();
+    if (currentCharacter === character) renderMemories(character, memories);
+  } catch (error) {
+    console.error(`❌ Could not load memories for ${character}:`, error);
+  }
+}
+
+function renderMemories(character, memories) {
+  const list = document.getElementById('memoryList');
+  document.getElementById('memoryTitle').textContent =
+    `🧠 What ${characterInfo[character].shortName} remembers about you`;
+  document.getElementById('forgetAllBtn').classList.toggle('hidden', memories.length === 0);
+  list.innerHTML = '';
+  
+  if (memories.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'memory-empty';
+    empty.textContent = 'Nothing yet. Facts you share in conversation show up here.';
+    list.appendChild(empty);
+    return;
+  }
+  
+  memories.forEach(memory => {
+    const item = document.createElement('li');
+    const text = document.createElement('span');
+    text.textContent = memory.text;
+    text.title = `${memory.source === 'user' ? 'Added by you' : 'Picked up in conversation'} · ` +
+      formatTimestamp(new Date(memory.updatedAt));
+    
+    const edit = document.createElement('button');
+    edit.textContent = '✏️';
+    edit.title = 'Edit';
+    edit.onclick = () => editMemory(character, memory);
+    
+    const forget = document.createElement('button');
+    forget.textContent = '✕';
+    forget.title = 'Forget';
+    forget.onclick = () => forgetMemory(character, memory);
+    
+    item.append(text, edit, forget);
+    list.appendChild(item);
+  });
+}
+
+// Run a memory change, then show the list as it is now
+async function changeMemories(character, request, failure) {
+  try {
+    const res = await request();
+    if (!res.ok) throw requestError(await res.json().catch(() => ({})), failure);
+  } catch (error) {
+    showStepError(error);
+  }
+  await loadMemories(character);
+}
+
+async function addMemory(event) {
+  event.preventDefault();
+  const input = document.getElementById('memoryInput');
+  const text = input.value.trim();
+  if (!text) return;
+  
+  input.value = '';
+  await changeMemories(currentCharacter, () => apiFetch(memoriesUrl(currentCharacter), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ text })
+  }), 'Could not add the memory');
+}
+
+async function editMemory(character, memory) {
+  const text = prompt('Edit this memory', memory.text);
+  if (text === null || !text.trim() || text.trim() === memory.text) return;
+  
+  await changeMemories(character, () => apiFetch(memoriesUrl(character, memory.id), {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ text })
+  }), 'Could not edit the memory');
+}
+
+async function forgetMemory(character, memory) {
+  await changeMemories(character, () => apiFetch(memoriesUrl(character, memory.id), { method: 'DELETE' }),
+    'Could not forget the memory');
+}
+
+async function forgetAllMemories() {
+  const character = currentCharacter;
+  if (!confirm(`Make ${characterInfo[character].shortName} forget everything about you?`)) return;
+  await changeMemories(character, () => apiFetch(memoriesUrl(character), { method: 'DELETE' }),
+    'Could not forget the memories');
+}
+
+// Download the current conversation as JSON, Markdown or a ZIP with audio
+async function exportConversation() {
+  if (!currentCharacter) return;
+  
+  const format = document.getElementById('exportFormat').value;
+  try {
+    const res = await apiFetch(`/api/history/${encodeURIComponent(currentCharacter)}/export?format=${format}`);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    
+    // The server names the file in Content-Disposition
+    const disposition = res.headers.get('Content-Disposition') || '';
+    const match = disposition.match(/filename="([^"]+)"/);
+    const url = URL.createObjectURL(await res.blob());
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = match ? match[1] : `conversation.${format}`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    console.log(`📤 Exported ${currentCharacter} as ${format}`);
+  } catch (error) {
+    console.error('❌ Export failed:', error);
+    showStatus(`❌ Export failed: ${error.message}`);
+  }
+}
+
+// Restore a JSON export and open that conversation
+async function importConversation(file) {
+  try {
+    const data = JSON.parse(await file.text());
+    const conversationId = data.conversationId;
+    
+    const post = replace => apiFetch(`/api/import${replace ? '?replace=true' : ''}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(data)
+    });
+    
+    let res = await post(false);
+    if (res.status === 409) {
+      if (!confirm('This conversation already has messages. Replace them with the import?')) return;
+      res = await post(true);
+    }
+    
+    const result = await res.json();
+    if (!res.ok) {
+      throw new Error(Array.isArray(result.details) ? result.details.join('; ') : result.error);
+    }
+    
+    // Reload from the server and switch to the imported conversation
+    loadedHistories[conversationId] = false;
+    if (isRoomId(conversationId)) {
+      if (!roomMode) await setRoomMode(true);
+      roomMembers = conversationId.slice('room:'.length).split('+');
+      await showRoom();
+    } else {
+      if (roomMode) await setRoomMode(false);
+      await selectCharacter(conversationId);
+    }
+    
+    showStatus(`📥 Imported ${result.imported} messages`);
+    console.log(`📥 Imported ${conversationId}`);
+  } catch (error) {
+    console.error('❌ Import failed:', error);
+    showStatus(`❌ Import failed: ${error.message}`);
+  }
+}
+
+// Request microphone
+async function requestMicrophone() {
+  try {
+    const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    mediaRecorder = new MediaRecorder(stream);
+    mediaRecorder.ondataavailable = (e) => audioChunks.push(e.data);
+    mediaRecorder.onstop = handleRecordingStop;
+    console.log('✅ Microphone access granted');
+    return true;
+  } catch (error) {
+    console.error('❌ Microphone denied:', error);
+    alert('Please allow microphone access');
+    return false;
+  }
+}
+
+// Start recording
+async function startRecording() {
+  if (!currentCharacter) {
+    showStatus('👥 Pick at least two characters for a group chat');
+    return;
+  }
+  
+  if (!mediaRecorder) {
+    const allowed = await requestMicrophone();
     if (!allowed) return;
   }
   
+  // Jumping into a debate: hold it while the user talks
+  if (activeDebate && !activeDebate.paused) {
+    pauseDebate();
+  } else if (streamingEnabled) {
+    // Unlock streamed playback while we still have the user's click
+    getAudioContext().resume();
+  }
+  
   audioChunks = [];
   mediaRecorder.start();
   
@@ -366,122 +1487,728 @@ function stopRecording() {
 
 // Handle recording stop
 async function handleRecordingStop() {
-  const audioBlob = new Blob(audioChunks, { type: 'audio/wav' });
+  // Browsers record WebM/Ogg (Safari: MP4); the server checks the real format
+  const type = mediaRecorder.mimeType || 'audio/webm';
+  const extension = type.includes('mp4') ? 'm4a' : type.includes('ogg') ? 'ogg' : 'webm';
+  const audioBlob = new Blob(audioChunks, { type });
   const formData = new FormData();
-  formData.append('audio', audioBlob, 'recording.wav');
+  formData.append('audio', audioBlob, `recording.${extension}`);
+  formData.append('character', currentCharacter);
+  formData.append('language', languageSetting);
   await sendToServer(formData);
 }
 
-// Send to server
-async function sendToServer(formData) {
-  try {
-    // Step 1: Transcribe
-    showStatus('📝 Transcribing...');
-    const transcribeRes = await fetch('/api/transcribe', {
-      method: 'POST',
-      body: formData
+// Render a streamed reply (SSE or socket events) into the chat. The
+// message bubble is created on the first token. The user's message
+// (`userEntry`) is labelled with the language once the reply reports it.
+function createReplyRenderer(character, { speaker = null, userEntry = null } = {}) {
+  let entry = null;
+  let error = null;
+  let result = null;
+  
+  function ensureEntry() {
+    if (!entry) {
+      entry = addToHistory('character', '', { speaker });
+    }
+    return entry;
+  }
+  
+  function handle(event, data) {
+    switch (event) {
+      case 'token': {
+        const { historyItem, textDiv } = ensureEntry();
+        hideStatus();
+        historyItem.message += data.text;
+        textDiv.textContent = historyItem.message;
+        chatHistory.scrollTop = chatHistory.scrollHeight;
+        break;
+      }
+      case 'audio':
+        // null: speech failed for this sentence, `done` lists it as degraded
+        if (data.audioUrl) enqueueAudioChunk(data.audioUrl);
+        break;
+      case 'emotion':
+        setMessageEmotion(ensureEntry(), data);
+        break;
+      case 'fallback': {
+        // The model failed mid-reply: its fallback line replaces the text
+        const { historyItem, textDiv, metaDiv } = ensureEntry();
+        stopStreamedAudio();
+        historyItem.message = '';
+        historyItem.emotion = null;
+        textDiv.textContent = '';
+        updateMessageMeta(metaDiv, historyItem);
+        break;
+      }
+      case 'done': {
+        result = data;
+        const { historyItem, messageIndex, bubble, textDiv } = ensureEntry();
+        // The stored text can differ slightly (e.g. an echoed name label removed)
+        historyItem.message = data.response;
+        historyItem.words = data.words || null;
+        renderMessageText(textDiv, historyItem);
+        historyItem.id = data.messageId;
+        historyItem.audioUrl = data.audioUrl;
+        setMessageLanguage(entry, data.language);
+        setMessageGuardrails(entry, data.guardrails);
+        setMessageSources(entry, data.sources);
+        setMessageEmotion(entry, data.emotion);
+        if (userEntry) {
+          userEntry.historyItem.id = data.userMessageId;
+          if (!userEntry.historyItem.language) setMessageLanguage(userEntry, data.language);
+        }
+        updateMessageActions();
+        if (data.audioUrl) {
+          bubble.appendChild(createPlayButton(character, messageIndex));
+        }
+        console.log('✅ Streamed response:', data.response);
+        if (data.debug) console.log('🧠 Context:', data.debug.context);
+        break;
+      }
+      case 'error':
+        error = requestError({ ...data, error: data.details || data.error });
+        break;
+    }
+  }
+  
+  return { handle, getError: () => error, getEntry: () => entry, getResult: () => result };
+}
+
+// Step 2+3 in one go: stream the reply and its audio sentence by sentence.
+// `retry` asks again for a message the server may already have stored.
+async function streamResponse(userEntry, voice = true, requestId = newRequestId(), retry = false) {
+  const character = currentCharacter;
+  const { message: userMessage, language, words } = userEntry.historyItem;
+  showStatus(`🤔 ${characterInfo[character].shortName} is thinking...`);
+  
+  const res = await apiFetch('/api/respond/stream', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Request-Id': requestId },
+    body: JSON.stringify({ userMessage, words, character, voice, retry, language: language || languageSetting })
+  });
+  
+  if (!res.ok) throw requestError(await res.json().catch(() => ({})), 'Response generation failed');
+  
+  const reply = createReplyRenderer(character, { userEntry });
+  await readEventStream(res, reply.handle);
+  
+  const streamError = reply.getError();
+  if (streamError) throw streamError;
+  hideStatus();
+  
+  const { degraded } = reply.getResult() || {};
+  showDegraded(reply.getEntry(), degraded, {
+    character,
+    retryReply: () => streamResponse(userEntry, voice, newRequestId(), true)
+  });
+}
+
+// Play several replies one after another
+function playInSequence(character, indexes) {
+  const [next, ...rest] = indexes;
+  if (next === undefined) return;
+  
+  playMessageAudio(character, next);
+  const finished = audioPlayer.onended;
+  audioPlayer.onended = () => {
+    if (finished) finished();
+    if (currentCharacter === character) playInSequence(character, rest);
+  };
+}
+
+// Group chat turn: the room picks who answers, each reply has its own voice
+async function sendRoomMessage(userEntry, voice = true, requestId = newRequestId(), retry = false) {
+  const roomId = currentCharacter;
+  const { message: userMessage, language, words } = userEntry.historyItem;
+  showStatus('👥 The group is thinking...');
+  
+  const res = await apiFetch('/api/room/respond', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Request-Id': requestId },
+    body: JSON.stringify({
+      userMessage,
+      words,
+      characters: roomMembers,
+      strategy: roomStrategy.value,
+      voice,
+      retry,
+      language: language || languageSetting
+    })
+  });
+  
+  if (!res.ok) throw requestError(await res.json().catch(() => ({})), 'Group response failed');
+  
+  const { replies, userMessageId } = await res.json();
+  userEntry.historyItem.id = userMessageId;
+  if (currentCharacter !== roomId) return;
+  if (replies.length > 0 && !language) setMessageLanguage(userEntry, replies[0].language);
+  
+  const indexes = replies.map(reply => {
+    console.log(`✅ ${reply.name}:`, reply.response);
+    if (reply.debug) console.log('🧠 Context:', reply.debug.context);
+    const entry = addToHistory('character', reply.response, {
+      id: reply.messageId,
+      audioUrl: reply.audioUrl,
+      speaker: reply.character,
+      language: reply.language,
+      guardrails: reply.guardrails,
+      emotion: reply.emotion,
+      words: reply.words
     });
-    
-    if (!transcribeRes.ok) throw new Error('Transcription failed');
-    
-    const { transcription } = await transcribeRes.json();
-    console.log('✅ Transcript:', transcription);
-    
-    addToHistory('user', transcription);
-    
-    // Step 2: Get response
-    showStatus(`🤔 ${currentCharacter} is thinking...`);
-    const respondRes = await fetch('/api/respond', {
+    showDegraded(entry, reply.degraded, { character: reply.character });
+    return entry.messageIndex;
+  });
+  
+  hideStatus();
+  playInSequence(roomId, indexes.filter(index => chatHistories[roomId][index].audioUrl));
+}
+
+// Call a moderation action on the running debate
+async function debateAction(action, body = {}) {
+  if (!activeDebate || !activeDebate.id) return;
+  
+  const res = await apiFetch(`/api/debate/${activeDebate.id}/${action}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  if (!res.ok) {
+    const { code, message } = requestError(await res.json().catch(() => ({})), `HTTP ${res.status}`);
+    console.warn(`⚠️ Debate ${action} failed (${message})`);
+    if (code) showStatus(message);
+  }
+}
+
+function pauseDebate() {
+  getAudioContext().suspend();
+  debateAction('pause');
+}
+
+function resumeDebate() {
+  getAudioContext().resume();
+  debateAction('resume');
+}
+
+function stopDebate() {
+  debateAction('stop');
+  stopStreamedAudio();
+}
+
+// Ask for a new topic and steer the debate there
+function redirectDebate() {
+  const topic = prompt('New topic for the debate:');
+  if (topic && topic.trim()) {
+    debateAction('redirect', { topic: topic.trim() });
+  }
+}
+
+// The user spoke mid-debate: drop the queued turn so the reply comes next
+async function interjectInDebate(message) {
+  stopStreamedAudio();
+  activeDebate.playback.forEach(entry => { entry.target = 0; });
+  getAudioContext().resume();
+  await debateAction('interject', { message });
+}
+
+// Remember when a turn's audio will have played out, once it is scheduled
+function trackDebatePlayback(turn) {
+  const entry = { turn, target: Infinity };
+  activeDebate.playback.push(entry);
+  decodeChain.then(() => {
+    entry.target = playbackCursor;
+  });
+}
+
+// Report turns whose audio has finished playing (paced debates)
+function checkDebatePlayback() {
+  if (!activeDebate) return;
+  
+  const now = getAudioContext().currentTime;
+  const done = activeDebate.playback.filter(entry => entry.target <= now);
+  activeDebate.playback = activeDebate.playback.filter(entry => entry.target > now);
+  done.forEach(entry => debateAction('played', { turn: entry.turn }));
+}
+
+function updateDebateControls() {
+  const running = Boolean(activeDebate);
+  debateBtn.textContent = running ? '⏹️ End debate' : '⚔️ Debate';
+  debatePauseBtn.classList.toggle('hidden', !running);
+  debateTopicBtn.classList.toggle('hidden', !running);
+  debatePauseBtn.textContent = running && activeDebate.paused ? '▶️ Resume' : '⏸️ Pause';
+  roomStrategy.disabled = running;
+}
+
+// Handle one event of the debate stream; returns an error message, if any
+function handleDebateEvent(event, data) {
+  // Left the room: let the stream wind down without drawing into another chat
+  if (currentCharacter !== activeDebate.roomId) return null;
+  
+  switch (event) {
+    case 'debate':
+      activeDebate.id = data.debateId;
+      addToHistory('user', `Debate topic: ${data.topic}`);
+      break;
+    case 'interjection':
+      addToHistory('user', data.message);
+      break;
+    case 'turn':
+      activeDebate.reply = createReplyRenderer(activeDebate.roomId, { speaker: data.character });
+      showStatus(`⚔️ Turn ${data.turn}: ${characterInfo[data.character].shortName} is thinking...`);
+      break;
+    case 'token':
+    case 'emotion':
+    case 'audio':
+      if (activeDebate.reply) activeDebate.reply.handle(event, data);
+      break;
+    case 'turn-end':
+      activeDebate.reply.handle('done', data);
+      activeDebate.reply = null;
+      trackDebatePlayback(data.turn);
+      if (!activeDebate.paused) hideStatus();
+      break;
+    case 'paused':
+    case 'resumed':
+      activeDebate.paused = event === 'paused';
+      showStatus(activeDebate.paused ? '⏸️ Debate paused' : '▶️ Debate resumed');
+      updateDebateControls();
+      break;
+    case 'topic':
+      showStatus(`🔀 New topic: ${data.topic}`);
+      break;
+    case 'done':
+      showStatus(`✅ Debate over after ${data.turns} turns`);
+      console.log('⚔️ Debate finished:', data);
+      break;
+    case 'error':
+      return data.details || data.error;
+  }
+  return null;
+}
+
+// Run a debate between the room's characters on a topic the user picks
+async function startDebate() {
+  if (!isRoomId(currentCharacter)) {
+    showStatus('👥 Pick at least two characters to start a debate');
+    return;
+  }
+  
+  const topic = prompt('What should they debate?');
+  if (!topic || !topic.trim()) return;
+  
+  stopAllPlayback();
+  getAudioContext().resume();
+  activeDebate = { id: null, roomId: currentCharacter, reply: null, paused: false, playback: [] };
+  const ticker = setInterval(checkDebatePlayback, 250);
+  updateDebateControls();
+  showStatus('⚔️ Starting the debate...');
+  
+  try {
+    const res = await apiFetch('/api/debate/stream', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ 
-        userMessage: transcription, 
-        character: currentCharacter 
+      body: JSON.stringify({
+        topic: topic.trim(),
+        characters: roomMembers,
+        turns: DEBATE_TURNS,
+        voice: voiceRepliesEnabled(),
+        paced: voiceRepliesEnabled()
       })
     });
     
-    if (!respondRes.ok) throw new Error('Response generation failed');
+    if (!res.ok) throw requestError(await res.json().catch(() => ({})), 'Debate failed to start');
     
-    const { response } = await respondRes.json();
-    console.log('✅ Response:', response);
+    let streamError = null;
+    await readEventStream(res, (event, data) => {
+      streamError = handleDebateEvent(event, data) || streamError;
+    });
+    if (streamError) throw new Error(streamError);
+  } catch (error) {
+    console.error('❌ Debate error:', error.message);
+    showStatus(error.code ? error.message : `❌ Error: ${error.message}`);
+  } finally {
+    clearInterval(ticker);
+    activeDebate = null;
+    updateDebateControls();
+  }
+}
+
+// Autoplay a reply clip and keep the play buttons in sync
+function autoplayReply(audioUrl, messageIndex) {
+  try {
+    currentlyPlayingIndex = messageIndex;
+    currentlyPlayingCharacter = currentCharacter;
     
-    // Step 3: Get audio
-    showStatus('🎙️ Generating voice...');
-    const ttsRes = await fetch('/api/tts', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ 
-        text: response, 
-        character: currentCharacter 
+    audioPlayer.src = audioUrl;
+    audioPlayer.play()
+      .then(() => {
+        console.log('✅ Audio autoplaying');
+        updatePlayButtonStates();
+        followCaptions(currentCharacter, messageIndex);
       })
-    });
+      .catch(err => {
+        console.warn('⚠️ Autoplay blocked:', err);
+        currentlyPlayingIndex = null;
+        currentlyPlayingCharacter = null;
+      });
     
-    if (!ttsRes.ok) throw new Error('TTS failed');
+    audioPlayer.onended = () => {
+      console.log('✅ Audio finished');
+      stopCaptions();
+      currentlyPlayingIndex = null;
+      currentlyPlayingCharacter = null;
+      updatePlayButtonStates();
+    };
+  } catch (autoplayError) {
+    console.error('❌ Autoplay error:', autoplayError);
+  }
+}
+
+// What to tell the user when the server turns a recording or message down
+const ERROR_MESSAGES = {
+  silence: () => "🤫 Didn't catch that, try speaking a little louder",
+  audio_too_long: ({ limit }) => `⏱️ That recording is too long (at most ${limit} s)`,
+  file_too_large: () => '📦 That recording is too big to upload',
+  unsupported_format: () => "🎧 This browser's recording format isn't supported",
+  input_flagged: () => '🛡️ That message was blocked by moderation',
+  upstream_timeout: () => '⏳ The AI service took too long to answer',
+  upstream_unavailable: ({ retryAfter }) => `🚧 The AI service is unavailable, try again in ${retryAfter} s`,
+  upstream_error: () => '⚠️ The AI service is having trouble'
+};
+
+// Retrying won't change the outcome of these
+const FINAL_ERROR_CODES = ['silence', 'audio_too_long', 'file_too_large', 'unsupported_format', 'input_flagged'];
+
+// Error for a failed response; known codes get a friendly message
+function requestError(body, fallback) {
+  const describe = ERROR_MESSAGES[body.code];
+  const error = new Error(describe ? describe(body) : body.error || fallback);
+  if (describe) error.code = body.code;
+  return error;
+}
+
+// Transcribe a recording on its own (streaming, rooms and debates need the
+// text before they can start)
+async function transcribe(formData, requestId = newRequestId()) {
+  showStatus('📝 Transcribing...');
+  const transcribeRes = await apiFetch('/api/transcribe', {
+    method: 'POST',
+    headers: { 'X-Request-Id': requestId },
+    body: formData
+  });
+  
+  if (!transcribeRes.ok) {
+    throw requestError(await transcribeRes.json().catch(() => ({})), 'Transcription failed');
+  }
+  
+  const { transcription, language, words } = await transcribeRes.json();
+  console.log(`✅ Transcript (${language || 'unknown language'}):`, transcription);
+  return { text: transcription, language, words };
+}
+
+// Show a reply from /api/chat, with retry buttons for degraded steps
+function showChatReply(userEntry, voice, {
+  language,
+  response,
+  messageId,
+  userMessageId,
+  audioUrl,
+  guardrails,
+  sources,
+  emotion,
+  words,
+  degraded,
+  debug
+}) {
+  const character = currentCharacter;
+  userEntry.historyItem.id = userMessageId;
+  setMessageLanguage(userEntry, language);
+  console.log('✅ Response:', response);
+  if (debug) console.log('🧠 Context:', debug.context);
+  
+  const entry = addToHistory('character', response, {
+    id: messageId,
+    audioUrl,
+    language,
+    guardrails,
+    sources,
+    emotion,
+    words
+  });
+  hideStatus();
+  if (audioUrl) autoplayReply(audioUrl, entry.messageIndex);
+  showDegraded(entry, degraded, {
+    character,
+    retryReply: () => chatReply(userEntry, voice, newRequestId(), true)
+  });
+}
+
+// Reply to a message already in the chat in one round trip
+async function chatReply(userEntry, voice, requestId = newRequestId(), retry = false) {
+  const { message: text, language } = userEntry.historyItem;
+  showStatus(`🤔 ${characterInfo[currentCharacter].shortName} is thinking...`);
+  
+  const res = await apiFetch('/api/chat', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Request-Id': requestId },
+    body: JSON.stringify({ text, character: currentCharacter, voice, retry, language: language || languageSetting })
+  });
+  if (!res.ok) throw requestError(await res.json().catch(() => ({})), 'Response generation failed');
+  
+  showChatReply(userEntry, voice, await res.json());
+}
+
+// Reply to a message already in the chat, the way this conversation works.
+// `retry` asks again for a message the server may already have stored.
+function requestReply(userEntry, voice, requestId = newRequestId(), retry = false) {
+  if (isRoomId(currentCharacter)) return sendRoomMessage(userEntry, voice, requestId, retry);
+  if (streamingEnabled) return streamResponse(userEntry, voice, requestId, retry);
+  return chatReply(userEntry, voice, requestId, retry);
+}
+
+// Send a recording (`audio` field) or typed message (`text` field). When a
+// step fails the status offers to retry it: the reply if the message made it
+// into the chat, otherwise the whole turn.
+async function sendToServer(formData) {
+  const typed = formData.get('text');
+  const voice = voiceRepliesEnabled();
+  const requestId = newRequestId();
+  let userEntry = null;
+  
+  try {
+    if (typed || activeDebate || isRoomId(currentCharacter) || streamingEnabled) {
+      const heard = typed ? { text: typed, language: null, words: null } : await transcribe(formData, requestId);
+      
+      // The debate stream echoes the interjection back into the chat
+      if (activeDebate) {
+        await interjectInDebate(heard.text);
+        return;
+      }
+      
+      userEntry = addToHistory('user', heard.text, { language: heard.language, words: heard.words });
+      await requestReply(userEntry, voice, requestId);
+      return;
+    }
     
-    const { audio } = await ttsRes.json();
-    console.log('✅ Audio generated');
+    // One round trip: transcript, reply and (optionally) audio
+    showStatus(`👂 ${characterInfo[currentCharacter].shortName} is listening...`);
+    formData.set('voice', voice);
     
-    // Add to history with audio - ✅ FIXED: Pass 'character' not currentCharacter
-    addToHistory('character', response, audio);
+    const res = await apiFetch('/api/chat', {
+      method: 'POST',
+      headers: { 'X-Request-Id': requestId },
+      body: formData
+    });
     
-    // Try autoplay
-    try {
-      const audioData = new Uint8Array(
-        atob(audio).split('').map(c => c.charCodeAt(0))
-      );
-      const audioBlob = new Blob([audioData], { type: 'audio/mp3' });
-      const audioUrl = URL.createObjectURL(audioBlob);
-      
-      const messageIndex = chatHistories[currentCharacter].length - 1;
-      currentlyPlayingIndex = messageIndex;
-      currentlyPlayingCharacter = currentCharacter;
-      
-      audioPlayer.src = audioUrl;
-      audioPlayer.play()
-        .then(() => {
-          console.log('✅ Audio autoplaying');
-          hideStatus();
-          updatePlayButtonStates();
-        })
-        .catch(err => {
-          console.warn('⚠️ Autoplay blocked:', err);
-          hideStatus();
-          currentlyPlayingIndex = null;
-          currentlyPlayingCharacter = null;
-        });
-      
-      audioPlayer.onended = () => {
-        console.log('✅ Audio finished');
-        currentlyPlayingIndex = null;
-        currentlyPlayingCharacter = null;
-        updatePlayButtonStates();
-      };
-    } catch (autoplayError) {
-      console.error('❌ Autoplay error:', autoplayError);
-      hideStatus();
+    if (!res.ok) {
+      throw requestError(await res.json().catch(() => ({})), 'Response generation failed');
     }
     
+    const reply = await res.json();
+    console.log(`✅ Transcript (${reply.language || 'unknown language'}):`, reply.transcription);
+    userEntry = addToHistory('user', reply.transcription, { language: reply.language, words: reply.transcriptionWords });
+    showChatReply(userEntry, voice, reply);
+    
   } catch (error) {
-    console.error('❌ Error:', error.message);
-    showStatus(`❌ Error: ${error.message}`);
+    showStepError(error);
     recordBtn.classList.remove('hidden');
     stopBtn.classList.add('hidden');
+    
+    if (!FINAL_ERROR_CODES.includes(error.code)) {
+      const entry = userEntry;
+      offerRetry(entry ? () => requestReply(entry, voice, newRequestId(), true) : () => sendToServer(formData));
+    }
   }
 }
 
+// Send whatever is in the text composer
+async function sendTypedMessage(event) {
+  event.preventDefault();
+  
+  const text = messageInput.value.trim();
+  if (!text) return;
+  if (!currentCharacter) {
+    showStatus('👥 Pick at least two characters for a group chat');
+    return;
+  }
+  
+  // Unlock streamed playback while we still have the user's click
+  getAudioContext().resume();
+  
+  messageInput.value = '';
+  const formData = new FormData();
+  formData.append('text', text);
+  formData.append('character', currentCharacter);
+  formData.append('language', languageSetting);
+  
+  sendBtn.disabled = true;
+  try {
+    await sendToServer(formData);
+  } finally {
+    sendBtn.disabled = false;
+    messageInput.focus();
+  }
+}
+
+// Connect the voice socket and wire its events into the chat
+function connectVoiceSocket() {
+  const socket = io({ auth: { sessionId, userId } });
+  
+  socket.on('connect_error', err => {
+    console.error('❌ Voice socket error:', err.message);
+    showStatus('❌ Hands-free connection failed');
+  });
+  socket.on('voice:ready', () => showStatus('👂 Listening... just start talking'));
+  socket.on('voice:speech-start', () => {
+    // Barge-in: the user talking over the character stops playback at once
+    stopAllPlayback();
+    voiceReply = null;
+    showStatus('🎙️ Hearing you...');
+  });
+  socket.on('voice:speech-end', () => showStatus('📝 Transcribing...'));
+  socket.on('voice:empty', () => showStatus('👂 Listening... just start talking'));
+  socket.on('voice:interrupt', ({ reason }) => console.log(`✋ Reply interrupted (${reason})`));
+  socket.on('voice:transcript', ({ text, language, words }) => {
+    const userEntry = addToHistory('user', text, { language, words });
+    voiceReply = createReplyRenderer(currentCharacter, { userEntry });
+    showStatus(`🤔 ${characterInfo[currentCharacter].shortName} is thinking...`);
+  });
+  ['token', 'sentence', 'audio', 'fallback', 'done'].forEach(event => {
+    socket.on(`voice:${event}`, data => {
+      if (voiceReply) voiceReply.handle(event, data);
+      if (event !== 'done') return;
+      showStatus('👂 Listening...');
+      if (voiceReply) showDegraded(voiceReply.getEntry(), data.degraded, { character: currentCharacter });
+    });
+  });
+  socket.on('voice:error', data => {
+    console.error('❌ Voice error:', data.error, data.details);
+    const { code, message } = requestError({ ...data, error: data.details || data.error });
+    showStatus(code ? message : `❌ ${message}`);
+  });
+  
+  return socket;
+}
+
+// Start hands-free conversation mode
+async function startHandsFree() {
+  try {
+    micStream = await navigator.mediaDevices.getUserMedia({
+      audio: { echoCancellation: true, noiseSuppression: true, channelCount: 1 }
+    });
+  } catch (error) {
+    console.error('❌ Microphone denied:', error);
+    alert('Please allow microphone access');
+    return;
+  }
+  
+  getAudioContext().resume();
+  voiceSocket = connectVoiceSocket();
+  
+  micContext = new AudioContext();
+  await micContext.audioWorklet.addModule('pcm-worklet.js');
+  const source = micContext.createMediaStreamSource(micStream);
+  const capture = new AudioWorkletNode(micContext, 'pcm-capture', {
+    numberOfOutputs: 0,
+    processorOptions: { targetRate: VOICE_SAMPLE_RATE }
+  });
+  capture.port.onmessage = (e) => {
+    if (voiceSocket && voiceSocket.connected) {
+      voiceSocket.emit('voice:audio', e.data);
+    }
+  };
+  source.connect(capture);
+  
+  voiceSocket.emit('voice:start', { character: currentCharacter, sampleRate: VOICE_SAMPLE_RATE, language: languageSetting });
+  
+  handsFree = true;
+  handsFreeBtn.textContent = '⏹️ END HANDS-FREE';
+  handsFreeBtn.classList.add('active');
+  recordBtn.disabled = true;
+  console.log('🎧 Hands-free mode on');
+}
+
+// Stop hands-free mode and release the microphone
+function stopHandsFree() {
+  if (voiceSocket) {
+    voiceSocket.emit('voice:stop');
+    voiceSocket.disconnect();
+    voiceSocket = null;
+  }
+  if (micStream) {
+    micStream.getTracks().forEach(track => track.stop());
+    micStream = null;
+  }
+  if (micContext) {
+    micContext.close();
+    micContext = null;
+  }
+  
+  handsFree = false;
+  voiceReply = null;
+  handsFreeBtn.textContent = '🎧 HANDS-FREE';
+  handsFreeBtn.classList.remove('active');
+  recordBtn.disabled = false;
+  hideStatus();
+  console.log('🎧 Hands-free mode off');
+}
+
 // Setup event listeners
 function setupEventListeners() {
   recordBtn = document.getElementById('recordBtn');
   stopBtn = document.getElementById('stopBtn');
   clearBtn = document.getElementById('clearBtn');
+  handsFreeBtn = document.getElementById('handsFreeBtn');
+  roomBtn = document.getElementById('roomBtn');
+  roomStrategy = document.getElementById('roomStrategy');
+  debateBtn = document.getElementById('debateBtn');
+  debatePauseBtn = document.getElementById('debatePauseBtn');
+  debateTopicBtn = document.getElementById('debateTopicBtn');
+  messageForm = document.getElementById('messageForm');
+  messageInput = document.getElementById('messageInput');
+  sendBtn = document.getElementById('sendBtn');
+  voiceToggle = document.getElementById('voiceToggle');
+  languageSelect = document.getElementById('languageSelect');
   statusBox = document.getElementById('statusBox');
   statusText = document.getElementById('statusText');
+  statusRetry = document.getElementById('statusRetry');
+  branchSelect = document.getElementById('branchSelect');
+  memoryBtn = document.getElementById('memoryBtn');
+  memoryPanel = document.getElementById('memoryPanel');
   connectionStatus = document.getElementById('connectionStatus');
   chatHistory = document.getElementById('chatHistory');
+  chatHistory.addEventListener('click', seekToWord);
+  
+  const streamToggle = document.getElementById('streamToggle');
+  streamingEnabled = streamToggle.checked;
+  streamToggle.addEventListener('change', () => {
+    streamingEnabled = streamToggle.checked;
+    console.log(`⚡ Streaming ${streamingEnabled ? 'on' : 'off'}`);
+  });
   
   recordBtn.addEventListener('click', startRecording);
   stopBtn.addEventListener('click', stopRecording);
   clearBtn.addEventListener('click', clearChat);
+  handsFreeBtn.addEventListener('click', () => (handsFree ? stopHandsFree() : startHandsFree()));
+  roomBtn.addEventListener('click', () => setRoomMode(!roomMode));
+  messageForm.addEventListener('submit', sendTypedMessage);
+  voiceToggle.addEventListener('change', () => setVoiceReplies(voiceToggle.checked));
+  languageSelect.value = languageSetting;
+  languageSelect.addEventListener('change', () => setLanguage(languageSelect.value));
+  
+  const importFile = document.getElementById('importFile');
+  branchSelect.addEventListener('change', () => switchBranch(branchSelect.value));
+  memoryBtn.addEventListener('click', toggleMemoryPanel);
+  document.getElementById('memoryForm').addEventListener('submit', addMemory);
+  document.getElementById('forgetAllBtn').addEventListener('click', forgetAllMemories);
+  document.getElementById('exportBtn').addEventListener('click', exportConversation);
+  document.getElementById('importBtn').addEventListener('click', () => importFile.click());
+  importFile.addEventListener('change', () => {
+    if (importFile.files[0]) importConversation(importFile.files[0]);
+    importFile.value = '';
+  });
+  debateBtn.addEventListener('click', () => (activeDebate ? stopDebate() : startDebate()));
+  debatePauseBtn.addEventListener('click', () => (activeDebate.paused ? resumeDebate() : pauseDebate()));
+  debateTopicBtn.addEventListener('click', redirectDebate);
   
   console.log('✅ Event listeners set up');
 }
@@ -499,14 +2226,17 @@ window.addEventListener('load', async () => {
     
     setupEventListeners();
     
-    const response = await fetch('/health');
+    const response = await apiFetch('/api/session');
     const data = await response.json();
-    console.log('✅ Connected to server:', data.status);
+    console.log('✅ Connected to server, session:', data.sessionId);
     connectionStatus.textContent = '● Connected to server';
     connectionStatus.style.color = '#27ae60';
     
-    updateCharacterDisplay('joey');
-    console.log('✅ Initialized with Joey');
+    const list = await loadCharacters();
+    if (list.length > 0) {
+      await selectCharacter(list[0].id);
+      console.log(`✅ Initialized with ${list[0].name}`);
+    }
     
   } catch (error) {
     console.error('❌ Cannot connect to server:', error);
@@ -0,0 +1,44 @@
+// ============================================
+// PCM CAPTURE WORKLET
+// Downsamples microphone audio to 16-bit mono PCM at the target rate and
+// posts it to the main thread in ~100 ms frames.
+// ============================================
+
+class PcmCaptureProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    this.targetRate = (options.processorOptions && options.processorOptions.targetRate) || 16000;
+    this.ratio = sampleRate / this.targetRate;
+    this.frameSize = Math.round(this.targetRate / 10);
+    this.frame = new Int16Array(this.frameSize);
+    this.frameLength = 0;
+    this.position = 0;
+  }
+
+  process(inputs) {
+    const input = inputs[0] && inputs[0][0];
+    if (!input) return true;
+
+    // Average each run of input samples that maps to one output sample
+    while (this.position < input.length) {
+      const start = Math.floor(this.position);
+      const end = Math.min(input.length, Math.floor(this.position + this.ratio));
+      let sum = 0;
+      for (let i = start; i < Math.max(end, start + 1); i++) sum += input[i];
+      const sample = sum / Math.max(1, end - start);
+
+      this.frame[this.frameLength++] = Math.max(-1, Math.min(1, sample)) * 0x7fff;
+      if (this.frameLength === this.frameSize) {
+        this.port.postMessage(this.frame.buffer.slice(0));
+        this.frameLength = 0;
+      }
+
+      this.position += this.ratio;
+    }
+    this.position -= input.length;
+
+    return true;
+  }
+}
+
+registerProcessor('pcm-capture', PcmCaptureProcessor);
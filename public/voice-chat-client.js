@@ -0,0 +1,398 @@
+// ============================================
+// VOICE CHAT SDK
+// VoiceChatClient wraps the chatbot's HTTP API for any web page: recording
+// from the microphone, the transcribe / respond / tts calls, playback with
+// word-by-word captions, and the session and user IDs that keep a
+// conversation going across page loads. The embeddable widget (widget.js)
+// is built on it.
+//
+//   <script src="https://chat.example.com/voice-chat-client.js"></script>
+//   const client = new VoiceChatClient({ serverUrl: 'https://chat.example.com', character: 'joey' });
+//   client.on('reply', reply => console.log(reply.response));
+//   await client.send('How you doin?');      // answered, voiced and played
+//   await client.startRecording();
+//   await client.sendRecording(await client.stopRecording());
+//
+// Events, from client.on(event, handler) (which returns an unsubscribe
+// function):
+//   status      { state }  idle | recording | transcribing | thinking | speaking
+//   session     { sessionId, userId }  new IDs from the server
+//   transcript  { text, language, words }  what the user said
+//   reply       the reply, as /api/respond returns it plus audioUrl and words
+//               once it is voiced
+//   word        { index, word, start, end }  the word being said while a
+//               reply plays, if its timings are known
+//   playback-end {}
+//   error       a VoiceChatError ({ message, code, status, details }) from
+//               send() or sendRecording(), which also reject with it
+//
+// Pages on other sites need their origin in the server's CORS_ORIGINS. In
+// Node 18+ everything but recording and playback works too.
+// ============================================
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.VoiceChatClient = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // An error reply from the server ({ error, details, code }), or a step
+  // that failed in the browser (code: "microphone_denied", "not_recording")
+  class VoiceChatError extends Error {
+    constructor(message, { code = null, status = null, details = null } = {}) {
+      super(message);
+      this.name = 'VoiceChatError';
+      this.code = code;
+      this.status = status;
+      this.details = details;
+    }
+  }
+
+  async function responseError(res) {
+    const body = await res.json().catch(() => ({}));
+    return new VoiceChatError(body.error || `Request failed (HTTP ${res.status})`, {
+      code: body.code || null,
+      status: res.status,
+      details: body.details || null
+    });
+  }
+
+  // Storage for the IDs when the page has none (Node, sandboxed iframes)
+  function memoryStorage() {
+    const items = new Map();
+    return {
+      getItem: key => (items.has(key) ? items.get(key) : null),
+      setItem: (key, value) => items.set(key, String(value))
+    };
+  }
+
+  function defaultStorage() {
+    try {
+      if (typeof localStorage !== 'undefined') return localStorage;
+    } catch {
+      // Blocked, e.g. third-party storage in a sandboxed iframe
+    }
+    return memoryStorage();
+  }
+
+  // Browsers record WebM/Ogg (Safari: MP4); the server checks the real format
+  function recordingFilename(type) {
+    const extension = type.includes('mp4') ? 'm4a' : type.includes('ogg') ? 'ogg' : 'webm';
+    return `recording.${extension}`;
+  }
+
+  class VoiceChatClient {
+    // serverUrl defaults to the page's own origin. `voice: false` gets
+    // text-only replies; `language` is "auto" or a code like "hi". The IDs
+    // are kept in `storage` (localStorage) under `storageKey`.
+    constructor({
+      serverUrl = typeof location !== 'undefined' ? location.origin : null,
+      character = null,
+      language = 'auto',
+      voice = true,
+      apiKey = null,
+      storage = defaultStorage(),
+      storageKey = 'voiceChat'
+    } = {}) {
+      if (!serverUrl) throw new VoiceChatError('serverUrl is required');
+
+      this.serverUrl = serverUrl.replace(/\/+$/, '');
+      this.character = character;
+      this.language = language;
+      this.voice = voice;
+      this.apiKey = apiKey;
+      this.storage = storage;
+      this.storageKey = storageKey;
+      this.sessionId = storage.getItem(`${storageKey}.sessionId`);
+      this.userId = storage.getItem(`${storageKey}.userId`);
+      this.state = 'idle';
+      this.listeners = new Map();
+      this.recorder = null;
+      this.audio = null;
+      this.playback = null;
+    }
+
+    on(event, handler) {
+      if (!this.listeners.has(event)) this.listeners.set(event, new Set());
+      this.listeners.get(event).add(handler);
+      return () => this.off(event, handler);
+    }
+
+    off(event, handler) {
+      const handlers = this.listeners.get(event);
+      if (handlers) handlers.delete(handler);
+    }
+
+    emit(event, data) {
+      for (const handler of this.listeners.get(event) || []) {
+        try {
+          handler(data);
+        } catch (error) {
+          console.error(`VoiceChatClient: "${event}" handler failed`, error);
+        }
+      }
+    }
+
+    setState(state) {
+      if (state === this.state) return;
+      this.state = state;
+      this.emit('status', { state });
+    }
+
+    // An absolute URL on the server (audio URLs come back relative)
+    url(path) {
+      return new URL(path, `${this.serverUrl}/`).toString();
+    }
+
+    // fetch() with the session, user and API key headers; remembers the IDs
+    // the server sends back and throws a VoiceChatError on an error status
+    async request(path, { method = 'GET', body, headers = {}, signal } = {}) {
+      const sent = { ...headers };
+      if (this.sessionId) sent['X-Session-Id'] = this.sessionId;
+      if (this.userId) sent['X-User-Id'] = this.userId;
+      if (this.apiKey) sent['X-API-Key'] = this.apiKey;
+
+      let payload = body;
+      if (body !== undefined && !(body instanceof FormData)) {
+        sent['Content-Type'] = 'application/json';
+        payload = JSON.stringify(body);
+      }
+
+      const res = await fetch(this.url(path), { method, headers: sent, body: payload, signal });
+      this.remember(res.headers.get('X-Session-Id'), res.headers.get('X-User-Id'));
+      if (!res.ok) throw await responseError(res);
+      return res;
+    }
+
+    remember(sessionId, userId) {
+      let changed = false;
+      if (sessionId && sessionId !== this.sessionId) {
+        this.sessionId = sessionId;
+        this.storage.setItem(`${this.storageKey}.sessionId`, sessionId);
+        changed = true;
+      }
+      if (userId && userId !== this.userId) {
+        this.userId = userId;
+        this.storage.setItem(`${this.storageKey}.userId`, userId);
+        changed = true;
+      }
+      if (changed) this.emit('session', { sessionId: this.sessionId, userId: this.userId });
+    }
+
+    requireCharacter() {
+      if (!this.character) throw new VoiceChatError('No character selected');
+      return this.character;
+    }
+
+    // The characters on the server: [{ id, name, shortName, emoji, greeting, ... }]
+    async characters() {
+      return (await this.request('/api/characters')).json();
+    }
+
+    // The stored conversation with the character, oldest first
+    async history() {
+      const character = this.requireCharacter();
+      const { messages } = await (await this.request(`/api/history/${encodeURIComponent(character)}`)).json();
+      return messages.map(message => ({ ...message, audioUrl: message.audioUrl && this.url(message.audioUrl) }));
+    }
+
+    async clearHistory() {
+      await this.request('/api/clear-history', { method: 'POST', body: { character: this.requireCharacter() } });
+    }
+
+    // POST /api/transcribe: { text, language, words, duration }
+    async transcribe(audio, { filename = recordingFilename(audio.type || ''), language = this.language, signal } = {}) {
+      const form = new FormData();
+      form.append('audio', audio, filename);
+      form.append('language', language);
+      if (this.character) form.append('character', this.character);
+
+      const res = await this.request('/api/transcribe', { method: 'POST', body: form, signal });
+      const { transcription, language: heard, words, duration } = await res.json();
+      return { text: transcription, language: heard, words, duration };
+    }
+
+    // POST /api/respond: the character's reply to `text` (see server.js for
+    // its fields). `words` are the timings of a spoken message.
+    async respond(text, { language = this.language, words = null, retry = false, signal } = {}) {
+      const res = await this.request('/api/respond', {
+        method: 'POST',
+        body: { userMessage: text, character: this.requireCharacter(), language, words, retry },
+        signal
+      });
+      return res.json();
+    }
+
+    // POST /api/tts: { audioUrl, words, cached } for `text` in the
+    // character's voice. With a reply's messageId the clip is kept with it.
+    async speak(text, { messageId = null, emotion = null, language = this.language, signal } = {}) {
+      const res = await this.request('/api/tts', {
+        method: 'POST',
+        body: { text, character: this.requireCharacter(), language, emotion, ...(messageId ? { messageId } : {}) },
+        signal
+      });
+      const { audioUrl, words, cached } = await res.json();
+      return { audioUrl: this.url(audioUrl), words, cached };
+    }
+
+    // A whole turn: the reply to `text`, voiced and played unless voice is
+    // off. Resolves with the reply once it has been said; a reply whose
+    // speech failed still arrives, as text, with "tts" in `degraded`.
+    async send(text, { language = this.language, words = null } = {}) {
+      this.stop();
+      try {
+        this.setState('thinking');
+        const reply = await this.respond(text, { language, words });
+        reply.audioUrl = null;
+        reply.words = null;
+
+        if (this.voice) {
+          try {
+            const speech = await this.speak(reply.response, {
+              messageId: reply.messageId,
+              emotion: reply.emotion,
+              language: reply.language || language
+            });
+            Object.assign(reply, { audioUrl: speech.audioUrl, words: speech.words });
+          } catch (error) {
+            reply.degraded = [...(reply.degraded || []), 'tts'];
+            this.emit('error', error);
+          }
+        }
+
+        this.emit('reply', reply);
+        if (reply.audioUrl && typeof Audio !== 'undefined') {
+          this.setState('speaking');
+          // Autoplay may be blocked; the reply is still good
+          await this.play(reply.audioUrl, { words: reply.words }).catch(error => this.emit('error', error));
+        }
+        return reply;
+      } catch (error) {
+        this.emit('error', error);
+        throw error;
+      } finally {
+        this.setState('idle');
+      }
+    }
+
+    // Transcribe a recording, then send() what was said. Resolves with the
+    // reply, or null when no speech was heard.
+    async sendRecording(audio, options = {}) {
+      let heard;
+      try {
+        this.setState('transcribing');
+        heard = await this.transcribe(audio, options);
+      } catch (error) {
+        this.setState('idle');
+        this.emit('error', error);
+        if (error.code === 'silence') return null;
+        throw error;
+      }
+      this.emit('transcript', heard);
+      return this.send(heard.text, { language: heard.language, words: heard.words });
+    }
+
+    // Start recording from the microphone (asks for permission first)
+    async startRecording() {
+      if (this.recorder) return;
+      this.stop();
+
+      let stream;
+      try {
+        stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+      } catch (error) {
+        throw new VoiceChatError('Microphone access was denied', { code: 'microphone_denied', details: error.message });
+      }
+
+      const chunks = [];
+      const recorder = new MediaRecorder(stream);
+      recorder.ondataavailable = event => {
+        if (event.data.size > 0) chunks.push(event.data);
+      };
+      recorder.done = new Promise(resolve => {
+        recorder.onstop = () => {
+          stream.getTracks().forEach(track => track.stop());
+          resolve(new Blob(chunks, { type: recorder.mimeType || 'audio/webm' }));
+        };
+      });
+      recorder.start();
+      this.recorder = recorder;
+      this.setState('recording');
+    }
+
+    // Stop recording; resolves with the recording as a Blob
+    async stopRecording() {
+      const recorder = this.recorder;
+      if (!recorder) throw new VoiceChatError('Not recording', { code: 'not_recording' });
+      this.recorder = null;
+      recorder.stop();
+      const audio = await recorder.done;
+      this.setState('idle');
+      return audio;
+    }
+
+    get recording() {
+      return Boolean(this.recorder);
+    }
+
+    get playing() {
+      return Boolean(this.playback);
+    }
+
+    // Play a clip, from `startAt` seconds in, emitting a `word` event as
+    // each of its `words` is reached. Resolves when it ends or is stopped.
+    play(audioUrl, { words = null, startAt = 0 } = {}) {
+      this.stop();
+      if (!this.audio) this.audio = new Audio();
+      const audio = this.audio;
+
+      return new Promise((resolve, reject) => {
+        let current = -1;
+        let frame = null;
+        const follow = () => {
+          let index = current;
+          while (index + 1 < words.length && words[index + 1].start <= audio.currentTime) index++;
+          while (index >= 0 && words[index].start > audio.currentTime) index--;
+          if (index !== current && index >= 0) this.emit('word', { index, ...words[index] });
+          current = index;
+          frame = requestAnimationFrame(follow);
+        };
+        const finish = () => {
+          if (frame !== null) cancelAnimationFrame(frame);
+          audio.onended = null;
+          this.playback = null;
+          this.emit('playback-end', {});
+          resolve();
+        };
+
+        this.playback = { finish };
+        audio.onended = finish;
+        audio.src = audioUrl;
+        audio.currentTime = startAt;
+        audio.play()
+          .then(() => {
+            if (words && words.length > 0 && this.playback) follow();
+          })
+          .catch(error => {
+            this.playback = null;
+            reject(new VoiceChatError('Playback was blocked', { code: 'playback_blocked', details: error.message }));
+          });
+      });
+    }
+
+    // Jump to `time` seconds in the clip that is playing
+    seek(time) {
+      if (this.playback && this.audio) this.audio.currentTime = time;
+    }
+
+    // Stop playback, if anything is playing
+    stop() {
+      if (!this.playback) return;
+      this.audio.pause();
+      this.playback.finish();
+    }
+  }
+
+  VoiceChatClient.VoiceChatError = VoiceChatError;
+  return VoiceChatClient;
+});
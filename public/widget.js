@@ -0,0 +1,402 @@
+// ============================================
+// EMBEDDABLE CHAT WIDGET
+// A chat bubble any site can add with one script tag. It lives in a shadow
+// DOM, so the page's styles and the widget's never mix, and talks to the
+// server through VoiceChatClient (voice-chat-client.js), which it loads
+// from the same server.
+//
+//   <script src="https://chat.example.com/widget.js" data-character="joey" data-theme="dark" async></script>
+//
+// Settings, as data- attributes on the script tag or as options of
+// VoiceChatWidget.mount({ ... }) (which resolves to { client, open, close,
+// destroy }; data-mount="false" skips the automatic mount):
+//   character  character ID (default: the server's first)
+//   server     server URL (default: where widget.js was loaded from)
+//   theme      "light" (default), "dark" or "auto" (follows the OS)
+//   accent     accent colour, e.g. "#e67e22"
+//   position   "bottom-right" (default) or "bottom-left"
+//   language   "auto" (default) or a language code like "hi"
+//   voice      "false" for text-only replies
+//   open       "true" to start with the chat open
+// The page's origin must be listed in the server's CORS_ORIGINS.
+// ============================================
+
+(function () {
+  'use strict';
+
+  const script = document.currentScript;
+  const scriptServer = script && script.src ? new URL(script.src).origin : location.origin;
+
+  const STYLES = `
+    :host { all: initial; }
+    .widget {
+      --vc-accent: #667eea;
+      --vc-bg: #ffffff;
+      --vc-text: #333333;
+      --vc-muted: #888888;
+      --vc-bubble: #e8e8e8;
+      --vc-border: #e0e0e0;
+      position: fixed;
+      bottom: 20px;
+      right: 20px;
+      z-index: 2147483000;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      font-size: 14px;
+      color: var(--vc-text);
+    }
+    .widget[data-position="bottom-left"] { right: auto; left: 20px; }
+    .widget[data-theme="dark"] {
+      --vc-bg: #1f2430;
+      --vc-text: #e8e8e8;
+      --vc-muted: #9aa0ad;
+      --vc-bubble: #2d3342;
+      --vc-border: #394052;
+    }
+    @media (prefers-color-scheme: dark) {
+      .widget[data-theme="auto"] {
+        --vc-bg: #1f2430;
+        --vc-text: #e8e8e8;
+        --vc-muted: #9aa0ad;
+        --vc-bubble: #2d3342;
+        --vc-border: #394052;
+      }
+    }
+    button { font: inherit; cursor: pointer; }
+    .launcher {
+      width: 56px;
+      height: 56px;
+      border: none;
+      border-radius: 50%;
+      background: var(--vc-accent);
+      color: white;
+      font-size: 26px;
+      box-shadow: 0 4px 14px rgba(0, 0, 0, 0.25);
+    }
+    .panel {
+      position: absolute;
+      bottom: 70px;
+      right: 0;
+      width: 340px;
+      max-width: calc(100vw - 40px);
+      height: 480px;
+      max-height: calc(100vh - 110px);
+      display: flex;
+      flex-direction: column;
+      background: var(--vc-bg);
+      border: 1px solid var(--vc-border);
+      border-radius: 14px;
+      box-shadow: 0 8px 30px rgba(0, 0, 0, 0.25);
+      overflow: hidden;
+    }
+    .widget[data-position="bottom-left"] .panel { right: auto; left: 0; }
+    .panel[hidden] { display: none; }
+    header {
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      padding: 10px 14px;
+      background: var(--vc-accent);
+      color: white;
+      font-weight: 600;
+    }
+    .close { border: none; background: none; color: white; font-size: 20px; line-height: 1; }
+    .messages {
+      flex: 1;
+      overflow-y: auto;
+      padding: 12px;
+      display: flex;
+      flex-direction: column;
+      gap: 8px;
+    }
+    .message {
+      max-width: 85%;
+      padding: 8px 11px;
+      border-radius: 14px;
+      line-height: 1.4;
+      word-wrap: break-word;
+      white-space: pre-wrap;
+    }
+    .message.user {
+      align-self: flex-end;
+      background: var(--vc-accent);
+      color: white;
+      border-radius: 14px 14px 4px 14px;
+    }
+    .message.character {
+      align-self: flex-start;
+      background: var(--vc-bubble);
+      border-radius: 14px 14px 14px 4px;
+    }
+    .message.character.voiced .word { cursor: pointer; }
+    .word { border-radius: 3px; }
+    .word.spoken { color: var(--vc-accent); }
+    .word.speaking { background: var(--vc-accent); color: white; }
+    .status { min-height: 1.2em; margin: 0; padding: 0 14px 4px; font-size: 12px; color: var(--vc-muted); }
+    form { display: flex; gap: 6px; padding: 10px; border-top: 1px solid var(--vc-border); }
+    input {
+      flex: 1;
+      min-width: 0;
+      padding: 8px 10px;
+      border: 1px solid var(--vc-border);
+      border-radius: 18px;
+      background: var(--vc-bg);
+      color: var(--vc-text);
+      font: inherit;
+    }
+    form button {
+      width: 36px;
+      height: 36px;
+      border: none;
+      border-radius: 50%;
+      background: var(--vc-accent);
+      color: white;
+    }
+    form button.mic { background: var(--vc-bubble); color: var(--vc-text); }
+    form button.mic.recording { background: #e74c3c; color: white; }
+  `;
+
+  const TEMPLATE = `
+    <div class="widget">
+      <section class="panel" role="dialog" hidden>
+        <header><span class="title"></span><button class="close" aria-label="Close chat">×</button></header>
+        <div class="messages" aria-live="polite"></div>
+        <p class="status"></p>
+        <form autocomplete="off">
+          <button type="button" class="mic" aria-label="Record a message">🎙️</button>
+          <input type="text" maxlength="2000" placeholder="Type a message...">
+          <button type="submit" aria-label="Send">➤</button>
+        </form>
+      </section>
+      <button class="launcher" aria-label="Open chat">💬</button>
+    </div>
+  `;
+
+  // What to show when a request is refused; everything else shows its details
+  const ERROR_MESSAGES = {
+    silence: "Didn't catch that, try speaking a little louder",
+    microphone_denied: 'Allow microphone access to talk',
+    playback_blocked: 'Tap a word of the reply to hear it',
+    input_flagged: 'That message was blocked by moderation'
+  };
+
+  let sdk = null;
+
+  // VoiceChatClient, loaded from the server unless the page already has it
+  function loadSdk(server) {
+    if (window.VoiceChatClient) return Promise.resolve(window.VoiceChatClient);
+    if (!sdk) {
+      sdk = new Promise((resolve, reject) => {
+        const tag = document.createElement('script');
+        tag.src = `${server}/voice-chat-client.js`;
+        tag.onload = () => resolve(window.VoiceChatClient);
+        tag.onerror = () => reject(new Error(`Could not load the voice chat SDK from ${server}`));
+        document.head.appendChild(tag);
+      });
+    }
+    return sdk;
+  }
+
+  // The message's text, word by word when it has timings
+  function renderText(element, text, words) {
+    const parts = text.split(/(\s+)/);
+    if (!words || words.length !== parts.filter(part => part.trim()).length) {
+      element.textContent = text;
+      return;
+    }
+    element.textContent = '';
+    let index = 0;
+    parts.forEach(part => {
+      if (!part.trim()) {
+        if (part) element.appendChild(document.createTextNode(part));
+        return;
+      }
+      const span = document.createElement('span');
+      span.className = 'word';
+      span.textContent = part;
+      span.dataset.index = index++;
+      element.appendChild(span);
+    });
+  }
+
+  async function mount(options = {}) {
+    const settings = {
+      server: scriptServer,
+      theme: 'light',
+      position: 'bottom-right',
+      language: 'auto',
+      ...options
+    };
+    const VoiceChatClient = await loadSdk(settings.server);
+    const client = new VoiceChatClient({
+      serverUrl: settings.server,
+      character: settings.character || null,
+      language: settings.language,
+      voice: settings.voice !== false && settings.voice !== 'false'
+    });
+
+    const host = document.createElement('div');
+    host.className = 'voice-chat-widget';
+    const shadow = host.attachShadow({ mode: 'open' });
+    shadow.innerHTML = `<style>${STYLES}</style>${TEMPLATE}`;
+    (settings.target || document.body).appendChild(host);
+
+    const $ = selector => shadow.querySelector(selector);
+    const widget = $('.widget');
+    const panel = $('.panel');
+    const messages = $('.messages');
+    const status = $('.status');
+    const input = $('input');
+    const mic = $('.mic');
+    widget.dataset.theme = settings.theme;
+    widget.dataset.position = settings.position;
+    if (settings.accent) widget.style.setProperty('--vc-accent', settings.accent);
+
+    let character = null;
+    let loaded = false;
+    // The reply whose audio is playing: { element, reply }
+    let playing = null;
+
+    function addMessage(role, text, reply = null) {
+      const element = document.createElement('div');
+      element.className = `message ${role}`;
+      renderText(element, text, reply && reply.words);
+      if (reply && reply.audioUrl) element.classList.add('voiced');
+      element.reply = reply;
+      messages.appendChild(element);
+      messages.scrollTop = messages.scrollHeight;
+      return element;
+    }
+
+    function showStatus(text) {
+      status.textContent = text || '';
+    }
+
+    async function play(element, startAt = 0) {
+      // play() ends whatever was playing first, which clears `playing`
+      const done = client.play(element.reply.audioUrl, { words: element.reply.words, startAt });
+      playing = { element, reply: element.reply };
+      await done.catch(error => showStatus(ERROR_MESSAGES[error.code] || error.message));
+    }
+
+    // Progress shows while it lasts; an error stays until the next step
+    let progress = '';
+    client.on('status', ({ state }) => {
+      mic.classList.toggle('recording', state === 'recording');
+      const name = character ? character.shortName || character.name : 'The character';
+      const text = {
+        recording: 'Listening... tap 🎙️ again to send',
+        transcribing: 'Transcribing...',
+        thinking: `${name} is thinking...`
+      }[state];
+      if (text) showStatus(text);
+      else if (status.textContent === progress) showStatus('');
+      progress = text || '';
+    });
+    client.on('transcript', heard => addMessage('user', heard.text));
+    client.on('reply', reply => {
+      const element = addMessage('character', reply.response, reply);
+      if (reply.audioUrl) playing = { element, reply };
+    });
+    client.on('word', ({ index }) => {
+      if (!playing) return;
+      playing.element.querySelectorAll('.word').forEach((span, i) => {
+        span.classList.toggle('spoken', i < index);
+        span.classList.toggle('speaking', i === index);
+      });
+    });
+    client.on('playback-end', () => {
+      if (playing) playing.element.querySelectorAll('.word').forEach(span => span.classList.remove('spoken', 'speaking'));
+      playing = null;
+    });
+    client.on('error', error => showStatus(ERROR_MESSAGES[error.code] || error.details || error.message));
+
+    // Click a word of a voiced reply to hear it from there
+    messages.addEventListener('click', event => {
+      const span = event.target.closest('.word');
+      const element = span && span.closest('.message.voiced');
+      if (!element) return;
+      const { start } = element.reply.words[Number(span.dataset.index)];
+      if (playing && playing.element === element && client.playing) client.seek(start);
+      else play(element, start);
+    });
+
+    // The character and its conversation so far, the first time it opens
+    async function load() {
+      if (loaded) return;
+      loaded = true;
+      try {
+        const list = await client.characters();
+        character = list.find(item => item.id === settings.character) || list[0];
+        if (!character) throw new Error('No characters on this server');
+        client.character = character.id;
+        $('.title').textContent = `${character.emoji || '💬'} ${character.name}`;
+        panel.setAttribute('aria-label', `Chat with ${character.name}`);
+
+        const history = await client.history();
+        history.forEach(message => {
+          if (message.role === 'user') addMessage('user', message.content);
+          else addMessage('character', message.content, { ...message, response: message.content });
+        });
+        if (history.length === 0 && character.greeting) addMessage('character', character.greeting);
+      } catch (error) {
+        loaded = false;
+        showStatus(error.message);
+      }
+    }
+
+    function open() {
+      panel.hidden = false;
+      load();
+      input.focus();
+    }
+
+    function close() {
+      panel.hidden = true;
+      client.stop();
+    }
+
+    $('.launcher').addEventListener('click', () => (panel.hidden ? open() : close()));
+    $('.close').addEventListener('click', close);
+
+    $('form').addEventListener('submit', event => {
+      event.preventDefault();
+      const text = input.value.trim();
+      if (!text || !client.character) return;
+      input.value = '';
+      addMessage('user', text);
+      client.send(text).catch(() => {});
+    });
+
+    mic.addEventListener('click', async () => {
+      if (!client.character) return;
+      try {
+        if (client.recording) await client.sendRecording(await client.stopRecording());
+        else await client.startRecording();
+      } catch (error) {
+        showStatus(ERROR_MESSAGES[error.code] || error.details || error.message);
+      }
+    });
+
+    if (settings.open === true || settings.open === 'true') open();
+
+    return {
+      client,
+      open,
+      close,
+      destroy() {
+        close();
+        host.remove();
+      }
+    };
+  }
+
+  window.VoiceChatWidget = { mount };
+
+  if (script && script.dataset.mount !== 'false') {
+    const settings = { ...script.dataset };
+    delete settings.mount;
+    const start = () => mount(settings).catch(error => console.error('Voice chat widget:', error));
+    if (document.body) start();
+    else document.addEventListener('DOMContentLoaded', start);
+  }
+})();
@@ -4,105 +4,963 @@
 // ============================================
 
 require('dotenv').config();
+const http = require('http');
+const { AsyncResource } = require('async_hooks');
 const express = require('express');
 const cors = require('cors');
+const proxyaddr = require('proxy-addr');
 const multer = require('multer');
-const fs = require('fs');
 const path = require('path');
-const OpenAI = require('openai');
+const { Server } = require('socket.io');
+const crypto = require('crypto');
+const { createSessionManager, isValidSessionId } = require('./lib/sessions');
+const { createStore } = require('./lib/store');
+const { createCharacterRegistry, CharacterValidationError, fallbackLine } = require('./lib/characters');
+const { createSentenceSplitter } = require('./lib/sentences');
+const { attachVoiceChannel } = require('./lib/realtime');
+const { createProviderRegistry } = require('./lib/providers');
+const { UpstreamError } = require('./lib/providers/resilience');
+const { createContextManager } = require('./lib/context');
+const { createUserMemory, memoryOptions, cleanMemoryText, withMemories, MAX_MEMORY_LENGTH } = require('./lib/user-memory');
+const room = require('./lib/room');
+const debate = require('./lib/debate');
+const transfer = require('./lib/export');
+const { createAudioCache, audioId, parseRange } = require('./lib/audio-cache');
+const {
+  createKnowledgeBase,
+  knowledgeOptions,
+  DocumentError,
+  documentTooLarge,
+  decodeText,
+  withKnowledge,
+  toSources
+} = require('./lib/knowledge');
+const { createUsageTracker, UsageLimitError, trustProxy } = require('./lib/usage');
+const { validateAudio, uploadLimits, fileTooLarge, AudioUploadError } = require('./lib/audio-upload');
+const { audioDuration } = require('./lib/audio-format');
+const { corsOrigin } = require('./lib/cors-origins');
+const languages = require('./lib/languages');
+const { withEmotionTags, createEmotionFilter, parseEmotion, speechStyle, speechText, toEmotion } = require('./lib/emotions');
+const { wordTimingsFor, alignWordTimings, sanitizeWordTimings } = require('./lib/word-timings');
+const { createGuardrails, GuardrailError } = require('./lib/guardrails');
+const { logger } = require('./lib/logger');
+const { createMetrics } = require('./lib/metrics');
+
+// Structured JSON logs, tagged by area: log('Respond').info(...)
+const log = tag => logger.child(tag);
 
 const app = express();
-const upload = multer({ storage: multer.memoryStorage() });
+// Which proxies may name the client, for per-IP limits (see lib/usage.js)
+app.set('trust proxy', trustProxy());
+const server = http.createServer(app);
+// Other sites (the embeddable widget) may call the API and open the voice
+// socket only if CORS_ORIGINS lists them (see lib/cors-origins.js)
+const corsOptions = {
+  origin: corsOrigin(),
+  exposedHeaders: ['X-Session-Id', 'X-User-Id', 'X-Request-Id', 'Retry-After']
+};
+const io = new Server(server, { cors: corsOptions });
+// Recordings are held in memory, never written to temp files. Multer stops
+// reading one byte past the cap (memory storage may hand over the truncated
+// file without an error), which validateAudio then rejects.
+const { maxBytes: MAX_UPLOAD_BYTES } = uploadLimits();
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_UPLOAD_BYTES + 1, files: 1 } });
 
-app.use(cors());
-app.use(express.json());
+app.use(cors(corsOptions));
+// Large enough for an imported conversation export
+app.use(express.json({ limit: '2mb' }));
 app.use(express.static(path.join(__dirname, 'public')));
 
+// Prometheus metrics, served at GET /metrics
+const metrics = createMetrics();
+const httpRequests = metrics.counter('http_requests_total',
+  'HTTP requests by route and status', ['method', 'route', 'status']);
+const httpErrors = metrics.counter('http_request_errors_total',
+  'HTTP requests that ended with a 4xx or 5xx status, by route', ['method', 'route', 'status']);
+const httpDuration = metrics.histogram('http_request_duration_seconds',
+  'Time to finish an HTTP request (SSE: the whole stream), by route', ['method', 'route']);
+const stageDuration = metrics.histogram('stage_duration_seconds',
+  'Latency of provider calls by stage (stt, llm, llm_first_token, tts, moderation, embeddings) and character',
+  ['stage', 'provider', 'character']);
+const stageErrors = metrics.counter('stage_errors_total',
+  'Failed provider calls by stage and character', ['stage', 'provider', 'character']);
+const upstreamRetries = metrics.counter('upstream_retries_total',
+  'Provider calls retried after a timeout or transient error', ['stage', 'provider']);
+const fallbacks = metrics.counter('fallbacks_total',
+  'Replies that went out degraded: a canned line (llm) or without audio (tts)', ['stage', 'character']);
+
+// Every request gets an ID, echoed in X-Request-Id and on each log line
+// written while handling it. Callers may send their own (the client uses
+// one per turn, so its transcribe, respond and tts requests share it).
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,64}$/;
+
+app.use((req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+
+  const started = performance.now();
+  res.on('close', () => {
+    const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+    const seconds = (performance.now() - started) / 1000;
+    const labels = { method: req.method, route, status: res.statusCode };
+    httpRequests.inc(labels);
+    if (res.statusCode >= 400) httpErrors.inc(labels);
+    httpDuration.observe(labels, seconds);
+    log('HTTP').info('Request finished', {
+      requestId: req.id,
+      method: req.method,
+      route,
+      status: res.statusCode,
+      ms: Math.round(seconds * 1000),
+      ...(res.writableFinished ? {} : { aborted: true })
+    });
+  });
+
+  logger.run({ requestId: req.id }, next);
+});
+
+// Provider latency per stage, for the logs and /metrics
+function recordTiming({ stage, provider, character, seconds, ok }) {
+  const labels = { stage, provider, character: character || 'none' };
+  stageDuration.observe(labels, seconds);
+  if (!ok) stageErrors.inc(labels);
+  log('Timing').info(stage, { provider, character, ms: Math.round(seconds * 1000), ok });
+}
+
+// Rate limits, daily quotas and the usage ledger
+const usage = createUsageTracker();
+
+// Optional API keys (API_KEYS, comma-separated). Requests that send a valid
+// X-API-Key are metered against the key instead of their session.
+const API_KEYS = new Set((process.env.API_KEYS || '').split(',').map(key => key.trim()).filter(Boolean));
+
+// STT / LLM / TTS providers (openai, openai-compatible or mock)
+const providers = createProviderRegistry(process.env, {
+  onUsage: event => usage.record(event),
+  onTiming: recordTiming,
+  onRetry: ({ kind, provider }) => upstreamRetries.inc({ stage: kind, provider })
+});
+
 // CRITICAL: Get API key from environment - works on both local and Vercel
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-
-if (!OPENAI_API_KEY) {
-  console.error('❌ ERROR: OPENAI_API_KEY is not set in environment variables!');
-  console.error('   For local: Add to .env file');
-  console.error('   For Vercel: Run "vercel env add OPENAI_API_KEY"');
-}
-
-// Initialize OpenAI client with API key from environment
-const openai = new OpenAI({
-  apiKey: OPENAI_API_KEY,
-});
-
-// Character definitions
-const characters = {
-  joey: {
-    name: 'Joey Tribbiani',
-    source: 'Friends',
-    systemPrompt: `You are Joey Tribbiani from the TV show Friends. You're a struggling actor known for being charming, funny, and not very intelligent. You say "How you doin'?" a lot. You think everything is about acting or dating. You're loyal to your friends but often misunderstand things. Keep responses short (1-2 sentences) and stay in character. Never break character or mention you're an AI.`,
-    greeting: `Hey there! How you doin'? I'm Joey Tribbiani, and I'm here to chat with ya. What's up?`
-  },
-  dwight: {
-    name: 'Dwight K. Schrute',
-    source: 'The Office',
-    systemPrompt: `You are Dwight K. Schrute from The Office. You're intense, competitive, serious, and obsessed with authority, efficiency, and your beet farm. You speak formally and take everything very seriously. You often mention your role as Assistant Regional Manager or Assistant to the Regional Manager (you care which title it is). You're loyal but difficult. Keep responses short (1-2 sentences) and stay in character. Never break character or mention you're an AI.`,
-    greeting: `Question. What brings you here today? I'm Dwight K. Schrute, Assistant Regional Manager, and I don't have time for nonsense.`
-  },
-  dhruv: {
-    name: 'Dhruv Rathee',
-    source: 'YouTuber / Social Commentator',
-    systemPrompt: `You are Dhruv Rathee, a popular Indian YouTuber and educator known for explaining complex topics in simple terms. You focus on political analysis, social issues, and education. You're calm, articulate, fact-based, and balanced in your approach. You often reference data and research. Keep responses short (1-2 sentences) and stay in character. Never break character or mention you're an AI.`,
-    greeting: `Hello! I'm Dhruv Rathee. I'm here to discuss important topics and share insights. What would you like to know about?`
+if (Object.values(providers.defaults).includes('openai') && !providers.get('openai').configured) {
+  log('Server').error('OPENAI_API_KEY is not set in environment variables', {
+    hint: 'Add it to .env (or set AI_PROVIDER=mock to work offline); on Vercel run "vercel env add OPENAI_API_KEY"'
+  });
+}
+
+// Moderation and persona checks around every reply
+const guardrails = createGuardrails({ moderation: providers.moderation });
+
+// Character registry (one JSON/YAML file per persona)
+const CHARACTERS_DIR = process.env.CHARACTERS_DIR || path.join(__dirname, 'characters');
+const characters = createCharacterRegistry({ dir: CHARACTERS_DIR });
+
+// Conversation storage (CONVERSATION_STORE=memory|file)
+const store = createStore();
+
+// TTS clips, shared by every session (IDs are content hashes)
+const audioCache = createAudioCache();
+
+// Each character's reference documents, searched before every reply
+const knowledgeConfig = knowledgeOptions();
+const knowledge = createKnowledgeBase({ ...knowledgeConfig, embeddings: providers.embeddings });
+const documentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: knowledgeConfig.maxBytes + 1, files: 1 }
+});
+
+// Sessions: each browser gets its own ID (cookie or X-Session-Id header).
+// A session ends once it has gone unused for SESSION_TTL_MINUTES (default:
+// the retention period); the next request then starts a new one. What it
+// stored is kept until it has gone unused for CONVERSATION_RETENTION_DAYS
+// (default 30).
+const SESSION_COOKIE = 'vc_session';
+const CONVERSATION_RETENTION_MS = parseFloat(process.env.CONVERSATION_RETENTION_DAYS || '30') * 24 * 60 * 60 * 1000;
+const SESSION_TTL_MS = process.env.SESSION_TTL_MINUTES
+  ? Math.min(parseInt(process.env.SESSION_TTL_MINUTES, 10) * 60 * 1000, CONVERSATION_RETENTION_MS)
+  : CONVERSATION_RETENTION_MS;
+const sessions = createSessionManager({ store, ttlMs: SESSION_TTL_MS, retentionMs: CONVERSATION_RETENTION_MS });
+
+// Token budget for history sent to the model (characters can override it)
+const context = createContextManager({
+  store,
+  defaultBudget: parseInt(process.env.CONTEXT_TOKEN_BUDGET || '3000', 10)
+});
+
+// Long-term memories are kept per user: a random ID the browser keeps much
+// longer than a session (cookie or X-User-Id header)
+const USER_COOKIE = 'vc_user';
+const USER_COOKIE_MAX_AGE_MS = 365 * 24 * 60 * 60 * 1000;
+const userMemory = createUserMemory({ store, ...memoryOptions() });
+
+// Debates in progress, by ID (they live as long as their SSE stream)
+const debates = new Map();
+
+// An ID sent in a header or, by the browser, as a cookie
+function readClientId(headers, header, cookie) {
+  const headerId = headers[header];
+  if (headerId) return headerId;
+
+  const cookies = headers.cookie || '';
+  const match = cookies.split(';')
+    .map(part => part.trim())
+    .find(part => part.startsWith(cookie + '='));
+  return match ? decodeURIComponent(match.slice(cookie.length + 1)) : null;
+}
+
+function readSessionId(headers) {
+  return readClientId(headers, 'x-session-id', SESSION_COOKIE);
+}
+
+// The user's ID, or a new one if it is missing or malformed
+function resolveUserId(id) {
+  return isValidSessionId(id) ? id : crypto.randomUUID();
+}
+
+app.use('/api', async (req, res, next) => {
+  const apiKey = req.get('X-API-Key');
+  if (apiKey !== undefined && !API_KEYS.has(apiKey)) {
+    return res.status(401).json({ error: 'Invalid API key' });
   }
-};
 
-const chatHistories = {
-  joey: [],
-  dwight: [],
-  dhruv: []
-};
+  try {
+    req.session = await sessions.resolve(readSessionId(req.headers));
+  } catch (error) {
+    log('Session').error('Request failed', { error });
+    return res.status(500).json({ error: 'Session storage unavailable', details: error.message });
+  }
+
+  req.usageOwner = apiKey ? usageOwnerForKey(apiKey) : `session:${req.session.id}`;
+  res.set('X-Session-Id', req.session.id);
+  res.cookie(SESSION_COOKIE, req.session.id, {
+    httpOnly: true,
+    sameSite: 'lax',
+    maxAge: SESSION_TTL_MS
+  });
+
+  req.userId = resolveUserId(readClientId(req.headers, 'x-user-id', USER_COOKIE));
+  res.set('X-User-Id', req.userId);
+  res.cookie(USER_COOKIE, req.userId, {
+    httpOnly: true,
+    sameSite: 'lax',
+    maxAge: USER_COOKIE_MAX_AGE_MS
+  });
+  next();
+});
+
+// Keys are hashed so they never show up in the ledger or logs
+function usageOwnerForKey(apiKey) {
+  return `key:${crypto.createHash('sha256').update(apiKey).digest('hex').slice(0, 16)}`;
+}
+
+function sendLimitError(res, error) {
+  log('Usage').info(error.message, { code: error.code, details: error.details });
+  res.set('Retry-After', String(error.retryAfter));
+  res.status(429).json({
+    error: error.message,
+    code: error.code,
+    details: error.details,
+    retryAfter: error.retryAfter
+  });
+}
+
+// For routes that call the AI providers: applies the rate limits, refuses
+// the request once any daily quota it draws on is used up, and charges every
+// provider call made while handling it to the caller. `kinds` lists those
+// quotas, or derives them from the request.
+function metered(kinds) {
+  return (req, res, next) => {
+    try {
+      usage.admit({ owner: req.usageOwner, ip: req.ip, kinds: typeof kinds === 'function' ? kinds(req) : kinds });
+    } catch (error) {
+      if (error instanceof UsageLimitError) return sendLimitError(res, error);
+      return next(error);
+    }
+    usage.run({ owner: req.usageOwner, ip: req.ip, route: `${req.method} ${req.route.path}` }, next);
+  };
+}
+
+function newMessage(role, content, extra = {}) {
+  return {
+    id: crypto.randomUUID(),
+    role,
+    content,
+    timestamp: new Date().toISOString(),
+    ...extra
+  };
+}
+
+// Conversations are keyed by character ID, or by room ID for group chats
+function isConversation(id) {
+  if (characters.get(id)) return true;
+  if (!room.isRoomId(id)) return false;
+
+  const members = room.memberIds(id);
+  return members.length >= room.MIN_MEMBERS &&
+    members.length <= room.MAX_MEMBERS &&
+    members.every(member => characters.get(member));
+}
+
+// The characters taking part in a conversation
+function conversationMembers(id) {
+  return room.isRoomId(id) ? room.memberIds(id).map(member => characters.get(member)) : [characters.get(id)];
+}
+
+// Looks up the characters of a room; sends a 400 and returns null if the
+// list is the wrong size or names an unknown character
+function resolveRoomMembers(res, ids) {
+  const memberIds = [...new Set(ids)];
+  if (memberIds.length < room.MIN_MEMBERS || memberIds.length > room.MAX_MEMBERS) {
+    res.status(400).json({
+      error: `A room needs between ${room.MIN_MEMBERS} and ${room.MAX_MEMBERS} characters`
+    });
+    return null;
+  }
+
+  const members = memberIds.map(id => characters.get(id));
+  if (members.some(member => !member)) {
+    res.status(400).json({ error: 'Invalid character' });
+    return null;
+  }
+  return members;
+}
+
+// Shape a stored message for the client
+function toClientMessage(message) {
+  return {
+    id: message.id,
+    role: message.role,
+    speaker: message.speaker || null,
+    content: message.content,
+    timestamp: message.timestamp,
+    language: message.language || null,
+    guardrails: message.guardrails || [],
+    edited: Boolean(message.edited),
+    sources: message.sources || [],
+    emotion: message.emotion || null,
+    words: message.words || null,
+    audioUrl: message.audioId ? audioUrlFor(message.audioId) : null,
+    audioExpired: Boolean(message.audioExpired)
+  };
+}
+
+// Messages whose clip has since left the audio cache lose their audioId and
+// are marked audioExpired, so they can be voiced again with /api/tts
+async function withCachedAudio(messages) {
+  const cached = await Promise.all(messages.map(message => message.audioId && audioCache.has(message.audioId)));
+  return messages.map((message, i) =>
+    message.audioId && !cached[i] ? { ...message, audioId: null, audioExpired: true } : message);
+}
+
+function audioUrlFor(id) {
+  return `/api/audio/${id}`;
+}
+
+// A recording rejected by validation (see lib/audio-upload.js)
+function sendAudioError(res, error) {
+  log('Upload').info('Rejected', { code: error.code, reason: error.message });
+  res.status(error.status).json({ error: error.message, code: error.code, ...error.extra });
+}
+
+// A message refused by moderation (see lib/guardrails.js)
+function sendGuardrailError(res, error) {
+  res.status(error.status).json({ error: error.message, code: error.code, ...error.extra });
+}
+
+// A provider that timed out, kept failing or is behind an open circuit (see
+// lib/providers/resilience.js). `message` says which step failed.
+function sendUpstreamError(res, tag, message, error) {
+  log(tag).error(message, { error });
+  if (error.extra.retryAfter) res.set('Retry-After', String(error.extra.retryAfter));
+  res.status(error.status).json({
+    error: message,
+    code: error.code,
+    details: error.message,
+    ...(error.extra.retryAfter ? { retryAfter: error.extra.retryAfter } : {})
+  });
+}
+
+// Parses an optional `audio` upload; a valid recording ends up in req.audio
+// as { buffer, filename, format, seconds } (see lib/audio-upload.js). The
+// callback is bound so the request's log context survives multer.
+function acceptAudio(req, res, next) {
+  upload.single('audio')(req, res, AsyncResource.bind(error => {
+    if (error && error.code === 'LIMIT_FILE_SIZE') return sendAudioError(res, fileTooLarge(MAX_UPLOAD_BYTES));
+    if (error) return res.status(400).json({ error: 'Invalid upload', details: error.message });
+    if (!req.file) return next();
+
+    try {
+      req.audio = validateAudio(req.file.buffer);
+    } catch (validationError) {
+      if (validationError instanceof AudioUploadError) return sendAudioError(res, validationError);
+      return next(validationError);
+    }
+    log('Upload').info('Accepted', {
+      container: req.audio.format.container,
+      codec: req.audio.format.codec,
+      bytes: req.audio.buffer.length,
+      seconds: req.audio.seconds
+    });
+    next();
+  }));
+}
+
+// A document rejected by the knowledge base (see lib/knowledge.js)
+function sendDocumentError(res, error) {
+  res.status(error.status).json({ error: error.message, code: error.code, ...error.extra });
+}
+
+// Parses an optional `document` upload (a UTF-8 text file) into
+// req.body.text, titled after the file unless the form has a title. JSON
+// bodies pass straight through.
+function acceptDocument(req, res, next) {
+  documentUpload.single('document')(req, res, AsyncResource.bind(error => {
+    if (error && error.code === 'LIMIT_FILE_SIZE') return sendDocumentError(res, documentTooLarge(knowledgeConfig.maxBytes));
+    if (error) return res.status(400).json({ error: 'Invalid upload', details: error.message });
+    if (!req.file) return next();
+
+    try {
+      req.body.text = decodeText(req.file.buffer);
+    } catch (decodeError) {
+      if (decodeError instanceof DocumentError) return sendDocumentError(res, decodeError);
+      return next(decodeError);
+    }
+    if (!req.body.title) req.body.title = path.parse(req.file.originalname).name;
+    next();
+  }));
+}
+
+// Reject the request early when a provider it needs has no credentials
+function ensureConfigured(res, tag, ...capabilities) {
+  const missing = capabilities.find(capability => !capability.configured);
+  if (!missing) return true;
+
+  log(tag).error('No API key found for provider', { provider: missing.name });
+  res.status(500).json({ error: 'Server configuration error: Missing API key' });
+  return false;
+}
+
+// The user's language setting from a request body: a code, or null for
+// auto-detect. Sends a 400 and returns undefined if the code is unknown.
+function requestLanguage(req, res) {
+  const language = languages.parseLanguage(req.body.language);
+  if (language === undefined) {
+    res.status(400).json({
+      error: 'Unknown language',
+      details: `language must be "${languages.AUTO}" or one of: ${Object.keys(languages.LANGUAGES).join(', ')}`
+    });
+  }
+  return language;
+}
+
+// Language of a typed message: the user's setting, else a guess from its script
+function typedLanguage(requested, text) {
+  return requested || languages.guessLanguage(text);
+}
+
+// Message fields recording the language, when it is known
+function languageFields(language) {
+  return language ? { language } : {};
+}
+
+// Message fields recording guardrail interventions, when there were any
+function guardrailFields(interventions) {
+  return interventions.length > 0 ? { guardrails: interventions } : {};
+}
+
+function sourceFields(sources) {
+  return sources.length > 0 ? { sources } : {};
+}
+
+function emotionFields(emotion) {
+  return emotion ? { emotion } : {};
+}
+
+function wordFields(words) {
+  return words ? { words } : {};
+}
+
+// Transcribe an in-memory audio clip. `language` is the user's setting (null
+// to let the character's setting or the provider decide). Resolves to
+// { text, language, words, duration } with the language that was heard and,
+// if the provider reports them, when each word was said (see
+// lib/word-timings.js) and the clip's length.
+async function transcribeAudio({ buffer, filename, char = null, language = null, signal }) {
+  const hint = languages.sttLanguage(language, char);
+  const result = await providers.stt(char).transcribe({ buffer, filename, language: hint }, { signal });
+  return {
+    text: result.text,
+    language: result.language || hint || languages.guessLanguage(result.text),
+    words: sanitizeWordTimings(result.words),
+    duration: result.duration || null
+  };
+}
+
+// The voice, speed and text a line is synthesized with: the character's
+// voice for the language, styled by the reply's emotion (see lib/emotions.js)
+function speechParams(char, text, language, emotion) {
+  const style = speechStyle(char, languages.voiceFor(char, language), emotion);
+  return { voice: style.voice, speed: style.speed, text: speechText(text, style.pauses) };
+}
+
+// Cache ID of `text` spoken in the character's voice for `language`, with
+// `emotion`
+function speechId(char, text, language = null, emotion = null) {
+  return audioId({ provider: providers.tts(char).name, ...speechParams(char, text, language, emotion) });
+}
+
+// Synthesize text with the character's voice, going through the audio cache.
+// Resolves to { id, audio, cached, words } where audio is an MP3 buffer and
+// words the estimated timing of each word in it.
+async function synthesizeSpeech(char, text, { language = null, emotion = null, signal } = {}) {
+  const params = speechParams(char, text, language, emotion);
+  const id = speechId(char, text, language, emotion);
+  let audio = await audioCache.get(id);
+  const cached = Boolean(audio);
+  if (!cached) {
+    ({ audio } = await providers.tts(char).synthesize(params, { signal }));
+    await audioCache.put(id, audio);
+  }
+  return { id, audio, cached, words: wordTimingsFor(text, audio, { speed: params.speed }) };
+}
+
+// Chat parameters from the character definition
+function chatParams(char, messages) {
+  return {
+    model: char.model,
+    messages,
+    temperature: char.temperature,
+    maxTokens: char.maxTokens
+  };
+}
+
+// Ask the model for a reply and put it through the guardrails, which may
+// have it try again. The model tags the reply with an emotion, which comes
+// off the text. Resolves to { text, interventions, emotion }.
+async function completeReply(char, llm, messages) {
+  const tagged = withEmotionTags(messages);
+  const first = parseEmotion((await llm.complete(chatParams(char, tagged))).text);
+  let { emotion } = first;
+  const reviewed = await guardrails.reviewReply(char, first.text, {
+    regenerate: async (previous, reminder) => {
+      const retry = parseEmotion((await llm.complete(chatParams(char, [
+        ...tagged,
+        { role: 'assistant', content: previous },
+        { role: 'system', content: reminder }
+      ]))).text);
+      emotion = retry.emotion || emotion;
+      return retry.text;
+    }
+  });
+  return { ...reviewed, emotion };
+}
+
+// completeReply, or the character's fallback line (with fallback: true)
+// when the model can't be reached. The fallback line is never stored, so
+// the conversation still ends on the user's message and can be retried.
+async function replyOrFallback(char, llm, messages) {
+  try {
+    return { ...(await completeReply(char, llm, messages)), fallback: false };
+  } catch (error) {
+    if (error instanceof GuardrailError) throw error;
+    log('Fallback').warn('Model failed, using the fallback line', { character: char.id, error });
+    fallbacks.inc({ stage: 'llm', character: char.id });
+    return { text: fallbackLine(char), interventions: [], emotion: null, fallback: true };
+  }
+}
+
+// synthesizeSpeech, or null when TTS fails: the reply then goes out as text
+// and the client can ask /api/tts for the audio later
+async function speechOrNull(char, text, options = {}) {
+  try {
+    return await synthesizeSpeech(char, text, options);
+  } catch (error) {
+    if (options.signal && options.signal.aborted) throw error;
+    log('Fallback').warn('Speech failed, replying without audio', { character: char.id, error });
+    fallbacks.inc({ stage: 'tts', character: char.id });
+    return null;
+  }
+}
+
+// Steps of a turn that fell back ('llm', 'tts'), for the `degraded` field
+function degradedSteps({ llm = false, tts = false }) {
+  return [...(llm ? ['llm'] : []), ...(tts ? ['tts'] : [])];
+}
+
+// Store the user's message, unless this is a retry of the conversation's
+// last message (which is already stored after a failed or fallback reply,
+// a regenerate or an edit). `words` are the message's timings when it was
+// spoken (see transcribeAudio). Resolves to the stored message.
+async function storeUserMessage(sessionId, conversationId, userMessage, language, retry, words = null) {
+  if (retry) {
+    const history = await store.getMessages(sessionId, conversationId);
+    const last = history[history.length - 1];
+    if (last && last.role === 'user' && last.content === userMessage) return last;
+  }
+  return store.appendMessage(sessionId, conversationId, newMessage('user', userMessage, {
+    ...languageFields(language),
+    ...wordFields(words)
+  }));
+}
+
+// Store the user's message and generate the character's reply in one go.
+// With a `language`, the reply is written in it; with `retry`, the last
+// stored message is answered again instead of being stored twice. What the
+// character remembers about `userId` goes into the prompt. Throws a
+// GuardrailError if moderation refuses the message. The passages of the
+// character's documents that match the message go into the prompt too, and
+// come back as `sources`; `emotion` is what the model tagged the reply with.
+// When the model fails the reply is the character's fallback line, which
+// isn't stored (stored: null), cites nothing and has no emotion.
+// `userWords` are the timings of a spoken message, kept with it.
+async function generateReply({ sessionId, userId = null, char, userMessage, userWords = null, language = null, retry = false }) {
+  const llm = providers.llm(char);
+
+  await guardrails.screenInput(userMessage);
+  const deflected = guardrails.restrictTopic(char, userMessage);
+  const userStored = await storeUserMessage(sessionId, char.id, userMessage, language, retry, userWords);
+
+  let reply = { text: guardrails.deflection(char), interventions: deflected ? [deflected] : [], emotion: null, fallback: false };
+  let debug = null;
+  let sources = [];
+  if (!deflected) {
+    const history = await store.getMessages(sessionId, char.id);
+    const memories = await userMemory.recall(userId, char, userMessage);
+    const passages = await knowledge.retrieve(char, userMessage);
+    const systemPrompt = languages.withLanguage(
+      withKnowledge(withMemories(char.systemPrompt, memories), passages), language);
+    let messages;
+    ({ messages, debug } = await context.build({ sessionId, conversationId: char.id, char, llm, history, systemPrompt }));
+    debug.memories = memories.length;
+    debug.passages = passages.length;
+    reply = await replyOrFallback(char, llm, messages);
+    if (!reply.fallback) sources = toSources(passages);
+  }
+
+  const stored = reply.fallback ? null : await store.appendMessage(sessionId, char.id, newMessage('assistant', reply.text, {
+    ...languageFields(language),
+    ...guardrailFields(reply.interventions),
+    ...sourceFields(sources),
+    ...emotionFields(reply.emotion)
+  }));
+  if (stored) userMemory.afterTurn({ userId, char, llm, history: await store.getMessages(sessionId, char.id) });
+
+  return {
+    response: reply.text,
+    stored,
+    userStored,
+    debug,
+    guardrails: reply.interventions,
+    sources,
+    emotion: reply.emotion,
+    fallback: reply.fallback
+  };
+}
+
+// Form fields arrive as strings; JSON bodies as booleans
+function parseFlag(value, fallback) {
+  if (value === undefined || value === '') return fallback;
+  return value === true || value === 'true' || value === '1';
+}
+
+// Quotas a reply draws on: chat, plus speech unless it is text only
+function turnQuotas(req) {
+  return parseFlag(req.body.voice, true) ? ['llm', 'tts'] : ['llm'];
+}
+
+// /api/chat also transcribes when it gets a recording
+function chatQuotas(req) {
+  return req.audio ? ['stt', ...turnQuotas(req)] : turnQuotas(req);
+}
+
+// Generate a reply token by token, synthesizing each sentence as soon as it
+// is complete. Progress goes out through emit(event, data):
+//   token    { text }           - model output as it arrives
+//   sentence { index, text }    - a finished sentence
+//   audio    { index, audioUrl } - where that sentence's MP3 is cached, in
+//                                 order (audioUrl: null if speech failed)
+//   emotion  { name, intensity } - what the reply is said with, once the
+//                                 model has tagged it (see lib/emotions.js)
+//   guardrail { code, action, details } - a sentence was cut (see guardrails.js)
+//   fallback { step }           - the model failed; what was streamed is
+//                                 replaced by the character's fallback line
+// Resolves with the stored reply (and userMessageId) once every clip has
+// been sent. Throws a GuardrailError if moderation refuses the message.
+// `retry`, `userId`, `userWords` and the reply's `sources` work like
+// generateReply's.
+async function streamReply({
+  sessionId,
+  userId = null,
+  char,
+  userMessage,
+  userWords = null,
+  language = null,
+  voice,
+  retry = false,
+  signal,
+  emit
+}) {
+  await guardrails.screenInput(userMessage, { signal });
+  const deflected = guardrails.restrictTopic(char, userMessage);
+  const userStored = await storeUserMessage(sessionId, char.id, userMessage, language, retry, userWords);
+  const history = await store.getMessages(sessionId, char.id);
+  const memories = deflected ? [] : await userMemory.recall(userId, char, userMessage);
+  const passages = deflected ? [] : await knowledge.retrieve(char, userMessage, { signal });
+
+  const result = await streamTurn({
+    sessionId,
+    conversationId: char.id,
+    char,
+    history,
+    systemPrompt: withKnowledge(withMemories(char.systemPrompt, memories), passages),
+    sources: toSources(passages),
+    language,
+    deflected,
+    voice,
+    signal,
+    emit
+  });
+  if (result.messageId) {
+    userMemory.afterTurn({ userId, char, llm: providers.llm(char), history: await store.getMessages(sessionId, char.id) });
+  }
+  if (result.debug.context) Object.assign(result.debug.context, { memories: memories.length, passages: passages.length });
+  return { ...result, userMessageId: userStored.id };
+}
+
+// Streams one assistant turn for `char` in any conversation (a character's
+// own chat, or a room where `history` is that character's view of it).
+// Each sentence is checked by the guardrails before it is voiced; sentences
+// they cut are left out of the stored reply. `deflected` (a restricted
+// topic intervention) replaces the model with the character's deflection.
+// If the model fails, the turn ends with the character's fallback line,
+// which isn't stored; sentences whose speech fails go out without audio.
+// `sources` are what the prompt drew on, kept with the reply unless it fell back.
+async function streamTurn({
+  sessionId,
+  conversationId,
+  char,
+  history,
+  systemPrompt = char.systemPrompt,
+  sources = [],
+  language = null,
+  deflected = null,
+  voice,
+  signal,
+  emit,
+  extra = {}
+}) {
+  const llm = providers.llm(char);
+  let stream = [guardrails.deflection(char)];
+  let debug = null;
+  if (!deflected) {
+    let messages;
+    ({ messages, debug } = await context.build({
+      sessionId,
+      conversationId,
+      char,
+      llm,
+      history,
+      systemPrompt: languages.withLanguage(systemPrompt, language),
+      signal
+    }));
+    stream = llm.stream(chatParams(char, withEmotionTags(messages)), { signal });
+  }
+
+  const splitter = createSentenceSplitter();
+  const tags = createEmotionFilter();
+  let emotion = null;
+  const clips = [];
+  let kept = [];
+  const interventions = deflected ? [deflected] : [];
+  let sentenceCount = 0;
+  let audioChain = Promise.resolve();
+  let fullText = '';
+  let fallback = false;
+
+  // Start the review and TTS for each sentence immediately, but emit in order
+  function queueSentence(sentence, { reviewed = Boolean(deflected) } = {}) {
+    const index = sentenceCount++;
+    const review = reviewed ? Promise.resolve(null) : guardrails.reviewSentence(char, sentence, { signal });
+    const pending = voice ? speechOrNull(char, sentence, { language, emotion, signal }) : null;
+    review.catch(() => {}); // both surface through audioChain below
+    if (pending) pending.catch(() => {});
+
+    // Each clip is announced as soon as it is cached, so playback can start
+    // while later sentences are still being voiced
+    audioChain = audioChain.then(async () => {
+      const intervention = await review;
+      if (intervention) {
+        interventions.push(intervention);
+        emit('guardrail', intervention);
+        return;
+      }
+      kept.push(sentence);
+      emit('sentence', { index, text: sentence });
+      if (!pending) return;
+
+      clips.push(pending);
+      const speech = await pending;
+      emit('audio', { index, audioUrl: speech ? audioUrlFor(speech.id) : null });
+    });
+  }
+
+  // Text reaches the client and the splitter with its emotion tag taken off
+  function addText(text) {
+    if (!emotion && tags.emotion()) {
+      emotion = tags.emotion();
+      emit('emotion', emotion);
+    }
+    if (!text) return;
+    fullText += text;
+    emit('token', { text });
+    splitter.push(text).forEach(sentence => queueSentence(sentence));
+  }
+
+  try {
+    for await (const token of stream) addText(tags.push(token));
+    addText(tags.flush());
+    splitter.flush().forEach(sentence => queueSentence(sentence));
+  } catch (error) {
+    if (signal && signal.aborted) throw error;
+    log('Fallback').warn('Model failed, using the fallback line', { character: char.id, error });
+    fallbacks.inc({ stage: 'llm', character: char.id });
+    fallback = true;
+  }
+  await audioChain;
+
+  if (fallback) {
+    // Whatever made it out is dropped in favour of the fallback line
+    emit('fallback', { step: 'llm' });
+    kept = [];
+    clips.length = 0;
+    emotion = null;
+    queueSentence(fallbackLine(char), { reviewed: true });
+    await audioChain;
+  } else if (kept.length === 0 && interventions.length > 0) {
+    // Everything was cut: the character steers away instead
+    emotion = null;
+    queueSentence(guardrails.deflection(char), { reviewed: true });
+    await audioChain;
+  }
+
+  const text = fallback || kept.length < sentenceCount ? kept.join(' ') : fullText;
+  const response = extra.speaker ? room.stripSpeakerLabel(text, char) : text;
+  const cited = fallback ? [] : sources;
+  const stored = fallback ? null : await store.appendMessage(sessionId, conversationId, newMessage('assistant', response, {
+    ...extra,
+    ...languageFields(language),
+    ...guardrailFields(interventions),
+    ...sourceFields(cited),
+    ...emotionFields(emotion)
+  }));
+
+  // MP3 frames concatenate cleanly, so the clips form one replayable file,
+  // cached as the whole reply in this voice. A reply missing some of its
+  // audio gets none, so /api/tts can voice it whole later. Its word timings
+  // are estimated sentence by sentence, each within its own clip.
+  const parts = await Promise.all(clips);
+  const speechFailed = parts.includes(null);
+  let audioUrl = null;
+  let words = null;
+  if (parts.length > 0 && !speechFailed) {
+    const id = speechId(char, response, language, emotion);
+    await audioCache.put(id, Buffer.concat(parts.map(part => part.audio)));
+    words = alignWordTimings(response, kept.map((sentence, i) => ({
+      text: sentence,
+      duration: audioDuration(parts[i].audio)
+    })), { speed: speechParams(char, response, language, emotion).speed });
+    if (stored) await store.updateMessage(sessionId, conversationId, stored.id, { audioId: id, words });
+    audioUrl = audioUrlFor(id);
+  }
+
+  return {
+    response,
+    messageId: stored ? stored.id : null,
+    timestamp: stored ? stored.timestamp : new Date().toISOString(),
+    language,
+    audioUrl,
+    words,
+    guardrails: interventions,
+    sources: cited,
+    emotion,
+    degraded: degradedSteps({ llm: fallback, tts: speechFailed }),
+    debug: { context: debug }
+  };
+}
+
+// Server-Sent Events helper
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
 
 // Health check
 app.get('/health', (req, res) => {
   res.json({ status: 'Server is running!' });
 });
 
+// Prometheus scrape endpoint. Open unless METRICS_TOKEN is set, in which
+// case the scraper must send it as a bearer token.
+app.get('/metrics', (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token && req.get('Authorization') !== `Bearer ${token}`) {
+    return res.status(401).json({ error: 'Metrics token required' });
+  }
+  res.type('text/plain; version=0.0.4').send(metrics.render());
+});
+
 // API ROUTE 1: /api/transcribe
-app.post('/api/transcribe', upload.single('audio'), async (req, res) => {
+// Optional `language` ("auto" or a code) and `character` fields. Returns the
+// transcript and the language heard, which /api/respond takes back, with
+// the recording's `duration` and, when the provider reports them, its
+// `words` ([{ word, start, end }] in seconds, or null), which /api/respond
+// keeps with the message for captions.
+// Rejected recordings come back with a `code` (see lib/audio-upload.js)
+app.post('/api/transcribe', acceptAudio, metered(['stt']), async (req, res) => {
   try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No audio file provided' });
+    if (!req.audio) {
+      return sendAudioError(res, new AudioUploadError('missing_audio', 'No audio file provided'));
     }
 
-    if (!OPENAI_API_KEY) {
-      console.error('[Transcribe] No API key found');
-      return res.status(500).json({ error: 'Server configuration error: Missing API key' });
-    }
-
-    // Save audio to temporary file (use /tmp on Vercel, __dirname locally)
-    const tempDir = process.env.VERCEL ? '/tmp' : __dirname;
-    const tempFilePath = path.join(tempDir, `temp_audio_${Date.now()}.wav`);
-    fs.writeFileSync(tempFilePath, req.file.buffer);
+    const requested = requestLanguage(req, res);
+    if (requested === undefined) return;
 
-    console.log('[Transcribe] Calling Whisper API...');
-    const transcription = await openai.audio.transcriptions.create({
-      file: fs.createReadStream(tempFilePath),
-      model: 'whisper-1',
-      language: 'en',
-    });
+    // Optional: lets a character pick its own STT provider and language
+    const char = characters.get(req.body.character) || null;
+    const stt = providers.stt(char);
+    if (!ensureConfigured(res, 'Transcribe', stt)) return;
 
-    // Clean up temp file
-    fs.unlinkSync(tempFilePath);
+    // The upload is sent straight from memory, no temp file needed
+    const { text: transcription, language, words, duration } = await transcribeAudio({ ...req.audio, char, language: requested });
+    if (!transcription || !transcription.trim()) {
+      return sendAudioError(res, new AudioUploadError('silence', 'No speech detected', { transcription: '' }));
+    }
 
-    console.log('[Transcribe] Success:', transcription.text);
-    res.json({ transcription: transcription.text });
+    log('Transcribe').info('Transcribed', { provider: stt.name, language, transcript: logger.content(transcription) });
+    res.json({ transcription, language, words, duration });
   } catch (error) {
-    console.error('[Transcribe] Error:', error.message);
-    console.error('[Transcribe] Full error:', error);
+    if (error instanceof UpstreamError) return sendUpstreamError(res, 'Transcribe', 'Transcription failed', error);
+    log('Transcribe').error('Request failed', { error });
     res.status(500).json({ error: 'Transcription failed', details: error.message });
   }
 });
 
 // API ROUTE 2: /api/respond
-app.post('/api/respond', async (req, res) => {
+// `language` (e.g. what /api/transcribe heard) makes the character reply in it.
+// `guardrails` lists any interventions on the reply (see lib/guardrails.js);
+// a message refused by moderation gets a 422 with code input_flagged.
+// If the model can't be reached the reply is the character's fallback line,
+// with degraded: ["llm"] and no messageId; sending the same message again
+// with `retry: true` answers it without storing it twice. `userMessageId`
+// identifies the stored user message, for editing or branching from it
+// (routes 9a-9e); every reply route returns it. `sources` lists the passages
+// of the character's documents the reply drew on (routes 4f-4h), as
+// { documentId, title, passage, excerpt }. `emotion` ({ name, intensity } or
+// null) is how the character says it (see lib/emotions.js); the text itself
+// never carries the tag. `words` (what /api/transcribe returned for a spoken
+// message) are stored with the user's message; replies with audio carry
+// `words` of their own, estimated from it (see lib/word-timings.js).
+app.post('/api/respond', metered(['llm']), async (req, res) => {
   try {
     const { userMessage, character } = req.body;
 
@@ -110,121 +968,1178 @@ app.post('/api/respond', async (req, res) => {
       return res.status(400).json({ error: 'Missing userMessage or character' });
     }
 
-    if (!characters[character]) {
+    const char = characters.get(character);
+    if (!char) {
       return res.status(400).json({ error: 'Invalid character' });
     }
 
-    if (!OPENAI_API_KEY) {
-      console.error('[Respond] No API key found');
-      return res.status(500).json({ error: 'Server configuration error: Missing API key' });
+    const requested = requestLanguage(req, res);
+    if (requested === undefined) return;
+    const language = typedLanguage(requested, userMessage);
+
+    if (!ensureConfigured(res, 'Respond', providers.llm(char))) return;
+
+    const {
+      response: assistantMessage,
+      stored,
+      userStored,
+      debug,
+      guardrails: interventions,
+      sources,
+      emotion,
+      fallback
+    } = await generateReply({
+      sessionId: req.session.id,
+      userId: req.userId,
+      char,
+      userMessage,
+      userWords: sanitizeWordTimings(req.body.words),
+      language,
+      retry: parseFlag(req.body.retry, false)
+    });
+
+    log('Respond').info('Reply generated', { character, response: logger.content(assistantMessage) });
+    res.json({
+      response: assistantMessage,
+      messageId: stored ? stored.id : null,
+      userMessageId: userStored.id,
+      timestamp: stored ? stored.timestamp : new Date().toISOString(),
+      language,
+      guardrails: interventions,
+      sources,
+      emotion,
+      degraded: degradedSteps({ llm: fallback }),
+      debug: { context: debug }
+    });
+  } catch (error) {
+    if (error instanceof GuardrailError) return sendGuardrailError(res, error);
+    if (error instanceof UpstreamError) return sendUpstreamError(res, 'Respond', 'Response generation failed', error);
+    log('Respond').error('Request failed', { error });
+    res.status(500).json({ error: 'Response generation failed', details: error.message });
+  }
+});
+
+// API ROUTE 2a: /api/chat - one round trip for a whole turn
+// Takes either an `audio` upload or `text` (multipart or JSON) plus
+// `character`, `voice` (default true) and `language` (default "auto").
+// Returns the transcript (for audio), the language, the reply and, unless
+// voice is off, the URL of its audio. `transcriptionWords` and `words` time
+// the transcript and the reply's audio word by word, where known. Recordings are validated like
+// /api/transcribe's and replies go through the guardrails like /api/respond's.
+// Steps after transcription degrade instead of failing: a model failure gives
+// the fallback line (like /api/respond's) and a speech failure audioUrl: null,
+// each listed in `degraded` so the client can retry just that step. A
+// provider failure that can't degrade is reported as the step it broke.
+app.post('/api/chat', acceptAudio, metered(chatQuotas), async (req, res) => {
+  let failedStep = 'Chat failed'; // what an UpstreamError broke
+  try {
+    const { character, text } = req.body;
+    const voice = parseFlag(req.body.voice, true);
+
+    if (!character) {
+      return res.status(400).json({ error: 'Missing character' });
+    }
+
+    const char = characters.get(character);
+    if (!char) {
+      return res.status(400).json({ error: 'Invalid character' });
     }
 
-    const systemPrompt = characters[character].systemPrompt;
-    const history = chatHistories[character];
+    const typed = typeof text === 'string' ? text.trim() : '';
+    if (!req.audio && !typed) {
+      return res.status(400).json({ error: 'Provide an audio file or text' });
+    }
 
-    history.push({ role: 'user', content: userMessage });
+    const requested = requestLanguage(req, res);
+    if (requested === undefined) return;
 
-    const messages = [
-      { role: 'system', content: systemPrompt },
-      ...history
+    const capabilities = [
+      ...(req.audio ? [providers.stt(char)] : []),
+      providers.llm(char),
+      ...(voice ? [providers.tts(char)] : [])
     ];
+    if (!ensureConfigured(res, 'Chat', ...capabilities)) return;
 
-    console.log(`[Respond] Generating response for ${character}...`);
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
-      messages: messages,
-      max_tokens: 150,
-      temperature: 0.9
+    let transcription = null;
+    let transcriptionWords = null;
+    let language = typedLanguage(requested, typed);
+    if (req.audio) {
+      failedStep = 'Transcription failed';
+      ({ text: transcription, language, words: transcriptionWords } = await transcribeAudio({
+        ...req.audio,
+        char,
+        language: requested
+      }));
+      log('Chat').info('Transcribed', { character, language, transcript: logger.content(transcription) });
+      if (!transcription || !transcription.trim()) {
+        return sendAudioError(res, new AudioUploadError('silence', 'No speech detected', { transcription: '' }));
+      }
+    }
+
+    const userMessage = transcription || typed;
+    failedStep = 'Response generation failed';
+    const { response, stored, userStored, debug, guardrails: interventions, sources, emotion, fallback } = await generateReply({
+      sessionId: req.session.id,
+      userId: req.userId,
+      char,
+      userMessage,
+      userWords: transcriptionWords,
+      language,
+      retry: parseFlag(req.body.retry, false)
     });
+    log('Chat').info('Reply generated', { character, response: logger.content(response) });
 
-    const assistantMessage = response.choices[0].message.content;
-    history.push({ role: 'assistant', content: assistantMessage });
+    let audioUrl = null;
+    const speech = voice ? await speechOrNull(char, response, { language, emotion }) : null;
+    if (speech) {
+      if (stored) await store.updateMessage(req.session.id, character, stored.id, { audioId: speech.id, words: speech.words });
+      audioUrl = audioUrlFor(speech.id);
+    }
 
-    console.log('[Respond] Success:', assistantMessage);
-    res.json({ response: assistantMessage });
+    res.json({
+      transcription,
+      transcriptionWords,
+      userMessage,
+      response,
+      messageId: stored ? stored.id : null,
+      userMessageId: userStored.id,
+      timestamp: stored ? stored.timestamp : new Date().toISOString(),
+      language,
+      audioUrl,
+      words: speech ? speech.words : null,
+      guardrails: interventions,
+      sources,
+      emotion,
+      degraded: degradedSteps({ llm: fallback, tts: voice && !speech }),
+      debug: { context: debug }
+    });
   } catch (error) {
-    console.error('[Respond] Error:', error.message);
-    console.error('[Respond] Full error:', error);
-    res.status(500).json({ error: 'Response generation failed', details: error.message });
+    if (error instanceof GuardrailError) return sendGuardrailError(res, error);
+    if (error instanceof UpstreamError) return sendUpstreamError(res, 'Chat', failedStep, error);
+    log('Chat').error('Request failed', { error });
+    res.status(500).json({ error: 'Chat failed', details: error.message });
+  }
+});
+
+// API ROUTE 2b: /api/respond/stream
+// Streams the reply over SSE: `token` events as the model writes, then an
+// `audio` event per sentence as soon as that sentence has been synthesized,
+// and a final `done` event. Audio events always arrive in sentence order.
+// A `guardrail` event means a sentence was cut before it was voiced; the
+// `done` event carries the final text. An `emotion` event says how the
+// reply is said as soon as the model has tagged it. If the model fails, a
+// `fallback` event replaces what was streamed with the character's fallback
+// line; a sentence whose speech failed gets an `audio` event with
+// audioUrl: null. `done` lists either in `degraded`; `retry` and `words` work like
+// /api/respond's, and `done` carries the reply's `words` once it has audio.
+app.post('/api/respond/stream', metered(turnQuotas), async (req, res) => {
+  const { userMessage, character } = req.body;
+  const voice = parseFlag(req.body.voice, true);
+  const retry = parseFlag(req.body.retry, false);
+
+  if (!userMessage || !character) {
+    return res.status(400).json({ error: 'Missing userMessage or character' });
+  }
+
+  const char = characters.get(character);
+  if (!char) {
+    return res.status(400).json({ error: 'Invalid character' });
+  }
+
+  const requested = requestLanguage(req, res);
+  if (requested === undefined) return;
+
+  const capabilities = voice ? [providers.llm(char), providers.tts(char)] : [providers.llm(char)];
+  if (!ensureConfigured(res, 'Stream', ...capabilities)) return;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // Stop spending tokens if the browser goes away
+  const controller = new AbortController();
+  res.on('close', () => controller.abort());
+
+  try {
+    const result = await streamReply({
+      sessionId: req.session.id,
+      userId: req.userId,
+      char,
+      userMessage,
+      userWords: sanitizeWordTimings(req.body.words),
+      language: typedLanguage(requested, userMessage),
+      voice,
+      retry,
+      signal: controller.signal,
+      emit: (event, data) => sendEvent(res, event, data)
+    });
+
+    log('Stream').info('Reply streamed', { character, response: logger.content(result.response) });
+    sendEvent(res, 'done', result);
+  } catch (error) {
+    if (controller.signal.aborted) {
+      log('Stream').info('Client disconnected, stream cancelled', { character });
+    } else {
+      log('Stream').error('Request failed', { error });
+      sendEvent(res, 'error', { error: 'Streaming response failed', details: error.message, code: error.code });
+    }
+  } finally {
+    res.end();
   }
 });
 
 // API ROUTE 3: /api/tts
-app.post('/api/tts', async (req, res) => {
+// Speaks `text` in the character's voice; with a reply's `emotion`, styled
+// the way it was when the reply first came in. Returns the clip's `words`
+// too, which are kept with the message it voices: `messageId` in
+// `conversationId` (a room the character is in; by default the character's
+// own conversation).
+app.post('/api/tts', metered(['tts']), async (req, res) => {
   try {
-    const { text, character } = req.body;
+    const { text, character, messageId } = req.body;
+    const conversationId = req.body.conversationId || character;
 
     if (!text || !character) {
       return res.status(400).json({ error: 'Missing text or character' });
     }
 
-    if (!OPENAI_API_KEY) {
-      console.error('[TTS] No API key found');
-      return res.status(500).json({ error: 'Server configuration error: Missing API key' });
+    // A reply's { name, intensity } emotion, so it sounds like it did the first time
+    const emotion = req.body.emotion ? toEmotion(req.body.emotion.name, req.body.emotion.intensity) : null;
+    if (req.body.emotion && !emotion) {
+      return res.status(400).json({ error: 'Invalid emotion' });
+    }
+
+    const char = characters.get(character);
+    if (!char) {
+      return res.status(400).json({ error: 'Invalid character' });
+    }
+    if (!isConversation(conversationId) || !conversationMembers(conversationId).includes(char)) {
+      return res.status(400).json({ error: 'Invalid conversation' });
     }
 
-    const voiceMap = {
-      joey: 'onyx',
-      dwight: 'echo',
-      dhruv: 'fable'
-    };
+    const language = requestLanguage(req, res);
+    if (language === undefined) return;
 
-    const voice = voiceMap[character];
+    if (!ensureConfigured(res, 'TTS', providers.tts(char))) return;
 
-    console.log(`[TTS] Creating audio with voice: ${voice}`);
-    const mp3 = await openai.audio.speech.create({
-      model: 'tts-1',
-      voice: voice,
-      input: text,
-      speed: 1.0
-    });
+    // Any text can be spoken in a character's voice, so it is moderated too
+    await guardrails.screenInput(text);
 
-    const buffer = Buffer.from(await mp3.arrayBuffer());
-    const base64Audio = buffer.toString('base64');
+    const { id, audio, cached, words } = await synthesizeSpeech(char, text, { language, emotion });
 
-    console.log('[TTS] Audio generated, size:', base64Audio.length);
-    res.json({ audio: base64Audio, character });
+    // Link the clip to its message so the chat can be replayed after a reload
+    if (messageId) {
+      await store.updateMessage(req.session.id, conversationId, messageId, { audioId: id, words });
+    }
+
+    log('TTS').info(cached ? 'Served from cache' : 'Generated', {
+      character,
+      voice: languages.voiceFor(char, language).name,
+      emotion: emotion && emotion.name,
+      bytes: audio.length
+    });
+    res.json({ audioId: id, audioUrl: audioUrlFor(id), cached, words, character });
   } catch (error) {
-    console.error('[TTS] Error:', error.message);
-    console.error('[TTS] Full error:', error);
+    if (error instanceof GuardrailError) return sendGuardrailError(res, error);
+    if (error instanceof UpstreamError) return sendUpstreamError(res, 'TTS', 'Text-to-speech failed', error);
+    log('TTS').error('Request failed', { error });
     res.status(500).json({ error: 'Text-to-speech failed', details: error.message });
   }
 });
 
 // API ROUTE 4: /api/characters
 app.get('/api/characters', (req, res) => {
-  const charList = Object.keys(characters).map(key => ({
-    id: key,
-    name: characters[key].name,
-    source: characters[key].source,
-    greeting: characters[key].greeting
+  const charList = characters.list().map(char => ({
+    id: char.id,
+    name: char.name,
+    shortName: char.shortName,
+    emoji: char.emoji,
+    source: char.source,
+    tagline: char.tagline,
+    greeting: char.greeting,
+    disclaimer: (char.guardrails && char.guardrails.disclaimer) || null
   }));
   res.json(charList);
 });
 
-// API ROUTE 5: /api/clear-history
-app.post('/api/clear-history', (req, res) => {
-  const { character } = req.body;
-  if (character && chatHistories[character]) {
-    chatHistories[character] = [];
-    console.log(`[Clear] Cleared history for ${character}`);
-    res.json({ success: true, message: `Chat history cleared for ${character}` });
-  } else {
-    res.status(400).json({ error: 'Invalid character' });
+// Character management needs ADMIN_TOKEN, and is off until one is set
+function requireAdmin(req, res, next) {
+  const token = process.env.ADMIN_TOKEN;
+  if (!token) {
+    return res.status(403).json({
+      error: 'Character management is disabled',
+      code: 'admin_disabled',
+      details: 'Set ADMIN_TOKEN to manage characters'
+    });
   }
+  if (req.get('Authorization') !== `Bearer ${token}`) {
+    return res.status(401).json({ error: 'Admin token required' });
+  }
+  next();
+}
+
+function sendCharacterError(res, error) {
+  if (error instanceof CharacterValidationError) {
+    return res.status(400).json({ error: 'Invalid character definition', details: error.errors });
+  }
+  log('Characters').error('Could not save character', { error });
+  res.status(500).json({ error: 'Could not save character', details: error.message });
+}
+
+// API ROUTE 4b: /api/characters/:id - full definition of one character
+app.get('/api/characters/:id', (req, res) => {
+  const char = characters.get(req.params.id);
+  if (!char) {
+    return res.status(404).json({ error: 'Character not found' });
+  }
+  res.json(char);
 });
 
-// Start server
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log('\n' + '═'.repeat(50));
-  console.log('   🎤 VOICE CHATBOT SERVER RUNNING');
-  console.log('   📍 http://localhost:' + PORT);
-  console.log('   🔑 API Key:', OPENAI_API_KEY ? '✅ Found' : '❌ Missing');
-  console.log('═'.repeat(50) + '\n');
-  console.log('Available characters:');
-  Object.values(characters).forEach(char => {
-    console.log(`  • ${char.name} (${char.source})`);
-  });
-  console.log('\n');
-});
\ No newline at end of file
+// API ROUTE 4c: POST /api/characters - add a custom character
+app.post('/api/characters', requireAdmin, async (req, res) => {
+  try {
+    const char = await characters.create(req.body);
+    res.status(201).json(char);
+  } catch (error) {
+    sendCharacterError(res, error);
+  }
+});
+
+// API ROUTE 4d: PUT /api/characters/:id - replace a character definition
+app.put('/api/characters/:id', requireAdmin, async (req, res) => {
+  if (!characters.get(req.params.id)) {
+    return res.status(404).json({ error: 'Character not found' });
+  }
+
+  try {
+    const char = await characters.update(req.params.id, req.body);
+    res.json(char);
+  } catch (error) {
+    sendCharacterError(res, error);
+  }
+});
+
+// API ROUTE 4e: DELETE /api/characters/:id
+app.delete('/api/characters/:id', requireAdmin, async (req, res) => {
+  try {
+    const removed = await characters.remove(req.params.id);
+    if (!removed) {
+      return res.status(404).json({ error: 'Character not found' });
+    }
+    await knowledge.removeAll(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    log('Characters').error('Delete failed', { error });
+    res.status(500).json({ error: 'Could not delete character', details: error.message });
+  }
+});
+
+// A character's reference documents (see lib/knowledge.js). Anyone can list
+// them; adding and removing them is character management.
+function documentCharacter(req, res) {
+  const char = characters.get(req.params.id);
+  if (!char) {
+    res.status(404).json({ error: 'Character not found' });
+    return null;
+  }
+  return char;
+}
+
+// API ROUTE 4f: GET /api/characters/:id/documents
+app.get('/api/characters/:id/documents', async (req, res) => {
+  const char = documentCharacter(req, res);
+  if (!char) return;
+
+  try {
+    res.json({ character: char.id, retrieval: knowledge.retrieval, documents: await knowledge.list(char.id) });
+  } catch (error) {
+    log('Knowledge').error('Request failed', { error });
+    res.status(500).json({ error: 'Could not load documents', details: error.message });
+  }
+});
+
+// API ROUTE 4g: POST /api/characters/:id/documents - add a document, as JSON
+// { title, text } or a multipart `document` text file (titled after the
+// file unless there is a `title` field)
+app.post('/api/characters/:id/documents', requireAdmin, acceptDocument, async (req, res) => {
+  const char = documentCharacter(req, res);
+  if (!char) return;
+
+  try {
+    const document = await knowledge.add(char.id, { title: req.body.title, text: req.body.text });
+    res.status(201).json({ document });
+  } catch (error) {
+    if (error instanceof DocumentError) return sendDocumentError(res, error);
+    if (error instanceof UpstreamError) return sendUpstreamError(res, 'Knowledge', 'Indexing failed', error);
+    log('Knowledge').error('Upload failed', { error });
+    res.status(500).json({ error: 'Could not add document', details: error.message });
+  }
+});
+
+// API ROUTE 4h: DELETE /api/characters/:id/documents/:documentId
+app.delete('/api/characters/:id/documents/:documentId', requireAdmin, async (req, res) => {
+  const char = documentCharacter(req, res);
+  if (!char) return;
+
+  try {
+    if (!await knowledge.remove(char.id, req.params.documentId)) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    log('Knowledge').info('Document removed', { character: char.id });
+    res.json({ success: true });
+  } catch (error) {
+    log('Knowledge').error('Delete failed', { error });
+    res.status(500).json({ error: 'Could not remove document', details: error.message });
+  }
+});
+
+// API ROUTE 5: /api/clear-history
+// The character keeps what it learned about the user (see lib/user-memory.js):
+// anything not yet remembered is pulled out of the chat before it goes.
+app.post('/api/clear-history', metered([]), async (req, res) => {
+  const { character } = req.body;
+  if (!character || !isConversation(character)) {
+    return res.status(400).json({ error: 'Invalid character' });
+  }
+
+  try {
+    const char = characters.get(character);
+    if (char && providers.llm(char).configured) {
+      const history = await store.getMessages(req.session.id, character);
+      userMemory.beforeClear({ userId: req.userId, char, llm: providers.llm(char), history });
+    }
+    await store.clearConversation(req.session.id, character);
+    log('Clear').info('Cleared history', { character });
+    res.json({ success: true, message: `Chat history cleared for ${character}` });
+  } catch (error) {
+    log('Clear').error('Request failed', { error });
+    res.status(500).json({ error: 'Could not clear history', details: error.message });
+  }
+});
+
+// API ROUTE 6: /api/session - list this session's conversations
+app.get('/api/session', async (req, res) => {
+  try {
+    res.json({
+      sessionId: req.session.id,
+      createdAt: new Date(req.session.createdAt).toISOString(),
+      expiresAt: new Date(req.session.lastSeen + SESSION_TTL_MS).toISOString(),
+      conversations: await store.listConversations(req.session.id)
+    });
+  } catch (error) {
+    log('Session').error('Request failed', { error });
+    res.status(500).json({ error: 'Could not list conversations', details: error.message });
+  }
+});
+
+// API ROUTE 7: /api/session/conversations/:character - delete one conversation
+app.delete('/api/session/conversations/:character', async (req, res) => {
+  const { character } = req.params;
+  if (!isConversation(character)) {
+    return res.status(400).json({ error: 'Invalid character' });
+  }
+
+  try {
+    await store.clearConversation(req.session.id, character);
+    log('Session').info('Deleted conversation', { character });
+    res.json({ success: true });
+  } catch (error) {
+    log('Session').error('Request failed', { error });
+    res.status(500).json({ error: 'Could not delete conversation', details: error.message });
+  }
+});
+
+// API ROUTE 8: /api/session - delete every conversation in this session
+app.delete('/api/session', async (req, res) => {
+  try {
+    await sessions.destroy(req.session.id);
+    res.clearCookie(SESSION_COOKIE);
+    res.json({ success: true });
+  } catch (error) {
+    log('Session').error('Request failed', { error });
+    res.status(500).json({ error: 'Could not delete session', details: error.message });
+  }
+});
+
+// API ROUTE 9: /api/history/:character - rebuild a conversation after reload
+// A reply whose clip has left the audio cache comes with audioExpired: true
+// and no audioUrl.
+app.get('/api/history/:character', async (req, res) => {
+  const { character } = req.params;
+  if (!isConversation(character)) {
+    return res.status(400).json({ error: 'Invalid character' });
+  }
+
+  try {
+    const history = await store.getMessages(req.session.id, character);
+    res.json({
+      character,
+      messages: (await withCachedAudio(history)).map(toClientMessage)
+    });
+  } catch (error) {
+    log('History').error('Request failed', { error });
+    res.status(500).json({ error: 'Could not load history', details: error.message });
+  }
+});
+
+// API ROUTE 9a: DELETE /api/history/:character/messages/:messageId
+// Removes a message and everything after it. To regenerate a reply, delete
+// it and ask again for the user message before it with `retry: true`.
+app.delete('/api/history/:character/messages/:messageId', async (req, res) => {
+  const { character, messageId } = req.params;
+  if (!isConversation(character)) {
+    return res.status(400).json({ error: 'Invalid character' });
+  }
+
+  try {
+    const removed = await store.truncateMessages(req.session.id, character, messageId);
+    if (!removed) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+    log('History').info('Messages removed', { character, count: removed.length });
+    res.json({ removed: removed.map(message => message.id) });
+  } catch (error) {
+    log('History').error('Request failed', { error });
+    res.status(500).json({ error: 'Could not remove messages', details: error.message });
+  }
+});
+
+// API ROUTE 9b: PATCH /api/history/:character/messages/:messageId
+// Corrects the text of a user message (a mistranscription, a typo) and
+// drops the replies to the old text. Send it again with `retry: true` to
+// get a new reply. Refused by moderation like any other message.
+app.patch('/api/history/:character/messages/:messageId', metered([]), async (req, res) => {
+  const { character, messageId } = req.params;
+  if (!isConversation(character)) {
+    return res.status(400).json({ error: 'Invalid character' });
+  }
+  const content = typeof req.body.content === 'string' ? req.body.content.trim() : '';
+  if (!content) {
+    return res.status(400).json({ error: 'Missing content' });
+  }
+
+  try {
+    const history = await store.getMessages(req.session.id, character);
+    const message = history.find(m => m.id === messageId);
+    if (!message) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+    if (message.role !== 'user') {
+      return res.status(400).json({ error: 'Only user messages can be edited' });
+    }
+
+    await guardrails.screenInput(content);
+    // The timings of what was said don't fit the corrected text
+    const edited = await store.editMessage(req.session.id, character, messageId, { content, edited: true, words: null });
+    log('History').info('Message edited', { character, content: logger.content(content) });
+    res.json({ message: toClientMessage(edited) });
+  } catch (error) {
+    if (error instanceof GuardrailError) return sendGuardrailError(res, error);
+    log('History').error('Request failed', { error });
+    res.status(500).json({ error: 'Could not edit message', details: error.message });
+  }
+});
+
+// API ROUTE 9c: GET /api/history/:character/branches
+// The conversation's branches, the active one first (see lib/store/branches.js)
+app.get('/api/history/:character/branches', async (req, res) => {
+  const { character } = req.params;
+  if (!isConversation(character)) {
+    return res.status(400).json({ error: 'Invalid character' });
+  }
+
+  try {
+    res.json({ character, branches: await store.listBranches(req.session.id, character) });
+  } catch (error) {
+    log('History').error('Request failed', { error });
+    res.status(500).json({ error: 'Could not list branches', details: error.message });
+  }
+});
+
+// API ROUTE 9d: POST /api/history/:character/branches { messageId }
+// Starts a new branch from a message: the conversation up to it carries on
+// as the active branch and the rest is kept as a branch to switch back to.
+app.post('/api/history/:character/branches', async (req, res) => {
+  const { character } = req.params;
+  const { messageId } = req.body;
+  if (!isConversation(character)) {
+    return res.status(400).json({ error: 'Invalid character' });
+  }
+  if (!messageId || typeof messageId !== 'string') {
+    return res.status(400).json({ error: 'Missing messageId' });
+  }
+
+  try {
+    const branch = { id: crypto.randomUUID(), createdAt: new Date().toISOString() };
+    const branches = await store.forkConversation(req.session.id, character, messageId, branch);
+    if (!branches) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+    log('History').info('Branch created', { character, branch: branch.id });
+    const history = await store.getMessages(req.session.id, character);
+    res.status(201).json({ branch: branch.id, branches, messages: (await withCachedAudio(history)).map(toClientMessage) });
+  } catch (error) {
+    log('History').error('Request failed', { error });
+    res.status(500).json({ error: 'Could not create branch', details: error.message });
+  }
+});
+
+// API ROUTE 9e: POST /api/history/:character/branches/:branchId/activate
+// Switches to another branch and returns its messages
+app.post('/api/history/:character/branches/:branchId/activate', async (req, res) => {
+  const { character, branchId } = req.params;
+  if (!isConversation(character)) {
+    return res.status(400).json({ error: 'Invalid character' });
+  }
+
+  try {
+    const branches = await store.activateBranch(req.session.id, character, branchId);
+    if (!branches) {
+      return res.status(404).json({ error: 'Branch not found' });
+    }
+    log('History').info('Branch activated', { character, branch: branchId });
+    const history = await store.getMessages(req.session.id, character);
+    res.json({ branch: branchId, branches, messages: (await withCachedAudio(history)).map(toClientMessage) });
+  } catch (error) {
+    log('History').error('Request failed', { error });
+    res.status(500).json({ error: 'Could not switch branch', details: error.message });
+  }
+});
+
+// API ROUTE 10: /api/audio/:id - a cached TTS clip
+// IDs are content hashes, so a clip never changes and can be cached
+// forever. Supports Range requests for seeking and partial loads.
+app.get('/api/audio/:id', async (req, res) => {
+  try {
+    const audio = await audioCache.get(req.params.id);
+    if (!audio) {
+      return res.status(404).json({ error: 'Audio not found' });
+    }
+
+    res.set({
+      'Content-Type': 'audio/mpeg',
+      'Accept-Ranges': 'bytes',
+      'Cache-Control': 'public, max-age=31536000, immutable',
+      'ETag': `"${req.params.id}"`
+    });
+
+    const range = parseRange(req.headers.range, audio.length);
+    if (!range) {
+      return res.send(audio);
+    }
+    if (range.unsatisfiable) {
+      return res.status(416).set('Content-Range', `bytes */${audio.length}`).end();
+    }
+
+    res.status(206)
+      .set('Content-Range', `bytes ${range.start}-${range.end}/${audio.length}`)
+      .send(audio.subarray(range.start, range.end + 1));
+  } catch (error) {
+    log('Audio').error('Request failed', { error });
+    res.status(500).json({ error: 'Could not load audio', details: error.message });
+  }
+});
+
+// API ROUTE 10b: /api/history/:character/export?format=json|markdown|zip
+// JSON carries the messages and a snapshot of each character; the ZIP adds
+// a Markdown transcript and one MP3 per voiced reply.
+const EXPORT_TYPES = {
+  json: { ext: 'json', type: 'application/json' },
+  markdown: { ext: 'md', type: 'text/markdown; charset=utf-8' },
+  zip: { ext: 'zip', type: 'application/zip' }
+};
+
+app.get('/api/history/:character/export', async (req, res) => {
+  const { character } = req.params;
+  const format = req.query.format || 'json';
+
+  if (!isConversation(character)) {
+    return res.status(400).json({ error: 'Invalid character' });
+  }
+  if (!EXPORT_TYPES[format]) {
+    return res.status(400).json({ error: `format must be one of: ${Object.keys(EXPORT_TYPES).join(', ')}` });
+  }
+
+  try {
+    const sessionId = req.session.id;
+    const messages = await withCachedAudio(await store.getMessages(sessionId, character));
+    const exported = transfer.buildExport({
+      conversationId: character,
+      members: conversationMembers(character),
+      messages,
+      summary: await store.getSummary(sessionId, character)
+    });
+
+    const audioIds = new Map(messages.map(message => [message.id, message.audioId]));
+    let body;
+    if (format === 'json') body = JSON.stringify(exported, null, 2);
+    else if (format === 'markdown') body = transfer.toMarkdown(exported);
+    else body = await transfer.toZip(exported, messageId => audioCache.get(audioIds.get(messageId)));
+
+    const { ext, type } = EXPORT_TYPES[format];
+    const name = character.replace(/[:+]/g, '-');
+    const date = exported.exportedAt.slice(0, 10);
+
+    log('Export').info('Exported', { character, format, messages: exported.messages.length });
+    res.type(type).attachment(`${name}-${date}.${ext}`).send(body);
+  } catch (error) {
+    log('Export').error('Request failed', { error });
+    res.status(500).json({ error: 'Export failed', details: error.message });
+  }
+});
+
+// API ROUTE 10c: /api/import - restore a JSON export into this session
+// Refuses to overwrite a conversation that already has messages unless
+// called with ?replace=true. The file's text goes through moderation like
+// typed messages do, since it ends up in the model's context.
+app.post('/api/import', async (req, res) => {
+  try {
+    const sessionId = req.session.id;
+    const { conversationId, messages, summary } =
+      transfer.parseImport(req.body, { isConversation, memberIds: id => conversationMembers(id).map(char => char.id) });
+
+    const existing = await store.getMessages(sessionId, conversationId);
+    if (existing.length > 0 && req.query.replace !== 'true') {
+      return res.status(409).json({
+        error: 'Conversation already has messages',
+        details: 'Import again with ?replace=true to overwrite it'
+      });
+    }
+
+    const texts = messages.map(message => message.content);
+    await guardrails.screenInput((summary ? [...texts, summary.text] : texts).join('\n\n'));
+
+    // Fresh IDs: the export may come from another session or server
+    const idMap = new Map();
+    const imported = messages.map(({ sourceId, ...message }) => {
+      const id = crypto.randomUUID();
+      idMap.set(sourceId, id);
+      return { ...message, id };
+    });
+    await store.replaceConversation(sessionId, conversationId, imported,
+      summary ? { ...summary, coveredUntil: idMap.get(summary.coveredUntil) } : null);
+
+    log('Import').info('Imported', { conversationId, messages: messages.length });
+    res.json({ conversationId, imported: messages.length });
+  } catch (error) {
+    if (error instanceof transfer.ImportValidationError) {
+      return res.status(400).json({ error: 'Invalid export file', details: error.errors });
+    }
+    if (error instanceof GuardrailError) return sendGuardrailError(res, error);
+    log('Import').error('Request failed', { error });
+    res.status(500).json({ error: 'Import failed', details: error.message });
+  }
+});
+
+// API ROUTE 11: /api/room/respond - group chat with several characters
+// Body: { userMessage, characters: [ids], strategy, voice, language, retry, words }. The room decides
+// who answers; each reply is generated in turn (so later speakers can react
+// to earlier ones) and voiced with that character's own voice. Replies go
+// through the guardrails like /api/respond's, and degrade like /api/chat's:
+// a character whose model fails says its fallback line (not stored, so the
+// others don't see it), one whose speech fails replies without audio.
+app.post('/api/room/respond', metered(turnQuotas), async (req, res) => {
+  try {
+    const { userMessage, characters: ids, strategy = 'round-robin' } = req.body;
+    const voice = parseFlag(req.body.voice, true);
+    const retry = parseFlag(req.body.retry, false);
+
+    if (!userMessage || !Array.isArray(ids)) {
+      return res.status(400).json({ error: 'Missing userMessage or characters' });
+    }
+
+    const requested = requestLanguage(req, res);
+    if (requested === undefined) return;
+    const language = typedLanguage(requested, userMessage);
+
+    const members = resolveRoomMembers(res, ids);
+    if (!members) return;
+
+    if (!room.STRATEGIES.includes(strategy)) {
+      return res.status(400).json({ error: `strategy must be one of: ${room.STRATEGIES.join(', ')}` });
+    }
+
+    const capabilities = members.flatMap(member =>
+      voice ? [providers.llm(member), providers.tts(member)] : [providers.llm(member)]);
+    if (!ensureConfigured(res, 'Room', ...capabilities)) return;
+
+    const sessionId = req.session.id;
+    const roomId = room.roomIdFor(members.map(member => member.id));
+
+    await guardrails.screenInput(userMessage);
+    const previous = await store.getMessages(sessionId, roomId);
+    const userStored = await storeUserMessage(sessionId, roomId, userMessage, language, retry,
+      sanitizeWordTimings(req.body.words));
+    let history = await store.getMessages(sessionId, roomId);
+
+    const speakers = await room.pickSpeakers({
+      strategy,
+      userMessage,
+      members,
+      history: previous,
+      llm: providers.llm(members[0]),
+      model: members[0].model
+    });
+    log('Room').info('Speakers picked', { roomId, strategy, speakers: speakers.map(char => char.id) });
+
+    const replies = [];
+    for (const char of speakers) {
+      const llm = providers.llm(char);
+      const deflected = guardrails.restrictTopic(char, userMessage);
+      let answer = { text: guardrails.deflection(char), interventions: deflected ? [deflected] : [], emotion: null };
+      let debug = null;
+      if (!deflected) {
+        let messages;
+        ({ messages, debug } = await context.build({
+          sessionId,
+          conversationId: roomId,
+          char,
+          llm,
+          history: room.viewFor(char, members, history),
+          systemPrompt: languages.withLanguage(room.roomSystemPrompt(char, members), language)
+        }));
+        answer = await replyOrFallback(char, llm, messages);
+      }
+      const reply = room.stripSpeakerLabel(answer.text, char);
+
+      let stored = null;
+      if (!answer.fallback) {
+        stored = await store.appendMessage(sessionId, roomId, newMessage('assistant', reply, {
+          speaker: char.id,
+          ...languageFields(language),
+          ...guardrailFields(answer.interventions),
+          ...emotionFields(answer.emotion)
+        }));
+        history = [...history, stored];
+      }
+
+      const speech = voice ? await speechOrNull(char, reply, { language, emotion: answer.emotion }) : null;
+      if (speech && stored) {
+        stored = await store.updateMessage(sessionId, roomId, stored.id, { audioId: speech.id, words: speech.words });
+      }
+
+      replies.push({
+        character: char.id,
+        name: char.name,
+        response: reply,
+        messageId: stored ? stored.id : null,
+        timestamp: stored ? stored.timestamp : new Date().toISOString(),
+        language,
+        audioUrl: speech ? audioUrlFor(speech.id) : null,
+        words: speech ? speech.words : null,
+        guardrails: answer.interventions,
+        emotion: answer.emotion,
+        degraded: degradedSteps({ llm: answer.fallback, tts: voice && !speech }),
+        debug: { context: debug }
+      });
+    }
+
+    res.json({ roomId, strategy, userMessageId: userStored.id, replies });
+  } catch (error) {
+    if (error instanceof GuardrailError) return sendGuardrailError(res, error);
+    log('Room').error('Request failed', { error });
+    res.status(500).json({ error: 'Group response failed', details: error.message });
+  }
+});
+
+// API ROUTE 12: /api/debate/stream - characters debate a topic (SSE)
+// Body: { topic, characters: [ids], turns, voice, paced }. Events: `debate`
+// (its ID, for the control route), then per turn `turn`, `emotion`, `token`,
+// `sentence`, `audio` (and `guardrail` when a sentence is cut) and
+// `turn-end`; `paused`, `resumed`, `topic` and `interjection` when the user
+// moderates; finally `done` or `error`. Topics and interjections are
+// moderated.
+app.post('/api/debate/stream', metered(turnQuotas), async (req, res) => {
+  const { topic, characters: ids, turns = debate.DEFAULT_TURNS } = req.body;
+  const voice = parseFlag(req.body.voice, true);
+  const paced = parseFlag(req.body.paced, false);
+
+  if (!topic || !Array.isArray(ids)) {
+    return res.status(400).json({ error: 'Missing topic or characters' });
+  }
+
+  if (!Number.isInteger(turns) || turns < 1 || turns > debate.MAX_TURNS) {
+    return res.status(400).json({ error: `turns must be an integer between 1 and ${debate.MAX_TURNS}` });
+  }
+
+  const members = resolveRoomMembers(res, ids);
+  if (!members) return;
+
+  const capabilities = members.flatMap(member =>
+    voice ? [providers.llm(member), providers.tts(member)] : [providers.llm(member)]);
+  if (!ensureConfigured(res, 'Debate', ...capabilities)) return;
+
+  try {
+    await guardrails.screenInput(topic);
+  } catch (error) {
+    if (error instanceof GuardrailError) return sendGuardrailError(res, error);
+    log('Debate').error('Request failed', { error });
+    return res.status(500).json({ error: 'Debate failed', details: error.message });
+  }
+
+  const sessionId = req.session.id;
+  const roomId = room.roomIdFor(members.map(member => member.id));
+  const current = debate.createDebate({ sessionId, roomId, members, topic, turns, paced });
+  debates.set(current.id, current);
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.on('close', () => current.stop());
+
+  const emit = (event, data) => {
+    if (!res.writableEnded) sendEvent(res, event, data);
+  };
+
+  try {
+    log('Debate').info('Started', { roomId, topic: logger.content(topic), turns });
+    emit('debate', { debateId: current.id, roomId, topic, turns, characters: members.map(member => member.id) });
+    await store.appendMessage(sessionId, roomId, newMessage('user', `Debate topic: ${topic}`));
+
+    const result = await current.run({
+      emit,
+      addUserMessage: message => store.appendMessage(sessionId, roomId, newMessage('user', message)),
+      takeTurn: async ({ char, systemPrompt, signal }) => {
+        const history = await store.getMessages(sessionId, roomId);
+        const { debug, ...turn } = await streamTurn({
+          sessionId,
+          conversationId: roomId,
+          char,
+          history: room.viewFor(char, members, history),
+          systemPrompt,
+          voice,
+          signal,
+          emit,
+          extra: { speaker: char.id }
+        });
+        return turn;
+      }
+    });
+
+    log('Debate').info('Finished', { roomId, turns: result.turns, stopped: result.stopped });
+    emit('done', result);
+  } catch (error) {
+    log('Debate').error('Request failed', { error });
+    emit('error', { error: 'Debate failed', details: error.message });
+  } finally {
+    debates.delete(current.id);
+    res.end();
+  }
+});
+
+// API ROUTE 13: /api/debate/:id/:action - moderate a running debate
+// Actions: pause, resume, stop, redirect { topic }, interject { message },
+// played { turn } (paced debates: the client finished playing that turn)
+app.post('/api/debate/:id/:action', async (req, res) => {
+  const { id, action } = req.params;
+  const current = debates.get(id);
+
+  if (!current || current.sessionId !== req.session.id) {
+    return res.status(404).json({ error: 'Debate not found' });
+  }
+
+  if (!debate.ACTIONS.includes(action)) {
+    return res.status(400).json({ error: `action must be one of: ${debate.ACTIONS.join(', ')}` });
+  }
+
+  const { topic, message, turn } = req.body;
+  if (action === 'redirect' && !topic) {
+    return res.status(400).json({ error: 'Missing topic' });
+  }
+  if (action === 'interject' && !message) {
+    return res.status(400).json({ error: 'Missing message' });
+  }
+  if (action === 'played' && !Number.isInteger(turn)) {
+    return res.status(400).json({ error: 'Missing turn' });
+  }
+
+  // New topics and interjections are user input like any other message
+  if (action === 'redirect' || action === 'interject') {
+    try {
+      await guardrails.screenInput(action === 'redirect' ? topic : message);
+    } catch (error) {
+      if (error instanceof GuardrailError) return sendGuardrailError(res, error);
+      return res.status(500).json({ error: 'Debate action failed', details: error.message });
+    }
+  }
+
+  log('Debate').info('Moderated', { debateId: id, action });
+  if (action === 'redirect') current.redirect(topic);
+  else if (action === 'interject') current.interject(message);
+  else if (action === 'played') current.played(turn);
+  else current[action]();
+
+  res.json({ debateId: id, topic: current.topic, paused: current.paused });
+});
+
+// API ROUTE 14: /api/usage - today's usage, quotas and estimated cost for
+// this session (or API key), with the most recent provider calls
+app.get('/api/usage', (req, res) => {
+  res.json({
+    owner: req.usageOwner.startsWith('key:') ? 'api-key' : 'session',
+    ...usage.report(req.usageOwner)
+  });
+});
+
+// What each character remembers about this user (see lib/user-memory.js).
+// Memories belong to the user ID (vc_user cookie or X-User-Id header), not
+// the session. Rooms share their members' memories, so only characters
+// have them.
+function memoryCharacter(req, res) {
+  const char = characters.get(req.params.character);
+  if (!char) {
+    res.status(400).json({ error: 'Invalid character' });
+    return null;
+  }
+  return char;
+}
+
+function memoryText(req, res) {
+  const text = cleanMemoryText(req.body.text);
+  if (!text) {
+    res.status(400).json({ error: `A memory needs text of at most ${MAX_MEMORY_LENGTH} characters` });
+    return null;
+  }
+  return text;
+}
+
+// API ROUTE 15: GET /api/memories - every character's memories of this user
+app.get('/api/memories', async (req, res) => {
+  try {
+    res.json({ memories: await userMemory.listAll(req.userId) });
+  } catch (error) {
+    log('Memory').error('Request failed', { error });
+    res.status(500).json({ error: 'Could not load memories', details: error.message });
+  }
+});
+
+// API ROUTE 15a: GET /api/memories/:character
+app.get('/api/memories/:character', async (req, res) => {
+  const char = memoryCharacter(req, res);
+  if (!char) return;
+
+  try {
+    res.json({ character: char.id, memories: await userMemory.list(req.userId, char.id) });
+  } catch (error) {
+    log('Memory').error('Request failed', { error });
+    res.status(500).json({ error: 'Could not load memories', details: error.message });
+  }
+});
+
+// API ROUTE 15b: POST /api/memories/:character { text } - tell the character something to remember
+app.post('/api/memories/:character', async (req, res) => {
+  const char = memoryCharacter(req, res);
+  if (!char) return;
+  const text = memoryText(req, res);
+  if (!text) return;
+
+  try {
+    const memory = await userMemory.add(req.userId, char.id, text);
+    log('Memory').info('Added', { character: char.id, text: logger.content(text) });
+    res.status(201).json({ memory });
+  } catch (error) {
+    log('Memory').error('Request failed', { error });
+    res.status(500).json({ error: 'Could not add memory', details: error.message });
+  }
+});
+
+// API ROUTE 15c: PATCH /api/memories/:character/:id { text }
+app.patch('/api/memories/:character/:id', async (req, res) => {
+  const char = memoryCharacter(req, res);
+  if (!char) return;
+  const text = memoryText(req, res);
+  if (!text) return;
+
+  try {
+    const memory = await userMemory.update(req.userId, char.id, req.params.id, text);
+    if (!memory) {
+      return res.status(404).json({ error: 'Memory not found' });
+    }
+    log('Memory').info('Edited', { character: char.id, text: logger.content(text) });
+    res.json({ memory });
+  } catch (error) {
+    log('Memory').error('Request failed', { error });
+    res.status(500).json({ error: 'Could not edit memory', details: error.message });
+  }
+});
+
+// API ROUTE 15d: DELETE /api/memories/:character/:id - forget one memory
+app.delete('/api/memories/:character/:id', async (req, res) => {
+  const char = memoryCharacter(req, res);
+  if (!char) return;
+
+  try {
+    if (!await userMemory.forget(req.userId, char.id, req.params.id)) {
+      return res.status(404).json({ error: 'Memory not found' });
+    }
+    log('Memory').info('Forgotten', { character: char.id });
+    res.json({ success: true });
+  } catch (error) {
+    log('Memory').error('Request failed', { error });
+    res.status(500).json({ error: 'Could not forget memory', details: error.message });
+  }
+});
+
+// API ROUTE 15e: DELETE /api/memories/:character - forget everything
+app.delete('/api/memories/:character', async (req, res) => {
+  const char = memoryCharacter(req, res);
+  if (!char) return;
+
+  try {
+    const forgotten = await userMemory.forgetAll(req.userId, char.id);
+    log('Memory').info('Forgot everything', { character: char.id, count: forgotten });
+    res.json({ forgotten });
+  } catch (error) {
+    log('Memory').error('Request failed', { error });
+    res.status(500).json({ error: 'Could not forget memories', details: error.message });
+  }
+});
+
+// Real-time hands-free voice over socket.io
+attachVoiceChannel(io, {
+  sessions,
+  characters,
+  resolveSessionId: handshake => handshake.auth.sessionId || readSessionId(handshake.headers),
+  resolveUserId: handshake =>
+    resolveUserId(handshake.auth.userId || readClientId(handshake.headers, 'x-user-id', USER_COOKIE)),
+  resolveClientIp: request => proxyaddr(request, app.get('trust proxy fn')),
+  transcribe: transcribeAudio,
+  streamReply,
+  // Each utterance counts as one request, logged under its own ID, and
+  // draws on every quota
+  meter: ({ sessionId, ip }, work) => {
+    const owner = `session:${sessionId}`;
+    usage.admit({ owner, ip, kinds: ['stt', 'llm', 'tts'] });
+    return logger.run({ requestId: crypto.randomUUID(), route: 'voice' }, () =>
+      usage.run({ owner, ip, route: 'voice' }, work));
+  }
+});
+
+// Start server (only when run directly - tests import the app instead)
+if (require.main === module) {
+  const PORT = process.env.PORT || 3000;
+  server.listen(PORT, () => {
+    log('Server').info('Voice chatbot server running', {
+      url: `http://localhost:${PORT}`,
+      openaiKey: providers.get('openai').configured,
+      providers: providers.defaults,
+      store: store.type,
+      knowledge: knowledge.retrieval,
+      corsOrigins: process.env.CORS_ORIGINS || 'none',
+      characters: characters.list().map(char => char.id)
+    });
+  });
+}
+
+// The app itself is the export (Vercel and supertest both expect that);
+// the internals ride along for tests
+module.exports = app;
+Object.assign(module.exports, { server, io, providers, store, characters, audioCache, knowledge, metrics, userMemory });
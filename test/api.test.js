@@ -0,0 +1,319 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { loadApp, stubOpenAI } = require('./helpers');
+
+const WAV_HEADER = Buffer.from('RIFF\x24\x00\x00\x00WAVEfmt ', 'binary');
+
+function tempAudioFiles() {
+  return [path.join(__dirname, '..'), os.tmpdir()]
+    .flatMap(dir => fs.readdirSync(dir).filter(file => file.startsWith('temp_audio_')));
+}
+
+describe('API routes', () => {
+  let app;
+  let calls;
+  let agent;
+
+  beforeEach(() => {
+    app = loadApp();
+    calls = stubOpenAI(app);
+    // The agent keeps the session cookie between requests, like a browser
+    agent = request.agent(app);
+  });
+
+  describe('GET /health', () => {
+    it('reports the server is running', async () => {
+      const res = await agent.get('/health').expect(200);
+      assert.deepEqual(res.body, { status: 'Server is running!' });
+    });
+  });
+
+  describe('POST /api/transcribe', () => {
+    it('rejects a request without a file', async () => {
+      const res = await agent.post('/api/transcribe').expect(400);
+      assert.equal(res.body.error, 'No audio file provided');
+    });
+
+    it('returns the transcript', async () => {
+      const res = await agent.post('/api/transcribe')
+        .attach('audio', WAV_HEADER, 'recording.wav')
+        .expect(200);
+
+      assert.equal(res.body.transcription, 'hello from the test');
+      assert.equal(calls.transcribe.length, 1);
+    });
+
+    it('leaves no temp files behind when Whisper fails', async () => {
+      const before = tempAudioFiles();
+      calls = stubOpenAI(app, {
+        transcribe: async () => { throw new Error('Whisper is down'); }
+      });
+
+      const res = await agent.post('/api/transcribe')
+        .attach('audio', WAV_HEADER, 'recording.wav')
+        .expect(500);
+
+      assert.equal(res.body.error, 'Transcription failed');
+      assert.deepEqual(tempAudioFiles(), before);
+    });
+  });
+
+  describe('POST /api/respond', () => {
+    it('rejects a missing message or character', async () => {
+      await agent.post('/api/respond').send({ character: 'joey' }).expect(400);
+      await agent.post('/api/respond').send({ userMessage: 'hi' }).expect(400);
+    });
+
+    it('rejects an unknown character', async () => {
+      const res = await agent.post('/api/respond')
+        .send({ userMessage: 'hi', character: 'batman' })
+        .expect(400);
+      assert.equal(res.body.error, 'Invalid character');
+    });
+
+    it('uses the character prompt and returns the reply', async () => {
+      const res = await agent.post('/api/respond')
+        .send({ userMessage: 'How you doin?', character: 'joey' })
+        .expect(200);
+
+      assert.equal(res.body.response, 'Reply #1');
+      assert.ok(res.body.messageId);
+      assert.equal(res.body.debug.context.verbatimTurns, 1);
+
+      const [{ messages, model }] = calls.chat;
+      assert.equal(model, 'gpt-4o-mini');
+      assert.equal(messages[0].role, 'system');
+      assert.match(messages[0].content, /Joey Tribbiani/);
+      assert.deepEqual(messages[1], { role: 'user', content: 'How you doin?' });
+    });
+
+    it('builds up history separately for each character', async () => {
+      await agent.post('/api/respond').send({ userMessage: 'first', character: 'joey' }).expect(200);
+      await agent.post('/api/respond').send({ userMessage: 'hello dwight', character: 'dwight' }).expect(200);
+      await agent.post('/api/respond').send({ userMessage: 'second', character: 'joey' }).expect(200);
+
+      const withoutSystem = call => call.messages.slice(1);
+
+      assert.deepEqual(withoutSystem(calls.chat[1]), [
+        { role: 'user', content: 'hello dwight' }
+      ]);
+      assert.deepEqual(withoutSystem(calls.chat[2]), [
+        { role: 'user', content: 'first' },
+        { role: 'assistant', content: 'Reply #1' },
+        { role: 'user', content: 'second' }
+      ]);
+    });
+
+    it('keeps sessions apart', async () => {
+      await agent.post('/api/respond').send({ userMessage: 'mine', character: 'joey' }).expect(200);
+      await request(app).post('/api/respond').send({ userMessage: 'theirs', character: 'joey' }).expect(200);
+
+      assert.deepEqual(calls.chat[1].messages.slice(1), [{ role: 'user', content: 'theirs' }]);
+    });
+  });
+
+  describe('POST /api/chat', () => {
+    it('needs audio or text', async () => {
+      const res = await agent.post('/api/chat').send({ character: 'joey', text: '  ' }).expect(400);
+      assert.equal(res.body.error, 'Provide an audio file or text');
+    });
+
+    it('turns a recording into transcript, reply and audio in one request', async () => {
+      const res = await agent.post('/api/chat')
+        .field('character', 'joey')
+        .attach('audio', WAV_HEADER, 'recording.wav')
+        .expect(200);
+
+      assert.equal(res.body.transcription, 'hello from the test');
+      assert.equal(res.body.response, 'Reply #1');
+      assert.match(res.body.audioUrl, /^\/api\/audio\/[a-f0-9]{64}$/);
+      assert.equal(res.body.audio, undefined);
+      assert.equal(calls.speech[0].voice, 'onyx');
+
+      const audio = await agent.get(res.body.audioUrl).expect(200);
+      assert.equal(audio.body.toString(), 'fake-mp3');
+    });
+
+    it('skips transcription for text and TTS when voice is off', async () => {
+      const res = await agent.post('/api/chat')
+        .send({ character: 'joey', text: 'How you doin?', voice: false })
+        .expect(200);
+
+      assert.equal(res.body.transcription, null);
+      assert.equal(res.body.userMessage, 'How you doin?');
+      assert.equal(res.body.audioUrl, null);
+      assert.equal(calls.transcribe.length, 0);
+      assert.equal(calls.speech.length, 0);
+
+      const history = await agent.get('/api/history/joey').expect(200);
+      assert.deepEqual(history.body.messages.map(m => m.content), ['How you doin?', 'Reply #1']);
+    });
+
+    it('reads the voice flag from form fields', async () => {
+      await agent.post('/api/chat')
+        .field('character', 'joey')
+        .field('text', 'hi')
+        .field('voice', 'false')
+        .expect(200);
+
+      assert.equal(calls.speech.length, 0);
+    });
+  });
+
+  describe('POST /api/tts', () => {
+    it('rejects missing text or character', async () => {
+      await agent.post('/api/tts').send({ character: 'joey' }).expect(400);
+      await agent.post('/api/tts').send({ text: 'hi' }).expect(400);
+    });
+
+    it('rejects an unknown character', async () => {
+      await agent.post('/api/tts').send({ text: 'hi', character: 'batman' }).expect(400);
+    });
+
+    it('returns a URL for audio in the character voice', async () => {
+      const res = await agent.post('/api/tts')
+        .send({ text: 'Bears. Beets.', character: 'dwight' })
+        .expect(200);
+
+      assert.equal(res.body.cached, false);
+      assert.equal(calls.speech[0].voice, 'echo');
+      assert.equal(calls.speech[0].input, 'Bears. Beets.');
+
+      const audio = await agent.get(res.body.audioUrl).expect(200);
+      assert.equal(audio.headers['content-type'], 'audio/mpeg');
+      assert.equal(audio.body.toString(), 'fake-mp3');
+    });
+
+    it('serves repeated text in the same voice from the cache', async () => {
+      const first = await agent.post('/api/tts').send({ text: 'Bears.', character: 'dwight' }).expect(200);
+      const second = await agent.post('/api/tts').send({ text: 'Bears.', character: 'dwight' }).expect(200);
+      const otherVoice = await agent.post('/api/tts').send({ text: 'Bears.', character: 'joey' }).expect(200);
+
+      assert.equal(second.body.audioId, first.body.audioId);
+      assert.equal(second.body.cached, true);
+      assert.notEqual(otherVoice.body.audioId, first.body.audioId);
+      assert.equal(calls.speech.length, 2);
+    });
+  });
+
+  describe('GET /api/audio/:id', () => {
+    it('serves byte ranges', async () => {
+      const { body: { audioUrl } } = await agent.post('/api/tts')
+        .send({ text: 'Bears.', character: 'dwight' })
+        .expect(200);
+
+      const partial = await agent.get(audioUrl).set('Range', 'bytes=2-4').expect(206);
+      assert.equal(partial.headers['content-range'], 'bytes 2-4/8');
+      assert.equal(partial.headers['accept-ranges'], 'bytes');
+      assert.equal(partial.body.toString(), 'ke-');
+
+      const suffix = await agent.get(audioUrl).set('Range', 'bytes=-3').expect(206);
+      assert.equal(suffix.body.toString(), 'mp3');
+
+      await agent.get(audioUrl).set('Range', 'bytes=50-').expect(416);
+    });
+
+    it('returns 404 for unknown clips', async () => {
+      await agent.get(`/api/audio/${'0'.repeat(64)}`).expect(404);
+      await agent.get('/api/audio/not-an-id').expect(404);
+    });
+  });
+
+  describe('GET /api/characters', () => {
+    it('lists the built-in characters', async () => {
+      const res = await agent.get('/api/characters').expect(200);
+      assert.deepEqual(res.body.map(c => c.id), ['joey', 'dwight', 'dhruv']);
+      assert.ok(res.body.every(c => c.name && c.greeting));
+    });
+
+    it('rejects an invalid definition', async () => {
+      const res = await request(loadApp({ ADMIN_TOKEN: 'secret' })).post('/api/characters')
+        .set('Authorization', 'Bearer secret')
+        .send({ id: 'Nope!' })
+        .expect(400);
+      assert.equal(res.body.error, 'Invalid character definition');
+      assert.ok(res.body.details.length > 0);
+    });
+
+    it('keeps characters read-only until an admin token is set', async () => {
+      const res = await agent.delete('/api/characters/joey').expect(403);
+      assert.equal(res.body.code, 'admin_disabled');
+      await agent.put('/api/characters/joey').send({ name: 'Joe' }).expect(403);
+      await agent.post('/api/characters').send({ id: 'batman' }).expect(403);
+      assert.equal((await agent.get('/api/characters/joey').expect(200)).body.name, 'Joey Tribbiani');
+
+      await request(loadApp({ ADMIN_TOKEN: 'secret' })).delete('/api/characters/joey').expect(401);
+    });
+  });
+
+  describe('POST /api/clear-history', () => {
+    it('rejects an unknown character', async () => {
+      await agent.post('/api/clear-history').send({ character: 'batman' }).expect(400);
+    });
+
+    it('clears only that character', async () => {
+      await agent.post('/api/respond').send({ userMessage: 'joey 1', character: 'joey' }).expect(200);
+      await agent.post('/api/respond').send({ userMessage: 'dwight 1', character: 'dwight' }).expect(200);
+      await agent.post('/api/clear-history').send({ character: 'joey' }).expect(200);
+
+      await agent.post('/api/respond').send({ userMessage: 'joey 2', character: 'joey' }).expect(200);
+      await agent.post('/api/respond').send({ userMessage: 'dwight 2', character: 'dwight' }).expect(200);
+
+      assert.equal(calls.chat[2].messages.length, 2); // system + joey 2
+      assert.equal(calls.chat[3].messages.length, 4); // system + dwight 1, reply, dwight 2
+    });
+  });
+
+  describe('with the mock provider', () => {
+    beforeEach(() => {
+      app = loadApp({ AI_PROVIDER: 'mock', OPENAI_API_KEY: undefined });
+      agent = request.agent(app);
+    });
+
+    it('runs transcribe, respond and tts offline', async () => {
+      const { body: { transcription } } = await agent.post('/api/transcribe')
+        .attach('audio', WAV_HEADER, 'recording.wav')
+        .expect(200);
+      assert.ok(transcription);
+
+      const { body: { response } } = await agent.post('/api/respond')
+        .send({ userMessage: transcription, character: 'joey' })
+        .expect(200);
+      assert.equal(response, `You said: "${transcription}"`);
+
+      const { body: { audioUrl } } = await agent.post('/api/tts')
+        .send({ text: response, character: 'joey' })
+        .expect(200);
+      const { body: audio } = await agent.get(audioUrl).expect(200);
+      // MPEG audio frame sync
+      assert.equal(audio[0], 0xff);
+    });
+  });
+
+  describe('without an API key', () => {
+    beforeEach(() => {
+      app = loadApp({ OPENAI_API_KEY: undefined });
+      agent = request.agent(app);
+    });
+
+    it('fails transcribe, respond and tts with a configuration error', async () => {
+      const transcribe = await agent.post('/api/transcribe')
+        .attach('audio', WAV_HEADER, 'recording.wav')
+        .expect(500);
+      const respond = await agent.post('/api/respond')
+        .send({ userMessage: 'hi', character: 'joey' })
+        .expect(500);
+      const tts = await agent.post('/api/tts')
+        .send({ text: 'hi', character: 'joey' })
+        .expect(500);
+
+      for (const res of [transcribe, respond, tts]) {
+        assert.equal(res.body.error, 'Server configuration error: Missing API key');
+      }
+    });
+  });
+});
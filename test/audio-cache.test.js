@@ -0,0 +1,71 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createAudioCache, audioId, parseRange } = require('../lib/audio-cache');
+
+const idFor = text => audioId({ provider: 'mock', voice: 'alloy', speed: 1, text });
+
+describe('audio cache', () => {
+  it('derives the same ID from the same text and voice', () => {
+    assert.equal(idFor('Bears.'), idFor('Bears.'));
+    assert.notEqual(idFor('Bears.'), idFor('Beets.'));
+    assert.notEqual(idFor('Bears.'), audioId({ provider: 'mock', voice: 'echo', speed: 1, text: 'Bears.' }));
+  });
+
+  it('drops the least recently used clips once over budget', async () => {
+    const cache = createAudioCache({ type: 'memory', maxBytes: 25 });
+    await cache.put(idFor('a'), Buffer.alloc(10));
+    await cache.put(idFor('b'), Buffer.alloc(10));
+    await cache.get(idFor('a'));
+    await cache.put(idFor('c'), Buffer.alloc(10));
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.ok(await cache.get(idFor('a')));
+    assert.equal(await cache.get(idFor('b')), null);
+    assert.ok(await cache.get(idFor('c')));
+  });
+
+  it('lists the file cache once, not on every write', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audio-cache-'));
+    try {
+      fs.writeFileSync(path.join(dir, `${idFor('old')}.mp3`), Buffer.alloc(10));
+      const listed = t.mock.method(fs.promises, 'readdir');
+      const cache = createAudioCache({ type: 'file', dir, maxBytes: 25 });
+
+      assert.equal(await cache.has(idFor('old')), true);
+      await cache.put(idFor('a'), Buffer.alloc(10));
+      await cache.put(idFor('b'), Buffer.alloc(10));
+      assert.equal(listed.mock.callCount(), 1);
+
+      assert.equal(await cache.has(idFor('old')), false);
+      assert.equal(fs.existsSync(path.join(dir, `${idFor('old')}.mp3`)), false);
+      assert.equal(await cache.has(idFor('a')), true);
+      assert.equal(await cache.has('nope'), false);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('refuses IDs that are not content hashes', async () => {
+    const cache = createAudioCache({ type: 'memory' });
+    assert.equal(await cache.get('../../etc/passwd'), null);
+    await assert.rejects(cache.put('nope', Buffer.alloc(1)), /Invalid audio id/);
+  });
+});
+
+describe('parseRange', () => {
+  it('handles explicit, open and suffix ranges', () => {
+    assert.deepEqual(parseRange('bytes=0-9', 100), { start: 0, end: 9 });
+    assert.deepEqual(parseRange('bytes=90-', 100), { start: 90, end: 99 });
+    assert.deepEqual(parseRange('bytes=-10', 100), { start: 90, end: 99 });
+    assert.deepEqual(parseRange('bytes=95-200', 100), { start: 95, end: 99 });
+  });
+
+  it('flags unsatisfiable ranges and ignores malformed ones', () => {
+    assert.deepEqual(parseRange('bytes=100-', 100), { unsatisfiable: true });
+    assert.equal(parseRange('bytes=0-1,5-6', 100), null);
+    assert.equal(parseRange(undefined, 100), null);
+  });
+});
@@ -0,0 +1,123 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { detectAudioFormat, audioDuration } = require('../lib/audio-format');
+const { validateAudio } = require('../lib/audio-upload');
+const { encodeWav } = require('../lib/wav');
+const { silentMp3 } = require('../lib/providers/mock');
+const { loadApp, stubOpenAI } = require('./helpers');
+
+// A 440 Hz tone, loud enough to count as speech for the VAD
+function toneWav(seconds, sampleRate = 16000) {
+  const samples = new Int16Array(seconds * sampleRate);
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = Math.round(Math.sin(2 * Math.PI * 440 * i / sampleRate) * 8000);
+  }
+  return encodeWav(samples, sampleRate);
+}
+
+// What MediaRecorder writes: no Duration, one unknown-size cluster at 2 s
+// whose last block starts 1 s later
+const WEBM = Buffer.concat([
+  Buffer.from([0x1a, 0x45, 0xdf, 0xa3, 0x84]),
+  Buffer.from('webm'),
+  Buffer.from('A_OPUS'),
+  Buffer.from([0x1f, 0x43, 0xb6, 0x75, 0x01, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff]),
+  Buffer.from([0xe7, 0x82, 0x07, 0xd0]),
+  Buffer.from([0xa3, 0x84, 0x81, 0x03, 0xe8, 0x80])
+]);
+
+function mp4(seconds) {
+  const mvhd = Buffer.alloc(32);
+  mvhd.write('mvhd', 0);
+  mvhd.writeUInt32BE(1000, 16);
+  mvhd.writeUInt32BE(seconds * 1000, 20);
+  return Buffer.concat([Buffer.from('\0\0\0\x18ftypM4A \0\0\0\0mp4a', 'latin1'), mvhd]);
+}
+
+describe('audio formats', () => {
+  it('identifies containers by their magic bytes', () => {
+    assert.equal(detectAudioFormat(toneWav(1)).container, 'wav');
+    assert.deepEqual(detectAudioFormat(WEBM), { container: 'webm', codec: 'opus', extension: 'webm', mimeType: 'audio/webm' });
+    assert.equal(detectAudioFormat(Buffer.from('OggS\0\x02........OpusHead', 'latin1')).codec, 'opus');
+    assert.equal(detectAudioFormat(silentMp3('Hello')).container, 'mp3');
+    assert.equal(detectAudioFormat(mp4(3)).extension, 'm4a');
+    assert.equal(detectAudioFormat(Buffer.from('<html><body>not audio</body></html>')), null);
+  });
+
+  it('reads lengths from the container headers', () => {
+    assert.equal(audioDuration(toneWav(2)), 2);
+    assert.equal(audioDuration(WEBM), 3);
+    assert.equal(audioDuration(mp4(7)), 7);
+
+    const mp3 = silentMp3('x'.repeat(50));
+    const frames = mp3.length / 417;
+    assert.ok(Math.abs(audioDuration(mp3) - frames * 1152 / 44100) < 0.01);
+  });
+});
+
+describe('validateAudio', () => {
+  const limits = { maxBytes: 1024 * 1024, maxSeconds: 5 };
+
+  it('names the file after the real format', () => {
+    const audio = validateAudio(WEBM, limits);
+    assert.equal(audio.filename, 'recording.webm');
+    assert.equal(audio.seconds, 3);
+  });
+
+  it('rejects uploads with a code for each problem', () => {
+    const codeOf = buffer => {
+      try {
+        validateAudio(buffer, limits);
+      } catch (error) {
+        return [error.code, error.status];
+      }
+      return null;
+    };
+
+    assert.deepEqual(codeOf(Buffer.alloc(2 * 1024 * 1024)), ['file_too_large', 413]);
+    assert.deepEqual(codeOf(Buffer.from('definitely not audio')), ['unsupported_format', 415]);
+    assert.deepEqual(codeOf(toneWav(6)), ['audio_too_long', 413]);
+    assert.deepEqual(codeOf(encodeWav(new Int16Array(16000), 16000)), ['silence', 422]);
+    assert.equal(codeOf(toneWav(1)), null);
+  });
+});
+
+describe('audio uploads', () => {
+  it('sends the recording to STT under its real extension', async () => {
+    const app = loadApp();
+    const calls = stubOpenAI(app);
+
+    await request(app).post('/api/transcribe').attach('audio', WEBM, 'recording.wav').expect(200);
+    assert.equal(calls.transcribe[0].file.name, 'recording.webm');
+  });
+
+  it('turns away bad uploads before calling STT', async () => {
+    const app = loadApp({ MAX_UPLOAD_MB: '0.01' });
+    const calls = stubOpenAI(app);
+
+    const unsupported = await request(app).post('/api/transcribe')
+      .attach('audio', Buffer.from('<html></html>'), 'recording.webm')
+      .expect(415);
+    assert.equal(unsupported.body.code, 'unsupported_format');
+
+    const large = await request(app).post('/api/transcribe').attach('audio', toneWav(1), 'big.wav').expect(413);
+    assert.equal(large.body.code, 'file_too_large');
+
+    const silent = await request(app).post('/api/chat')
+      .field('character', 'joey')
+      .attach('audio', encodeWav(new Int16Array(1600), 16000), 'quiet.wav')
+      .expect(422);
+    assert.equal(silent.body.code, 'silence');
+
+    assert.equal(calls.transcribe.length, 0);
+  });
+
+  it('reports an empty transcript as silence', async () => {
+    const app = loadApp();
+    stubOpenAI(app, { transcribe: async () => ({ text: '  ' }) });
+
+    const res = await request(app).post('/api/transcribe').attach('audio', WEBM, 'recording.webm').expect(422);
+    assert.deepEqual(res.body, { error: 'No speech detected', code: 'silence', transcription: '' });
+  });
+});
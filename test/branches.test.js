@@ -0,0 +1,161 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { createMemoryStore } = require('../lib/store/memory');
+const { createFileStore } = require('../lib/store/file');
+const { loadApp, stubOpenAI } = require('./helpers');
+
+function message(id, role = 'user') {
+  return { id, role, content: `message ${id}`, timestamp: `2024-01-01T00:00:0${id}.000Z` };
+}
+
+async function seed(store, count) {
+  for (let i = 1; i <= count; i++) {
+    await store.appendMessage('s1', 'joey', message(String(i), i % 2 ? 'user' : 'assistant'));
+  }
+}
+
+const ids = messages => messages.map(m => m.id);
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'branches-'));
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+const backends = {
+  memory: () => createMemoryStore(),
+  file: () => createFileStore({ dir: fs.mkdtempSync(path.join(tmpDir, 'store-')) })
+};
+
+for (const [type, createStore] of Object.entries(backends)) {
+  describe(`${type} store history edits`, () => {
+    it('truncates from a message and edits one, dropping what follows', async () => {
+      const store = createStore();
+      await seed(store, 4);
+
+      assert.deepEqual(ids(await store.truncateMessages('s1', 'joey', '4')), ['4']);
+      assert.equal(await store.truncateMessages('s1', 'joey', 'missing'), null);
+
+      await store.setSummary('s1', 'joey', { text: 'Old', coveredUntil: '1', summarizedTurns: 1 });
+      const edited = await store.editMessage('s1', 'joey', '1', { content: 'Fixed', edited: true });
+      assert.equal(edited.content, 'Fixed');
+      assert.deepEqual(ids(await store.getMessages('s1', 'joey')), ['1']);
+      assert.equal(await store.getSummary('s1', 'joey'), null);
+    });
+
+    it('forks from a message and switches between branches', async () => {
+      const store = createStore();
+      await seed(store, 4);
+      await store.setSummary('s1', 'joey', { text: 'Main', coveredUntil: '1', summarizedTurns: 1 });
+
+      const forked = await store.forkConversation('s1', 'joey', '2', { id: 'b1', createdAt: '2024-01-02T00:00:00.000Z' });
+      assert.deepEqual(forked.map(b => [b.id, b.active, b.messageCount]), [['b1', true, 2], ['main', false, 4]]);
+      assert.equal(forked[0].forkedFrom, '2');
+      assert.deepEqual(ids(await store.getMessages('s1', 'joey')), ['1', '2']);
+
+      await store.appendMessage('s1', 'joey', message('5'));
+      await store.setSummary('s1', 'joey', null);
+
+      const switched = await store.activateBranch('s1', 'joey', 'main');
+      assert.deepEqual(switched.map(b => [b.id, b.active]), [['main', true], ['b1', false]]);
+      assert.deepEqual(ids(await store.getMessages('s1', 'joey')), ['1', '2', '3', '4']);
+      assert.equal((await store.getSummary('s1', 'joey')).text, 'Main');
+
+      await store.activateBranch('s1', 'joey', 'b1');
+      assert.deepEqual(ids(await store.getMessages('s1', 'joey')), ['1', '2', '5']);
+      assert.equal(await store.getSummary('s1', 'joey'), null);
+      assert.equal(await store.activateBranch('s1', 'joey', 'nope'), null);
+
+      await store.clearConversation('s1', 'joey');
+      assert.deepEqual((await store.listBranches('s1', 'joey')).map(b => b.id), ['main']);
+    });
+
+    it('replaces a conversation, its summary and its branches at once', async () => {
+      const store = createStore();
+      await seed(store, 4);
+      await store.forkConversation('s1', 'joey', '2', { id: 'b1', createdAt: '2024-01-02T00:00:00.000Z' });
+
+      await store.replaceConversation('s1', 'joey', [message('7'), message('8', 'assistant')],
+        { text: 'Imported', coveredUntil: '7', summarizedTurns: 1 });
+      assert.deepEqual(ids(await store.getMessages('s1', 'joey')), ['7', '8']);
+      assert.equal((await store.getSummary('s1', 'joey')).coveredUntil, '7');
+      assert.deepEqual((await store.listBranches('s1', 'joey')).map(b => b.id), ['main']);
+
+      await store.replaceConversation('s1', 'joey', [message('9')], null);
+      assert.deepEqual(ids(await store.getMessages('s1', 'joey')), ['9']);
+      assert.equal(await store.getSummary('s1', 'joey'), null);
+    });
+  });
+}
+
+describe('message actions', () => {
+  it('regenerates the last reply', async () => {
+    const app = loadApp();
+    const calls = stubOpenAI(app);
+    const agent = request.agent(app);
+
+    const first = await agent.post('/api/respond').send({ userMessage: 'Hi', character: 'joey' }).expect(200);
+    const removed = await agent.delete(`/api/history/joey/messages/${first.body.messageId}`).expect(200);
+    assert.deepEqual(removed.body.removed, [first.body.messageId]);
+
+    const again = await agent.post('/api/respond')
+      .send({ userMessage: 'Hi', character: 'joey', retry: true })
+      .expect(200);
+    assert.equal(again.body.response, 'Reply #2');
+    assert.equal(calls.chat.length, 2);
+
+    const history = await agent.get('/api/history/joey').expect(200);
+    assert.deepEqual(history.body.messages.map(m => m.content), ['Hi', 'Reply #2']);
+    await agent.delete('/api/history/joey/messages/missing').expect(404);
+  });
+
+  it('edits a user message and answers the new text', async () => {
+    const app = loadApp();
+    const calls = stubOpenAI(app);
+    const agent = request.agent(app);
+
+    const first = await agent.post('/api/respond').send({ userMessage: 'How you dune?', character: 'joey' }).expect(200);
+    const [userMessage, reply] = (await agent.get('/api/history/joey').expect(200)).body.messages;
+    assert.equal(first.body.userMessageId, userMessage.id);
+
+    await agent.patch(`/api/history/joey/messages/${reply.id}`).send({ content: 'No' }).expect(400);
+    await agent.patch(`/api/history/joey/messages/${userMessage.id}`).send({ content: ' ' }).expect(400);
+    const edited = await agent.patch(`/api/history/joey/messages/${userMessage.id}`)
+      .send({ content: 'How you doin?' })
+      .expect(200);
+    assert.equal(edited.body.message.content, 'How you doin?');
+    assert.equal(edited.body.message.edited, true);
+
+    await agent.post('/api/respond')
+      .send({ userMessage: 'How you doin?', character: 'joey', retry: true })
+      .expect(200);
+    const history = await agent.get('/api/history/joey').expect(200);
+    assert.deepEqual(history.body.messages.map(m => m.content), ['How you doin?', 'Reply #2']);
+    assert.equal(calls.chat[1].messages.at(-1).content, 'How you doin?');
+  });
+
+  it('branches from an earlier message and switches back', async () => {
+    const app = loadApp();
+    stubOpenAI(app);
+    const agent = request.agent(app);
+
+    const first = await agent.post('/api/respond').send({ userMessage: 'One', character: 'joey' }).expect(200);
+    await agent.post('/api/respond').send({ userMessage: 'Two', character: 'joey' }).expect(200);
+
+    const forked = await agent.post('/api/history/joey/branches')
+      .send({ messageId: first.body.messageId })
+      .expect(201);
+    assert.deepEqual(forked.body.messages.map(m => m.content), ['One', 'Reply #1']);
+    assert.deepEqual(forked.body.branches.map(b => b.id), [forked.body.branch, 'main']);
+
+    await agent.post('/api/respond').send({ userMessage: 'Three', character: 'joey' }).expect(200);
+    const listed = await agent.get('/api/history/joey/branches').expect(200);
+    assert.deepEqual(listed.body.branches.map(b => b.messageCount), [4, 4]);
+
+    const main = await agent.post('/api/history/joey/branches/main/activate').expect(200);
+    assert.deepEqual(main.body.messages.map(m => m.content), ['One', 'Reply #1', 'Two', 'Reply #2']);
+    await agent.post('/api/history/joey/branches/unknown/activate').expect(404);
+    await agent.post('/api/history/joey/branches').send({ messageId: 'missing' }).expect(404);
+  });
+});
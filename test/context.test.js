@@ -0,0 +1,101 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createContextManager } = require('../lib/context');
+const { createMemoryStore } = require('../lib/store/memory');
+
+const char = { id: 'joey', name: 'Joey Tribbiani', systemPrompt: 'You are Joey.', model: 'test-model' };
+
+function makeHistory(count, length = 200) {
+  return Array.from({ length: count }, (_, i) => ({
+    id: `m${i}`,
+    role: i % 2 === 0 ? 'user' : 'assistant',
+    content: `${i} `.padEnd(length, 'x')
+  }));
+}
+
+describe('context manager', () => {
+  let store;
+  let summaries;
+  let llm;
+
+  beforeEach(() => {
+    store = createMemoryStore();
+    summaries = [];
+    llm = {
+      async complete({ messages }) {
+        summaries.push(messages[1].content);
+        return { text: `summary #${summaries.length}` };
+      }
+    };
+  });
+
+  it('sends short conversations verbatim', async () => {
+    const context = createContextManager({ store, defaultBudget: 3000 });
+    const history = makeHistory(4);
+
+    const { messages, debug } = await context.build({ sessionId: 's', conversationId: 'joey', char, llm, history });
+
+    assert.equal(messages.length, 5);
+    assert.equal(debug.verbatimTurns, 4);
+    assert.equal(debug.summarizedTurns, 0);
+    assert.equal(summaries.length, 0);
+  });
+
+  it('summarizes the oldest turns once over budget', async () => {
+    const context = createContextManager({ store, defaultBudget: 500 });
+    const history = makeHistory(20);
+
+    const { messages, debug } = await context.build({ sessionId: 's', conversationId: 'joey', char, llm, history });
+
+    assert.equal(summaries.length, 1);
+    assert.ok(debug.summarizedTurns > 0);
+    assert.equal(debug.summarizedTurns + debug.verbatimTurns, 20);
+    assert.ok(debug.estimatedTokens <= 500);
+    assert.match(messages[1].content, /summary #1/);
+    // The newest turn is always sent as-is
+    assert.equal(messages[messages.length - 1].content, history[19].content);
+
+    const stored = await store.getSummary('s', 'joey');
+    assert.equal(stored.text, 'summary #1');
+  });
+
+  it('reuses the stored summary while the history fits', async () => {
+    const context = createContextManager({ store, defaultBudget: 500 });
+    const history = makeHistory(20);
+    const first = await context.build({ sessionId: 's', conversationId: 'joey', char, llm, history });
+
+    history.push({ id: 'm20', role: 'user', content: 'short' });
+    const second = await context.build({ sessionId: 's', conversationId: 'joey', char, llm, history });
+
+    assert.equal(summaries.length, 1);
+    assert.equal(second.debug.summarizedTurns, first.debug.summarizedTurns);
+    assert.equal(second.debug.verbatimTurns, first.debug.verbatimTurns + 1);
+  });
+
+  it('respects a per-character budget', async () => {
+    const context = createContextManager({ store, defaultBudget: 100000 });
+    const { debug } = await context.build({
+      sessionId: 's',
+      conversationId: 'joey',
+      char: { ...char, contextTokenBudget: 400 },
+      llm,
+      history: makeHistory(20)
+    });
+
+    assert.equal(debug.tokenBudget, 400);
+    assert.ok(debug.summarizedTurns > 0);
+  });
+
+  it('trims without a summary when the summarizer fails', async () => {
+    const context = createContextManager({ store, defaultBudget: 500 });
+    llm.complete = async () => { throw new Error('model down'); };
+
+    const { messages, debug } = await context.build({
+      sessionId: 's', conversationId: 'joey', char, llm, history: makeHistory(20)
+    });
+
+    assert.ok(debug.droppedTurns > 0);
+    assert.equal(debug.summarizedTurns, 0);
+    assert.equal(messages.length, debug.verbatimTurns + 1);
+  });
+});
@@ -0,0 +1,46 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { parseOrigins, originMatcher } = require('../lib/cors-origins');
+const { loadApp } = require('./helpers');
+
+describe('CORS origins', () => {
+  it('matches listed origins and their wildcard subdomains', () => {
+    const allowed = originMatcher(parseOrigins(' https://Example.com/, https://*.example.org ,'));
+    assert.equal(allowed('https://example.com'), true);
+    assert.equal(allowed('https://shop.example.org'), true);
+    assert.equal(allowed('https://a.b.example.org'), true);
+    assert.equal(allowed('https://example.org'), false);
+    assert.equal(allowed('http://shop.example.org'), false);
+    assert.equal(allowed('https://evil-example.org'), false);
+    assert.equal(allowed('https://example.com.evil.net'), false);
+    assert.equal(allowed(undefined), false);
+    assert.equal(originMatcher(['*'])('https://anywhere.net'), true);
+  });
+
+  it('lets only the configured sites call the API', async () => {
+    const app = loadApp({ CORS_ORIGINS: 'https://shop.example.com' });
+
+    const allowed = await request(app).get('/api/characters').set('Origin', 'https://shop.example.com').expect(200);
+    assert.equal(allowed.headers['access-control-allow-origin'], 'https://shop.example.com');
+    assert.match(allowed.headers['access-control-expose-headers'], /X-Session-Id/);
+
+    const preflight = await request(app).options('/api/respond')
+      .set('Origin', 'https://shop.example.com')
+      .set('Access-Control-Request-Method', 'POST')
+      .set('Access-Control-Request-Headers', 'content-type,x-session-id')
+      .expect(204);
+    assert.equal(preflight.headers['access-control-allow-headers'], 'content-type,x-session-id');
+
+    const other = await request(app).get('/api/characters').set('Origin', 'https://evil.example.net').expect(200);
+    assert.equal(other.headers['access-control-allow-origin'], undefined);
+  });
+
+  it('allows no other site unless configured', async () => {
+    const closed = await request(loadApp()).get('/api/characters').set('Origin', 'https://shop.example.com');
+    assert.equal(closed.headers['access-control-allow-origin'], undefined);
+
+    const open = await request(loadApp({ CORS_ORIGINS: '*' })).get('/api/characters').set('Origin', 'https://a.net');
+    assert.equal(open.headers['access-control-allow-origin'], 'https://a.net');
+  });
+});
@@ -0,0 +1,152 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { createDebate } = require('../lib/debate');
+const { loadApp } = require('./helpers');
+
+const joey = { id: 'joey', name: 'Joey Tribbiani', shortName: 'Joey', systemPrompt: 'You are Joey.' };
+const dwight = { id: 'dwight', name: 'Dwight Schrute', shortName: 'Dwight', systemPrompt: 'You are Dwight.' };
+
+function parseEvents(text) {
+  return text.trim().split('\n\n').map(block => {
+    const [eventLine, dataLine] = block.split('\n');
+    return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+  });
+}
+
+function recorder() {
+  const log = [];
+  const userMessages = [];
+  return {
+    log,
+    userMessages,
+    emit: (event, data) => log.push({ event, ...data }),
+    addUserMessage: async message => userMessages.push(message)
+  };
+}
+
+describe('createDebate', () => {
+  it('alternates speakers for the requested number of turns', async () => {
+    const debate = createDebate({ members: [joey, dwight], topic: 'Sandwiches', turns: 3 });
+    const { emit, addUserMessage, log } = recorder();
+
+    const result = await debate.run({
+      emit,
+      addUserMessage,
+      takeTurn: async ({ char, systemPrompt }) => {
+        assert.match(systemPrompt, /debate about: "Sandwiches"/);
+        return { response: `${char.id} speaks` };
+      }
+    });
+
+    assert.deepEqual(result, { turns: 3, stopped: false });
+    assert.deepEqual(log.filter(e => e.event === 'turn').map(e => e.character), ['joey', 'dwight', 'joey']);
+  });
+
+  it('waits while paused and lets an interjection pick the next speaker', async () => {
+    const debate = createDebate({ members: [joey, dwight], topic: 'Beets', turns: 2 });
+    const { emit, addUserMessage, log, userMessages } = recorder();
+
+    const running = debate.run({
+      emit,
+      addUserMessage,
+      takeTurn: async ({ char }) => {
+        // Pause right after the first turn, then jump in addressing Joey again
+        if (log.filter(e => e.event === 'turn').length === 1) debate.pause();
+        return { response: `${char.id} speaks` };
+      }
+    });
+
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(debate.paused, true);
+    debate.interject('Joey, do you agree?');
+
+    const result = await running;
+    assert.equal(result.turns, 2);
+    assert.deepEqual(userMessages, ['Joey, do you agree?']);
+    assert.deepEqual(log.filter(e => e.event === 'turn').map(e => e.character), ['joey', 'joey']);
+    assert.ok(log.some(e => e.event === 'resumed'));
+  });
+
+  it('stops early and reports it', async () => {
+    const debate = createDebate({ members: [joey, dwight], topic: 'Bears', turns: 5 });
+    const { emit, addUserMessage } = recorder();
+
+    const result = await debate.run({
+      emit,
+      addUserMessage,
+      takeTurn: async ({ turn }) => {
+        if (turn === 2) debate.stop();
+        return { response: 'ok' };
+      }
+    });
+
+    assert.deepEqual(result, { turns: 2, stopped: true });
+  });
+
+  it('stays one turn ahead of playback when paced', async () => {
+    const debate = createDebate({ members: [joey, dwight], topic: 'Paper', turns: 3, paced: true });
+    const { emit, addUserMessage } = recorder();
+    const taken = [];
+
+    const running = debate.run({
+      emit,
+      addUserMessage,
+      takeTurn: async ({ turn }) => {
+        taken.push(turn);
+        return { response: 'ok' };
+      }
+    });
+
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepEqual(taken, [1, 2]);
+
+    debate.played(1);
+    await running;
+    assert.deepEqual(taken, [1, 2, 3]);
+  });
+});
+
+describe('POST /api/debate/stream', () => {
+  it('validates the request', async () => {
+    const agent = request.agent(loadApp({ AI_PROVIDER: 'mock' }));
+
+    await agent.post('/api/debate/stream').send({ characters: ['joey', 'dwight'] }).expect(400);
+    await agent.post('/api/debate/stream')
+      .send({ topic: 'Beets', characters: ['joey', 'dwight'], turns: 99 })
+      .expect(400);
+  });
+
+  it('streams every turn and stores the transcript in the room', async () => {
+    const agent = request.agent(loadApp({ AI_PROVIDER: 'mock' }));
+
+    const res = await agent.post('/api/debate/stream')
+      .send({ topic: 'Is a hot dog a sandwich?', characters: ['dwight', 'joey'], turns: 2 })
+      .expect(200);
+
+    const events = parseEvents(res.text);
+    assert.equal(events[0].event, 'debate');
+    assert.deepEqual(events.filter(e => e.event === 'turn').map(e => e.data.character), ['dwight', 'joey']);
+    assert.ok(events.some(e => e.event === 'audio'));
+    assert.deepEqual(events[events.length - 1], { event: 'done', data: { turns: 2, stopped: false } });
+
+    const history = await agent.get('/api/history/room%3Adwight%2Bjoey').expect(200);
+    assert.deepEqual(history.body.messages.map(m => m.speaker), [null, 'dwight', 'joey']);
+    assert.equal(history.body.messages[0].content, 'Debate topic: Is a hot dog a sandwich?');
+  });
+
+  it('debates in text only when voice is off, also as a form string', async () => {
+    const res = await request(loadApp({ AI_PROVIDER: 'mock' })).post('/api/debate/stream')
+      .send({ topic: 'Beets', characters: ['dwight', 'joey'], turns: 2, voice: 'false', paced: 'false' })
+      .expect(200);
+
+    const events = parseEvents(res.text);
+    assert.equal(events.filter(e => e.event === 'turn').length, 2);
+    assert.ok(!events.some(e => e.event === 'audio'));
+  });
+
+  it('only lets the owning session moderate', async () => {
+    const agent = request.agent(loadApp({ AI_PROVIDER: 'mock' }));
+    await agent.post('/api/debate/not-a-debate/pause').expect(404);
+  });
+});
@@ -0,0 +1,128 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const {
+  createEmotionFilter,
+  parseEmotion,
+  speechStyle,
+  speechText,
+  withEmotionTags
+} = require('../lib/emotions');
+const { validateCharacter } = require('../lib/characters');
+const { loadApp, stubOpenAI } = require('./helpers');
+
+const voice = { name: 'echo', speed: 1 };
+
+function parseEvents(text) {
+  return text.trim().split('\n\n').map(block => {
+    const [eventLine, dataLine] = block.split('\n');
+    return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+  });
+}
+
+// Answers with `text`, streamed in `pieces` when asked to stream
+function taggedReply(...pieces) {
+  return async params => {
+    if (!params.stream) return { choices: [{ message: { content: pieces.join('') } }] };
+    return (async function* () {
+      for (const piece of pieces) yield { choices: [{ delta: { content: piece } }] };
+    })();
+  };
+}
+
+describe('emotion tags', () => {
+  it('takes the tag off a reply', () => {
+    assert.deepEqual(parseEmotion('[Angry:3] FALSE. Bears eat beets.'), {
+      text: 'FALSE. Bears eat beets.',
+      emotion: { name: 'angry', intensity: 3 }
+    });
+    assert.deepEqual(parseEmotion('[flirty] How you doin?').emotion, { name: 'flirty', intensity: 2 });
+    assert.deepEqual(parseEmotion('[laughs] Nice. [happy:1] Really.'), {
+      text: '[laughs] Nice. Really.',
+      emotion: { name: 'happy', intensity: 1 }
+    });
+    assert.deepEqual(parseEmotion('No tag [at all'), { text: 'No tag [at all', emotion: null });
+  });
+
+  it('holds back a tag split across streamed fragments', () => {
+    const filter = createEmotionFilter();
+    assert.equal(filter.push('[exc'), '');
+    assert.equal(filter.push('ited:'), '');
+    assert.equal(filter.push('2] Pizza'), 'Pizza');
+    assert.deepEqual(filter.emotion(), { name: 'excited', intensity: 2 });
+    assert.equal(filter.push(' is here [so'), ' is here ');
+    assert.equal(filter.flush(), '[so');
+  });
+
+  it('asks for the tag ahead of the system prompt', () => {
+    const [system, user] = withEmotionTags([{ role: 'system', content: 'You are Joey.' }, { role: 'user', content: 'Hi' }]);
+    assert.match(system.content, /^Start every reply with a tag.*\n\nYou are Joey\.$/s);
+    assert.equal(user.content, 'Hi');
+  });
+
+  it('turns the emotion into speech settings', () => {
+    const dwight = { emotions: { angry: { speed: 1.2, voice: 'ash' } } };
+    assert.deepEqual(speechStyle(dwight, voice, null), { voice: 'echo', speed: 1, pauses: 'normal' });
+    assert.deepEqual(speechStyle(dwight, voice, { name: 'angry', intensity: 2 }), { voice: 'ash', speed: 1.2, pauses: 'normal' });
+    assert.deepEqual(speechStyle(dwight, voice, { name: 'angry', intensity: 3 }), { voice: 'ash', speed: 1.3, pauses: 'normal' });
+    assert.deepEqual(speechStyle({}, { name: 'onyx', speed: 0.5 }, { name: 'sad', intensity: 1 }),
+      { voice: 'onyx', speed: 0.46, pauses: 'long' });
+
+    assert.equal(speechText('Well, I think so. Yes!', 'long'), 'Well, … I think so. … Yes!');
+    assert.equal(speechText('Well, I think so.', 'normal'), 'Well, I think so.');
+  });
+
+  it('validates character emotion styles', () => {
+    const base = { id: 'sam', name: 'Sam', systemPrompt: 'You are Sam.', greeting: 'Hi' };
+    assert.deepEqual(validateCharacter({ ...base, emotions: { sad: { speed: 0.8, pauses: 'long' } } }), []);
+    assert.deepEqual(validateCharacter({ ...base, emotions: { bored: {}, sad: { speed: 5, voice: 'bob', pauses: 'x' } } }), [
+      'emotions.bored is not an emotion (use one of: neutral, happy, excited, flirty, angry, sad, deadpan, surprised, nervous, thoughtful)',
+      'emotions.sad.speed must be between 0.5 and 2',
+      'emotions.sad.voice must be one of: alloy, ash, coral, echo, fable, onyx, nova, sage, shimmer',
+      'emotions.sad.pauses must be one of: normal, long'
+    ]);
+  });
+});
+
+describe('emotional replies', () => {
+  it('returns the emotion with the reply and voices it in the character\'s style', async () => {
+    const app = loadApp();
+    const calls = stubOpenAI(app, { chat: taggedReply('[angry:3] FALSE. Bears eat beets.') });
+    const agent = request.agent(app);
+
+    const res = await agent.post('/api/chat').send({ text: 'Bears eat honey', character: 'dwight' }).expect(200);
+    assert.equal(res.body.response, 'FALSE. Bears eat beets.');
+    assert.deepEqual(res.body.emotion, { name: 'angry', intensity: 3 });
+    assert.match(calls.chat[0].messages[0].content, /^Start every reply with a tag/);
+    assert.deepEqual(calls.speech.map(s => [s.voice, s.speed, s.input]), [['ash', 1.3, 'FALSE. Bears eat beets.']]);
+
+    const history = await agent.get('/api/history/dwight').expect(200);
+    assert.deepEqual(history.body.messages.map(m => m.emotion), [null, { name: 'angry', intensity: 3 }]);
+
+    // Voicing it again sounds the same, and comes from the cache
+    const again = await agent.post('/api/tts')
+      .send({ text: res.body.response, character: 'dwight', emotion: res.body.emotion })
+      .expect(200);
+    assert.equal(again.body.cached, true);
+    await agent.post('/api/tts').send({ text: 'Hi', character: 'dwight', emotion: { name: 'bored' } }).expect(400);
+  });
+
+  it('streams the reply without its tag', async () => {
+    const app = loadApp();
+    const calls = stubOpenAI(app, { chat: taggedReply('[fl', 'irty:2]', ' How you', ' doin?') });
+
+    const res = await request(app).post('/api/respond/stream')
+      .send({ userMessage: 'Hi Joey', character: 'joey' })
+      .expect(200);
+
+    const events = parseEvents(res.text);
+    const tokens = events.filter(e => e.event === 'token').map(e => e.data.text).join('');
+    assert.equal(tokens, 'How you doin?');
+    assert.deepEqual(events.find(e => e.event === 'emotion').data, { name: 'flirty', intensity: 2 });
+
+    const done = events.find(e => e.event === 'done').data;
+    assert.equal(done.response, 'How you doin?');
+    assert.deepEqual(done.emotion, { name: 'flirty', intensity: 2 });
+    assert.deepEqual(calls.speech.map(s => [s.voice, s.speed, s.input]), [['onyx', 0.85, 'How you doin?']]);
+  });
+});
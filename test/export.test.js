@@ -0,0 +1,166 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { createZip, crc32 } = require('../lib/zip');
+const { loadApp, stubOpenAI } = require('./helpers');
+
+// Names of the files in a ZIP, read from its central directory
+function zipEntries(buffer) {
+  const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  const names = [];
+  for (let i = 0; i < count; i++) {
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    names.push(buffer.toString('utf8', offset + 46, offset + 46 + nameLength));
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return names;
+}
+
+function binaryParser(res, callback) {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+}
+
+describe('createZip', () => {
+  it('computes standard CRC-32 checksums', () => {
+    assert.equal(crc32(Buffer.from('hello')), 0x3610a686);
+  });
+
+  it('writes a central directory listing every entry', () => {
+    const zip = createZip([
+      { name: 'a.txt', data: 'first' },
+      { name: 'audio/b.mp3', data: Buffer.from([1, 2, 3]) }
+    ]);
+
+    assert.equal(zip.readUInt32LE(0), 0x04034b50);
+    assert.deepEqual(zipEntries(zip), ['a.txt', 'audio/b.mp3']);
+  });
+});
+
+describe('conversation export and import', () => {
+  let app;
+  let agent;
+
+  beforeEach(async () => {
+    app = loadApp();
+    stubOpenAI(app);
+    agent = request.agent(app);
+
+    await agent.post('/api/chat').send({ character: 'joey', text: 'How you doin?' }).expect(200);
+    await agent.post('/api/chat').send({ character: 'joey', text: 'Pizza?', voice: false }).expect(200);
+  });
+
+  it('exports structured JSON with a character snapshot', async () => {
+    const res = await agent.get('/api/history/joey/export').expect(200);
+
+    assert.match(res.headers['content-disposition'], /attachment; filename="joey-\d{4}-\d{2}-\d{2}\.json"/);
+    assert.equal(res.body.format, 'voice-chat-export');
+    assert.equal(res.body.characters[0].name, 'Joey Tribbiani');
+    assert.ok(res.body.characters[0].systemPrompt);
+    assert.deepEqual(res.body.messages.map(m => [m.role, m.content, m.audio]), [
+      ['user', 'How you doin?', false],
+      ['assistant', 'Reply #1', true],
+      ['user', 'Pizza?', false],
+      ['assistant', 'Reply #2', false]
+    ]);
+  });
+
+  it('exports a readable Markdown transcript', async () => {
+    const res = await agent.get('/api/history/joey/export?format=markdown').expect(200);
+
+    assert.match(res.headers['content-type'], /text\/markdown/);
+    assert.match(res.text, /^# Conversation with Joey Tribbiani/);
+    assert.match(res.text, /\*\*You\*\* · .+\n\nHow you doin\?/);
+    assert.match(res.text, /\*\*Joey Tribbiani\*\* · .+\n\nReply #1/);
+  });
+
+  it('bundles the transcript and each voiced reply in a ZIP', async () => {
+    const res = await agent.get('/api/history/joey/export?format=zip')
+      .buffer(true)
+      .parse(binaryParser)
+      .expect(200);
+
+    assert.equal(res.headers['content-type'], 'application/zip');
+    assert.deepEqual(zipEntries(res.body), ['transcript.md', 'conversation.json', 'audio/002-joey.mp3']);
+  });
+
+  it('leaves out clips the audio cache has dropped, marking them in history', async () => {
+    // Room for one 8-byte clip: each reply's audio pushes out the last one
+    const small = loadApp({ AUDIO_CACHE_MAX_MB: '0.00001' });
+    stubOpenAI(small);
+    const client = request.agent(small);
+    await client.post('/api/chat').send({ character: 'joey', text: 'How you doin?' }).expect(200);
+    await client.post('/api/chat').send({ character: 'joey', text: 'Pizza?' }).expect(200);
+
+    const history = await client.get('/api/history/joey').expect(200);
+    assert.deepEqual(history.body.messages.map(m => [Boolean(m.audioUrl), m.audioExpired]),
+      [[false, false], [false, true], [false, false], [true, false]]);
+
+    const zip = await client.get('/api/history/joey/export?format=zip').buffer(true).parse(binaryParser).expect(200);
+    assert.deepEqual(zipEntries(zip.body), ['transcript.md', 'conversation.json', 'audio/004-joey.mp3']);
+    const exported = await client.get('/api/history/joey/export').expect(200);
+    assert.deepEqual(exported.body.messages.map(m => m.audio), [false, false, false, true]);
+  });
+
+  it('rejects unknown formats', async () => {
+    await agent.get('/api/history/joey/export?format=pdf').expect(400);
+  });
+
+  it('restores an export so the conversation can continue', async () => {
+    const { body: exported } = await agent.get('/api/history/joey/export').expect(200);
+
+    const fresh = request.agent(app);
+    const res = await fresh.post('/api/import').send(exported).expect(200);
+    assert.deepEqual(res.body, { conversationId: 'joey', imported: 4 });
+
+    const history = await fresh.get('/api/history/joey').expect(200);
+    assert.deepEqual(history.body.messages.map(m => m.content), ['How you doin?', 'Reply #1', 'Pizza?', 'Reply #2']);
+    assert.notEqual(history.body.messages[0].id, exported.messages[0].id);
+    assert.equal(history.body.messages[1].audioUrl, null);
+
+    await fresh.post('/api/chat').send({ character: 'joey', text: 'Still there?', voice: false }).expect(200);
+    const continued = await fresh.get('/api/history/joey').expect(200);
+    assert.equal(continued.body.messages.length, 6);
+  });
+
+  it('asks before overwriting an existing conversation', async () => {
+    const { body: exported } = await agent.get('/api/history/joey/export').expect(200);
+
+    const res = await agent.post('/api/import').send(exported).expect(409);
+    assert.equal(res.body.error, 'Conversation already has messages');
+
+    await agent.post('/api/import?replace=true').send(exported).expect(200);
+    const history = await agent.get('/api/history/joey').expect(200);
+    assert.equal(history.body.messages.length, 4);
+  });
+
+  it('refuses files with text moderation flags, keeping what was there', async () => {
+    const { body: exported } = await agent.get('/api/history/joey/export').expect(200);
+    exported.messages[0].content = 'something nasty';
+    stubOpenAI(app, {
+      moderation: async ({ input }) => ({
+        results: [{ flagged: /nasty/.test(input), categories: { harassment: /nasty/.test(input) } }]
+      })
+    });
+
+    const res = await agent.post('/api/import?replace=true').send(exported).expect(422);
+    assert.equal(res.body.code, 'input_flagged');
+
+    const history = await agent.get('/api/history/joey').expect(200);
+    assert.equal(history.body.messages[0].content, 'How you doin?');
+  });
+
+  it('rejects files that are not valid exports', async () => {
+    const res = await agent.post('/api/import')
+      .send({ format: 'voice-chat-export', version: 1, conversationId: 'batman', messages: [] })
+      .expect(400);
+
+    assert.equal(res.body.error, 'Invalid export file');
+    assert.deepEqual(res.body.details, ['conversationId does not match a character or room on this server']);
+  });
+});
@@ -0,0 +1,183 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { createGuardrails, breaksCharacter, blockedTopic } = require('../lib/guardrails');
+const { validateCharacter } = require('../lib/characters');
+const { loadApp, stubOpenAI } = require('./helpers');
+
+const joey = { id: 'joey', name: 'Joey' };
+
+function parseEvents(text) {
+  return text.trim().split('\n\n').map(block => {
+    const [eventLine, dataLine] = block.split('\n');
+    return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+  });
+}
+
+function chatReplies(...texts) {
+  let call = 0;
+  return async () => ({ choices: [{ message: { content: texts[Math.min(call++, texts.length - 1)] } }] });
+}
+
+function flagged(...categories) {
+  return async () => ({
+    results: [{ flagged: true, categories: Object.fromEntries(categories.map(category => [category, true])) }]
+  });
+}
+
+describe('guardrail checks', () => {
+  it('spots replies that break character', () => {
+    assert.equal(breaksCharacter('As an AI language model, I do not eat sandwiches.'), 'ai_disclosure');
+    assert.equal(breaksCharacter("I'm just an AI, so I can't meet you."), 'ai_disclosure');
+    assert.equal(breaksCharacter("I'm sorry, but I can't assist with that."), 'refusal');
+    assert.equal(breaksCharacter("How you doin'? I can't help with that, I'm auditioning!"), null);
+  });
+
+  it('matches blocked topics as whole words', () => {
+    const char = { guardrails: { blockedTopics: ['vote for', 'address'] } };
+    assert.equal(blockedTopic(char, 'Who should I VOTE FOR?'), 'vote for');
+    assert.equal(blockedTopic(char, 'Addressing the crowd'), null);
+    assert.equal(blockedTopic({}, 'anything'), null);
+  });
+
+  it('retries once, then cuts what is still out of character', async () => {
+    const guardrails = createGuardrails({ retries: 1 });
+    const reminders = [];
+
+    const { text, interventions } = await guardrails.reviewReply(joey, 'As an AI, I cannot eat.', {
+      regenerate: async (previous, reminder) => {
+        reminders.push(reminder);
+        return "Sandwiches rule. As an AI, I don't eat.";
+      }
+    });
+
+    assert.equal(text, 'Sandwiches rule.');
+    assert.equal(reminders.length, 1);
+    assert.deepEqual(interventions.map(i => i.action), ['retried', 'repaired']);
+  });
+
+  it('lets replies through when moderation is down', async () => {
+    const moderation = () => ({
+      name: 'broken',
+      configured: true,
+      moderate: async () => { throw new Error('503'); }
+    });
+    const guardrails = createGuardrails({ moderation });
+
+    await guardrails.screenInput('hello');
+    const { text, interventions } = await guardrails.reviewReply(joey, 'Hey!');
+    assert.equal(text, 'Hey!');
+    assert.deepEqual(interventions, []);
+  });
+
+  it('validates character guardrail settings', () => {
+    const base = { id: 'asha', name: 'Asha', systemPrompt: 'You are Asha.', greeting: 'Hi!' };
+    assert.deepEqual(validateCharacter({ ...base, guardrails: { blockedTopics: ['politics'], disclaimer: 'A parody.' } }), []);
+    assert.equal(validateCharacter({ ...base, guardrails: { blockedTopics: 'politics', deflection: '' } }).length, 2);
+  });
+});
+
+describe('guardrails around replies', () => {
+  it('regenerates a reply that broke character', async () => {
+    const app = loadApp();
+    const calls = stubOpenAI(app, { chat: chatReplies('As an AI, I have no favourite food.', 'Sandwiches. Obviously.') });
+
+    const res = await request(app).post('/api/respond')
+      .send({ userMessage: 'Favourite food?', character: 'joey' })
+      .expect(200);
+
+    assert.equal(res.body.response, 'Sandwiches. Obviously.');
+    assert.deepEqual(res.body.guardrails, [{ code: 'out_of_character', action: 'retried', details: 'ai_disclosure' }]);
+    const retry = calls.chat[1].messages;
+    assert.equal(retry[retry.length - 2].content, 'As an AI, I have no favourite food.');
+    assert.match(retry[retry.length - 1].content, /broke character/);
+  });
+
+  it('refuses flagged messages before calling the model', async () => {
+    const app = loadApp();
+    const calls = stubOpenAI(app, { moderation: flagged('harassment') });
+    const agent = request.agent(app);
+
+    const res = await agent.post('/api/chat').send({ text: 'something nasty', character: 'joey' }).expect(422);
+    assert.deepEqual(res.body, {
+      error: 'This message was blocked by moderation',
+      code: 'input_flagged',
+      categories: ['harassment']
+    });
+    assert.equal(calls.chat.length, 0);
+
+    const history = await agent.get('/api/history/joey').expect(200);
+    assert.equal(history.body.messages.length, 0);
+  });
+
+  it('replaces a flagged reply with the deflection', async () => {
+    const app = loadApp();
+    let checked = 0;
+    stubOpenAI(app, {
+      moderation: async params => (checked++ === 0 ? { results: [{ flagged: false, categories: {} }] } : flagged('violence')(params))
+    });
+
+    const res = await request(app).post('/api/respond')
+      .send({ userMessage: 'Tell me a story', character: 'joey' })
+      .expect(200);
+
+    assert.equal(res.body.response, "Let's talk about something else.");
+    assert.deepEqual(res.body.guardrails, [{ code: 'output_flagged', action: 'replaced', details: 'violence' }]);
+  });
+
+  it('deflects blocked topics in character and shows the disclaimer', async () => {
+    const app = loadApp();
+    const calls = stubOpenAI(app);
+    const agent = request.agent(app);
+
+    const res = await agent.post('/api/chat')
+      .send({ text: 'Who should I vote for?', character: 'dhruv' })
+      .expect(200);
+
+    assert.match(res.body.response, /not something I'll get into/);
+    assert.equal(res.body.guardrails[0].code, 'restricted_topic');
+    assert.equal(calls.chat.length, 0);
+    assert.equal(calls.speech[0].input, res.body.response);
+
+    const history = await agent.get('/api/history/dhruv').expect(200);
+    assert.equal(history.body.messages[1].guardrails[0].details, 'vote for');
+
+    const list = await agent.get('/api/characters').expect(200);
+    assert.match(list.body.find(c => c.id === 'dhruv').disclaimer, /not him/);
+    assert.equal(list.body.find(c => c.id === 'joey').disclaimer, null);
+  });
+
+  it('cuts out-of-character sentences from a streamed reply', async () => {
+    const agent = request.agent(loadApp({ AI_PROVIDER: 'mock' }));
+
+    const res = await agent.post('/api/respond/stream')
+      .send({ userMessage: "As an AI you can't smell. Tell me more.", character: 'joey' })
+      .expect(200);
+
+    const events = parseEvents(res.text);
+    const cut = events.find(e => e.event === 'guardrail');
+    assert.deepEqual(cut.data, { code: 'out_of_character', action: 'repaired', details: 'ai_disclosure' });
+    assert.equal(events.filter(e => e.event === 'audio').length, 1);
+
+    const done = events.find(e => e.event === 'done').data;
+    assert.equal(done.response, 'Tell me more."');
+    assert.equal(done.guardrails.length, 1);
+  });
+
+  it('moderates text sent straight to TTS', async () => {
+    const app = loadApp();
+    const calls = stubOpenAI(app, { moderation: flagged('hate') });
+
+    const res = await request(app).post('/api/tts').send({ text: 'Say this', character: 'dhruv' }).expect(422);
+    assert.equal(res.body.code, 'input_flagged');
+    assert.equal(calls.speech.length, 0);
+  });
+
+  it('skips moderation when it is switched off', async () => {
+    const app = loadApp({ MODERATION: 'off' });
+    const calls = stubOpenAI(app, { moderation: flagged('harassment') });
+
+    await request(app).post('/api/respond').send({ userMessage: 'Hi', character: 'joey' }).expect(200);
+    assert.equal(calls.moderation.length, 0);
+  });
+});
@@ -0,0 +1,103 @@
+// ============================================
+// TEST HELPERS
+// Loads a fresh copy of the server with its own environment and swaps the
+// OpenAI client's methods for stubs, so no test touches the network.
+// ============================================
+
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+
+const TEST_ENV = {
+  OPENAI_API_KEY: 'test-key',
+  AI_PROVIDER: 'openai',
+  CONVERSATION_STORE: 'memory',
+  AUDIO_CACHE: undefined,
+  AUDIO_CACHE_MAX_MB: undefined,
+  CONVERSATION_RETENTION_DAYS: undefined,
+  SESSION_TTL_MINUTES: undefined,
+  // Request logs would drown the test output
+  LOG_LEVEL: 'silent',
+  LOG_USER_CONTENT: undefined,
+  METRICS_TOKEN: undefined,
+  // Usage limits and guardrails stay at their defaults unless a test sets them
+  RATE_LIMIT_PER_MINUTE: undefined,
+  RATE_LIMIT_PER_IP_PER_MINUTE: undefined,
+  TRUST_PROXY: undefined,
+  VERCEL: undefined,
+  QUOTA_CHAT_TOKENS: undefined,
+  QUOTA_TTS_CHARACTERS: undefined,
+  QUOTA_IP_MULTIPLIER: undefined,
+  API_KEYS: undefined,
+  MODERATION: undefined,
+  GUARDRAIL_RETRIES: undefined,
+  // Retries keep their count but not their wait
+  UPSTREAM_RETRIES: undefined,
+  UPSTREAM_RETRY_DELAY_MS: '1',
+  CIRCUIT_BREAKER_THRESHOLD: undefined,
+  // Memory extraction would add model calls to every test that counts them
+  MEMORY_EXTRACT_EVERY: '0',
+  MEMORY_MAX_ITEMS: undefined,
+  MEMORY_PROMPT_ITEMS: undefined,
+  ADMIN_TOKEN: undefined,
+  // Documents stay in memory like conversations
+  KNOWLEDGE_STORE: undefined,
+  KNOWLEDGE_RETRIEVAL: undefined,
+  KNOWLEDGE_TOP_K: undefined,
+  KNOWLEDGE_MAX_DOCUMENT_KB: undefined,
+  CORS_ORIGINS: undefined
+};
+
+// Require server.js from scratch so module-level config picks up `env`
+function loadApp(env = {}) {
+  for (const key of Object.keys(require.cache)) {
+    if (key.startsWith(ROOT) && !key.includes('node_modules')) {
+      delete require.cache[key];
+    }
+  }
+
+  const merged = { ...TEST_ENV, ...env };
+  for (const [key, value] of Object.entries(merged)) {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  }
+
+  return require(path.join(ROOT, 'server.js'));
+}
+
+// Replace the OpenAI SDK calls with recorders. Each stub can be overridden.
+function stubOpenAI(app, overrides = {}) {
+  const client = app.providers.get('openai').client;
+  const calls = { transcribe: [], chat: [], speech: [], moderation: [] };
+
+  client.audio.transcriptions.create = async (params, options) => {
+    calls.transcribe.push(params);
+    if (overrides.transcribe) return overrides.transcribe(params, options);
+    return { text: 'hello from the test' };
+  };
+
+  client.chat.completions.create = async (params, options) => {
+    calls.chat.push(params);
+    if (overrides.chat) return overrides.chat(params, options);
+    return {
+      choices: [{ message: { content: `Reply #${calls.chat.length}` } }],
+      usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 }
+    };
+  };
+
+  client.audio.speech.create = async (params, options) => {
+    calls.speech.push(params);
+    if (overrides.speech) return overrides.speech(params, options);
+    return { arrayBuffer: async () => Buffer.from('fake-mp3') };
+  };
+
+  client.moderations.create = async (params, options) => {
+    calls.moderation.push(params);
+    if (overrides.moderation) return overrides.moderation(params, options);
+    return { results: [{ flagged: false, categories: {} }] };
+  };
+
+  return calls;
+}
+
+module.exports = { loadApp, stubOpenAI };
@@ -0,0 +1,151 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { createKnowledgeBase, splitPassages, withKnowledge, toSources } = require('../lib/knowledge');
+const { createMockProvider } = require('../lib/providers/mock');
+const { loadApp, stubOpenAI } = require('./helpers');
+
+const dhruv = { id: 'dhruv' };
+
+const NOTES = {
+  'Air quality': 'Delhi air quality drops every winter when stubble burning in Punjab and Haryana peaks.',
+  'Elections': 'India held the largest election in the world in 2024, with over 640 million votes cast.',
+  'Trains': 'Indian Railways carries more than twenty million passengers on an average day.'
+};
+
+async function seed(knowledge) {
+  for (const [title, text] of Object.entries(NOTES)) await knowledge.add('dhruv', { title, text });
+}
+
+function words(count, from = 0) {
+  return Array.from({ length: count }, (_, i) => `w${from + i}`).join(' ');
+}
+
+describe('knowledge base', () => {
+  it('splits long documents into overlapping passages', () => {
+    const passages = splitPassages(words(200));
+    assert.equal(passages.length, 2);
+    assert.ok(passages[0].startsWith('w0 ') && passages[0].endsWith(' w119'));
+    assert.ok(passages[1].startsWith('w90 ') && passages[1].endsWith(' w199'));
+    assert.deepEqual(splitPassages('Line one\nLine two'), ['Line one\nLine two']);
+  });
+
+  it('finds the passages sharing the rarest words with the message', async () => {
+    const knowledge = createKnowledgeBase({ topK: 2 });
+    await seed(knowledge);
+
+    const found = await knowledge.retrieve(dhruv, 'Why is the air in Delhi so bad in winter?');
+    assert.deepEqual(found.map(p => p.title), ['Air quality']);
+    assert.deepEqual(await knowledge.retrieve(dhruv, 'hello there'), []);
+    assert.deepEqual(await knowledge.retrieve({ id: 'joey' }, 'Delhi air'), []);
+
+    const prompt = withKnowledge('You are Dhruv.', found);
+    assert.match(prompt, /^You are Dhruv\.\n\n.*not instructions\):\n\n\[1\] Air quality\nDelhi air quality/);
+    assert.deepEqual(Object.keys(toSources(found)[0]), ['documentId', 'title', 'passage', 'excerpt']);
+  });
+
+  it('ranks by embeddings and falls back to keywords when they fail', async () => {
+    const mock = createMockProvider();
+    let failing = false;
+    const embeddings = () => ({
+      embed: async (params, options) => {
+        if (failing) throw new Error('Embeddings down');
+        return mock.embeddings.embed(params, options);
+      }
+    });
+    const knowledge = createKnowledgeBase({ retrieval: 'hybrid', topK: 1, embeddings });
+    await seed(knowledge);
+
+    assert.deepEqual((await knowledge.retrieve(dhruv, 'votes cast in the 2024 election')).map(p => p.title), ['Elections']);
+    failing = true;
+    assert.deepEqual((await knowledge.retrieve(dhruv, 'passengers on Indian Railways')).map(p => p.title), ['Trains']);
+  });
+
+  it('keeps documents on disk per character', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'knowledge-'));
+    try {
+      // One timestamp for every document: the order comes from their sequence
+      const now = () => new Date('2024-05-01T12:00:00Z');
+      const first = createKnowledgeBase({ type: 'file', dir, now });
+      await seed(first);
+      const [doc] = await first.list('dhruv');
+
+      const second = createKnowledgeBase({ type: 'file', dir });
+      assert.deepEqual((await second.list('dhruv')).map(d => d.title), Object.keys(NOTES));
+      assert.equal(await second.remove('dhruv', doc.id), true);
+      assert.equal(await second.remove('dhruv', doc.id), false);
+      assert.equal(await second.remove('dhruv', '../../etc/passwd'), false);
+      assert.deepEqual(await second.retrieve(dhruv, 'Delhi air quality'), []);
+
+      await second.removeAll('dhruv');
+      assert.deepEqual(await second.list('dhruv'), []);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('knowledge routes', () => {
+  it('uploads, lists and removes documents', async () => {
+    const app = loadApp({ ADMIN_TOKEN: 'secret', KNOWLEDGE_MAX_DOCUMENT_KB: '1' });
+    const admin = 'Bearer secret';
+
+    await request(app).post('/api/characters/dhruv/documents')
+      .send({ title: 'Notes', text: 'Some facts' })
+      .expect(401);
+    const added = await request(app).post('/api/characters/dhruv/documents')
+      .set('Authorization', admin)
+      .send({ title: 'Air quality', text: NOTES['Air quality'] })
+      .expect(201);
+    assert.equal(added.body.document.passages, 1);
+
+    const uploaded = await request(app).post('/api/characters/dhruv/documents')
+      .set('Authorization', admin)
+      .attach('document', Buffer.from(NOTES.Trains), 'trains.txt')
+      .expect(201);
+    assert.equal(uploaded.body.document.title, 'trains');
+
+    await request(app).post('/api/characters/dhruv/documents')
+      .set('Authorization', admin)
+      .attach('document', Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00]), 'chart.png')
+      .expect(400);
+    const tooLarge = await request(app).post('/api/characters/dhruv/documents')
+      .set('Authorization', admin)
+      .send({ title: 'Big', text: 'x'.repeat(2000) })
+      .expect(413);
+    assert.equal(tooLarge.body.code, 'document_too_large');
+    await request(app).post('/api/characters/nobody/documents').set('Authorization', admin)
+      .send({ title: 'Notes', text: 'Facts' })
+      .expect(404);
+
+    const listed = await request(app).get('/api/characters/dhruv/documents').expect(200);
+    assert.deepEqual(listed.body.documents.map(d => d.title), ['Air quality', 'trains']);
+
+    const { id } = added.body.document;
+    await request(app).delete(`/api/characters/dhruv/documents/${id}`).set('Authorization', admin).expect(200);
+    await request(app).delete(`/api/characters/dhruv/documents/${id}`).set('Authorization', admin).expect(404);
+  });
+
+  it('adds matching passages to the prompt and cites them', async () => {
+    const app = loadApp();
+    const calls = stubOpenAI(app);
+    const agent = request.agent(app);
+    await seed(app.knowledge);
+
+    const res = await agent.post('/api/respond')
+      .send({ userMessage: 'How many votes were cast in the 2024 election?', character: 'dhruv' })
+      .expect(200);
+    assert.deepEqual(res.body.sources.map(s => s.title), ['Elections']);
+    assert.match(calls.chat[0].messages[0].content, /\[1\] Elections\nIndia held the largest election/);
+    assert.equal(res.body.debug.context.passages, 1);
+
+    const history = await agent.get('/api/history/dhruv').expect(200);
+    assert.deepEqual(history.body.messages.map(m => m.sources.length), [0, 1]);
+
+    const other = await agent.post('/api/respond').send({ userMessage: 'Hi', character: 'joey' }).expect(200);
+    assert.deepEqual(other.body.sources, []);
+  });
+});
@@ -0,0 +1,110 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const languages = require('../lib/languages');
+const { validateCharacter } = require('../lib/characters');
+const { encodeWav } = require('../lib/wav');
+const { loadApp, stubOpenAI } = require('./helpers');
+
+function toneWav(seconds, sampleRate = 16000) {
+  const samples = new Int16Array(seconds * sampleRate);
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = Math.round(Math.sin(2 * Math.PI * 440 * i / sampleRate) * 8000);
+  }
+  return encodeWav(samples, sampleRate);
+}
+
+describe('languages', () => {
+  it('parses settings and what STT reports', () => {
+    assert.equal(languages.parseLanguage('auto'), null);
+    assert.equal(languages.parseLanguage(''), null);
+    assert.equal(languages.parseLanguage('hi'), 'hi');
+    assert.equal(languages.parseLanguage('klingon'), undefined);
+
+    assert.equal(languages.normalizeLanguage('hindi'), 'hi');
+    assert.equal(languages.normalizeLanguage('ES'), 'es');
+    assert.equal(languages.normalizeLanguage('klingon'), null);
+  });
+
+  it('guesses typed languages from their script', () => {
+    assert.equal(languages.guessLanguage('नमस्ते, कैसे हो?'), 'hi');
+    assert.equal(languages.guessLanguage('こんにちは'), 'ja');
+    assert.equal(languages.guessLanguage('kya haal hai'), null);
+  });
+
+  it('picks the voice and instructions for a language', () => {
+    const char = { voice: { name: 'echo', speed: 1 }, voices: { hi: { name: 'echo', speed: 0.95 } } };
+    assert.equal(languages.voiceFor(char, 'hi').speed, 0.95);
+    assert.equal(languages.voiceFor(char, 'fr').speed, 1);
+
+    assert.equal(languages.withLanguage('Be Joey.', null), 'Be Joey.');
+    assert.match(languages.withLanguage('Be Joey.', 'hi'), /speaking Hindi\. Reply in Hindi/);
+  });
+
+  it('validates character language settings', () => {
+    const base = { id: 'asha', name: 'Asha', systemPrompt: 'You are Asha.', greeting: 'Hi!' };
+    assert.deepEqual(validateCharacter({ ...base, language: 'hi', voices: { hi: { name: 'nova' } } }), []);
+
+    const errors = validateCharacter({ ...base, language: 'xx', voices: { xx: { name: 'nova' }, fr: { name: 'bob' } } });
+    assert.equal(errors.length, 3);
+  });
+});
+
+describe('multilingual conversations', () => {
+  it('returns the language Whisper detected', async () => {
+    const app = loadApp();
+    const calls = stubOpenAI(app, { transcribe: async () => ({ text: 'namaste', language: 'hindi', duration: 1 }) });
+
+    const res = await request(app).post('/api/transcribe')
+      .field('language', 'auto')
+      .attach('audio', toneWav(1), 'recording.wav')
+      .expect(200);
+
+    assert.deepEqual(res.body, { transcription: 'namaste', language: 'hi', words: null, duration: 1 });
+    assert.equal(calls.transcribe[0].language, undefined);
+    assert.equal(calls.transcribe[0].response_format, 'verbose_json');
+    assert.deepEqual(calls.transcribe[0].timestamp_granularities, ['word']);
+  });
+
+  it('passes a chosen language to STT', async () => {
+    const app = loadApp();
+    const calls = stubOpenAI(app);
+
+    const res = await request(app).post('/api/transcribe')
+      .field('language', 'es')
+      .attach('audio', toneWav(1), 'recording.wav')
+      .expect(200);
+
+    assert.equal(calls.transcribe[0].language, 'es');
+    assert.equal(res.body.language, 'es');
+  });
+
+  it('replies and speaks in the user\'s language', async () => {
+    const app = loadApp();
+    const calls = stubOpenAI(app);
+
+    const agent = request.agent(app);
+    const res = await agent.post('/api/chat')
+      .field('character', 'dhruv')
+      .field('text', 'kya haal hai bhai')
+      .field('language', 'hi')
+      .expect(200);
+
+    assert.equal(res.body.language, 'hi');
+    assert.match(calls.chat[0].messages[0].content, /Reply in Hindi/);
+    assert.equal(calls.speech[0].speed, 0.95);
+
+    const history = await agent.get('/api/history/dhruv').expect(200);
+    assert.deepEqual(history.body.messages.map(m => m.language), ['hi', 'hi']);
+  });
+
+  it('rejects an unknown language', async () => {
+    const app = loadApp();
+    stubOpenAI(app);
+
+    const res = await request(app).post('/api/respond')
+      .send({ userMessage: 'hi', character: 'joey', language: 'klingon' })
+      .expect(400);
+    assert.equal(res.body.error, 'Unknown language');
+  });
+});
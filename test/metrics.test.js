@@ -0,0 +1,164 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { createLogger } = require('../lib/logger');
+const { createMetrics } = require('../lib/metrics');
+const { timeCapability } = require('../lib/providers/timing');
+const { loadApp, stubOpenAI } = require('./helpers');
+
+function captureLogger(options = {}) {
+  const lines = [];
+  const logger = createLogger({ level: 'info', write: line => lines.push(JSON.parse(line)), ...options });
+  return { logger, lines };
+}
+
+// Collects what the app logs to stdout while `work` runs; anything else
+// (the test runner's own output) goes through untouched
+async function captureStdout(work) {
+  const lines = [];
+  const write = process.stdout.write;
+  process.stdout.write = function (chunk, ...rest) {
+    if (typeof chunk === 'string' && chunk.startsWith('{"time"')) {
+      lines.push(JSON.parse(chunk));
+      return true;
+    }
+    return write.call(this, chunk, ...rest);
+  };
+  try {
+    await work();
+  } finally {
+    process.stdout.write = write;
+  }
+  return lines;
+}
+
+describe('logger', () => {
+  it('writes one JSON object per line with the request context', async () => {
+    const { logger, lines } = captureLogger();
+    const log = logger.child('Respond');
+
+    await logger.run({ requestId: 'req-1' }, async () => {
+      await Promise.resolve();
+      log.info('Reply generated', { character: 'joey' });
+    });
+    log.debug('Not shown');
+    log.error('Failed', { error: Object.assign(new Error('boom'), { status: 502 }) });
+
+    assert.equal(lines.length, 2);
+    assert.deepEqual({ ...lines[0], time: undefined }, {
+      time: undefined, level: 'info', tag: 'Respond', msg: 'Reply generated', requestId: 'req-1', character: 'joey'
+    });
+    assert.equal(lines[1].requestId, undefined);
+    assert.equal(lines[1].error.message, 'boom');
+    assert.equal(lines[1].error.status, 502);
+  });
+
+  it('redacts user content unless LOG_USER_CONTENT is on', () => {
+    assert.equal(captureLogger().logger.content('my secret'), '[redacted: 9 chars]');
+    assert.equal(captureLogger({ logContent: true }).logger.content('my secret'), 'my secret');
+  });
+});
+
+describe('metrics', () => {
+  it('renders counters and cumulative histograms in the Prometheus format', () => {
+    const metrics = createMetrics();
+    const requests = metrics.counter('requests_total', 'Requests', ['route']);
+    const latency = metrics.histogram('latency_seconds', 'Latency', ['stage'], [0.1, 1]);
+
+    requests.inc({ route: '/api/"x"' });
+    requests.inc({ route: '/api/"x"' });
+    latency.observe({ stage: 'llm' }, 0.5);
+    latency.observe({ stage: 'llm' }, 2);
+
+    assert.equal(metrics.render(), [
+      '# HELP requests_total Requests',
+      '# TYPE requests_total counter',
+      'requests_total{route="/api/\\"x\\""} 2',
+      '# HELP latency_seconds Latency',
+      '# TYPE latency_seconds histogram',
+      'latency_seconds_bucket{stage="llm",le="0.1"} 0',
+      'latency_seconds_bucket{stage="llm",le="1"} 1',
+      'latency_seconds_bucket{stage="llm",le="+Inf"} 2',
+      'latency_seconds_sum{stage="llm"} 2.5',
+      'latency_seconds_count{stage="llm"} 2',
+      ''
+    ].join('\n'));
+  });
+
+  it('times streams to the first token and to the end, keeping their usage', async () => {
+    let time = 0;
+    const events = [];
+    const llm = {
+      name: 'mock',
+      stream: async function* () {
+        time = 1;
+        yield 'Hi';
+        time = 3;
+        yield ' there';
+        return { usage: { promptTokens: 1 } };
+      }
+    };
+
+    const timed = timeCapability('llm', llm, { character: 'joey', onTiming: event => events.push(event), now: () => time * 1000 });
+    const iterator = timed.stream()[Symbol.asyncIterator]();
+    while (true) {
+      const { value, done } = await iterator.next();
+      if (done) {
+        assert.deepEqual(value, { usage: { promptTokens: 1 } });
+        break;
+      }
+    }
+
+    assert.deepEqual(events.map(({ stage, seconds, ok }) => [stage, seconds, ok]), [
+      ['llm_first_token', 1, true],
+      ['llm', 3, true]
+    ]);
+    assert.equal(events[0].character, 'joey');
+  });
+});
+
+describe('observability endpoints', () => {
+  it('counts requests, errors and per-stage latency by character', async () => {
+    const app = loadApp();
+    stubOpenAI(app);
+
+    await request(app).post('/api/chat').send({ text: 'Hi', character: 'joey' }).expect(200);
+    await request(app).post('/api/respond').send({ character: 'joey' }).expect(400);
+
+    const res = await request(app).get('/metrics').expect(200);
+    assert.match(res.headers['content-type'], /^text\/plain/);
+    assert.match(res.text, /http_requests_total\{method="POST",route="\/api\/chat",status="200"\} 1/);
+    assert.match(res.text, /http_request_errors_total\{method="POST",route="\/api\/respond",status="400"\} 1/);
+    assert.match(res.text, /stage_duration_seconds_count\{stage="llm",provider="openai",character="joey"\} 1/);
+    assert.match(res.text, /stage_duration_seconds_count\{stage="tts",provider="openai",character="joey"\} 1/);
+  });
+
+  it('guards /metrics with METRICS_TOKEN when it is set', async () => {
+    const app = loadApp({ METRICS_TOKEN: 'scrape' });
+    await request(app).get('/metrics').expect(401);
+    await request(app).get('/metrics').set('Authorization', 'Bearer scrape').expect(200);
+  });
+
+  it('tags every log line of a request with its ID and keeps content out', async () => {
+    const app = loadApp({ LOG_LEVEL: 'info' });
+    stubOpenAI(app);
+
+    let res;
+    const lines = await captureStdout(async () => {
+      res = await request(app).post('/api/respond')
+        .set('X-Request-Id', 'turn-42')
+        .send({ userMessage: 'my private message', character: 'joey' })
+        .expect(200);
+    });
+
+    assert.equal(res.headers['x-request-id'], 'turn-42');
+    const tags = lines.map(line => line.tag);
+    assert.ok(tags.includes('Timing'));
+    assert.ok(tags.includes('Respond'));
+    assert.ok(lines.every(line => line.requestId === 'turn-42'));
+    assert.ok(!JSON.stringify(lines).includes('Reply #1'));
+
+    const invalid = await request(app).get('/health').set('X-Request-Id', 'not valid!');
+    assert.match(invalid.headers['x-request-id'], /^[0-9a-f-]{36}$/);
+  });
+});
@@ -0,0 +1,131 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { io: connect } = require('socket.io-client');
+const { loadApp, stubOpenAI } = require('./helpers');
+
+const SAMPLE_RATE = 16000;
+
+// `seconds` of 16-bit PCM: a loud tone, or silence
+function pcm(seconds, tone) {
+  const samples = new Int16Array(Math.round(seconds * SAMPLE_RATE));
+  if (tone) {
+    for (let i = 0; i < samples.length; i++) {
+      samples[i] = Math.round(Math.sin(2 * Math.PI * 440 * i / SAMPLE_RATE) * 8000);
+    }
+  }
+  return Buffer.from(samples.buffer);
+}
+
+// Send audio in 100 ms frames, like the browser's worklet does
+function sendAudio(socket, buffer) {
+  const frame = SAMPLE_RATE / 10 * 2;
+  for (let offset = 0; offset < buffer.length; offset += frame) {
+    socket.emit('voice:audio', buffer.subarray(offset, offset + frame));
+  }
+}
+
+function once(socket, event) {
+  return new Promise(resolve => socket.once(event, resolve));
+}
+
+describe('voice channel', () => {
+  let app;
+  let url;
+  const sockets = [];
+
+  before(async () => {
+    // Clients are told apart by the address the proxy (here, loopback) names
+    app = loadApp({ TRUST_PROXY: 'loopback', RATE_LIMIT_PER_IP_PER_MINUTE: '1' });
+    stubOpenAI(app, {
+      transcribe: async () => ({ text: 'Hey Joey', language: 'en' }),
+      chat: async params => {
+        if (!params.stream) return { choices: [{ message: { content: 'How you doin?' } }] };
+        return (async function* () {
+          yield { choices: [{ delta: { content: 'How you doin?' } }] };
+        })();
+      }
+    });
+    await new Promise(resolve => app.server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${app.server.address().port}`;
+  });
+
+  after(async () => {
+    sockets.forEach(socket => socket.close());
+    app.io.close();
+    await new Promise(resolve => app.server.close(resolve));
+  });
+
+  let clients = 0;
+
+  async function open(ip = `203.0.113.${++clients}`) {
+    const socket = connect(url, { transports: ['websocket'], reconnection: false, extraHeaders: { 'X-Forwarded-For': ip } });
+    sockets.push(socket);
+    await once(socket, 'connect');
+    return socket;
+  }
+
+  it('answers an utterance and stops when asked', async () => {
+    const socket = await open();
+    socket.emit('voice:start', { character: 'joey', sampleRate: SAMPLE_RATE });
+    assert.deepEqual(await once(socket, 'voice:ready'), { character: 'joey', sampleRate: SAMPLE_RATE });
+
+    const transcript = once(socket, 'voice:transcript');
+    const done = once(socket, 'voice:done');
+    sendAudio(socket, Buffer.concat([pcm(0.6, true), pcm(1, false)]));
+    assert.equal((await transcript).text, 'Hey Joey');
+    assert.equal((await done).response, 'How you doin?');
+
+    // Stopped: audio is ignored until the next voice:start
+    socket.emit('voice:stop');
+    let heard = false;
+    socket.on('voice:speech-start', () => { heard = true; });
+    sendAudio(socket, pcm(0.6, true));
+    socket.emit('voice:start', { character: 'joey', sampleRate: SAMPLE_RATE });
+    await once(socket, 'voice:ready');
+    assert.equal(heard, false);
+  });
+
+  it('limits turns by the client address a trusted proxy names', async () => {
+    const utterance = Buffer.concat([pcm(0.6, true), pcm(1, false)]);
+    const first = await open('198.51.100.7');
+    const again = await open('198.51.100.7');
+    const other = await open('198.51.100.8');
+    for (const socket of [first, again, other]) {
+      socket.emit('voice:start', { character: 'joey', sampleRate: SAMPLE_RATE });
+      await once(socket, 'voice:ready');
+    }
+
+    const done = once(first, 'voice:done');
+    sendAudio(first, utterance);
+    await done;
+
+    const refused = once(again, 'voice:error');
+    sendAudio(again, utterance);
+    assert.equal((await refused).code, 'rate_limited');
+
+    const answered = once(other, 'voice:done');
+    sendAudio(other, utterance);
+    assert.equal((await answered).response, 'How you doin?');
+  });
+
+  it('turns malformed payloads away without going down', async () => {
+    const socket = await open();
+
+    socket.emit('voice:start', null);
+    assert.equal((await once(socket, 'voice:error')).error, 'Invalid voice:start payload');
+    socket.emit('voice:start', { character: { id: 'joey' } });
+    assert.equal((await once(socket, 'voice:error')).error, 'Invalid character');
+
+    socket.emit('voice:start', { character: 'joey', sampleRate: SAMPLE_RATE });
+    await once(socket, 'voice:ready');
+    for (const frame of ['abc', Buffer.alloc(3), { length: 2 }, 42]) {
+      socket.emit('voice:audio', frame);
+      assert.equal((await once(socket, 'voice:error')).code, 'invalid_audio');
+    }
+
+    // Still serving: a fresh connection gets going as usual
+    const other = await open();
+    other.emit('voice:start', { character: 'dwight' });
+    assert.equal((await once(other, 'voice:ready')).character, 'dwight');
+  });
+});
@@ -0,0 +1,223 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { resilientCapability, createCircuitBreaker, UpstreamError } = require('../lib/providers/resilience');
+const { loadApp, stubOpenAI } = require('./helpers');
+
+const WAV_HEADER = Buffer.from('RIFF\x24\x00\x00\x00WAVEfmt ', 'binary');
+
+function httpError(status, message = `HTTP ${status}`) {
+  return Object.assign(new Error(message), { status });
+}
+
+function breaker(options = {}) {
+  return createCircuitBreaker({ name: 'test:tts', threshold: 0, cooldownMs: 1000, ...options });
+}
+
+function wrap(kind, capability, options = {}) {
+  return resilientCapability(kind, { name: 'test', configured: true, ...capability }, {
+    breaker: breaker(),
+    timeoutMs: 1000,
+    retries: 2,
+    retryDelayMs: 1,
+    ...options
+  });
+}
+
+function parseEvents(text) {
+  return text.trim().split('\n\n').map(block => {
+    const [eventLine, dataLine] = block.split('\n');
+    return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+  });
+}
+
+describe('resilient provider calls', () => {
+  it('retries transient failures and gives up on the rest', async () => {
+    let calls = 0;
+    const flaky = wrap('tts', {
+      synthesize: async () => {
+        if (++calls < 3) throw httpError(503);
+        return { audio: Buffer.from('ok') };
+      }
+    });
+    assert.equal((await flaky.synthesize({ text: 'hi' })).audio.toString(), 'ok');
+    assert.equal(calls, 3);
+
+    let rejected = 0;
+    const invalid = wrap('tts', { synthesize: async () => { rejected++; throw httpError(400); } });
+    await assert.rejects(invalid.synthesize({ text: 'hi' }), { status: 400 });
+    assert.equal(rejected, 1);
+  });
+
+  it('times out a call that never answers', async () => {
+    let signal = null;
+    const hung = wrap('llm', {
+      complete: (params, options) => {
+        signal = options.signal;
+        return new Promise(() => {});
+      }
+    }, { timeoutMs: 20, retries: 1 });
+
+    await assert.rejects(hung.complete({}), error => {
+      assert.ok(error instanceof UpstreamError);
+      assert.equal(error.code, 'upstream_timeout');
+      assert.equal(error.status, 504);
+      return true;
+    });
+    assert.ok(signal.aborted);
+  });
+
+  it('only retries a stream until its first fragment', async () => {
+    let attempts = 0;
+    const llm = wrap('llm', {
+      stream: async function* () {
+        attempts++;
+        if (attempts === 1) throw httpError(502);
+        yield 'Hello';
+        throw httpError(502);
+      }
+    });
+
+    const received = [];
+    await assert.rejects(async () => {
+      for await (const token of llm.stream({})) received.push(token);
+    }, { code: 'upstream_error' });
+    assert.deepEqual(received, ['Hello']);
+    assert.equal(attempts, 2);
+  });
+
+  it('opens the circuit after repeated failures and tries again after the cooldown', async () => {
+    let time = 0;
+    const circuit = breaker({ threshold: 2, now: () => time });
+    let calls = 0;
+    let healthy = false;
+    const tts = wrap('tts', {
+      synthesize: async () => {
+        calls++;
+        if (!healthy) throw httpError(500);
+        return { audio: Buffer.from('ok') };
+      }
+    }, { breaker: circuit, retries: 5 });
+
+    await assert.rejects(tts.synthesize({}), { code: 'upstream_unavailable', extra: { retryAfter: 1 } });
+    assert.equal(calls, 2);
+    assert.equal(circuit.state(), 'open');
+
+    time = 1000;
+    healthy = true;
+    await tts.synthesize({});
+    assert.equal(circuit.state(), 'closed');
+  });
+});
+
+describe('fallbacks', () => {
+  it('sends the reply without audio when speech fails, and voices it on retry', async () => {
+    const app = loadApp();
+    let speechDown = true;
+    stubOpenAI(app, {
+      speech: async () => {
+        if (speechDown) throw httpError(503);
+        return { arrayBuffer: async () => Buffer.from('fake-mp3') };
+      }
+    });
+    const agent = request.agent(app);
+
+    const res = await agent.post('/api/chat').send({ text: 'Hi', character: 'joey' }).expect(200);
+    assert.equal(res.body.response, 'Reply #1');
+    assert.equal(res.body.audioUrl, null);
+    assert.deepEqual(res.body.degraded, ['tts']);
+
+    speechDown = false;
+    await agent.post('/api/tts')
+      .send({ text: res.body.response, character: 'joey', messageId: res.body.messageId })
+      .expect(200);
+    const history = await agent.get('/api/history/joey').expect(200);
+    assert.ok(history.body.messages[1].audioUrl);
+  });
+
+  it('answers with the character\'s fallback line when the model is down', async () => {
+    const app = loadApp();
+    let modelDown = true;
+    const calls = stubOpenAI(app, {
+      chat: async () => {
+        if (modelDown) throw httpError(500);
+        return { choices: [{ message: { content: 'Back again!' } }] };
+      }
+    });
+    const agent = request.agent(app);
+
+    const res = await agent.post('/api/respond').send({ userMessage: 'Hi', character: 'joey' }).expect(200);
+    assert.match(res.body.response, /thinking about sandwiches/);
+    assert.deepEqual(res.body.degraded, ['llm']);
+    assert.equal(res.body.messageId, null);
+    assert.equal(calls.chat.length, 3);
+
+    modelDown = false;
+    const retried = await agent.post('/api/respond')
+      .send({ userMessage: 'Hi', character: 'joey', retry: true })
+      .expect(200);
+    assert.equal(retried.body.response, 'Back again!');
+    assert.deepEqual(retried.body.degraded, []);
+
+    const history = await agent.get('/api/history/joey').expect(200);
+    assert.deepEqual(history.body.messages.map(m => m.content), ['Hi', 'Back again!']);
+  });
+
+  it('replaces a failed stream with the fallback line', async () => {
+    const app = loadApp();
+    stubOpenAI(app, { chat: async () => { throw httpError(503); } });
+
+    const res = await request(app).post('/api/respond/stream')
+      .send({ userMessage: 'Hi', character: 'dwight' })
+      .expect(200);
+
+    const events = parseEvents(res.text);
+    assert.ok(events.some(e => e.event === 'fallback'));
+    const done = events.find(e => e.event === 'done').data;
+    assert.match(done.response, /concentration has been compromised/);
+    assert.deepEqual(done.degraded, ['llm']);
+    assert.equal(done.messageId, null);
+  });
+
+  it('reports a transcription outage with its code', async () => {
+    const app = loadApp({ CIRCUIT_BREAKER_THRESHOLD: '3' });
+    stubOpenAI(app, { transcribe: async () => { throw httpError(502); } });
+
+    const failed = await request(app).post('/api/transcribe').attach('audio', WAV_HEADER, 'a.wav').expect(502);
+    assert.equal(failed.body.code, 'upstream_error');
+
+    const refused = await request(app).post('/api/transcribe').attach('audio', WAV_HEADER, 'a.wav').expect(503);
+    assert.equal(refused.body.code, 'upstream_unavailable');
+    assert.equal(refused.headers['retry-after'], '30');
+    assert.deepEqual(app.providers.circuits(), { 'openai:stt': 'open' });
+  });
+
+  it('reports an outage behind a typed reply with its code', async (t) => {
+    const app = loadApp();
+    stubOpenAI(app);
+    // The class as the freshly loaded app sees it
+    const { UpstreamError: AppUpstreamError } = require('../lib/providers/resilience');
+    t.mock.method(app.knowledge, 'retrieve', async () => {
+      throw new AppUpstreamError('upstream_unavailable', 'openai:embeddings is unavailable', { retryAfter: 5 });
+    });
+
+    const res = await request(app).post('/api/respond')
+      .send({ userMessage: 'Hi', character: 'joey' })
+      .expect(503);
+    assert.equal(res.body.error, 'Response generation failed');
+    assert.equal(res.body.code, 'upstream_unavailable');
+    assert.equal(res.headers['retry-after'], '5');
+  });
+
+  it('names the step of a whole turn that broke', async () => {
+    const app = loadApp();
+    stubOpenAI(app, { transcribe: async () => { throw httpError(502); } });
+
+    const res = await request(app).post('/api/chat')
+      .field('character', 'joey')
+      .attach('audio', WAV_HEADER, 'a.wav')
+      .expect(502);
+    assert.equal(res.body.error, 'Transcription failed');
+    assert.equal(res.body.code, 'upstream_error');
+  });
+});
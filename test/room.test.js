@@ -0,0 +1,140 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const room = require('../lib/room');
+const { loadApp, stubOpenAI } = require('./helpers');
+
+const joey = { id: 'joey', name: 'Joey Tribbiani', shortName: 'Joey', systemPrompt: 'You are Joey.' };
+const dwight = { id: 'dwight', name: 'Dwight Schrute', shortName: 'Dwight', systemPrompt: 'You are Dwight.' };
+const members = [joey, dwight];
+
+describe('room helpers', () => {
+  it('builds the same room ID whatever the order', () => {
+    assert.equal(room.roomIdFor(['joey', 'dwight']), 'room:dwight+joey');
+    assert.deepEqual(room.memberIds(room.roomIdFor(['joey', 'dwight'])), ['dwight', 'joey']);
+    assert.equal(room.isRoomId('joey'), false);
+  });
+
+  it('shows other speakers as labeled user turns', () => {
+    const history = [
+      { id: '1', role: 'user', content: 'Hi all' },
+      { id: '2', role: 'assistant', speaker: 'joey', content: 'How you doin?' },
+      { id: '3', role: 'assistant', speaker: 'dwight', content: 'Identity theft is not a joke.' }
+    ];
+
+    assert.deepEqual(room.viewFor(joey, members, history), [
+      { id: '1', role: 'user', content: 'User: Hi all' },
+      { id: '2', role: 'assistant', content: 'How you doin?' },
+      { id: '3', role: 'user', content: 'Dwight Schrute: Identity theft is not a joke.' }
+    ]);
+  });
+
+  it('strips a speaker label the model echoed back', () => {
+    assert.equal(room.stripSpeakerLabel('Dwight: Bears.', dwight), 'Bears.');
+    assert.equal(room.stripSpeakerLabel('Bears: not a joke.', dwight), 'Bears: not a joke.');
+  });
+
+  describe('pickSpeakers', () => {
+    it('lets characters mentioned by name answer first', async () => {
+      const speakers = await room.pickSpeakers({
+        strategy: 'round-robin', userMessage: 'Dwight, what do you think?', members, history: []
+      });
+      assert.deepEqual(speakers.map(char => char.id), ['dwight']);
+    });
+
+    it('takes turns after the last speaker', async () => {
+      const history = [{ id: '1', role: 'assistant', speaker: 'joey', content: 'Hey' }];
+      const speakers = await room.pickSpeakers({ strategy: 'round-robin', userMessage: 'ok', members, history });
+      assert.deepEqual(speakers.map(char => char.id), ['dwight']);
+    });
+
+    it('uses the router answer and falls back to turn order when it fails', async () => {
+      const routed = await room.pickSpeakers({
+        strategy: 'router', userMessage: 'beets?', members, history: [],
+        llm: { complete: async () => ({ text: '["dwight", "joey"]' }) }
+      });
+      assert.deepEqual(routed.map(char => char.id), ['dwight', 'joey']);
+
+      const fallback = await room.pickSpeakers({
+        strategy: 'router', userMessage: 'beets?', members, history: [],
+        llm: { complete: async () => { throw new Error('down'); } }
+      });
+      assert.deepEqual(fallback.map(char => char.id), ['joey']);
+    });
+  });
+});
+
+describe('POST /api/room/respond', () => {
+  let app;
+  let calls;
+  let agent;
+
+  beforeEach(() => {
+    app = loadApp();
+    calls = stubOpenAI(app);
+    agent = request.agent(app);
+  });
+
+  it('rejects rooms with too few or unknown characters', async () => {
+    await agent.post('/api/room/respond')
+      .send({ userMessage: 'Hi', characters: ['joey'] })
+      .expect(400);
+
+    const res = await agent.post('/api/room/respond')
+      .send({ userMessage: 'Hi', characters: ['joey', 'nobody'] })
+      .expect(400);
+    assert.equal(res.body.error, 'Invalid character');
+  });
+
+  it('stores every reply with its speaker and voice', async () => {
+    const res = await agent.post('/api/room/respond')
+      .send({ userMessage: 'Hi everyone', characters: ['joey', 'dwight'], strategy: 'all' })
+      .expect(200);
+
+    assert.equal(res.body.roomId, 'room:dwight+joey');
+    assert.deepEqual(res.body.replies.map(reply => reply.character), ['joey', 'dwight']);
+    assert.deepEqual(calls.speech.map(params => params.voice), ['onyx', 'echo']);
+
+    // The second speaker sees the first one's reply
+    const dwightMessages = calls.chat[1].messages;
+    assert.equal(dwightMessages[dwightMessages.length - 1].content, 'Joey Tribbiani: Reply #1');
+
+    const history = await agent.get('/api/history/room%3Adwight%2Bjoey').expect(200);
+    assert.deepEqual(history.body.messages.map(m => m.speaker), [null, 'joey', 'dwight']);
+
+    const audio = await agent.get(history.body.messages[1].audioUrl).expect(200);
+    assert.equal(audio.headers['content-type'], 'audio/mpeg');
+  });
+
+  it('keeps audio voiced later with the room\'s message', async () => {
+    const res = await agent.post('/api/room/respond')
+      .send({ userMessage: 'Hi', characters: ['joey', 'dwight'], strategy: 'all', voice: false })
+      .expect(200);
+    const [, dwightReply] = res.body.replies;
+    const roomId = res.body.roomId;
+
+    await agent.post('/api/tts')
+      .send({ text: dwightReply.response, character: 'joey', messageId: dwightReply.messageId, conversationId: 'room:batman+joey' })
+      .expect(400);
+    await agent.post('/api/tts')
+      .send({ text: dwightReply.response, character: 'joey', messageId: dwightReply.messageId, conversationId: 'dwight' })
+      .expect(400);
+    await agent.post('/api/tts')
+      .send({ text: dwightReply.response, character: 'dwight', messageId: dwightReply.messageId, conversationId: roomId })
+      .expect(200);
+
+    const history = await agent.get(`/api/history/${encodeURIComponent(roomId)}`).expect(200);
+    assert.equal(history.body.messages[1].audioUrl, null);
+    assert.ok(history.body.messages[2].audioUrl);
+    assert.deepEqual(history.body.messages[2].words.map(w => w.word), dwightReply.response.split(' '));
+  });
+
+  it('replies in text only when voice is off, also as a form string', async () => {
+    const res = await agent.post('/api/room/respond')
+      .send({ userMessage: 'Hi', characters: ['joey', 'dwight'], strategy: 'all', voice: 'false' })
+      .expect(200);
+
+    assert.equal(res.body.replies.length, 2);
+    assert.equal(calls.speech.length, 0);
+  });
+});
@@ -0,0 +1,81 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const VoiceChatClient = require('../public/voice-chat-client');
+const { encodeWav } = require('../lib/wav');
+const { loadApp, stubOpenAI } = require('./helpers');
+
+function toneWav(seconds, sampleRate = 16000) {
+  const samples = new Int16Array(seconds * sampleRate);
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = Math.round(Math.sin(2 * Math.PI * 440 * i / sampleRate) * 8000);
+  }
+  return encodeWav(samples, sampleRate);
+}
+
+// The SDK talks to a real server over HTTP, as it would from a page
+describe('VoiceChatClient', () => {
+  let server;
+  let serverUrl;
+  let calls;
+
+  before(async () => {
+    const app = loadApp();
+    calls = stubOpenAI(app, {
+      transcribe: async () => ({ text: 'How you doin?', language: 'en', duration: 1 })
+    });
+    server = http.createServer(app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    serverUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  it('sends a message and voices the reply, keeping the session', async () => {
+    const client = new VoiceChatClient({ serverUrl, character: 'joey' });
+    const events = [];
+    ['status', 'session', 'reply'].forEach(event => client.on(event, data => events.push([event, data])));
+
+    const reply = await client.send('Hi Joey');
+    assert.equal(reply.response, 'Reply #1');
+    assert.ok(reply.audioUrl.startsWith(`${serverUrl}/api/audio/`));
+    assert.deepEqual(reply.words.map(w => w.word), ['Reply', '#1']);
+    assert.deepEqual(events.map(([event]) => event), ['status', 'session', 'reply', 'status']);
+    assert.deepEqual(events.filter(([event]) => event === 'status').map(([, data]) => data.state), ['thinking', 'idle']);
+
+    await client.send('Again');
+    const history = await client.history();
+    assert.deepEqual(history.map(m => m.content), ['Hi Joey', 'Reply #1', 'Again', 'Reply #2']);
+    assert.equal(history[1].audioUrl, reply.audioUrl);
+
+    // A new client with the same storage carries on the same conversation
+    const again = new VoiceChatClient({ serverUrl, character: 'joey', storage: client.storage });
+    assert.equal((await again.history()).length, 4);
+  });
+
+  it('transcribes a recording and answers it', async () => {
+    const client = new VoiceChatClient({ serverUrl, character: 'dwight', voice: false });
+    const transcripts = [];
+    client.on('transcript', heard => transcripts.push(heard.text));
+
+    const reply = await client.sendRecording(new Blob([toneWav(1)], { type: 'audio/wav' }), { filename: 'clip.wav' });
+    assert.deepEqual(transcripts, ['How you doin?']);
+    assert.equal(reply.audioUrl, null);
+    assert.equal(calls.chat.at(-1).messages.at(-1).content, 'How you doin?');
+  });
+
+  it('reports server errors with their status and code', async () => {
+    const client = new VoiceChatClient({ serverUrl, character: 'nobody' });
+    const errors = [];
+    client.on('error', error => errors.push(error));
+
+    await assert.rejects(client.send('Hi'), error => {
+      assert.equal(error.name, 'VoiceChatError');
+      assert.equal(error.status, 400);
+      assert.equal(error.message, 'Invalid character');
+      return true;
+    });
+    assert.equal(errors.length, 1);
+    assert.equal(client.state, 'idle');
+  });
+});
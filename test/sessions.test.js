@@ -0,0 +1,143 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { createSessionManager } = require('../lib/sessions');
+const { createMemoryStore } = require('../lib/store/memory');
+const { createFileStore } = require('../lib/store/file');
+const { loadApp } = require('./helpers');
+
+const MINUTE = 60 * 1000;
+
+// A store that counts session writes
+function countingStore(store) {
+  const counted = { ...store, saves: 0 };
+  counted.saveSession = session => {
+    counted.saves++;
+    return store.saveSession(session);
+  };
+  return counted;
+}
+
+describe('sessions', () => {
+  it('writes activity back at most once per touch interval', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 0 });
+    const store = countingStore(createMemoryStore());
+    const sessions = createSessionManager({ store, ttlMs: 60 * MINUTE, touchIntervalMs: 5 * MINUTE });
+
+    const { id } = await sessions.resolve(null);
+    t.mock.timers.tick(MINUTE);
+    await sessions.resolve(id);
+    await sessions.resolve(id);
+    assert.equal(store.saves, 1);
+
+    t.mock.timers.tick(5 * MINUTE);
+    assert.equal((await sessions.resolve(id)).lastSeen, 6 * MINUTE);
+    assert.equal(store.saves, 2);
+
+    // Idle past the TTL: a new session, and the old one is gone
+    t.mock.timers.tick(61 * MINUTE);
+    assert.notEqual((await sessions.resolve(id)).id, id);
+    assert.equal(await store.getSession(id), null);
+  });
+
+  it('ends idle sessions after the TTL but keeps what they stored until retention runs out', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 0 });
+    const store = createMemoryStore();
+    const sessions = createSessionManager({ store, ttlMs: 15 * MINUTE, retentionMs: 60 * MINUTE });
+
+    const { id } = await sessions.resolve(null);
+    await store.appendMessage(id, 'joey', { id: 'm1', role: 'user', content: 'Hi' });
+    // Activity is written back often enough for a short TTL
+    t.mock.timers.tick(10 * MINUTE);
+    assert.equal((await sessions.resolve(id)).id, id);
+    t.mock.timers.tick(10 * MINUTE);
+    assert.equal((await sessions.resolve(id)).id, id);
+
+    t.mock.timers.tick(16 * MINUTE);
+    assert.notEqual((await sessions.resolve(id)).id, id);
+    await sessions.sweep();
+    assert.equal((await store.getMessages(id, 'joey')).length, 1);
+
+    t.mock.timers.tick(45 * MINUTE);
+    await sessions.sweep();
+    assert.deepEqual(await store.getMessages(id, 'joey'), []);
+  });
+
+  it('sweeps the file store from its index', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-'));
+    try {
+      t.mock.timers.enable({ apis: ['Date'], now: 0 });
+      const store = createFileStore({ dir });
+      const sessions = createSessionManager({ store, ttlMs: 60 * MINUTE });
+      const stale = await sessions.resolve(null);
+      await store.appendMessage(stale.id, 'joey', { id: 'm1', role: 'user', content: 'Hi' });
+      t.mock.timers.tick(30 * MINUTE);
+      const fresh = await sessions.resolve(null);
+
+      // Conversations are not opened to find out which sessions expired
+      t.mock.timers.tick(31 * MINUTE);
+      const read = t.mock.method(fs.promises, 'readFile');
+      await sessions.sweep();
+      const index = path.join(dir, 'index', 'sessions.jsonl');
+      assert.ok(read.mock.calls.length > 0);
+      assert.ok(read.mock.calls.every(call => call.arguments[0] === index));
+      read.mock.restore();
+
+      assert.deepEqual((await store.listSessions()).map(session => session.id), [fresh.id]);
+      assert.deepEqual(await store.getMessages(stale.id, 'joey'), []);
+
+      // New sessions append to the index rather than rewrite it
+      const rewrites = t.mock.method(fs.promises, 'writeFile');
+      await sessions.resolve(null);
+      assert.ok(rewrites.mock.calls.every(call => !call.arguments[0].startsWith(index)));
+      rewrites.mock.restore();
+      assert.equal((await store.listSessions()).length, 2);
+
+      // A store from before the index gets one from its session files
+      fs.rmSync(index);
+      assert.equal((await createFileStore({ dir }).listSessions()).length, 2);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('keeps the file store\'s index in step with a save racing a delete', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-'));
+    try {
+      const store = createFileStore({ dir });
+      const session = { id: 'a', createdAt: 0, lastSeen: 0 };
+      await store.saveSession(session);
+
+      await Promise.all([store.deleteSession('a'), store.saveSession({ ...session, lastSeen: 1 })]);
+      const listed = (await store.listSessions()).map(found => found.id);
+      assert.deepEqual(listed, (await store.getSession('a')) ? ['a'] : []);
+
+      await Promise.all([store.saveSession({ ...session, lastSeen: 2 }), store.deleteSession('a')]);
+      assert.equal(await store.getSession('a'), null);
+      assert.deepEqual(await store.listSessions(), []);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('starts a new session once the TTL has passed, even with the ID in a header', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    const app = loadApp({ SESSION_TTL_MINUTES: '15', CONVERSATION_RETENTION_DAYS: '7' });
+
+    const first = await request(app).get('/api/session').expect(200);
+    const { sessionId } = first.body;
+    assert.match(first.headers['set-cookie'].find(cookie => cookie.startsWith('vc_session=')), /Max-Age=900;/);
+    assert.equal(Date.parse(first.body.expiresAt) - Date.now(), 15 * MINUTE);
+
+    t.mock.timers.tick(14 * MINUTE);
+    const again = await request(app).get('/api/session').set('X-Session-Id', sessionId).expect(200);
+    assert.equal(again.body.sessionId, sessionId);
+
+    t.mock.timers.tick(16 * MINUTE);
+    const later = await request(app).get('/api/session').set('X-Session-Id', sessionId).expect(200);
+    assert.notEqual(later.body.sessionId, sessionId);
+  });
+});
@@ -0,0 +1,224 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { createUsageTracker, UsageLimitError, estimateCost, trustProxy } = require('../lib/usage');
+const { meterCapability } = require('../lib/providers/metering');
+const { encodeWav } = require('../lib/wav');
+const { loadApp, stubOpenAI } = require('./helpers');
+
+describe('usage tracker', () => {
+  it('prices OpenAI calls and leaves other providers free', () => {
+    const llm = { kind: 'llm', model: 'gpt-4o-mini-2024-07-18', promptTokens: 1000000, completionTokens: 1000000 };
+    assert.equal(estimateCost({ ...llm, provider: 'openai' }), 0.75);
+    assert.equal(estimateCost({ ...llm, provider: 'mock' }), 0);
+    assert.equal(estimateCost({ kind: 'stt', provider: 'openai', model: 'whisper-1', seconds: 60 }), 0.006);
+  });
+
+  it('refuses requests once a daily quota is used up, until the next UTC day', () => {
+    let time = Date.parse('2026-03-01T23:00:00Z');
+    const usage = createUsageTracker({ quotas: { stt: 0, llm: 100, tts: 0 }, now: () => time });
+    const owner = 'session:a';
+
+    usage.run({ owner }, () => usage.record({ kind: 'llm', provider: 'mock', model: 'm', promptTokens: 80, completionTokens: 20 }));
+    assert.throws(() => usage.admit({ owner, kinds: ['llm'] }), error => {
+      assert.ok(error instanceof UsageLimitError);
+      assert.equal(error.code, 'quota_exceeded');
+      assert.equal(error.retryAfter, 3600);
+      return true;
+    });
+    usage.admit({ owner, kinds: ['tts'] });
+    usage.admit({ owner: 'session:b', kinds: ['llm'] });
+
+    time += 60 * 60 * 1000;
+    usage.admit({ owner, kinds: ['llm'] });
+    assert.equal(usage.report(owner).usage.llm.used, 0);
+  });
+
+  it('counts sessions from one IP against a shared quota, but not API keys', () => {
+    const usage = createUsageTracker({ quotas: { stt: 0, llm: 100, tts: 0 }, ipMultiplier: 2 });
+    const spend = (owner, ip) => usage.run({ owner, ip }, () =>
+      usage.record({ kind: 'llm', provider: 'mock', model: 'm', promptTokens: 100, completionTokens: 0 }));
+
+    spend('session:a', '1.1.1.1');
+    assert.throws(() => usage.admit({ owner: 'session:a', ip: '1.1.1.1', kinds: ['llm'] }), /Daily quota exceeded/);
+    // A fresh session from the same address gets the IP's remaining share only
+    usage.admit({ owner: 'session:b', ip: '1.1.1.1', kinds: ['llm'] });
+    spend('session:b', '1.1.1.1');
+    assert.throws(() => usage.admit({ owner: 'session:c', ip: '1.1.1.1', kinds: ['llm'] }), error => {
+      assert.match(error.details, /200 tokens today from this IP address/);
+      return true;
+    });
+    usage.admit({ owner: 'session:c', ip: '2.2.2.2', kinds: ['llm'] });
+    usage.admit({ owner: 'key:abc', ip: '1.1.1.1', kinds: ['llm'] });
+  });
+
+  it('keeps a bounded ledger, dropping the least recently active owners', () => {
+    const usage = createUsageTracker({ quotas: { stt: 0, llm: 100, tts: 0 }, maxAccounts: 2 });
+    const spend = owner => usage.run({ owner }, () =>
+      usage.record({ kind: 'llm', provider: 'mock', model: 'm', promptTokens: 10, completionTokens: 0 }));
+
+    spend('session:a');
+    spend('session:b');
+    spend('session:a');
+    spend('session:c');
+    assert.equal(usage.report('session:a').usage.llm.used, 20);
+    assert.equal(usage.report('session:b').usage.llm.used, 0);
+    assert.equal(usage.report('session:c').usage.llm.used, 10);
+    // Checking a quota or reading a report leaves no account behind
+    usage.admit({ owner: 'session:d', kinds: ['llm'] });
+    assert.equal(usage.report('session:c').usage.llm.used, 10);
+  });
+
+  it('limits requests per minute per owner and per IP', () => {
+    let time = 0;
+    const usage = createUsageTracker({ perMinute: 2, perIpPerMinute: 3, now: () => time });
+
+    usage.admit({ owner: 'session:a', ip: '1.1.1.1' });
+    usage.admit({ owner: 'session:a', ip: '1.1.1.1' });
+    assert.throws(() => usage.admit({ owner: 'session:a', ip: '1.1.1.1' }), /Rate limit exceeded/);
+    usage.admit({ owner: 'session:b', ip: '1.1.1.1' });
+    assert.throws(() => usage.admit({ owner: 'session:c', ip: '1.1.1.1' }), error => {
+      assert.match(error.details, /per IP address/);
+      return true;
+    });
+
+    time += 60 * 1000;
+    usage.admit({ owner: 'session:a', ip: '1.1.1.1' });
+  });
+});
+
+describe('trusted proxies', () => {
+  it('reads TRUST_PROXY as Express\'s setting', () => {
+    assert.equal(trustProxy({}), false);
+    assert.equal(trustProxy({ VERCEL: '1' }), 1);
+    assert.equal(trustProxy({ TRUST_PROXY: 'true' }), true);
+    assert.equal(trustProxy({ TRUST_PROXY: 'false', VERCEL: '1' }), false);
+    assert.equal(trustProxy({ TRUST_PROXY: '2' }), 2);
+    assert.equal(trustProxy({ TRUST_PROXY: 'loopback, 10.0.0.0/8' }), 'loopback, 10.0.0.0/8');
+  });
+
+  it('limits each client behind a trusted proxy on its own', async () => {
+    const chat = (app, ip) => request(app).post('/api/chat')
+      .set('X-Forwarded-For', ip)
+      .send({ character: 'joey', text: 'Hi', voice: false });
+
+    const proxied = loadApp({ TRUST_PROXY: 'loopback', RATE_LIMIT_PER_IP_PER_MINUTE: '1' });
+    stubOpenAI(proxied);
+    await chat(proxied, '203.0.113.1').expect(200);
+    await chat(proxied, '203.0.113.2').expect(200);
+    await chat(proxied, '203.0.113.1').expect(429);
+
+    // Untrusted, the header is ignored: both are the connection's address
+    const direct = loadApp({ RATE_LIMIT_PER_IP_PER_MINUTE: '1' });
+    stubOpenAI(direct);
+    await chat(direct, '203.0.113.1').expect(200);
+    await chat(direct, '203.0.113.2').expect(429);
+  });
+});
+
+describe('provider metering', () => {
+  it('measures WAV uploads and estimates streams that report no usage', async () => {
+    const events = [];
+    const onUsage = event => events.push(event);
+    const stt = meterCapability('stt', { name: 'mock', transcribe: async () => ({ text: 'hi' }) }, { model: 'mock', onUsage });
+    const llm = meterCapability('llm', {
+      name: 'mock',
+      async *stream() {
+        yield 'Hello ';
+        yield 'there!';
+      }
+    }, { onUsage });
+
+    await stt.transcribe({ buffer: encodeWav(new Int16Array(32000), 16000) });
+    let text = '';
+    for await (const token of llm.stream({ model: 'm', messages: [{ role: 'user', content: 'Say hello' }] })) {
+      text += token;
+    }
+
+    assert.equal(text, 'Hello there!');
+    assert.deepEqual(events, [
+      { kind: 'stt', provider: 'mock', model: 'mock', seconds: 2 },
+      { kind: 'llm', provider: 'mock', model: 'm', promptTokens: 3, completionTokens: 3, estimated: true }
+    ]);
+  });
+});
+
+describe('usage routes', () => {
+  it('reports what a session used today with an estimated cost', async () => {
+    const app = loadApp();
+    stubOpenAI(app);
+    const agent = request.agent(app);
+
+    await agent.post('/api/chat').send({ character: 'joey', text: 'How you doin?' }).expect(200);
+    const res = await agent.get('/api/usage').expect(200);
+
+    assert.equal(res.body.owner, 'session');
+    assert.equal(res.body.usage.llm.used, 15);
+    assert.equal(res.body.usage.llm.promptTokens, 10);
+    assert.equal(res.body.usage.tts.used, 'Reply #1'.length);
+    assert.equal(res.body.estimatedCost.total, 0.0001245);
+    assert.deepEqual(res.body.recent.map(entry => [entry.route, entry.kind]), [
+      ['POST /api/chat', 'tts'],
+      ['POST /api/chat', 'llm']
+    ]);
+
+    const other = await request(app).get('/api/usage').expect(200);
+    assert.equal(other.body.usage.llm.used, 0);
+  });
+
+  it('answers 429 with Retry-After once the rate limit is hit', async () => {
+    const app = loadApp({ RATE_LIMIT_PER_MINUTE: '2' });
+    stubOpenAI(app);
+    const agent = request.agent(app);
+
+    await agent.post('/api/chat').send({ character: 'joey', text: 'One', voice: false }).expect(200);
+    await agent.post('/api/chat').send({ character: 'joey', text: 'Two', voice: false }).expect(200);
+    const res = await agent.post('/api/chat').send({ character: 'joey', text: 'Three', voice: false }).expect(429);
+
+    assert.equal(res.body.error, 'Rate limit exceeded');
+    assert.equal(res.body.code, 'rate_limited');
+    assert.ok(Number(res.headers['retry-after']) > 0);
+    // Reading history is not rate limited
+    await agent.get('/api/history/joey').expect(200);
+  });
+
+  it('keeps text replies going when only the speech quota is used up', async () => {
+    const app = loadApp({ QUOTA_TTS_CHARACTERS: '5' });
+    const calls = stubOpenAI(app);
+    const agent = request.agent(app);
+
+    await agent.post('/api/chat').send({ character: 'joey', text: 'Hi' }).expect(200);
+    const res = await agent.post('/api/chat').send({ character: 'joey', text: 'Again' }).expect(429);
+    assert.match(res.body.details, /Speech quota used up/);
+
+    await agent.post('/api/chat').send({ character: 'joey', text: 'Again', voice: false }).expect(200);
+    assert.equal(calls.chat.length, 2);
+  });
+
+  it('does not hand out a new quota with a new session', async () => {
+    const app = loadApp({ QUOTA_TTS_CHARACTERS: '5', QUOTA_IP_MULTIPLIER: '1' });
+    stubOpenAI(app);
+
+    await request(app).post('/api/chat').send({ character: 'joey', text: 'Hi' }).expect(200);
+    const res = await request(app).post('/api/chat').send({ character: 'joey', text: 'Hi' }).expect(429);
+    assert.match(res.body.details, /from this IP address/);
+  });
+
+  it('meters API key holders per key and rejects unknown keys', async () => {
+    const app = loadApp({ API_KEYS: 'alpha, beta' });
+    stubOpenAI(app);
+
+    await request(app).post('/api/respond').set('X-API-Key', 'alpha')
+      .send({ character: 'joey', userMessage: 'Hey' }).expect(200);
+
+    const alpha = await request(app).get('/api/usage').set('X-API-Key', 'alpha').expect(200);
+    assert.equal(alpha.body.owner, 'api-key');
+    assert.equal(alpha.body.usage.llm.used, 15);
+
+    const beta = await request(app).get('/api/usage').set('X-API-Key', 'beta').expect(200);
+    assert.equal(beta.body.usage.llm.used, 0);
+
+    const res = await request(app).get('/api/usage').set('X-API-Key', 'nope').expect(401);
+    assert.equal(res.body.error, 'Invalid API key');
+  });
+});
@@ -0,0 +1,143 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { createMemoryStore } = require('../lib/store/memory');
+const { createFileStore } = require('../lib/store/file');
+const { createUserMemory, parseFacts, rankMemories, withMemories } = require('../lib/user-memory');
+const { loadApp, stubOpenAI } = require('./helpers');
+
+const joey = { id: 'joey', name: 'Joey Tribbiani', model: 'gpt-4o-mini' };
+
+function turns(...texts) {
+  return texts.flatMap((text, i) => [
+    { id: `u${i}`, role: 'user', content: text },
+    { id: `a${i}`, role: 'assistant', content: 'Okay!' }
+  ]);
+}
+
+// Answers memory extraction prompts with `facts`, everything else with a reply
+function extractingChat(facts) {
+  return async params => {
+    const extraction = params.messages[0].content.includes('long-term memory');
+    return { choices: [{ message: { content: extraction ? JSON.stringify(facts) : 'How you doin?' } }] };
+  };
+}
+
+describe('memory helpers', () => {
+  it('parses the facts in a model answer and ignores anything else', () => {
+    assert.deepEqual(parseFacts('Sure:\n```json\n["The user is  Sam.", "", 3]\n```'), ['The user is Sam.']);
+    assert.deepEqual(parseFacts('Nothing new.'), []);
+    assert.deepEqual(parseFacts('[not json]'), []);
+  });
+
+  it('recalls the memories sharing the most words with the message', () => {
+    const memories = ['The user loves pizza.', 'The user has a dog named Rex.', 'The user works as a nurse.']
+      .map((text, i) => ({ id: String(i), text }));
+    assert.deepEqual(rankMemories(memories, 'Should I take my dog for a walk?', 1).map(m => m.id), ['1']);
+    assert.equal(rankMemories(memories, 'hi', 5).length, 3);
+    assert.match(withMemories('You are Joey.', memories.slice(0, 1)), /You are Joey\.\n\n.*\n- The user loves pizza\.$/);
+    assert.equal(withMemories('You are Joey.', []), 'You are Joey.');
+  });
+
+  it('extracts every few user messages and skips facts it already has', async () => {
+    const prompts = [];
+    const llm = {
+      complete: async params => {
+        prompts.push(params.messages[1].content);
+        return { text: '["The user\'s name is Sam.", "The user likes sandwiches."]' };
+      }
+    };
+    const memory = createUserMemory({ store: createMemoryStore(), extractEvery: 2 });
+    await memory.add('user-1', 'joey', "The user's name is Sam");
+
+    memory.afterTurn({ userId: 'user-1', char: joey, llm, history: turns('Hi') });
+    memory.afterTurn({ userId: 'user-1', char: joey, llm, history: turns('Hi', "I'm Sam") });
+    await memory.idle();
+
+    assert.equal(prompts.length, 1);
+    assert.match(prompts[0], /User: Hi\n/);
+    assert.deepEqual((await memory.list('user-1', 'joey')).map(m => [m.text, m.source]), [
+      ["The user's name is Sam", 'user'],
+      ['The user likes sandwiches.', 'conversation']
+    ]);
+
+    // Clearing picks up only what came after the last extraction
+    memory.beforeClear({ userId: 'user-1', char: joey, llm, history: turns('Hi', "I'm Sam", 'Bye') });
+    await memory.idle();
+    assert.doesNotMatch(prompts[1], /Hi/);
+    assert.match(prompts[1], /User: Bye/);
+  });
+
+  it('drops the oldest extracted memory first when full', async () => {
+    const memory = createUserMemory({ store: createMemoryStore(), maxItems: 2 });
+    await memory.add('user-1', 'joey', 'Pulled out', 'conversation');
+    await memory.add('user-1', 'joey', 'Told directly');
+    await memory.add('user-1', 'joey', 'Told later');
+    assert.deepEqual((await memory.list('user-1', 'joey')).map(m => m.text), ['Told directly', 'Told later']);
+  });
+
+  it('keeps memories apart from sessions in the file store', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'memories-'));
+    try {
+      const store = createFileStore({ dir });
+      const memory = createUserMemory({ store });
+      await memory.add('user-1', 'joey', 'Likes pizza');
+      await memory.add('user-1', 'dwight', 'Works in sales');
+      await store.deleteSession('user-1');
+
+      assert.deepEqual(Object.keys(await memory.listAll('user-1')), ['joey', 'dwight']);
+      assert.equal(await memory.forgetAll('user-1', 'joey'), 1);
+      assert.deepEqual(await store.listSessions(), []);
+      assert.deepEqual(Object.keys(await memory.listAll('user-1')), ['dwight']);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('memory routes', () => {
+  it('lets the user add, edit and forget memories', async () => {
+    const app = loadApp();
+    const agent = request.agent(app);
+
+    const added = await agent.post('/api/memories/joey').send({ text: 'My name is Sam' }).expect(201);
+    const { id } = added.body.memory;
+    await agent.post('/api/memories/joey').send({ text: ' ' }).expect(400);
+    await agent.post('/api/memories/nobody').send({ text: 'Hi' }).expect(400);
+
+    await agent.patch(`/api/memories/joey/${id}`).send({ text: 'My name is Samantha' }).expect(200);
+    const listed = await agent.get('/api/memories/joey').expect(200);
+    assert.deepEqual(listed.body.memories.map(m => m.text), ['My name is Samantha']);
+    assert.deepEqual(Object.keys((await agent.get('/api/memories').expect(200)).body.memories), ['joey']);
+
+    await agent.delete(`/api/memories/joey/${id}`).expect(200);
+    await agent.delete(`/api/memories/joey/${id}`).expect(404);
+    assert.deepEqual((await agent.get('/api/memories/joey').expect(200)).body.memories, []);
+  });
+
+  it('remembers the user across cleared chats and new sessions', async () => {
+    const app = loadApp({ MEMORY_EXTRACT_EVERY: '4' });
+    const calls = stubOpenAI(app, { chat: extractingChat(['The user\'s name is Sam.']) });
+    const agent = request.agent(app);
+
+    const first = await agent.post('/api/respond').send({ userMessage: "I'm Sam", character: 'joey' }).expect(200);
+    const userId = first.headers['x-user-id'];
+    await agent.post('/api/clear-history').send({ character: 'joey' }).expect(200);
+    await app.userMemory.idle();
+    assert.match(calls.chat.at(-1).messages[1].content, /User: I'm Sam/);
+
+    // A new session (no cookies) with the same user ID
+    await request(app).post('/api/respond')
+      .set('X-User-Id', userId)
+      .send({ userMessage: 'Do you remember me?', character: 'joey' })
+      .expect(200);
+    assert.match(calls.chat.at(-1).messages[0].content, /- The user's name is Sam\.$/);
+
+    const stranger = await request(app).get('/api/memories/joey').expect(200);
+    assert.notEqual(stranger.headers['x-user-id'], userId);
+    assert.deepEqual(stranger.body.memories, []);
+  });
+});
@@ -0,0 +1,134 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { estimateWordTimings, alignWordTimings, sanitizeWordTimings } = require('../lib/word-timings');
+const { createMockProvider } = require('../lib/providers/mock');
+const { encodeWav } = require('../lib/wav');
+const { loadApp, stubOpenAI } = require('./helpers');
+
+function parseEvents(text) {
+  return text.trim().split('\n\n').map(block => {
+    const [eventLine, dataLine] = block.split('\n');
+    return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+  });
+}
+
+function toneWav(seconds, sampleRate = 16000) {
+  const samples = new Int16Array(seconds * sampleRate);
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = Math.round(Math.sin(2 * Math.PI * 440 * i / sampleRate) * 8000);
+  }
+  return encodeWav(samples, sampleRate);
+}
+
+// Silent MP3 about as long as saying `input`, like a real voice would be
+async function mockSpeech({ input, speed }) {
+  const { audio } = await createMockProvider().tts.synthesize({ text: input, speed });
+  return { arrayBuffer: async () => audio };
+}
+
+describe('word timings', () => {
+  it('shares a clip out between its words, leaving pauses after punctuation', () => {
+    assert.deepEqual(estimateWordTimings('Hi there.', 1), [
+      { word: 'Hi', start: 0, end: 0.143 },
+      { word: 'there.', start: 0.214, end: 0.643 }
+    ]);
+    assert.deepEqual(estimateWordTimings('  ', 1), []);
+
+    // Unknown length: estimated from the text, faster when spoken faster
+    const normal = estimateWordTimings('One two three', null);
+    const fast = estimateWordTimings('One two three', null, { speed: 2 });
+    assert.ok(normal[2].end > 0 && fast[2].end < normal[2].end);
+  });
+
+  it('times each sentence within its own clip', () => {
+    const words = alignWordTimings('Hi there. How are you?', [
+      { text: 'Hi there.', duration: 1 },
+      { text: 'How are you?', duration: 2 }
+    ]);
+    assert.deepEqual(words.map(w => w.word), ['Hi', 'there.', 'How', 'are', 'you?']);
+    assert.equal(words[2].start, 1);
+    assert.ok(words[4].end < 3);
+
+    // Segments that don't match the text: the whole reply over the whole length
+    const stripped = alignWordTimings('There.', [{ text: 'Joey: There.', duration: 1 }]);
+    assert.deepEqual(stripped, estimateWordTimings('There.', 1));
+  });
+
+  it('only accepts well-formed timings', () => {
+    assert.deepEqual(sanitizeWordTimings([{ word: ' hi ', start: 0.1234, end: 0.5 }, { word: ' ', start: 1, end: 1 }]),
+      [{ word: 'hi', start: 0.123, end: 0.5 }]);
+    assert.equal(sanitizeWordTimings([{ word: 'hi', start: 1, end: 0.5 }]), null);
+    assert.equal(sanitizeWordTimings([{ word: 'hi', start: '0', end: 1 }]), null);
+    assert.equal(sanitizeWordTimings('hi'), null);
+    assert.equal(sanitizeWordTimings([]), null);
+  });
+});
+
+describe('captions', () => {
+  it('keeps the transcript\'s timings and times the spoken reply', async () => {
+    const app = loadApp();
+    const heard = [{ word: 'Hello', start: 0.2, end: 0.6 }, { word: 'Joey', start: 0.7, end: 1.1 }];
+    stubOpenAI(app, {
+      transcribe: async () => ({ text: 'Hello Joey', language: 'en', duration: 1.2, words: heard }),
+      speech: mockSpeech
+    });
+    const agent = request.agent(app);
+
+    const res = await agent.post('/api/chat')
+      .field('character', 'joey')
+      .attach('audio', toneWav(1), 'recording.wav')
+      .expect(200);
+    assert.deepEqual(res.body.transcriptionWords, heard);
+    assert.deepEqual(res.body.words.map(w => w.word), ['Reply', '#1']);
+    assert.ok(res.body.words[1].end > res.body.words[0].end);
+
+    const history = await agent.get('/api/history/joey').expect(200);
+    assert.deepEqual(history.body.messages.map(m => m.words), [heard, res.body.words]);
+
+    // Voicing the reply again times it the same way
+    const again = await agent.post('/api/tts').send({ text: 'Reply #1', character: 'joey' }).expect(200);
+    assert.deepEqual(again.body.words, res.body.words);
+  });
+
+  it('times streamed replies sentence by sentence', async () => {
+    const app = loadApp();
+    stubOpenAI(app, {
+      chat: async () => (async function* () {
+        for (const piece of ['Hi there. ', 'How are', ' you?']) yield { choices: [{ delta: { content: piece } }] };
+      })(),
+      speech: mockSpeech
+    });
+    const agent = request.agent(app);
+    const typed = [{ word: 'Hey', start: 0, end: 0.3 }];
+
+    const res = await agent.post('/api/respond/stream')
+      .send({ userMessage: 'Hey', character: 'joey', words: typed })
+      .expect(200);
+    const events = parseEvents(res.text);
+    const done = events.find(e => e.event === 'done').data;
+    assert.deepEqual(done.words.map(w => w.word), ['Hi', 'there.', 'How', 'are', 'you?']);
+
+    // Each sentence's clip is sent as a link into the audio cache
+    const clips = events.filter(e => e.event === 'audio').map(e => e.data);
+    assert.deepEqual(clips.map(clip => clip.index), [0, 1]);
+    for (const { audioUrl } of clips) {
+      const clip = await agent.get(audioUrl).buffer(true).expect(200);
+      assert.equal(clip.headers['content-type'], 'audio/mpeg');
+    }
+
+    const history = await agent.get('/api/history/joey').expect(200);
+    assert.deepEqual(history.body.messages.map(m => m.words), [typed, done.words]);
+
+    const silent = await agent.post('/api/respond/stream')
+      .send({ userMessage: 'Again', character: 'joey', voice: false })
+      .expect(200);
+    assert.equal(parseEvents(silent.text).find(e => e.event === 'done').data.words, null);
+
+    // A form string turns voice off as well
+    const form = await agent.post('/api/respond/stream')
+      .send({ userMessage: 'Once more', character: 'joey', voice: 'false' })
+      .expect(200);
+    assert.ok(!parseEvents(form.text).some(e => e.event === 'audio'));
+  });
+});